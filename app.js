@@ -86,7 +86,13 @@ app.use('/api/', rateLimit({
 // - 5 images x 5MB each = 25MB raw
 // - After Base64: 25MB x 1.33 = ~33MB
 // - Set limit to 50MB to provide buffer
-app.use(express.json({ limit: '50mb' }));
+// Keep the raw body so payment webhook signatures can be verified
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(compression());
 
@@ -5,6 +5,10 @@ const { connectDB } = require('./src/config/database');
 const { initializeFirebase } = require('./src/config/firebase-admin');
 const { initializeCloudinary } = require('./src/config/cloudinary');
 const logger = require('./src/utils/logger');
+const jobScheduler = require('./src/services/jobScheduler');
+const chatGateway = require('./src/services/chatGateway');
+const paymentGatewayService = require('./src/services/paymentGatewayService');
+const { registerJobs } = require('./src/jobs');
 
 /**
  * FixMate Backend Server
@@ -49,6 +53,22 @@ const initializeServices = async () => {
       logger.info('Cloudinary not configured. Using MongoDB for image storage.');
     }
     
+    // Card, bank transfer and wallet payments need a registered gateway provider
+    if (paymentGatewayService.isConfigured()) {
+      logger.info(`✅ Payment gateway ready (${paymentGatewayService.activeName})`);
+    } else {
+      logger.warn(`Payment gateway '${paymentGatewayService.activeName}' is not registered. Gateway payments and webhooks will be refused (503).`);
+    }
+    
+    // Start background jobs (reminders, quote expiry, cleanups)
+    if (process.env.DISABLE_JOBS !== 'true') {
+      registerJobs(jobScheduler);
+      await jobScheduler.start();
+      logger.info('✅ Background jobs scheduled');
+    } else {
+      logger.info('Background jobs disabled (DISABLE_JOBS=true)');
+    }
+    
     logger.info('All services initialized successfully');
     return true;
   } catch (error) {
@@ -70,6 +90,9 @@ const startServer = () => {
     logger.info('='.repeat(50));
   });
   
+  // Realtime chat (WebSocket) on the same port
+  chatGateway.attach(server);
+  
   // Handle server errors
   server.on('error', (error) => {
     if (error.code === 'EADDRINUSE') {
@@ -85,6 +108,9 @@ const startServer = () => {
   const gracefulShutdown = async (signal) => {
     logger.info(`\n${signal} received. Starting graceful shutdown...`);
     
+    jobScheduler.stop();
+    chatGateway.close();
+    
     // Stop accepting new connections
     server.close(async () => {
       logger.info('HTTP server closed');
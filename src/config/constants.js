@@ -299,6 +299,130 @@ const CACHE_TTL = {
   WEEK: 604800         // 7 days
 };
 
+// Moderation
+const MODERATION = {
+  AUTO_SUSPEND_REPORT_THRESHOLD: parseInt(process.env.AUTO_SUSPEND_REPORT_THRESHOLD) || 3, // Distinct reporters
+  REPORT_WINDOW_DAYS: 30                // Only reports this recent count towards the threshold
+};
+
+// Background Jobs
+const SCHEDULED_JOBS = {
+  POLL_INTERVAL_MS: 30 * 1000,          // How often the runner looks for due jobs
+  LOCK_TTL_MS: 10 * 60 * 1000,          // A crashed run frees its lock after this
+  BOOKING_REMINDER_LEAD_HOURS: 24,      // Remind customer & worker this long before scheduledDate
+  PROBLEM_IMAGE_RETENTION_DAYS: 7       // Soft-deleted problem images are purged after this
+};
+
+// Worker Calendar & Slot Booking
+const CALENDAR = {
+  SLOT_MINUTES: 60,                     // Free slots start on this grid
+  DEFAULT_BOOKING_MINUTES: 120,         // Time held by a booking with a start time but no estimate
+  MAX_SLOT_RANGE_DAYS: 31,              // Longest range the free-slots endpoint returns
+  CONFLICT_LOOKBACK_HOURS: 24,          // Jobs starting this long before a day can still run into it
+  BLOCKING_STATUSES: ['accepted', 'in-progress'], // Bookings that occupy the worker's time
+  FEED_PAST_DAYS: 30,                   // iCalendar feed keeps bookings scheduled this far back
+  FEED_TOKEN_BYTES: 24,                 // Random bytes in a calendar feed token
+  IMPORT_LOOKAHEAD_DAYS: 180,           // Imported busy blocks are kept this far ahead
+  IMPORT_MAX_BLOCKS: 500,               // Most busy blocks kept per import source
+  IMPORT_MAX_BYTES: 1024 * 1024,        // Largest .ics file or feed accepted
+  IMPORT_FETCH_TIMEOUT_MS: 10 * 1000,   // Give up on a slow external feed after this
+  IMPORT_MAX_REDIRECTS: 3,              // Redirects followed when fetching an external feed
+  IMPORT_SYNC_HOURS: 3,                 // Registered external feeds are re-imported this often
+
+  // Hours covered by Booking.preferredTimeSlot when no start time was picked
+  TIME_SLOT_WINDOWS: {
+    morning: { startTime: '08:00', endTime: '12:00' },
+    afternoon: { startTime: '12:00', endTime: '16:00' },
+    evening: { startTime: '16:00', endTime: '20:00' },
+    flexible: { startTime: '08:00', endTime: '20:00' }
+  }
+};
+
+// Recurring Booking Series
+const RECURRING_BOOKINGS = {
+  LOOKAHEAD_DAYS: 28,                   // Occurrences are booked this far ahead
+  MAX_OCCURRENCES: 104,                 // Upper bound for occurrenceCount
+  FREQUENCIES: {
+    weekly: { days: 7 },
+    fortnightly: { days: 14 },
+    monthly: { months: 1 }
+  }
+};
+
+// Emergency Dispatch (urgency = 'emergency')
+const EMERGENCY_DISPATCH = {
+  INITIAL_RADIUS_KM: 5,                 // First wave goes to workers this close
+  RADIUS_STEP_KM: 5,                    // Each later wave widens the radius by this much
+  MAX_RADIUS_KM: 30,
+  WORKERS_PER_WAVE: 5,                  // Nearest workers offered the job per wave
+  WAVE_INTERVAL_MINUTES: 3,             // Time between waves while nobody accepts
+  ESCALATION_MINUTES: 15                // Admins are alerted if still unassigned after this
+};
+
+// Cancellation Policy (defaults; categories and workers can override each field)
+const CANCELLATION_POLICY = {
+  FREE_WINDOW_HOURS: 24,                // Customer cancels for free up to this long before the start
+  LATE_CANCEL_FEE: { type: 'percentage', value: 20 },
+  NO_SHOW_FEE: { type: 'percentage', value: 50 },
+  NO_SHOW_GRACE_MINUTES: 30,            // Worker can report a no-show this long after the start
+  RELIABILITY_PENALTY: {                // Points taken off Customer.reliabilityScore
+    'late': 5,
+    'no-show': 15
+  }
+};
+
+// Completion Sign-off
+const COMPLETION = {
+  CONFIRMATION_HOURS: 48,               // Customer has this long to confirm or reject before auto-confirm
+  MIN_IMAGES: 1,                        // Photo evidence required with a completion submission
+  MAX_IMAGES: 10
+};
+
+// Crew bookings (several workers on one job)
+const CREW = {
+  MIN_MEMBERS: 2,                       // Lead included
+  MAX_MEMBERS: 8,
+  LEAD_ROLE: 'lead'                     // Role given to the lead when none is set
+};
+
+// Milestone payments for large jobs
+const MILESTONES = {
+  MAX_PER_QUOTE: 10,
+  // on-start: due when work starts (estimatedStartDate)
+  // on-date: due on dueDate (spread between the estimated dates when not set)
+  // on-completion: due when the job is finished (estimatedCompletionDate)
+  DUE_CONDITIONS: ['on-start', 'on-date', 'on-completion']
+};
+
+// Workmanship warranty on completed jobs
+const WARRANTY = {
+  MAX_DAYS: 365                         // Longest warranty a quote can offer
+};
+
+// Worker check-in/check-out at the job location
+const ATTENDANCE = {
+  GEOFENCE_RADIUS_KM: 0.3,              // Max distance from serviceLocation.coordinates
+  EARLY_CHECK_IN_MINUTES: 60,           // Earliest check-in before the scheduled start
+  LATE_GRACE_MINUTES: 15                // Arrivals later than this count as late
+};
+
+// Live worker location while en route to an accepted booking
+const LIVE_LOCATION = {
+  AVERAGE_SPEED_KMH: 25,                // Used for the straight-line ETA
+  PING_TTL_MINUTES: 120,                // Positions expire even if never discarded
+  STALE_AFTER_MINUTES: 5,               // Latest position older than this is flagged stale
+  MIN_INTERVAL_SECONDS: 10              // Positions posted faster than this are ignored
+};
+
+// Invoices
+const INVOICE = {
+  NUMBER_PREFIX: 'INV',                 // Invoice numbers look like INV-000123
+  NUMBER_DIGITS: 6,
+  NUMBERING_TIMEOUT_SECONDS: 60,        // An unnumbered invoice older than this is numbered by the next request
+  TAX_LABEL: 'VAT',
+  TAX_PERCENTAGE: parseFloat(process.env.INVOICE_TAX_PERCENTAGE) || 0 // Prices are tax inclusive
+};
+
 // Validation Regex Patterns
 const REGEX_PATTERNS = {
   EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
@@ -382,6 +506,7 @@ module.exports = {
   // Reviews & Ratings
   REVIEW_STATUS,
   RATING,
+  MODERATION,
   
   // Location
   DISTRICTS,
@@ -403,6 +528,18 @@ module.exports = {
   DAYS_OF_WEEK,
   DATE_FORMATS,
   CACHE_TTL,
+  SCHEDULED_JOBS,
+  CALENDAR,
+  RECURRING_BOOKINGS,
+  EMERGENCY_DISPATCH,
+  CANCELLATION_POLICY,
+  COMPLETION,
+  CREW,
+  MILESTONES,
+  WARRANTY,
+  ATTENDANCE,
+  LIVE_LOCATION,
+  INVOICE,
   
   // Application
   APP_STATUS,
@@ -1,4 +1,7 @@
-const { User, Worker, Customer, Booking, Review, Payment } = require('../models');
+const { User, Worker, Customer, Booking, Review, Payment, Report, Dispute, Category } = require('../models');
+const moderationService = require('../services/moderationService');
+const disputeService = require('../services/disputeService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
 
 /**
  * @desc    Get dashboard statistics
@@ -30,33 +33,11 @@ exports.getDashboardStats = async (req, res, next) => {
       status: { $in: ['pending', 'accepted', 'in-progress'] }
     });
 
-    // Revenue statistics
-    const totalRevenue = await Payment.aggregate([
-      {
-        $match: { status: 'completed' }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$platformFee.amount' }
-        }
-      }
-    ]);
-
-    const monthlyRevenue = await Payment.aggregate([
-      {
-        $match: {
-          status: 'completed',
-          completedAt: { $gte: startOfMonth }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$platformFee.amount' }
-        }
-      }
-    ]);
+    // Revenue statistics (net of refunds, from the payment ledger)
+    const totalRevenue = await Payment.getLedgerTotals();
+    const monthlyRevenue = await Payment.getLedgerTotals({
+      completedAt: { $gte: startOfMonth }
+    });
 
     // Review statistics
     const totalReviews = await Review.countDocuments();
@@ -91,8 +72,11 @@ exports.getDashboardStats = async (req, res, next) => {
         active: activeBookings
       },
       revenue: {
-        total: totalRevenue[0]?.total || 0,
-        thisMonth: monthlyRevenue[0]?.total || 0
+        total: totalRevenue.platformFee,
+        thisMonth: monthlyRevenue.platformFee,
+        grossVolume: totalRevenue.gross,
+        workerPayouts: totalRevenue.workerAmount,
+        transactions: totalRevenue.count
       },
       reviews: {
         total: totalReviews,
@@ -173,11 +157,7 @@ exports.suspendUser = async (req, res, next) => {
     const { id } = req.params;
     const { reason } = req.body;
 
-    const user = await User.findByIdAndUpdate(
-      id,
-      { accountStatus: 'suspended' },
-      { new: true }
-    );
+    const user = await moderationService.suspendUser(id, reason);
 
     if (!user) {
       return res.status(404).json({
@@ -186,16 +166,6 @@ exports.suspendUser = async (req, res, next) => {
       });
     }
 
-    // Send notification
-    const Notification = require('../models/Notification');
-    await Notification.create({
-      userId: user._id,
-      type: 'account-suspended',
-      title: 'Account Suspended',
-      message: `Your account has been suspended. Reason: ${reason}`,
-      priority: 'high'
-    });
-
     res.status(200).json({
       success: true,
       message: 'User suspended successfully',
@@ -349,6 +319,464 @@ exports.moderateReview = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get report moderation queue
+ * @route   GET /api/admin/reports
+ * @access  Private/Admin
+ */
+exports.getReports = async (req, res, next) => {
+  try {
+    const { status, targetType, assignedTo, reportedUserId, page = 1, limit = 20 } = req.query;
+    const { firebaseUid } = req.user;
+
+    const query = {};
+    if (status) query.status = status;
+    if (targetType) query.targetType = targetType;
+    if (reportedUserId) query.reportedUserId = reportedUserId;
+    if (assignedTo === 'me') {
+      const admin = await User.findOne({ firebaseUid });
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      query.assignedTo = admin._id;
+    } else if (assignedTo === 'none') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
+
+    const reports = await Report.find(query)
+      .populate('reporterId', 'fullName email')
+      .populate('reportedUserId', 'fullName email role accountStatus')
+      .populate('assignedTo', 'fullName email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: 1 });
+
+    const count = await Report.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reports,
+        totalPages: Math.ceil(count / limit),
+        currentPage: page,
+        total: count
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single report with the reported user's report history
+ * @route   GET /api/admin/reports/:id
+ * @access  Private/Admin
+ */
+exports.getReportById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const report = await Report.findById(id)
+      .populate('reporterId', 'fullName email')
+      .populate('reportedUserId', 'fullName email role accountStatus')
+      .populate('assignedTo', 'fullName email')
+      .populate('resolution.resolvedBy', 'fullName email');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    // The reported account may have been deleted since the report was filed
+    const history = report.reportedUserId
+      ? await Report.find({
+        reportedUserId: report.reportedUserId._id,
+        _id: { $ne: report._id }
+      })
+        .select('targetType reason status createdAt')
+        .sort({ createdAt: -1 })
+        .limit(20)
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: { report, history }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Assign a report to an admin (defaults to the current admin)
+ * @route   PUT /api/admin/reports/:id/assign
+ * @access  Private/Admin
+ */
+exports.assignReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { assigneeId } = req.body;
+    const { firebaseUid } = req.user;
+
+    const report = await Report.findById(id);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.isOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: `Report is already ${report.status}`
+      });
+    }
+
+    const assignee = assigneeId
+      ? await User.findOne({ _id: assigneeId, role: 'admin' })
+      : await User.findOne({ firebaseUid });
+
+    if (!assignee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    await report.assignTo(assignee._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Report assigned successfully',
+      data: { report }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resolve a report, optionally suspending the reported user
+ * @route   PUT /api/admin/reports/:id/resolve
+ * @access  Private/Admin
+ */
+exports.resolveReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { action = 'none', note } = req.body;
+    const { firebaseUid } = req.user;
+
+    if (!['none', 'warning', 'content-removed', 'suspended'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be one of: none, warning, content-removed, suspended'
+      });
+    }
+
+    const admin = await User.findOne({ firebaseUid });
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const report = await Report.findById(id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.isOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: `Report is already ${report.status}`
+      });
+    }
+
+    if (action === 'suspended') {
+      await moderationService.suspendUser(report.reportedUserId, note || report.reason);
+    } else if (action === 'content-removed' && report.targetType === 'review') {
+      const review = await Review.findById(report.targetId);
+      if (review) {
+        await review.moderate('rejected', admin._id, note || report.reason);
+      }
+    }
+
+    await report.close('resolved', admin._id, { action, note });
+
+    res.status(200).json({
+      success: true,
+      message: 'Report resolved successfully',
+      data: { report }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Dismiss a report
+ * @route   PUT /api/admin/reports/:id/dismiss
+ * @access  Private/Admin
+ */
+exports.dismissReport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+    const { firebaseUid } = req.user;
+
+    const admin = await User.findOne({ firebaseUid });
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const report = await Report.findById(id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.isOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: `Report is already ${report.status}`
+      });
+    }
+
+    await report.close('dismissed', admin._id, { action: 'none', note });
+
+    res.status(200).json({
+      success: true,
+      message: 'Report dismissed',
+      data: { report }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get booking dispute queue (oldest first)
+ * @route   GET /api/admin/disputes
+ * @access  Private/Admin
+ */
+exports.getDisputes = async (req, res, next) => {
+  try {
+    const { status, assignedTo, page = 1, limit = 20 } = req.query;
+    const { firebaseUid } = req.user;
+
+    const query = {};
+    if (status) query.status = status;
+    if (assignedTo === 'me') {
+      const admin = await User.findOne({ firebaseUid });
+      query.assignedTo = admin._id;
+    } else if (assignedTo === 'none') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
+
+    const disputes = await Dispute.find(query)
+      .select('-statements')
+      .populate('bookingId', 'serviceType status paymentStatus finalPrice')
+      .populate('customerId', 'fullName email')
+      .populate('workerId', 'fullName email')
+      .populate('assignedTo', 'fullName email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: 1 });
+
+    const count = await Dispute.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        disputes,
+        totalPages: Math.ceil(count / limit),
+        currentPage: page,
+        total: count
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single dispute with its booking and payment ledger
+ * @route   GET /api/admin/disputes/:id
+ * @access  Private/Admin
+ */
+exports.getDisputeById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const dispute = await Dispute.findById(id)
+      .populate('customerId', 'fullName email phoneNumber')
+      .populate('workerId', 'fullName email phoneNumber')
+      .populate('statements.authorId', 'fullName role')
+      .populate('assignedTo', 'fullName email')
+      .populate('resolution.resolvedBy', 'fullName email');
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    const booking = await Booking.findById(dispute.bookingId);
+    const payments = await Payment.find({ bookingId: dispute.bookingId }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { dispute, booking, payments }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Assign a dispute to an admin (defaults to the current admin)
+ * @route   PUT /api/admin/disputes/:id/assign
+ * @access  Private/Admin
+ */
+exports.assignDispute = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { assigneeId } = req.body;
+    const { firebaseUid } = req.user;
+
+    const dispute = await Dispute.findById(id);
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    if (!dispute.isOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: `Dispute is already ${dispute.status}`
+      });
+    }
+
+    const assignee = assigneeId
+      ? await User.findOne({ _id: assigneeId, role: 'admin' })
+      : await User.findOne({ firebaseUid });
+
+    if (!assignee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found'
+      });
+    }
+
+    await dispute.assignTo(assignee._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute assigned successfully',
+      data: { dispute }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resolve a dispute: full/partial refund, release to worker or dismiss
+ * @route   PUT /api/admin/disputes/:id/resolve
+ * @access  Private/Admin
+ */
+exports.resolveDispute = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { outcome, refundAmount, note } = req.body;
+    const { firebaseUid } = req.user;
+
+    if (outcome === 'partial-refund' && !refundAmount) {
+      return res.status(400).json({
+        success: false,
+        message: 'refundAmount is required for a partial refund'
+      });
+    }
+
+    const admin = await User.findOne({ firebaseUid });
+    const dispute = await Dispute.findById(id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    const result = await disputeService.resolveDispute(dispute, admin, { outcome, refundAmount, note });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dispute resolved successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set a service category's cancellation policy (null clears a field back to the platform default)
+ * @route   PUT /api/admin/categories/:slug/cancellation-policy
+ * @access  Private/Admin
+ */
+exports.updateCategoryCancellationPolicy = async (req, res, next) => {
+  try {
+    const { slug } = req.params;
+
+    const category = await Category.findOne({ slug });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const policy = cancellationPolicyService.normalisePolicy(req.body);
+    for (const [field, value] of Object.entries(policy)) {
+      category.set(`cancellationPolicy.${field}`, value);
+    }
+    await category.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      data: { category: category.slug, cancellationPolicy: category.cancellationPolicy }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Verify worker profile
  * @route   PUT /api/admin/workers/:id/verify
@@ -485,11 +913,12 @@ exports.getAnalytics = async (req, res, next) => {
       }
     ]);
 
-    // Revenue trends
+    // Revenue trends (refund entries count against the month they were issued)
+    const sign = { $cond: [{ $eq: ['$type', 'refund'] }, -1, 1] };
     const revenueTrends = await Payment.aggregate([
       {
         $match: {
-          status: 'completed',
+          status: { $in: ['completed', 'refunded'] },
           completedAt: { $gte: start, $lte: end }
         }
       },
@@ -499,8 +928,9 @@ exports.getAnalytics = async (req, res, next) => {
             year: { $year: '$completedAt' },
             month: { $month: '$completedAt' }
           },
-          revenue: { $sum: '$platformFee.amount' },
-          count: { $sum: 1 }
+          revenue: { $sum: { $multiply: ['$platformFee.amount', sign] } },
+          grossVolume: { $sum: { $multiply: ['$amount', sign] } },
+          count: { $sum: { $cond: [{ $eq: ['$type', 'charge'] }, 1, 0] } }
         }
       },
       {
@@ -0,0 +1,81 @@
+const { Booking, User } = require('../models');
+const attendanceService = require('../services/attendanceService');
+
+/**
+ * Load a booking assigned to the calling worker
+ * Sends the 404/403 response itself and returns null when not allowed
+ */
+const loadWorkerBooking = async (req, res) => {
+  const { firebaseUid } = req.user;
+
+  const user = await User.findOne({ firebaseUid });
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  if (!booking.workerId || booking.workerId.toString() !== user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Unauthorized - Not assigned to you'
+    });
+    return null;
+  }
+
+  return { user, booking };
+};
+
+/**
+ * @desc    Worker checks in at the job location (starts the job)
+ * @route   POST /bookings/:id/check-in
+ * @access  Private/Worker
+ */
+exports.checkIn = async (req, res, next) => {
+  try {
+    const { latitude, longitude } = req.body;
+
+    const context = await loadWorkerBooking(req, res);
+    if (!context) return;
+
+    const booking = await attendanceService.checkIn(context.booking, context.user, { latitude, longitude });
+
+    res.status(200).json({
+      success: true,
+      message: !booking.checkIn.verified
+        ? 'Checked in. The location could not be verified because the booking has no coordinates.'
+        : 'Checked in successfully',
+      data: { booking }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Worker checks out of the job location
+ * @route   POST /bookings/:id/check-out
+ * @access  Private/Worker
+ */
+exports.checkOut = async (req, res, next) => {
+  try {
+    const { latitude, longitude } = req.body;
+
+    const context = await loadWorkerBooking(req, res);
+    if (!context) return;
+
+    const booking = await attendanceService.checkOut(context.booking, context.user, { latitude, longitude });
+
+    res.status(200).json({
+      success: true,
+      message: 'Checked out successfully',
+      data: { booking }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,35 @@
-const { Booking, User, Worker, Customer, Quote, Notification } = require('../models');
+const { Booking, User, Worker, Customer, Quote, Notification, Block } = require('../models');
+const calendarService = require('../services/calendarService');
+const dispatchService = require('../services/dispatchService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const completionService = require('../services/completionService');
+const crewService = require('../services/crewService');
+const milestoneService = require('../services/milestoneService');
+const callbackService = require('../services/callbackService');
+const instantBookingService = require('../services/instantBookingService');
+const { CANCELLATION_POLICY } = require('../config/constants');
+
+/**
+ * Send a 409 for a status change the role is not allowed to make
+ */
+const rejectTransition = (res, booking, status, role) => {
+  return res.status(409).json({
+    success: false,
+    message: `Cannot change booking status from '${booking.status}' to '${status}'`,
+    allowedStatuses: booking.getAllowedTransitions(role)
+  });
+};
+
+/**
+ * Send a 409 for a booking the worker's calendar cannot take
+ */
+const rejectUnavailable = (res, availability) => {
+  return res.status(409).json({
+    success: false,
+    message: availability.reason,
+    conflicts: availability.conflicts
+  });
+};
 
 /**
  * @desc    Create a new booking
@@ -16,13 +47,55 @@ exports.createBooking = async (req, res, next) => {
       serviceLocation,
       scheduledDate,
       preferredTimeSlot,
+      estimatedDuration,
       customerBudget,
       specialInstructions,
-      urgency
+      urgency,
+      crew,
+      instant
     } = req.body;
 
     const customer = await User.findOne({ firebaseUid });
 
+    if (await Block.isBlockedBetween(customer._id, workerId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot book this worker'
+      });
+    }
+
+    if (!scheduledDate || isNaN(new Date(scheduledDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid scheduledDate is required'
+      });
+    }
+
+    const worker = workerId ? await Worker.findOne({ userId: workerId }) : null;
+
+    // Instant booking skips the worker's response, so the worker must offer it
+    if (instant) {
+      const check = instantBookingService.checkInstantBooking(worker, { serviceLocation, crew });
+      if (!check.allowed) {
+        return res.status(409).json({
+          success: false,
+          message: check.reason
+        });
+      }
+    }
+
+    const window = Booking.getScheduledWindow({ scheduledDate, preferredTimeSlot, estimatedDuration });
+
+    if (workerId) {
+      const availability = await calendarService.checkAvailability(workerId, window);
+      if (!availability.available) {
+        return rejectUnavailable(res, availability);
+      }
+    }
+
+    // Crew job: workerId leads, every member is invited separately
+    const crewMembers = crew ? await crewService.buildCrew(customer._id, workerId, crew, window) : [];
+
     const booking = await Booking.create({
       customerId: customer._id,
       workerId,
@@ -32,29 +105,44 @@ exports.createBooking = async (req, res, next) => {
       serviceLocation,
       scheduledDate,
       preferredTimeSlot,
+      estimatedDuration,
       customerBudget,
       specialInstructions,
-      urgency: urgency || 'medium'
+      urgency: urgency || 'medium',
+      crew: crewMembers,
+      // Booked with a worker: waits for that worker's answer, no quotes involved
+      ...(workerId && { status: 'pending' })
     });
 
+    // Instant bookings and workers who auto-accept skip the request step
+    const confirmedBy = await instantBookingService.confirmIfAllowed(booking, worker, { instant });
+
     // Update customer stats
     const customerProfile = await Customer.findOne({ userId: customer._id });
     await customerProfile.incrementBookings();
 
-    // Send notification to worker
-    await Notification.create({
-      userId: workerId,
-      type: 'booking-received',
-      title: 'New Booking Request',
-      message: `You have a new booking request for ${serviceType}`,
-      relatedBooking: booking._id,
-      relatedUser: customer._id
-    });
+    if (confirmedBy) {
+      await instantBookingService.notifyConfirmed(booking, customer, confirmedBy);
+    } else {
+      // Send notification to worker
+      await Notification.create({
+        userId: workerId,
+        type: 'booking-received',
+        title: 'New Booking Request',
+        message: `You have a new booking request for ${serviceType}`,
+        relatedBooking: booking._id,
+        relatedUser: customer._id
+      });
+    }
+
+    if (booking.isCrewBooking()) {
+      await crewService.notifyInvited(booking, customer);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
-      data: { booking }
+      message: confirmedBy ? 'Booking confirmed' : 'Booking created successfully',
+      data: { booking, confirmedBy }
     });
   } catch (error) {
     next(error);
@@ -86,7 +174,8 @@ exports.getBookings = async (req, res, next) => {
     if (role === 'customer') {
       query.customerId = user._id;
     } else if (role === 'worker') {
-      query.workerId = user._id;  // ✅ This is critical
+      // ✅ This is critical - crew members see the jobs they were invited to
+      Object.assign(query, Booking.assignedTo(user._id));
     }
 
     if (status) query.status = status;
@@ -94,6 +183,7 @@ exports.getBookings = async (req, res, next) => {
     const bookings = await Booking.find(query)
       .populate('customerId', 'fullName phoneNumber profileImage')
       .populate('workerId', 'fullName phoneNumber profileImage')
+      .populate('crew.workerId', 'fullName phoneNumber profileImage')
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .sort({ createdAt: -1 });
@@ -141,6 +231,7 @@ exports.getBookingById = async (req, res, next) => {
     const booking = await Booking.findById(id)
       .populate('customerId', 'fullName email phoneNumber profileImage')
       .populate('workerId', 'fullName email phoneNumber profileImage')
+      .populate('crew.workerId', 'fullName phoneNumber profileImage')
       .lean(); // Convert to plain JavaScript object for easier manipulation
 
     if (!booking) {
@@ -150,11 +241,12 @@ exports.getBookingById = async (req, res, next) => {
       });
     }
 
-    // Authorization check - user must be either the customer or the worker
+    // Authorization check - user must be the customer, the worker or a crew member
     const isCustomer = booking.customerId &&
       booking.customerId._id.toString() === user._id.toString();
-    const isWorker = booking.workerId &&
-      booking.workerId._id.toString() === user._id.toString();
+    const isWorker = (booking.workerId &&
+      booking.workerId._id.toString() === user._id.toString()) ||
+      (booking.crew || []).some(member => member.workerId?._id.toString() === user._id.toString());
     const isAdmin = user.role === 'admin';
 
     if (!isCustomer && !isWorker && !isAdmin) {
@@ -166,10 +258,35 @@ exports.getBookingById = async (req, res, next) => {
 
     console.log('✅ Booking found:', booking._id);
 
+    // Warranty window and the callbacks raised under it
+    const warrantyExpiresAt = booking.warranty?.days && booking.completedAt
+      ? new Date(new Date(booking.completedAt).getTime() + booking.warranty.days * 24 * 60 * 60 * 1000)
+      : null;
+    const callbacks = await Booking.find({ callbackOf: booking._id })
+      .select('status scheduledDate problemDescription createdAt')
+      .sort({ createdAt: -1 });
+
+    // Quote negotiation thread - workers only see their own quotes
+    const versions = await Quote.getThread(booking._id, isWorker && !isAdmin ? booking.workerId?._id || user._id : null);
+    const latest = versions[versions.length - 1];
+
     res.status(200).json({
       success: true,
       data: {
-        booking
+        booking,
+        milestoneSummary: booking.milestones?.length ? Booking.getMilestoneSummary(booking.milestones) : null,
+        warranty: booking.warranty?.days ? {
+          ...booking.warranty,
+          expiresAt: warrantyExpiresAt,
+          active: !!warrantyExpiresAt && warrantyExpiresAt > new Date(),
+          callbacks
+        } : null,
+        quoteThread: {
+          versions,
+          current: versions.find(q => q.status === 'accepted') ||
+            versions.filter(q => q.isOpen()).pop() || null,
+          history: latest ? latest.negotiationHistory : []
+        }
       }
     });
 
@@ -228,20 +345,77 @@ exports.updateBookingStatus = async (req, res, next) => {
       });
     }
 
-    if (role === 'worker' && booking.workerId && booking.workerId.toString() !== user._id.toString()) {
+    if (role === 'worker' && !booking.isAssignedWorker(user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized - Not assigned to you'
       });
     }
 
+    // Disputes carry a reason and evidence, so they are opened through the dispute endpoint
+    if (status === 'disputed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /bookings/:id/disputes to open a dispute'
+      });
+    }
+
+    // Every crew member answers for themselves through the accept endpoint
+    if (status === 'accepted' && booking.isCrewBooking()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use PUT /bookings/:id/accept so each crew member accepts the crew job'
+      });
+    }
+
+    // Emergency jobs go to the first worker to claim the offer
+    if (status === 'accepted' && booking.dispatch?.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /bookings/:id/dispatch/accept to accept an emergency job'
+      });
+    }
+
+    // Workers start the job by checking in on site, which records arrival and punctuality
+    if (status === 'in-progress' && role === 'worker' && !booking.checkIn?.at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /bookings/:id/check-in to start the job from the job location'
+      });
+    }
+
+    if (!booking.canTransitionTo(status, role)) {
+      return rejectTransition(res, booking, status, role);
+    }
+
+    // Same double-booking guard as PUT /bookings/:id/accept
+    if (status === 'accepted' && role === 'worker') {
+      const availability = await calendarService.checkAvailability(
+        user._id,
+        booking.getScheduledWindow(),
+        { excludeBookingId: booking._id }
+      );
+      if (!availability.available) {
+        return rejectUnavailable(res, availability);
+      }
+    }
+
+    if (status === 'cancelled') {
+      booking.cancellation = await cancellationPolicyService.assess(booking, role);
+    } else if (status === 'completed' && booking.completion?.status === 'awaiting-confirmation') {
+      booking.completion.status = 'confirmed';
+      booking.completion.respondedAt = new Date();
+    }
+
     // Update booking status using the model method
     await booking.updateStatus(status, user._id, role);
 
     console.log('✅ Booking status updated to:', status);
 
     // Handle status-specific logic
-    if (status === 'accepted') {
+    if (status === 'cancelled') {
+      await cancellationPolicyService.recordImpact(booking);
+    } else if (status === 'accepted') {
       // Notify customer
       try {
         await Notification.create({
@@ -265,66 +439,7 @@ exports.updateBookingStatus = async (req, res, next) => {
       await booking.save();
 
     } else if (status === 'completed') {
-      console.log('🏁 Processing completion logic...');
-
-      // ✅ FIX: Update worker stats with proper null checks
-      if (booking.workerId) {
-        try {
-          const Worker = require('../models/Worker');
-          const worker = await Worker.findOne({ userId: booking.workerId });
-
-          if (worker) {
-            await worker.incrementCompletedJobs();
-            console.log('✅ Worker stats updated successfully');
-          } else {
-            console.log('⚠️ Worker profile not found for userId:', booking.workerId);
-          }
-        } catch (workerError) {
-          console.error('❌ Error updating worker stats:', workerError.message);
-          // Don't throw - this is non-critical
-        }
-      } else {
-        console.log('⚠️ No workerId found on booking - skipping worker stats update');
-      }
-
-      // ✅ FIX: Update customer stats with proper null checks
-      if (booking.customerId) {
-        try {
-          const Customer = require('../models/Customer');
-          const customer = await Customer.findOne({ userId: booking.customerId });
-
-          if (customer) {
-            await customer.incrementBookings(true);
-            console.log('✅ Customer stats updated successfully');
-          } else {
-            console.log('⚠️ Customer profile not found for userId:', booking.customerId);
-          }
-        } catch (customerError) {
-          console.error('❌ Error updating customer stats:', customerError.message);
-          // Don't throw - this is non-critical
-        }
-      } else {
-        console.log('⚠️ No customerId found on booking - skipping customer stats update');
-      }
-
-      // ✅ FIX: Notify customer with proper null check
-      if (booking.customerId) {
-        try {
-          await Notification.create({
-            userId: booking.customerId,
-            type: 'booking-completed',
-            title: 'Job Completed',
-            message: 'Your job has been marked as completed. Please leave a review.',
-            relatedBooking: booking._id
-          });
-          console.log('✅ Completion notification sent to customer');
-        } catch (notifError) {
-          console.error('❌ Error creating notification:', notifError.message);
-          // Don't throw - this is non-critical
-        }
-      }
-
-      console.log('✅ Completion logic finished successfully');
+      await completionService.recordCompletion(booking);
     }
 
     // Re-fetch booking with populated fields for response
@@ -366,19 +481,47 @@ exports.acceptBooking = async (req, res, next) => {
       });
     }
 
-    if (booking.workerId.toString() !== user._id.toString()) {
+    const isAssigned = booking.isCrewBooking()
+      ? !!booking.getCrewMember(user._id)
+      : booking.workerId && booking.workerId.toString() === user._id.toString();
+
+    if (!isAssigned) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized'
       });
     }
 
-    booking.status = 'accepted';
+    if (!booking.canTransitionTo('accepted', 'worker')) {
+      return rejectTransition(res, booking, 'accepted', 'worker');
+    }
+
+    const availability = await calendarService.checkAvailability(
+      user._id,
+      booking.getScheduledWindow(),
+      { excludeBookingId: booking._id }
+    );
+    if (!availability.available) {
+      return rejectUnavailable(res, availability);
+    }
+
+    if (booking.isCrewBooking()) {
+      const { crewComplete, booking: updated } = await crewService.acceptMember(booking, user);
+
+      return res.status(200).json({
+        success: true,
+        message: crewComplete
+          ? 'Booking accepted successfully'
+          : 'You have joined the crew. The booking is confirmed once every member accepts',
+        data: { booking: updated }
+      });
+    }
+
     booking.workerResponse = {
       respondedAt: new Date(),
       action: 'accepted'
     };
-    await booking.save();
+    await booking.transitionTo('accepted', { changedBy: user._id, role: 'worker' });
 
     // Notify customer
     await Notification.create({
@@ -414,32 +557,71 @@ exports.declineBooking = async (req, res, next) => {
     const user = await User.findOne({ firebaseUid });
     const booking = await Booking.findById(id);
 
-    if (booking.workerId.toString() !== user._id.toString()) {
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Crew members other than the lead step out of the crew; the booking stays open
+    const isLead = booking.workerId && booking.workerId.toString() === user._id.toString();
+    if (!isLead && booking.getCrewMember(user._id)) {
+      if (!booking.isAwaitingAcceptance()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Crew members can only decline before the booking is accepted'
+        });
+      }
+
+      const member = await crewService.declineMember(booking, user, reason);
+
+      return res.status(200).json({
+        success: true,
+        message: 'You have declined this crew job',
+        data: { member }
+      });
+    }
+
+    if (!isLead) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized'
       });
     }
 
-    booking.status = 'cancelled';
+    if (!booking.canTransitionTo('cancelled', 'worker')) {
+      return rejectTransition(res, booking, 'cancelled', 'worker');
+    }
+
+    // The lead declining cancels the booking, so the cancellation policy applies as on the cancel route
+    booking.cancellation = await cancellationPolicyService.assess(booking, 'worker');
+
     booking.workerResponse = {
       respondedAt: new Date(),
       action: 'declined',
       declineReason: reason
     };
-    booking.cancelledBy = 'worker';
-    booking.cancelledAt = new Date();
-    booking.cancellationReason = reason;
-    await booking.save();
+    booking.cancellationReason = reason || 'No reason provided';
+    dispatchService.cancelDispatch(booking);
+    await booking.transitionTo('cancelled', { changedBy: user._id, role: 'worker', note: booking.cancellationReason });
+
+    // Update worker acceptance rate
+    await cancellationPolicyService.recordImpact(booking);
 
     // Notify customer
-    await Notification.create({
-      userId: booking.customerId,
-      type: 'booking-declined',
-      title: 'Booking Declined',
-      message: `Your booking was declined. Reason: ${reason}`,
-      relatedBooking: booking._id
-    });
+    try {
+      await Notification.create({
+        userId: booking.customerId,
+        type: 'booking-declined',
+        title: 'Booking Declined',
+        message: `Your booking was declined. Reason: ${booking.cancellationReason}`,
+        relatedBooking: booking._id,
+        relatedUser: user._id
+      });
+    } catch (notifError) {
+      console.log('⚠️ Notification creation failed (non-critical):', notifError.message);
+    }
 
     res.status(200).json({
       success: true,
@@ -451,6 +633,91 @@ exports.declineBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Invite another worker into the slot of a crew member who declined
+ * @route   PUT /api/bookings/:id/crew/:memberId
+ * @access  Private/Customer
+ */
+exports.replaceCrewMember = async (req, res, next) => {
+  try {
+    const { id, memberId } = req.params;
+    const { workerId, role } = req.body;
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.customerId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized - Not your booking'
+      });
+    }
+
+    const member = await crewService.replaceMember(booking, user, memberId, { workerId, role });
+
+    res.status(200).json({
+      success: true,
+      message: 'Crew member invited',
+      data: { member, crew: booking.crew }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Raise a free warranty callback on a completed booking
+ * @route   POST /api/bookings/:id/callbacks
+ * @access  Private/Customer
+ */
+exports.requestCallback = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { problemDescription, problemImages, scheduledDate, preferredTimeSlot } = req.body;
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.customerId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized - Not your booking'
+      });
+    }
+
+    const callback = await callbackService.raise(booking, user, {
+      problemDescription,
+      problemImages,
+      scheduledDate,
+      preferredTimeSlot
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Warranty callback requested',
+      data: { booking: callback, warrantyExpiresAt: booking.getWarrantyExpiry() }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Cancel booking
  * @route   PUT /api/bookings/:id/cancel
@@ -494,25 +761,26 @@ exports.cancelBooking = async (req, res, next) => {
       });
     }
 
+    if (!booking.canTransitionTo('cancelled', role)) {
+      return rejectTransition(res, booking, 'cancelled', role);
+    }
+
+    // Apply the cancellation policy (fees, reliability) before the status changes
+    booking.cancellation = await cancellationPolicyService.assess(booking, role);
+
     // Update booking status
-    booking.status = 'cancelled';
-    booking.cancelledBy = role;
-    booking.cancelledAt = new Date();
     booking.cancellationReason = reason || 'No reason provided';
-    await booking.save();
+    dispatchService.cancelDispatch(booking);
+    await booking.transitionTo('cancelled', {
+      changedBy: user._id,
+      role,
+      note: booking.cancellationReason
+    });
 
     console.log('✅ Booking status updated to cancelled');
 
-    // Update customer stats
-    try {
-      const customer = await Customer.findOne({ userId: booking.customerId });
-      if (customer) {
-        await customer.incrementBookings(false, true);
-        console.log('✅ Customer stats updated');
-      }
-    } catch (statsError) {
-      console.log('⚠️ Customer stats update failed (non-critical):', statsError.message);
-    }
+    // Update customer reliability / worker acceptance rate
+    await cancellationPolicyService.recordImpact(booking);
 
     // ✅ FIX: Only send notification if there's a worker assigned and it's valid
     const notifyUserId = role === 'customer' ? booking.workerId : booking.customerId;
@@ -539,7 +807,9 @@ exports.cancelBooking = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      message: 'Booking cancelled successfully',
+      message: booking.cancellation.fee > 0
+        ? `Booking cancelled. A late cancellation fee of LKR ${booking.cancellation.fee} applies.`
+        : 'Booking cancelled successfully',
       data: { booking }
     });
 
@@ -549,6 +819,127 @@ exports.cancelBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the cancellation policy and what cancelling now would cost
+ * @route   GET /api/bookings/:id/cancellation-policy
+ * @access  Private
+ */
+exports.getCancellationPolicy = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { firebaseUid, role } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isParty = booking.customerId.toString() === user._id.toString() ||
+      (booking.workerId && booking.workerId.toString() === user._id.toString());
+
+    if (!isParty && role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized to view this booking'
+      });
+    }
+
+    const policy = await cancellationPolicyService.getPolicy(booking);
+    const ifCancelledNow = booking.canTransitionTo('cancelled', role)
+      ? await cancellationPolicyService.assess(booking, role)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: { policy, ifCancelledNow }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Worker reports that the customer did not show up
+ * @route   PUT /api/bookings/:id/no-show
+ * @access  Private/Worker
+ */
+exports.reportNoShow = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!booking.workerId || booking.workerId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized'
+      });
+    }
+
+    if (booking.status !== 'accepted') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only accepted bookings that have not started can be reported as a no-show'
+      });
+    }
+
+    const { start } = booking.getScheduledWindow();
+    const reportableFrom = new Date(start.getTime() + CANCELLATION_POLICY.NO_SHOW_GRACE_MINUTES * 60000);
+    if (new Date() < reportableFrom) {
+      return res.status(409).json({
+        success: false,
+        message: `A no-show can be reported from ${reportableFrom.toISOString()}`
+      });
+    }
+
+    booking.cancellation = await cancellationPolicyService.assess(booking, 'worker', { noShow: true });
+    booking.cancellationReason = note || 'Customer did not show up';
+    await booking.transitionTo('cancelled', {
+      changedBy: user._id,
+      role: 'worker',
+      note: booking.cancellationReason
+    });
+
+    await cancellationPolicyService.recordImpact(booking);
+
+    try {
+      await Notification.create({
+        userId: booking.customerId,
+        type: 'booking-cancelled',
+        title: 'Booking Cancelled - No-Show',
+        message: `${user.fullName} reported that nobody was available for your ${booking.serviceType} booking.${booking.cancellation.fee > 0 ? ` A no-show fee of LKR ${booking.cancellation.fee} applies.` : ''}`,
+        relatedBooking: booking._id,
+        relatedUser: user._id
+      });
+    } catch (notifError) {
+      console.log('⚠️ Notification creation failed (non-critical):', notifError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'No-show reported and booking cancelled',
+      data: { booking }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Create quote for booking
  * @route   POST /api/bookings/:id/quote
@@ -563,7 +954,11 @@ exports.createQuote = async (req, res, next) => {
       breakdown,
       notes,
       validUntil,
-      estimatedDuration
+      estimatedDuration,
+      estimatedStartDate,
+      estimatedCompletionDate,
+      milestones,
+      warranty
     } = req.body;
 
     const user = await User.findOne({ firebaseUid });
@@ -592,11 +987,14 @@ exports.createQuote = async (req, res, next) => {
       breakdown,
       notes,
       validUntil,
-      estimatedDuration
+      estimatedDuration,
+      estimatedStartDate,
+      estimatedCompletionDate,
+      milestones,
+      warranty
     });
 
     // Update booking
-    booking.status = 'quoted';
     booking.quote = {
       amount: totalAmount,
       breakdown,
@@ -635,20 +1033,25 @@ exports.createQuote = async (req, res, next) => {
 exports.updateWorkProgress = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status, note, images } = req.body;
+    const { status, note, images, milestoneId } = req.body;
     const { firebaseUid } = req.user;
 
     const user = await User.findOne({ firebaseUid });
     const booking = await Booking.findById(id);
 
-    if (booking.workerId.toString() !== user._id.toString()) {
+    if (!booking.isAssignedWorker(user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized'
       });
     }
 
+    // A progress update can mark a payment milestone as done
+    const milestone = milestoneId ? milestoneService.markCompleted(booking, user, milestoneId) : null;
+
     booking.workProgress.push({
+      workerId: user._id,
+      milestoneId: milestone?._id,
       status,
       note,
       images: images || [],
@@ -658,6 +1061,18 @@ exports.updateWorkProgress = async (req, res, next) => {
     await booking.save();
 
     // Notify customer
+    if (milestone) {
+      await Notification.create({
+        userId: booking.customerId,
+        type: 'milestone-completed',
+        title: 'Milestone Ready for Approval',
+        message: `"${milestone.title}" is done. Approve it to pay LKR ${milestone.amount}`,
+        relatedBooking: booking._id,
+        relatedUser: user._id,
+        priority: 'high'
+      });
+    }
+
     await Notification.create({
       userId: booking.customerId,
       type: 'booking-update',
@@ -669,7 +1084,7 @@ exports.updateWorkProgress = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'Work progress updated successfully',
-      data: { workProgress: booking.workProgress }
+      data: { workProgress: booking.workProgress, milestone }
     });
   } catch (error) {
     next(error);
@@ -905,6 +1320,20 @@ exports.sendQuoteToWorker = async (req, res, next) => {
       });
     }
 
+    if (await Block.isBlockedBetween(user._id, worker.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot send a quote request to this worker'
+      });
+    }
+
+    if (!quoteRequest.isQuoteRequest()) {
+      return res.status(409).json({
+        success: false,
+        message: `This quote request is ${quoteRequest.status} and can no longer be sent to workers`
+      });
+    }
+
     // Check if already sent to this worker
     const alreadySent = quoteRequest.sentToWorkers?.some(
       w => w.toString() === workerId
@@ -920,7 +1349,12 @@ exports.sendQuoteToWorker = async (req, res, next) => {
     // ✅ Update quote request: add worker to sentToWorkers array
     quoteRequest.sentToWorkers = quoteRequest.sentToWorkers || [];
     quoteRequest.sentToWorkers.push(workerId);
-    await quoteRequest.save();
+
+    if (quoteRequest.status === 'quote_requested') {
+      await quoteRequest.transitionTo('quotes_sent', { changedBy: user._id, role: 'customer' });
+    } else {
+      await quoteRequest.save();
+    }
 
     // ✅ Create notification for worker
     try {
@@ -1073,7 +1507,8 @@ exports.getWorkerReceivedQuotes = async (req, res, next) => {
 
 
 /**
- * ✅ FIXED - Worker responds to quote request (accept/decline)
+ * ✅ COMPLETE FIX - Worker responds to quote request (accept/decline)
+ * Saves to BOTH booking.quote AND creates separate Quote document
  * @desc    Worker responds to quote request (accept/decline)
  * @route   PUT /bookings/:id/respond
  * @access  Private/Worker
@@ -1081,7 +1516,16 @@ exports.getWorkerReceivedQuotes = async (req, res, next) => {
 exports.respondToQuoteRequest = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { response, quoteAmount, quoteDetails, declineReason } = req.body;
+    const {
+      response,
+      quoteAmount,
+      quoteDetails,
+      declineReason,
+      estimatedStartDate,
+      estimatedCompletionDate,
+      milestones,
+      warranty
+    } = req.body;
     const { firebaseUid } = req.user;
 
     console.log('📨 Respond to quote request:', {
@@ -1127,7 +1571,7 @@ exports.respondToQuoteRequest = async (req, res, next) => {
       });
     }
 
-    // ✅ FIX: Check if worker is in sentToWorkers array (not workerId)
+    // ✅ Check if worker is in sentToWorkers array
     const isWorkerInvited = booking.sentToWorkers.some(
       w => w.toString() === worker._id.toString()
     );
@@ -1139,146 +1583,19 @@ exports.respondToQuoteRequest = async (req, res, next) => {
       });
     }
 
-    // Handle accept response
-    if (response === 'accept') {
-      if (!quoteAmount) {
-        return res.status(400).json({
-          success: false,
-          message: 'Quote amount is required'
-        });
-      }
-
-      // Update booking with quote
-      booking.status = 'accepted';
-      booking.workerId = user._id; // ✅ Now assign the worker
-      booking.quote = {
-        amount: quoteAmount,
-        details: quoteDetails || '',
-        createdAt: new Date(),
-        validUntil: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-      };
-
-      // Create notification for customer
-      try {
-        const Notification = require('../models/Notification');
-        await Notification.create({
-          userId: booking.customerId._id,
-          type: 'quote-received',
-          title: 'Quote Received',
-          message: `${user.fullName} has sent you a quote for LKR ${quoteAmount}`,
-          relatedBooking: booking._id,
-          relatedUser: user._id
-        });
-      } catch (notifError) {
-        console.log('⚠️ Notification creation failed (non-critical):', notifError.message);
-      }
-
-      console.log('✅ Worker accepted quote request');
-
-    } else { // decline
-      booking.status = 'declined';
-      booking.declineReason = declineReason || 'Worker declined the request';
-
-      // Create notification for customer
-      try {
-        const Notification = require('../models/Notification');
-        await Notification.create({
-          userId: booking.customerId._id,
-          type: 'booking-declined',
-          title: 'Quote Request Declined',
-          message: `${user.fullName} declined your quote request`,
-          relatedBooking: booking._id,
-          relatedUser: user._id
-        });
-      } catch (notifError) {
-        console.log('⚠️ Notification creation failed (non-critical):', notifError.message);
-      }
-
-      console.log('✅ Worker declined quote request');
-    }
-
-    // Save the booking
-    await booking.save();
-
-    res.status(200).json({
-      success: true,
-      message: `Quote request ${response}ed successfully`,
-      data: { booking }
-    });
-
-  } catch (error) {
-    console.error('❌ Error responding to quote:', error);
-    next(error);
-  }
-};
-
-/**
- * ✅ COMPLETE FIX - Worker responds to quote request (accept/decline)
- * Saves to BOTH booking.quote AND creates separate Quote document
- * @desc    Worker responds to quote request (accept/decline)
- * @route   PUT /bookings/:id/respond
- * @access  Private/Worker
- */
-exports.respondToQuoteRequest = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const { response, quoteAmount, quoteDetails, declineReason } = req.body;
-    const { firebaseUid } = req.user;
-
-    console.log('📨 Respond to quote request:', {
-      bookingId: id,
-      response,
-      quoteAmount,
-      firebaseUid
-    });
-
-    // Validate response type
-    if (!['accept', 'decline'].includes(response)) {
-      return res.status(400).json({
+    // Quotes are collected until the customer awards one of them
+    if (!['quote_requested', 'quotes_sent'].includes(booking.status)) {
+      return res.status(409).json({
         success: false,
-        message: 'Invalid response. Must be "accept" or "decline"'
+        message: `This quote request is ${booking.status} and no longer accepts responses`
       });
     }
 
-    // Find the booking
-    const booking = await Booking.findById(id)
-      .populate('customerId', 'fullName email phoneNumber');
-
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Quote request not found'
-      });
-    }
-
-    // Find user and worker
-    const user = await User.findOne({ firebaseUid });
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    const worker = await Worker.findOne({ userId: user._id });
-    if (!worker) {
-      return res.status(404).json({
-        success: false,
-        message: 'Worker profile not found'
-      });
-    }
-
-    // ✅ Check if worker is in sentToWorkers array
-    const isWorkerInvited = booking.sentToWorkers.some(
-      w => w.toString() === worker._id.toString()
-    );
-
-    if (!isWorkerInvited) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not authorized to respond to this quote request'
-      });
-    }
+    const existingQuote = await Quote.findOne({
+      bookingId: booking._id,
+      workerId: user._id,
+      status: { $in: ['pending', 'sent', 'viewed'] }
+    });
 
     // Handle accept response
     if (response === 'accept') {
@@ -1289,23 +1606,16 @@ exports.respondToQuoteRequest = async (req, res, next) => {
         });
       }
 
-      const validUntilDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-
-      // ✅ Update booking with quote
-      booking.status = 'accepted';
-      booking.workerId = user._id; // Assign the worker
-      booking.quote = {
-        amount: quoteAmount,
-        details: quoteDetails || '',
-        createdAt: new Date(),
-        validUntil: validUntilDate,
-        status: 'pending'
-      };
+      if (existingQuote) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already sent a quote for this request. Revise it instead.'
+        });
+      }
 
-      await booking.save();
+      const validUntilDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
 
       // ✅ CREATE SEPARATE QUOTE DOCUMENT in quotes collection
-      const Quote = require('../models/Quote');
       const newQuote = await Quote.create({
         bookingId: booking._id,
         customerId: booking.customerId._id,
@@ -1314,6 +1624,10 @@ exports.respondToQuoteRequest = async (req, res, next) => {
         totalAmount: quoteAmount,
         notes: quoteDetails || '',
         validUntil: validUntilDate,
+        estimatedStartDate,
+        estimatedCompletionDate,
+        milestones,
+        warranty,
         status: 'sent',
         sentAt: new Date(),
         // Optional: Add breakdown if you want
@@ -1330,7 +1644,6 @@ exports.respondToQuoteRequest = async (req, res, next) => {
 
       // Create notification for customer
       try {
-        const Notification = require('../models/Notification');
         await Notification.create({
           userId: booking.customerId._id,
           type: 'quote-received',
@@ -1343,11 +1656,11 @@ exports.respondToQuoteRequest = async (req, res, next) => {
         console.log('⚠️ Notification creation failed (non-critical):', notifError.message);
       }
 
-      console.log('✅ Worker accepted quote request - Booking & Quote saved');
+      console.log('✅ Worker sent quote for request');
 
       res.status(200).json({
         success: true,
-        message: 'Quote accepted and sent successfully',
+        message: 'Quote sent successfully',
         data: {
           booking,
           quote: newQuote
@@ -1355,14 +1668,37 @@ exports.respondToQuoteRequest = async (req, res, next) => {
       });
 
     } else { // decline
-      booking.status = 'declined';
-      booking.declineReason = declineReason || 'Worker declined the request';
+      const reason = declineReason || 'Worker declined the request';
 
-      await booking.save();
+      if (existingQuote) {
+        await existingQuote.withdraw(reason);
+      }
+
+      booking.workerDeclines = booking.workerDeclines.filter(
+        d => d.workerId.toString() !== worker._id.toString()
+      );
+      booking.workerDeclines.push({ workerId: worker._id, reason });
+
+      // The whole request is declined only once every invited worker said no
+      const openQuotes = await Quote.countDocuments({
+        bookingId: booking._id,
+        status: { $in: ['pending', 'sent', 'viewed'] }
+      });
+      const everyoneDeclined = openQuotes === 0 &&
+        booking.workerDeclines.length >= booking.sentToWorkers.length;
+
+      if (everyoneDeclined) {
+        await booking.transitionTo('declined', {
+          changedBy: user._id,
+          role: 'worker',
+          note: 'All invited workers declined'
+        });
+      } else {
+        await booking.save();
+      }
 
       // Create notification for customer
       try {
-        const Notification = require('../models/Notification');
         await Notification.create({
           userId: booking.customerId._id,
           type: 'booking-declined',
@@ -0,0 +1,298 @@
+const { Booking, User, BookingSeries } = require('../models');
+const recurringBookingService = require('../services/recurringBookingService');
+
+/**
+ * Load a series and the current user
+ * @returns {Object} { user, series, role } - role is the user's side of the series (null if none)
+ */
+const loadSeries = async (firebaseUid, seriesId) => {
+  const user = await User.findOne({ firebaseUid });
+  const series = await BookingSeries.findById(seriesId);
+  const role = series ? series.getPartyRole(user._id) : null;
+
+  return { user, series, role };
+};
+
+const seriesNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Recurring booking not found'
+  });
+};
+
+/**
+ * @desc    Create a recurring booking series
+ * @route   POST /bookings/series
+ * @access  Private/Customer
+ */
+exports.createSeries = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const customer = await User.findOne({ firebaseUid });
+    const series = await recurringBookingService.createSeries(customer, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring booking requested. It starts once the worker accepts.',
+      data: { series }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get my recurring booking series
+ * @route   GET /bookings/series?status=
+ * @access  Private/Customer/Worker
+ */
+exports.getMySeries = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { status } = req.query;
+
+    const user = await User.findOne({ firebaseUid });
+
+    const query = { $or: [{ customerId: user._id }, { workerId: user._id }] };
+    if (status) query.status = status;
+
+    const series = await BookingSeries.find(query)
+      .populate('customerId', 'fullName profileImage')
+      .populate('workerId', 'fullName profileImage')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a series with its upcoming occurrences
+ * @route   GET /bookings/series/:seriesId
+ * @access  Private (parties or admin)
+ */
+exports.getSeriesById = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const { user, series, role } = await loadSeries(firebaseUid, req.params.seriesId);
+
+    if (!series) return seriesNotFound(res);
+
+    if (!role && user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this recurring booking'
+      });
+    }
+
+    await series.populate('customerId', 'fullName profileImage phoneNumber');
+    await series.populate('workerId', 'fullName profileImage phoneNumber');
+
+    const occurrences = await Booking.find({
+      seriesId: series._id,
+      scheduledDate: { $gte: new Date() }
+    })
+      .select('scheduledDate preferredTimeSlot status seriesOccurrence')
+      .sort({ scheduledDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { series, occurrences }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Worker accepts or declines a pending series
+ */
+const respondToSeries = async (req, res, next, accept) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const { user, series, role } = await loadSeries(firebaseUid, req.params.seriesId);
+
+    if (!series) return seriesNotFound(res);
+
+    if (role !== 'worker') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the booked worker can respond to this recurring booking'
+      });
+    }
+
+    const result = await recurringBookingService.respond(series, user, accept);
+
+    res.status(200).json({
+      success: true,
+      message: accept
+        ? `Recurring booking accepted (${result.created} occurrence(s) booked)`
+        : 'Recurring booking declined',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Worker accepts a recurring booking
+ * @route   POST /bookings/series/:seriesId/accept
+ * @access  Private/Worker
+ */
+exports.acceptSeries = (req, res, next) => respondToSeries(req, res, next, true);
+
+/**
+ * @desc    Worker declines a recurring booking
+ * @route   POST /bookings/series/:seriesId/decline
+ * @access  Private/Worker
+ */
+exports.declineSeries = (req, res, next) => respondToSeries(req, res, next, false);
+
+/**
+ * @desc    Move every upcoming occurrence to a new schedule
+ * @route   PUT /bookings/series/:seriesId/reschedule
+ * @access  Private/Customer/Worker
+ */
+exports.rescheduleSeries = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { startDate, frequency, preferredTimeSlot } = req.body;
+
+    const { user, series, role } = await loadSeries(firebaseUid, req.params.seriesId);
+
+    if (!series) return seriesNotFound(res);
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not part of this recurring booking'
+      });
+    }
+
+    const result = await recurringBookingService.rescheduleSeries(series, user, {
+      startDate,
+      frequency,
+      preferredTimeSlot
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring booking rescheduled successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a series and its upcoming occurrences
+ * @route   POST /bookings/series/:seriesId/cancel
+ * @access  Private (parties or admin)
+ */
+exports.cancelSeries = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { reason } = req.body;
+
+    const { user, series, role } = await loadSeries(firebaseUid, req.params.seriesId);
+
+    if (!series) return seriesNotFound(res);
+
+    if (!role && user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not part of this recurring booking'
+      });
+    }
+
+    const result = await recurringBookingService.cancelSeries(series, user, role || 'admin', reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring booking cancelled successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Skip one occurrence of a series
+ * @route   POST /bookings/series/:seriesId/occurrences/:bookingId/skip
+ * @access  Private/Customer/Worker
+ */
+exports.skipOccurrence = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { reason } = req.body;
+
+    const { user, series, role } = await loadSeries(firebaseUid, req.params.seriesId);
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!series || !booking) return seriesNotFound(res);
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not part of this recurring booking'
+      });
+    }
+
+    await recurringBookingService.skipOccurrence(series, booking, user, reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence skipped successfully',
+      data: { booking }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move one occurrence of a series
+ * @route   PUT /bookings/series/:seriesId/occurrences/:bookingId/reschedule
+ * @access  Private/Customer/Worker
+ */
+exports.rescheduleOccurrence = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { scheduledDate, preferredTimeSlot } = req.body;
+
+    const { user, series, role } = await loadSeries(firebaseUid, req.params.seriesId);
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!series || !booking) return seriesNotFound(res);
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not part of this recurring booking'
+      });
+    }
+
+    await recurringBookingService.rescheduleOccurrence(series, booking, user, {
+      scheduledDate,
+      preferredTimeSlot
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence rescheduled successfully',
+      data: { booking }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,6 @@
-const { Message, User, Notification } = require('../models');
+const { Message, User } = require('../models');
+const chatService = require('../services/chatService');
+const chatGateway = require('../services/chatGateway');
 
 /**
  * @desc    Send a message
@@ -19,36 +21,19 @@ exports.sendMessage = async (req, res, next) => {
 
     const sender = await User.findOne({ firebaseUid });
 
-    // Generate conversation ID
-    const conversationId = Message.generateConversationId(sender._id, receiverId);
-
-    const newMessage = await Message.create({
-      conversationId,
-      senderId: sender._id,
+    const newMessage = await chatService.sendMessage(sender, {
       receiverId,
-      messageType: messageType || 'text',
       message,
+      messageType,
       mediaUrl,
       location,
       bookingId
+    }, {
+      receiverOnline: chatGateway.isOnline(receiverId)
     });
 
-    // Populate sender and receiver info
-    await newMessage.populate('senderId', 'fullName profileImage');
-    await newMessage.populate('receiverId', 'fullName profileImage');
-
-    // Send push notification to receiver
-    const receiver = await User.findById(receiverId);
-    if (receiver.fcmToken && receiver.notificationSettings.pushEnabled) {
-      await Notification.create({
-        userId: receiverId,
-        type: 'new-message',
-        title: `Message from ${sender.fullName}`,
-        message: messageType === 'text' ? message : `Sent a ${messageType}`,
-        relatedUser: sender._id,
-        priority: 'normal'
-      });
-    }
+    // Push to open chat sockets (receiver and sender's other devices)
+    chatGateway.notifyNewMessage(newMessage);
 
     res.status(201).json({
       success: true,
@@ -89,8 +74,11 @@ exports.getConversation = async (req, res, next) => {
       isDeleted: false
     });
 
-    // Mark messages as delivered
-    await Message.markConversationAsDelivered(conversationId, currentUser._id);
+    // Mark messages as delivered and tell the sender if they are connected
+    const deliveredAt = await chatService.markDelivered(conversationId, currentUser._id);
+    if (deliveredAt) {
+      chatGateway.emitDeliveryReceipt(conversationId, currentUser._id, deliveredAt);
+    }
 
     res.status(200).json({
       success: true,
@@ -237,17 +225,10 @@ exports.markAsRead = async (req, res, next) => {
 
     const user = await User.findOne({ firebaseUid });
 
-    await Message.updateMany(
-      {
-        conversationId,
-        receiverId: user._id,
-        isRead: false
-      },
-      {
-        isRead: true,
-        readAt: new Date()
-      }
-    );
+    const readAt = await chatService.markRead(conversationId, user._id);
+    if (readAt) {
+      chatGateway.emitReadReceipt(conversationId, user._id, readAt);
+    }
 
     res.status(200).json({
       success: true,
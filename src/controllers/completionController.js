@@ -0,0 +1,120 @@
+const { Booking, User } = require('../models');
+const completionService = require('../services/completionService');
+
+/**
+ * @desc    Worker submits the finished job (notes, photos, final price)
+ * @route   POST /bookings/:id/completion
+ * @access  Private/Worker
+ */
+exports.submitCompletion = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { workCompletionNotes, completionImages, finalPrice } = req.body;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!booking.workerId || booking.workerId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized - Not assigned to you'
+      });
+    }
+
+    await completionService.submit(booking, user, { workCompletionNotes, completionImages, finalPrice });
+
+    res.status(200).json({
+      success: true,
+      message: 'Job submitted. The customer has been asked to confirm it.',
+      data: { booking }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Customer confirms the submitted job
+ * @route   POST /bookings/:id/completion/confirm
+ * @access  Private/Customer
+ */
+exports.confirmCompletion = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.customerId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized - Not your booking'
+      });
+    }
+
+    await completionService.confirm(booking, user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job confirmed as completed',
+      data: { booking }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Customer rejects the submitted job (rework or dispute)
+ * @route   POST /bookings/:id/completion/reject
+ * @access  Private/Customer
+ */
+exports.rejectCompletion = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { reason, action, evidence } = req.body;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.customerId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized - Not your booking'
+      });
+    }
+
+    const result = await completionService.reject(booking, user, { reason, action, evidence });
+
+    res.status(200).json({
+      success: true,
+      message: result.dispute
+        ? 'Dispute opened. Our support team will review it shortly.'
+        : 'The worker has been asked to fix the job',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,155 @@
+const { Booking, User, Customer } = require('../models');
+const dispatchService = require('../services/dispatchService');
+
+/**
+ * @desc    Create an emergency booking and dispatch it to nearby workers
+ * @route   POST /bookings/emergency
+ * @access  Private/Customer
+ */
+exports.createEmergencyBooking = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const {
+      serviceType,
+      problemDescription,
+      problemImages,
+      serviceLocation,
+      contactPhone,
+      specialInstructions
+    } = req.body;
+
+    const customer = await User.findOne({ firebaseUid });
+
+    if (!serviceLocation?.district && !serviceLocation?.coordinates?.latitude) {
+      return res.status(400).json({
+        success: false,
+        message: 'Service location needs a district or GPS coordinates for emergency dispatch'
+      });
+    }
+
+    const booking = new Booking({
+      customerId: customer._id,
+      serviceType,
+      problemDescription,
+      problemImages: problemImages || [],
+      serviceLocation,
+      contactPhone,
+      specialInstructions,
+      scheduledDate: new Date(),
+      urgency: 'emergency',
+      // Emergencies skip quoting and go straight to nearby workers
+      status: 'pending',
+      statusHistory: [{
+        status: 'pending',
+        changedBy: customer._id,
+        role: 'customer',
+        note: 'Emergency request dispatched to nearby workers'
+      }]
+    });
+
+    const offered = await dispatchService.startDispatch(booking);
+
+    try {
+      const customerProfile = await Customer.findOne({ userId: customer._id });
+      if (customerProfile) await customerProfile.incrementBookings();
+    } catch (statsError) {
+      console.log('⚠️ Customer stats update failed (non-critical):', statsError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: offered > 0
+        ? `Emergency request sent to ${offered} nearby worker(s)`
+        : 'Emergency request created. We are still looking for an available worker.',
+      data: { booking }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get emergency jobs currently offered to me
+ * @route   GET /bookings/emergency/offers
+ * @access  Private/Worker
+ */
+exports.getMyEmergencyOffers = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+
+    const bookings = await Booking.find({
+      status: 'pending',
+      workerId: null,
+      'dispatch.status': { $in: ['searching', 'escalated'] },
+      'dispatch.offers': { $elemMatch: { workerId: user._id, response: 'pending' } }
+    })
+      .select('serviceType problemDescription problemImages serviceLocation urgency dispatch createdAt')
+      .sort({ createdAt: -1 });
+
+    const offers = bookings.map(booking => {
+      const offer = booking.dispatch.offers.find(o => o.workerId.toString() === user._id.toString());
+
+      return {
+        bookingId: booking._id,
+        serviceType: booking.serviceType,
+        problemDescription: booking.problemDescription,
+        problemImages: booking.problemImages,
+        location: booking.getLocationString(),
+        distanceKm: offer.distanceKm,
+        offeredAt: offer.offeredAt
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { offers }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept an emergency job (first worker to accept gets it)
+ * @route   POST /bookings/:id/dispatch/accept
+ * @access  Private/Worker
+ */
+exports.acceptEmergencyOffer = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await dispatchService.acceptOffer(req.params.id, user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Emergency job accepted. Please head to the customer now.',
+      data: { booking }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Decline an emergency job offer
+ * @route   POST /bookings/:id/dispatch/decline
+ * @access  Private/Worker
+ */
+exports.declineEmergencyOffer = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    await dispatchService.declineOffer(req.params.id, user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Emergency job declined'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
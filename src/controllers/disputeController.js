@@ -0,0 +1,130 @@
+const { Booking, User, Dispute } = require('../models');
+const disputeService = require('../services/disputeService');
+
+/**
+ * Load a booking and the caller's role in it
+ * Sends the 404/403 response itself and returns null when not allowed
+ */
+const loadBookingForParty = async (req, res) => {
+  const { firebaseUid } = req.user;
+
+  const user = await User.findOne({ firebaseUid });
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  let role = null;
+  if (booking.customerId.toString() === user._id.toString()) role = 'customer';
+  else if (booking.workerId && booking.workerId.toString() === user._id.toString()) role = 'worker';
+
+  if (!role) {
+    res.status(403).json({
+      success: false,
+      message: 'Unauthorized - Not your booking'
+    });
+    return null;
+  }
+
+  return { user, booking, role };
+};
+
+/**
+ * @desc    Open a dispute on a booking
+ * @route   POST /bookings/:id/disputes
+ * @access  Private/Customer/Worker
+ */
+exports.openDispute = async (req, res, next) => {
+  try {
+    const { reason, description, evidence } = req.body;
+
+    const party = await loadBookingForParty(req, res);
+    if (!party) return;
+
+    const dispute = await disputeService.openDispute(party.booking, party.user, party.role, {
+      reason,
+      description,
+      evidence
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened. Our support team will review it shortly.',
+      data: { dispute }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the latest dispute on a booking
+ * @route   GET /bookings/:id/dispute
+ * @access  Private/Customer/Worker
+ */
+exports.getBookingDispute = async (req, res, next) => {
+  try {
+    const party = await loadBookingForParty(req, res);
+    if (!party) return;
+
+    const dispute = await Dispute.findOne({ bookingId: party.booking._id })
+      .populate('openedBy', 'fullName profileImage')
+      .populate('statements.authorId', 'fullName profileImage')
+      .sort({ createdAt: -1 });
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'No dispute found for this booking'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { dispute }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a statement and evidence to an open dispute
+ * @route   POST /bookings/:id/dispute/statements
+ * @access  Private/Customer/Worker
+ */
+exports.addStatement = async (req, res, next) => {
+  try {
+    const { message, evidence } = req.body;
+
+    const party = await loadBookingForParty(req, res);
+    if (!party) return;
+
+    const dispute = await Dispute.findOne({
+      bookingId: party.booking._id,
+      status: { $in: ['open', 'in-review'] }
+    });
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open dispute for this booking'
+      });
+    }
+
+    await disputeService.addStatement(dispute, party.user, party.role, { message, evidence });
+
+    res.status(200).json({
+      success: true,
+      message: 'Statement added',
+      data: { dispute }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -6,6 +6,15 @@ const bookingController = require('./bookingController');
 const reviewController = require('./reviewController');
 const chatController = require('./chatController');
 const notificationController = require('./notificationController');
+const paymentController = require('./paymentController');
+const quoteController = require('./quoteController');
+const bookingSeriesController = require('./bookingSeriesController');
+const dispatchController = require('./dispatchController');
+const disputeController = require('./disputeController');
+const rescheduleController = require('./rescheduleController');
+const completionController = require('./completionController');
+const attendanceController = require('./attendanceController');
+const liveLocationController = require('./liveLocationController');
 
 const adminController = require('./adminController');
 
@@ -18,6 +27,15 @@ module.exports = {
   reviewController,
   chatController,
   notificationController,
+  paymentController,
+  quoteController,
+  bookingSeriesController,
+  dispatchController,
+  disputeController,
+  rescheduleController,
+  completionController,
+  attendanceController,
+  liveLocationController,
   
   adminController
   
@@ -0,0 +1,80 @@
+const { Booking, User } = require('../models');
+const liveLocationService = require('../services/liveLocationService');
+
+/**
+ * @desc    Worker shares their position while on the way
+ * @route   POST /bookings/:id/location
+ * @access  Private/Worker
+ */
+exports.shareLocation = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { latitude, longitude, accuracy, heading } = req.body;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!booking.workerId || booking.workerId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized - Not assigned to you'
+      });
+    }
+
+    const result = await liveLocationService.share(booking, user, { latitude, longitude, accuracy, heading });
+
+    res.status(result.ignored ? 200 : 201).json({
+      success: true,
+      message: result.ignored ? 'Position ignored, posted too soon after the last one' : 'Location shared',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Latest worker position and ETA
+ * @route   GET /bookings/:id/location
+ * @access  Private (booking customer or worker)
+ */
+exports.getLocation = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isParty = booking.customerId.toString() === user._id.toString() ||
+      (booking.workerId && booking.workerId.toString() === user._id.toString());
+    if (!isParty) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized - Not your booking'
+      });
+    }
+
+    const latest = await liveLocationService.getLatest(booking);
+
+    res.status(200).json({
+      success: true,
+      data: latest || { position: null, eta: null, stale: false }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
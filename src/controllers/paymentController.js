@@ -0,0 +1,403 @@
+const { Booking, User, Payment, Notification } = require('../models');
+const paymentService = require('../services/paymentService');
+const paymentGatewayService = require('../services/paymentGatewayService');
+const invoiceService = require('../services/invoiceService');
+const milestoneService = require('../services/milestoneService');
+
+/**
+ * Load a booking and work out how the current user relates to it
+ * @returns {Object|null} { user, booking, isCustomer, isWorker, isAdmin } or null if not found
+ */
+const loadBookingForUser = async (firebaseUid, bookingId) => {
+  const user = await User.findOne({ firebaseUid });
+  const booking = await Booking.findById(bookingId);
+
+  if (!user || !booking) return null;
+
+  return {
+    user,
+    booking,
+    isCustomer: booking.customerId.toString() === user._id.toString(),
+    isWorker: booking.isAssignedWorker(user._id),
+    isAdmin: user.role === 'admin'
+  };
+};
+
+/**
+ * @desc    Get payment ledger for a booking
+ * @route   GET /bookings/:id/payments
+ * @access  Private (booking customer, worker or admin)
+ */
+exports.getBookingPayments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { firebaseUid } = req.user;
+
+    const context = await loadBookingForUser(firebaseUid, id);
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { booking, isCustomer, isWorker, isAdmin } = context;
+    if (!isCustomer && !isWorker && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view payments for this booking'
+      });
+    }
+
+    const payments = await Payment.find({ bookingId: booking._id })
+      .sort({ createdAt: -1 });
+    const summary = await paymentService.getBookingSummary(booking._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payments,
+        summary: {
+          ...summary,
+          amountDue: paymentService.getAmountDue(booking),
+          paymentStatus: booking.paymentStatus,
+          milestones: booking.milestones.length > 0 ? Booking.getMilestoneSummary(booking.milestones) : null
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the invoice PDF for a completed booking
+ * @route   GET /bookings/:id/invoice
+ * @access  Private (booking customer, worker or admin)
+ */
+exports.getBookingInvoice = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { firebaseUid } = req.user;
+
+    const context = await loadBookingForUser(firebaseUid, id);
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { booking, isCustomer, isWorker, isAdmin } = context;
+    if (!isCustomer && !isWorker && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view the invoice for this booking'
+      });
+    }
+
+    const invoice = await invoiceService.getOrCreateInvoice(booking);
+    const { netPaid } = await paymentService.getBookingSummary(booking._id);
+    const pdf = await invoiceService.renderPdf(invoice, { amountPaid: netPaid });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a charge for a booking
+ * @route   POST /bookings/:id/payments
+ * @access  Private/Customer (booking owner) or Admin
+ */
+exports.createPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { firebaseUid } = req.user;
+    const { amount, paymentMethod } = req.body;
+
+    const context = await loadBookingForUser(firebaseUid, id);
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { user, booking, isCustomer, isAdmin } = context;
+    if (!isCustomer && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the booking customer can pay for this booking'
+      });
+    }
+
+    if (!booking.workerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A worker must be assigned before payment'
+      });
+    }
+
+    if (!['accepted', 'in-progress', 'completed'].includes(booking.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot take payment for a booking with status '${booking.status}'`
+      });
+    }
+
+    if (booking.paymentStatus === 'paid') {
+      return res.status(409).json({
+        success: false,
+        message: 'This booking has already been paid'
+      });
+    }
+
+    if (booking.callbackOf) {
+      return res.status(409).json({
+        success: false,
+        message: 'Warranty callbacks are free of charge'
+      });
+    }
+
+    if (booking.milestones.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This booking is paid by milestone. Approve each milestone to pay for it'
+      });
+    }
+
+    const payment = await paymentService.createCharge(booking, {
+      amount,
+      paymentMethod,
+      changedBy: user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: payment.gateway?.checkoutUrl
+        ? 'Payment initiated. Complete it at the checkout URL.'
+        : 'Payment created successfully',
+      data: {
+        payment,
+        checkoutUrl: payment.gateway?.checkoutUrl || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a completed milestone and pay for it
+ * @route   POST /bookings/:id/milestones/:milestoneId/approve
+ * @access  Private/Customer (booking owner)
+ */
+exports.approveMilestone = async (req, res, next) => {
+  try {
+    const { id, milestoneId } = req.params;
+    const { firebaseUid } = req.user;
+    const { paymentMethod } = req.body;
+
+    const context = await loadBookingForUser(firebaseUid, id);
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { user, booking, isCustomer } = context;
+    if (!isCustomer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the booking customer can approve milestones'
+      });
+    }
+
+    const { milestone, payment, summary } = await milestoneService.approve(booking, user, milestoneId, {
+      paymentMethod
+    });
+
+    res.status(201).json({
+      success: true,
+      message: payment.gateway?.checkoutUrl
+        ? 'Milestone approved. Complete the payment at the checkout URL.'
+        : 'Milestone approved and payment created',
+      data: {
+        milestone,
+        payment,
+        summary,
+        checkoutUrl: payment.gateway?.checkoutUrl || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update payment status (processing, completed, failed)
+ * @route   PUT /bookings/:id/payments/:paymentId/status
+ * @access  Private (admin, or the booking worker confirming a cash payment)
+ */
+exports.updatePaymentStatus = async (req, res, next) => {
+  try {
+    const { id, paymentId } = req.params;
+    const { firebaseUid } = req.user;
+    const { status, note } = req.body;
+
+    const context = await loadBookingForUser(firebaseUid, id);
+    if (!context) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { user, booking, isWorker, isAdmin } = context;
+    const payment = await Payment.findOne({ _id: paymentId, bookingId: booking._id });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const isCashConfirmation = isWorker && payment.paymentMethod === 'cash' && status === 'completed';
+    if (!isAdmin && !isCashConfirmation) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this payment'
+      });
+    }
+
+    if (status === 'refunded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the refund endpoint to refund a payment'
+      });
+    }
+
+    if (!payment.canTransitionTo(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot change payment status from '${payment.status}' to '${status}'`,
+        allowedStatuses: Payment.TRANSITIONS[payment.status] || []
+      });
+    }
+
+    if (status === 'completed') {
+      await paymentService.completePayment(payment, user._id, note);
+      await paymentService.notifyPaymentCompleted(payment);
+    } else if (status === 'failed') {
+      await paymentService.failPayment(payment, user._id, note);
+    } else {
+      await payment.transitionTo(status, user._id, note);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment status updated successfully',
+      data: { payment }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Refund a completed payment (full or partial)
+ * @route   POST /bookings/:id/payments/:paymentId/refund
+ * @access  Private/Admin
+ */
+exports.refundPayment = async (req, res, next) => {
+  try {
+    const { id, paymentId } = req.params;
+    const { firebaseUid } = req.user;
+    const { amount, reason } = req.body;
+
+    const admin = await User.findOne({ firebaseUid });
+    const charge = await Payment.findOne({ _id: paymentId, bookingId: id, type: 'charge' });
+
+    if (!charge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const { refund, fullyRefunded } = await paymentService.refundPayment(charge, {
+      amount,
+      reason,
+      changedBy: admin._id
+    });
+
+    try {
+      await Notification.create({
+        userId: charge.customerId,
+        type: 'system-update',
+        title: 'Payment Refunded',
+        message: `LKR ${refund.amount} has been refunded for your booking`,
+        relatedBooking: charge.bookingId
+      });
+    } catch (notifError) {
+      console.log('⚠️ Notification creation failed (non-critical):', notifError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: fullyRefunded ? 'Payment fully refunded' : 'Payment partially refunded',
+      data: { refund, payment: charge }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Receive payment gateway webhook events
+ * @route   POST /payments/webhook
+ * @access  Public (verified by gateway signature)
+ */
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const signature = req.get(paymentGatewayService.signatureHeader);
+
+    if (!paymentGatewayService.verifyWebhookSignature(req.rawBody, signature)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = paymentGatewayService.parseWebhookEvent(req.body);
+
+    if (!event.reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook event has no payment reference'
+      });
+    }
+
+    const { payment, applied } = await paymentService.handleGatewayEvent(event);
+
+    res.status(200).json({
+      success: true,
+      message: applied ? 'Webhook processed' : 'Webhook already processed',
+      data: {
+        paymentId: payment.paymentId,
+        status: payment.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
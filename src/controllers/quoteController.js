@@ -0,0 +1,489 @@
+const { Booking, User, Worker, Quote, Notification } = require('../models');
+const { calculateDistance } = require('../utils/helpers');
+const calendarService = require('../services/calendarService');
+
+const OPEN_QUOTE_STATUSES = ['pending', 'sent', 'viewed'];
+
+// Booking statuses in which a quote can still win the job (see Booking#isAwaitingAcceptance)
+const AWARDABLE_BOOKING_STATUSES = ['quote_requested', 'quotes_sent', 'pending'];
+
+/**
+ * Load a booking's quote and the current user
+ * @returns {Object} { user, booking, quote } - booking/quote are null if not found
+ */
+const loadQuote = async (firebaseUid, bookingId, quoteId) => {
+  const user = await User.findOne({ firebaseUid });
+  const booking = await Booking.findById(bookingId);
+  const quote = booking
+    ? await Quote.findOne({ _id: quoteId, bookingId: booking._id })
+    : null;
+
+  return { user, booking, quote };
+};
+
+/**
+ * Keep the flat Booking.quote summary in step with the latest quote version
+ */
+const syncBookingQuote = async (booking, quote) => {
+  booking.quote = {
+    amount: quote.totalAmount,
+    details: quote.notes || booking.quote?.details,
+    createdAt: quote.createdAt,
+    validUntil: quote.validUntil,
+    status: 'pending'
+  };
+  await booking.save();
+};
+
+/**
+ * Straight-line distance from the service location to a worker, if both are known
+ * @returns {Number|null} Kilometres
+ */
+const getWorkerDistance = (booking, workerUser) => {
+  const origin = booking.serviceLocation?.coordinates;
+  const [lng, lat] = workerUser?.location?.coordinates?.coordinates || [];
+
+  if (!origin?.latitude || !origin?.longitude || (!lat && !lng)) return null;
+  return calculateDistance(origin.latitude, origin.longitude, lat, lng);
+};
+
+/**
+ * @desc    Compare all quotes received for a quote request
+ * @route   GET /bookings/:id/quotes/compare
+ * @access  Private/Customer (booking owner) or Admin
+ */
+exports.compareQuotes = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { sortBy = 'total' } = req.query; // total, rating, distance
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isCustomer = booking.customerId.toString() === user._id.toString();
+    if (!isCustomer && user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view quotes for this booking'
+      });
+    }
+
+    // Latest version from each worker (older versions are withdrawn)
+    const quotes = await Quote.find({
+      bookingId: booking._id,
+      status: { $ne: 'withdrawn' }
+    });
+
+    const workers = await Worker.find({ userId: { $in: quotes.map(q => q.workerId) } })
+      .populate('userId', 'fullName profileImage location');
+    const workersByUserId = new Map(workers.map(w => [w.userId._id.toString(), w]));
+
+    const comparison = quotes.map(quote => {
+      const worker = workersByUserId.get(quote.workerId.toString());
+
+      return {
+        quoteId: quote._id,
+        version: quote.version,
+        status: quote.status,
+        isExpired: quote.isExpired,
+        isOpen: quote.isOpen(),
+        totalAmount: quote.totalAmount,
+        normalized: quote.getNormalizedTotal(),
+        validUntil: quote.validUntil,
+        estimatedDuration: quote.estimatedDuration,
+        notes: quote.notes,
+        pendingCounterOffer: quote.getPendingCounter()?.amount || null,
+        worker: worker ? {
+          workerId: worker._id,
+          userId: worker.userId._id,
+          fullName: worker.userId.fullName,
+          profileImage: worker.userId.profileImage,
+          rating: worker.rating,
+          totalReviews: worker.totalReviews,
+          completedJobs: worker.completedJobs,
+          isVerified: worker.isVerified
+        } : { userId: quote.workerId },
+        distanceKm: getWorkerDistance(booking, worker?.userId)
+      };
+    });
+
+    const sorters = {
+      total: (a, b) => a.normalized.total - b.normalized.total,
+      rating: (a, b) => (b.worker.rating || 0) - (a.worker.rating || 0),
+      distance: (a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity)
+    };
+    comparison.sort(sorters[sortBy] || sorters.total);
+
+    const open = comparison.filter(q => q.isOpen);
+
+    // The customer has now seen every sent quote
+    if (isCustomer) {
+      await Quote.updateMany(
+        { _id: { $in: quotes.map(q => q._id) }, status: 'sent' },
+        { status: 'viewed', viewedAt: new Date() }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        status: booking.status,
+        sentToWorkers: booking.sentToWorkers.length,
+        sortBy: sorters[sortBy] ? sortBy : 'total',
+        quotes: comparison,
+        summary: {
+          received: comparison.length,
+          open: open.length,
+          lowestTotal: open.length > 0 ? Math.min(...open.map(q => q.normalized.total)) : null
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Customer makes a counter-offer on a quote
+ * @route   POST /bookings/:id/quotes/:quoteId/counter
+ * @access  Private/Customer
+ */
+exports.counterOffer = async (req, res, next) => {
+  try {
+    const { id, quoteId } = req.params;
+    const { amount, message } = req.body;
+    const { firebaseUid } = req.user;
+
+    const { user, booking, quote } = await loadQuote(firebaseUid, id, quoteId);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (quote.customerId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only negotiate quotes for your own bookings'
+      });
+    }
+
+    if (!quote.isOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: `This quote is ${quote.isExpired ? 'expired' : quote.status} and can no longer be negotiated`
+      });
+    }
+
+    if (!booking.isAwaitingAcceptance()) {
+      return res.status(409).json({
+        success: false,
+        message: `This booking is already ${booking.status} and can no longer be negotiated`
+      });
+    }
+
+    if (quote.getPendingCounter()) {
+      return res.status(409).json({
+        success: false,
+        message: 'The worker has not responded to your last counter-offer yet'
+      });
+    }
+
+    const offer = Number(amount);
+    if (!offer || offer <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counter-offer amount must be greater than zero'
+      });
+    }
+
+    await quote.addCounterOffer(user._id, offer, message);
+
+    try {
+      await Notification.create({
+        userId: quote.workerId,
+        type: 'quote-countered',
+        title: 'Counter-offer Received',
+        message: `${user.fullName} offered LKR ${offer} for your ${booking.serviceType} quote of LKR ${quote.totalAmount}`,
+        relatedBooking: booking._id,
+        relatedUser: user._id
+      });
+    } catch (notifError) {
+      console.log('⚠️ Notification creation failed (non-critical):', notifError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Counter-offer sent successfully',
+      data: { quote }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Worker revises a quote (creates a new version)
+ * @route   POST /bookings/:id/quotes/:quoteId/revise
+ * @access  Private/Worker
+ */
+exports.reviseQuote = async (req, res, next) => {
+  try {
+    const { id, quoteId } = req.params;
+    const {
+      totalAmount,
+      breakdown,
+      notes,
+      validUntil,
+      estimatedStartDate,
+      estimatedCompletionDate,
+      milestones,
+      warranty,
+      message
+    } = req.body;
+    const { firebaseUid } = req.user;
+
+    const { user, booking, quote } = await loadQuote(firebaseUid, id, quoteId);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (quote.workerId.toString() !== user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only revise your own quotes'
+      });
+    }
+
+    if (!quote.isOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: `This quote is ${quote.isExpired ? 'expired' : quote.status} and can no longer be revised`
+      });
+    }
+
+    if (!booking.isAwaitingAcceptance()) {
+      return res.status(409).json({
+        success: false,
+        message: `This booking is already ${booking.status} and can no longer be revised`
+      });
+    }
+
+    const amount = Number(totalAmount);
+    if (!amount || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Total amount must be greater than zero'
+      });
+    }
+
+    const updates = { totalAmount: amount };
+    if (breakdown) updates.breakdown = breakdown;
+    if (notes !== undefined) updates.notes = notes;
+    if (validUntil) updates.validUntil = validUntil;
+    if (estimatedStartDate) updates.estimatedStartDate = estimatedStartDate;
+    if (estimatedCompletionDate) updates.estimatedCompletionDate = estimatedCompletionDate;
+    if (milestones) updates.milestones = milestones;
+    if (warranty) updates.warranty = warranty;
+
+    const revision = await quote.revise(user._id, updates, message);
+    await syncBookingQuote(booking, revision);
+
+    try {
+      await Notification.create({
+        userId: quote.customerId,
+        type: 'quote-received',
+        title: 'Quote Revised',
+        message: `${user.fullName} revised their quote to LKR ${amount}`,
+        relatedBooking: booking._id,
+        relatedUser: user._id
+      });
+    } catch (notifError) {
+      console.log('⚠️ Notification creation failed (non-critical):', notifError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Quote revised (version ${revision.version})`,
+      data: { quote: revision }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept a quote
+ *          Customer: accepts the worker's current quote
+ *          Worker: accepts the customer's pending counter-offer
+ * @route   POST /bookings/:id/quotes/:quoteId/accept
+ * @access  Private/Customer/Worker
+ */
+exports.acceptQuote = async (req, res, next) => {
+  try {
+    const { id, quoteId } = req.params;
+    const { notes } = req.body;
+    const { firebaseUid, role } = req.user;
+
+    const { user, booking, quote } = await loadQuote(firebaseUid, id, quoteId);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    const isCustomer = quote.customerId.toString() === user._id.toString();
+    const isWorker = quote.workerId.toString() === user._id.toString();
+
+    if ((role === 'customer' && !isCustomer) || (role === 'worker' && !isWorker)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not part of this quote'
+      });
+    }
+
+    if (!quote.isOpen()) {
+      return res.status(409).json({
+        success: false,
+        message: `This quote is ${quote.isExpired ? 'expired' : quote.status} and can no longer be accepted`
+      });
+    }
+
+    if (!booking.isAwaitingAcceptance()) {
+      return res.status(409).json({
+        success: false,
+        message: `This booking is already ${booking.status} and can no longer be awarded`
+      });
+    }
+
+    // Awarding the job must not double-book the worker
+    const availability = await calendarService.checkAvailability(
+      quote.workerId,
+      booking.getScheduledWindow(),
+      { excludeBookingId: booking._id }
+    );
+    if (!availability.available) {
+      return res.status(409).json({
+        success: false,
+        message: availability.reason,
+        conflicts: availability.conflicts
+      });
+    }
+
+    const counter = role === 'worker' ? quote.getPendingCounter() : null;
+    if (role === 'worker' && !counter) {
+      return res.status(409).json({
+        success: false,
+        message: 'There is no counter-offer to accept'
+      });
+    }
+
+    // Atomic award: only one quote wins the booking, even when two are accepted at once
+    const awarded = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: { $in: AWARDABLE_BOOKING_STATUSES },
+        'quote.status': { $ne: 'accepted' },
+        $or: [{ workerId: null }, { workerId: quote.workerId }]
+      },
+      { $set: { workerId: quote.workerId, 'quote.status': 'accepted' } },
+      { new: true }
+    );
+
+    if (!awarded) {
+      return res.status(409).json({
+        success: false,
+        message: 'This booking has already been awarded to a quote'
+      });
+    }
+
+    let accepted = quote;
+
+    try {
+      if (counter) {
+        // Agreeing to the counter is a revision at the customer's price
+        accepted = await quote.revise(
+          user._id,
+          { totalAmount: counter.amount },
+          `Accepted counter-offer of LKR ${counter.amount}`
+        );
+      }
+
+      await accepted.accept(notes, { acceptedBy: user._id, role });
+    } catch (error) {
+      // Release the award so the customer can try again
+      await Booking.updateOne(
+        { _id: booking._id, status: { $in: AWARDABLE_BOOKING_STATUSES } },
+        { $set: { workerId: booking.workerId || null, 'quote.status': booking.quote?.status || 'pending' } }
+      );
+      throw error;
+    }
+
+    // Awarding one worker declines every other open quote on the request
+    const otherQuotes = await Quote.find({
+      bookingId: booking._id,
+      _id: { $ne: accepted._id },
+      status: { $in: OPEN_QUOTE_STATUSES }
+    });
+
+    for (const other of otherQuotes) {
+      await other.decline('The customer accepted another quote');
+
+      try {
+        await Notification.create({
+          userId: other.workerId,
+          type: 'quote-declined',
+          title: 'Quote Not Selected',
+          message: `The customer chose another worker for their ${booking.serviceType} request`,
+          relatedBooking: booking._id,
+          relatedUser: quote.customerId
+        });
+      } catch (notifError) {
+        console.log('⚠️ Notification creation failed (non-critical):', notifError.message);
+      }
+    }
+
+    try {
+      await Notification.create({
+        userId: role === 'customer' ? quote.workerId : quote.customerId,
+        type: 'quote-accepted',
+        title: 'Quote Accepted',
+        message: role === 'customer'
+          ? `${user.fullName} accepted your quote of LKR ${accepted.totalAmount}`
+          : `${user.fullName} accepted your counter-offer of LKR ${accepted.totalAmount}`,
+        relatedBooking: booking._id,
+        relatedUser: user._id
+      });
+    } catch (notifError) {
+      console.log('⚠️ Notification creation failed (non-critical):', notifError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote accepted successfully',
+      data: {
+        quote: accepted,
+        declinedQuotes: otherQuotes.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,107 @@
+const { Booking, User } = require('../models');
+const rescheduleService = require('../services/rescheduleService');
+
+/**
+ * Load a booking and the caller's role in it
+ * Sends the 404/403 response itself and returns null when not allowed
+ */
+const loadBookingForParty = async (req, res) => {
+  const { firebaseUid } = req.user;
+
+  const user = await User.findOne({ firebaseUid });
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  let role = null;
+  if (booking.customerId.toString() === user._id.toString()) role = 'customer';
+  else if (booking.workerId && booking.workerId.toString() === user._id.toString()) role = 'worker';
+
+  if (!role) {
+    res.status(403).json({
+      success: false,
+      message: 'Unauthorized - Not your booking'
+    });
+    return null;
+  }
+
+  return { user, booking, role };
+};
+
+/**
+ * @desc    Propose a new date/time, or counter the other side's proposal
+ * @route   POST /bookings/:id/reschedule
+ * @access  Private/Customer/Worker
+ */
+exports.proposeReschedule = async (req, res, next) => {
+  try {
+    const { scheduledDate, preferredTimeSlot, note } = req.body;
+
+    const party = await loadBookingForParty(req, res);
+    if (!party) return;
+
+    const proposal = await rescheduleService.propose(party.booking, party.user, party.role, {
+      scheduledDate,
+      preferredTimeSlot,
+      note
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reschedule proposal sent',
+      data: { proposal, history: party.booking.rescheduleProposals }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept a reschedule proposal
+ * @route   POST /bookings/:id/reschedule/:proposalId/accept
+ * @access  Private/Customer/Worker
+ */
+exports.acceptReschedule = async (req, res, next) => {
+  try {
+    const party = await loadBookingForParty(req, res);
+    if (!party) return;
+
+    const booking = await rescheduleService.accept(party.booking, req.params.proposalId, party.user, party.role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: { booking }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Decline a reschedule proposal
+ * @route   POST /bookings/:id/reschedule/:proposalId/decline
+ * @access  Private/Customer/Worker
+ */
+exports.declineReschedule = async (req, res, next) => {
+  try {
+    const party = await loadBookingForParty(req, res);
+    if (!party) return;
+
+    const proposal = await rescheduleService.decline(party.booking, req.params.proposalId, party.user, party.role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reschedule proposal declined',
+      data: { proposal }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,5 @@
-const { User, Worker, Customer } = require('../models');
+const { User, Worker, Customer, Block } = require('../models');
+const moderationService = require('../services/moderationService');
 
 /**
  * @desc    Get current user profile
@@ -330,16 +331,53 @@ exports.getNearbyUsers = async (req, res, next) => {
 exports.reportUser = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { reason, description } = req.body;
+    const { reason, description, evidence } = req.body;
     const { firebaseUid } = req.user;
 
-    // In production, save this to a Reports collection
-    // For now, just log it
-    console.log(`User ${firebaseUid} reported user ${id} for ${reason}`);
+    const reporter = await User.findOne({ firebaseUid });
 
-    res.status(200).json({
+    const { report } = await moderationService.fileReport(reporter, {
+      targetType: 'user',
+      targetId: id,
+      reason,
+      description,
+      evidence
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted successfully. We will review it shortly.',
+      data: { reportId: report._id }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Report a review, message or booking
+ * @route   POST /api/users/reports
+ * @access  Private
+ */
+exports.createReport = async (req, res, next) => {
+  try {
+    const { targetType, targetId, reason, description, evidence } = req.body;
+    const { firebaseUid } = req.user;
+
+    const reporter = await User.findOne({ firebaseUid });
+
+    const { report } = await moderationService.fileReport(reporter, {
+      targetType,
+      targetId,
+      reason,
+      description,
+      evidence
+    });
+
+    res.status(201).json({
       success: true,
-      message: 'Report submitted successfully. We will review it shortly.'
+      message: 'Report submitted successfully. We will review it shortly.',
+      data: { reportId: report._id }
     });
   } catch (error) {
     next(error);
@@ -356,10 +394,31 @@ exports.blockUser = async (req, res, next) => {
     const { id } = req.params;
     const { firebaseUid } = req.user;
 
+    const { reason } = req.body;
+
     const user = await User.findOne({ firebaseUid });
 
-    // In production, save blocked users list
-    console.log(`User ${user._id} blocked user ${id}`);
+    if (user._id.toString() === id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const target = await User.findById(id).select('_id');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Blocking twice is a no-op
+    await Block.updateOne(
+      { blockerId: user._id, blockedId: target._id },
+      { $setOnInsert: { blockerId: user._id, blockedId: target._id, reason } },
+      { upsert: true }
+    );
 
     res.status(200).json({
       success: true,
@@ -368,4 +427,65 @@ exports.blockUser = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
+};
+
+/**
+ * @desc    Get users blocked by the current user
+ * @route   GET /api/users/blocked
+ * @access  Private
+ */
+exports.getBlockedUsers = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+
+    const blocks = await Block.find({ blockerId: user._id })
+      .populate('blockedId', 'fullName profileImage role')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        blockedUsers: blocks.map(block => ({
+          user: block.blockedId,
+          reason: block.reason,
+          blockedAt: block.createdAt
+        })),
+        total: blocks.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unblock a user
+ * @route   DELETE /api/users/blocked/:id
+ * @access  Private
+ */
+exports.unblockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+
+    const result = await Block.deleteOne({ blockerId: user._id, blockedId: id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not blocked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
 };
\ No newline at end of file
@@ -1,5 +1,28 @@
-const { Worker, User, Review, Booking } = require('../models');
+const { Worker, User, Review, Booking, Block, Payment } = require('../models');
 const mongoose = require('mongoose');
+const calendarService = require('../services/calendarService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const callbackService = require('../services/callbackService');
+const calendarFeedService = require('../services/calendarFeedService');
+const externalCalendarService = require('../services/externalCalendarService');
+const { isValidTimeFormat } = require('../utils/validators');
+const { CALENDAR } = require('../config/constants');
+
+const WEEK_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Validate an "HH:mm" start/end pair
+ * @returns {String|null} Error message, or null if valid
+ */
+const checkHours = (startTime, endTime) => {
+  if (!isValidTimeFormat(startTime) || !isValidTimeFormat(endTime)) {
+    return 'Times must be in HH:mm format';
+  }
+  if (startTime >= endTime) {
+    return 'startTime must be before endTime';
+  }
+  return null;
+};
 
 
 /**
@@ -51,6 +74,12 @@ exports.getNearbyWorkers = async (req, res, next) => {
       query['rating.average'] = { $gte: parseFloat(minRating) };
     }
 
+    // Hide workers the customer blocked or was blocked by
+    const blockedUserIds = await Block.getBlockedUserIds(req.user._id);
+    if (blockedUserIds.length > 0) {
+      query.userId = { $nin: blockedUserIds };
+    }
+
     // Find workers with location filter
     let workers = await Worker.find(query)
       .populate('userId', 'fullName email phoneNumber profileImage')
@@ -186,7 +215,8 @@ exports.updateWorkerProfile = async (req, res, next) => {
       bio,
       skills,
       workingHours,
-      serviceLocations
+      serviceLocations,
+      preferences
     } = req.body;
 
     const user = await User.findOne({ firebaseUid });
@@ -202,6 +232,12 @@ exports.updateWorkerProfile = async (req, res, next) => {
     if (workingHours) updateData.workingHours = workingHours;
     if (serviceLocations) updateData.serviceLocations = serviceLocations;
 
+    // Booking preferences are updated flag by flag
+    const PREFERENCE_KEYS = ['autoAcceptBookings', 'instantBookingEnabled', 'notifyNewBookings', 'notifyMessages'];
+    for (const key of PREFERENCE_KEYS) {
+      if (typeof preferences?.[key] === 'boolean') updateData[`preferences.${key}`] = preferences[key];
+    }
+
     // Check if profile is complete
     if (specializations && experience !== undefined && hourlyRate !== undefined) {
       updateData.profileStatus = 'active';
@@ -365,12 +401,523 @@ exports.updateAvailability = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get own calendar (weekly hours and date overrides)
+ * @route   GET /api/workers/calendar
+ * @access  Private/Worker
+ */
+exports.getCalendar = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const worker = await Worker.findOne({ userId: user._id })
+      .select('availability availabilityOverrides');
+
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worker profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        availability: worker.availability,
+        overrides: worker.availabilityOverrides
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update weekly working hours
+ * @route   PUT /api/workers/calendar/weekly
+ * @access  Private/Worker
+ *
+ * Body: { monday: { available, startTime, endTime }, ... } - days left out are unchanged
+ */
+exports.updateWeeklyAvailability = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const worker = await Worker.findOne({ userId: user._id });
+
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worker profile not found'
+      });
+    }
+
+    for (const day of WEEK_DAYS) {
+      const update = req.body[day];
+      if (!update) continue;
+
+      const current = worker.availability[day];
+      const startTime = update.startTime || current.startTime;
+      const endTime = update.endTime || current.endTime;
+
+      const error = checkHours(startTime, endTime);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: `${day}: ${error}`
+        });
+      }
+
+      worker.availability[day] = {
+        available: update.available !== undefined ? !!update.available : current.available,
+        startTime,
+        endTime
+      };
+    }
+
+    await worker.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Weekly availability updated successfully',
+      data: { availability: worker.availability }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a holiday, time-off or changed hours for a date range
+ * @route   POST /api/workers/calendar/overrides
+ * @access  Private/Worker
+ */
+exports.addAvailabilityOverride = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { kind = 'time-off', startDate, endDate, startTime, endTime, reason } = req.body;
+
+    const user = await User.findOne({ firebaseUid });
+    const worker = await Worker.findOne({ userId: user._id });
+
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worker profile not found'
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate || startDate);
+    if (isNaN(start) || isNaN(end) || end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid startDate (and endDate on or after it) is required'
+      });
+    }
+
+    // Custom hours mean working, with different times; the rest mean off
+    const available = kind === 'custom-hours';
+    if (available) {
+      const error = checkHours(startTime, endTime);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+    }
+
+    worker.availabilityOverrides.push({
+      kind,
+      startDate: start,
+      endDate: end,
+      available,
+      startTime: available ? startTime : undefined,
+      endTime: available ? endTime : undefined,
+      reason
+    });
+
+    await worker.save();
+
+    // Accepted jobs already inside a new day off are left to the worker to reschedule
+    let conflicts = [];
+    if (!available) {
+      const until = new Date(end);
+      until.setHours(23, 59, 59, 999);
+      conflicts = await Booking.findConflicts(user._id, start, until);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar override added successfully',
+      data: {
+        override: worker.availabilityOverrides[worker.availabilityOverrides.length - 1],
+        conflictingBookings: conflicts
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a calendar override
+ * @route   DELETE /api/workers/calendar/overrides/:overrideId
+ * @access  Private/Worker
+ */
+exports.removeAvailabilityOverride = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { overrideId } = req.params;
+
+    const user = await User.findOne({ firebaseUid });
+    const worker = await Worker.findOne({ userId: user._id });
+
+    const override = worker && worker.availabilityOverrides.id(overrideId);
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar override not found'
+      });
+    }
+
+    override.deleteOne();
+    await worker.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar override removed successfully',
+      data: { overrides: worker.availabilityOverrides }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Subscription URLs of a calendar feed token
+ */
+const buildFeedUrls = (req, token) => {
+  const path = `${req.get('host')}${req.baseUrl}/calendar/feed/${token}.ics`;
+  return { url: `${req.protocol}://${path}`, webcalUrl: `webcal://${path}` };
+};
+
+/**
+ * @desc    Get my secret calendar feed URL (created on first request)
+ * @route   GET /api/workers/calendar/feed
+ * @access  Private/Worker
+ */
+exports.getCalendarFeed = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const token = await calendarFeedService.getToken(user._id);
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worker profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: buildFeedUrls(req, token)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rotate my calendar feed token (old feed URL stops working)
+ * @route   POST /api/workers/calendar/feed/rotate
+ * @access  Private/Worker
+ */
+exports.rotateCalendarFeed = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const token = await calendarFeedService.rotateToken(user._id);
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worker profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed URL rotated. Update any calendars subscribed to the old URL',
+      data: buildFeedUrls(req, token)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    iCalendar feed of a worker's bookings
+ * @route   GET /api/workers/calendar/feed/:token.ics
+ * @access  Public (secret token)
+ */
+exports.getCalendarFeedIcs = async (req, res, next) => {
+  try {
+    const feed = await calendarFeedService.buildFeed(req.params.token);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="fixmate-bookings.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.status(200).send(feed);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get my external calendar feed and imported busy blocks
+ * @route   GET /api/workers/calendar/external
+ * @access  Private/Worker
+ */
+exports.getExternalCalendar = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const worker = await Worker.findOne({ userId: user._id })
+      .select('+externalCalendar.feedUrl +externalCalendar.lastSyncedAt +externalCalendar.lastSyncError +externalBusyBlocks');
+
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worker profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        feed: worker.externalCalendar?.feedUrl ? worker.externalCalendar : null,
+        blocks: externalCalendarService.getUpcomingBlocks(worker)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Import busy times from an .ics file (replaces the previous upload)
+ * @route   POST /api/workers/calendar/external/import
+ * @access  Private/Worker
+ *
+ * Multipart field 'calendar' with the .ics file, or JSON body { ics } with its text
+ */
+exports.importExternalCalendar = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.ics;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload an .ics file as "calendar" or send its contents as "ics"'
+      });
+    }
+
+    const user = await User.findOne({ firebaseUid });
+    const result = await externalCalendarService.importFile(user._id, text);
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${result.imported} busy time${result.imported === 1 ? '' : 's'} from your calendar`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Register an external calendar feed and import it
+ * @route   PUT /api/workers/calendar/external/feed
+ * @access  Private/Worker
+ *
+ * Body: { feedUrl } - http(s) or webcal URL. Re-sending the same URL re-imports it now
+ */
+exports.setExternalCalendarFeed = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+    const { feedUrl } = req.body;
+
+    if (!feedUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'feedUrl is required'
+      });
+    }
+
+    const user = await User.findOne({ firebaseUid });
+    const result = await externalCalendarService.setFeed(user._id, feedUrl);
+
+    res.status(200).json({
+      success: true,
+      message: `Calendar feed connected. Imported ${result.imported} busy time${result.imported === 1 ? '' : 's'}`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disconnect the external calendar feed and drop its busy blocks
+ * @route   DELETE /api/workers/calendar/external/feed
+ * @access  Private/Worker
+ */
+exports.removeExternalCalendarFeed = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const worker = await externalCalendarService.removeFeed(user._id);
+
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worker profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed disconnected',
+      data: { blocks: externalCalendarService.getUpcomingBlocks(worker) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set my cancellation policy (null clears a field back to the category default)
+ * @route   PUT /api/workers/cancellation-policy
+ * @access  Private/Worker
+ */
+exports.updateCancellationPolicy = async (req, res, next) => {
+  try {
+    const { firebaseUid } = req.user;
+
+    const user = await User.findOne({ firebaseUid });
+    const worker = await Worker.findOne({ userId: user._id });
+
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worker profile not found'
+      });
+    }
+
+    const policy = cancellationPolicyService.normalisePolicy(req.body);
+    for (const [field, value] of Object.entries(policy)) {
+      worker.set(`cancellationPolicy.${field}`, value);
+    }
+    await worker.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      data: { cancellationPolicy: worker.cancellationPolicy }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a worker's free booking slots
+ * @route   GET /api/workers/:id/slots?from=&to=&preferredTimeSlot=&duration=
+ * @access  Public
+ */
+exports.getWorkerSlots = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from, to, preferredTimeSlot = 'flexible', duration } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid worker ID format'
+      });
+    }
+
+    const worker = await Worker.findById(id)
+      .select('userId availability availabilityOverrides +externalBusyBlocks');
+
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Worker not found'
+      });
+    }
+
+    const start = from ? new Date(from) : new Date();
+    const end = to ? new Date(to) : new Date(start.getTime() + 6 * 24 * 60 * 60 * 1000);
+    const days = Math.floor((end - start) / (24 * 60 * 60 * 1000)) + 1;
+
+    if (isNaN(start) || isNaN(end) || days < 1 || days > CALENDAR.MAX_SLOT_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `from/to must be valid dates at most ${CALENDAR.MAX_SLOT_RANGE_DAYS} days apart`
+      });
+    }
+
+    if (!CALENDAR.TIME_SLOT_WINDOWS[preferredTimeSlot]) {
+      return res.status(400).json({
+        success: false,
+        message: `preferredTimeSlot must be one of: ${Object.keys(CALENDAR.TIME_SLOT_WINDOWS).join(', ')}`
+      });
+    }
+
+    const slotMinutes = parseInt(duration) || CALENDAR.SLOT_MINUTES;
+    const calendar = await calendarService.getFreeSlots(worker, start, end, {
+      preferredTimeSlot,
+      duration: slotMinutes
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        workerId: worker._id,
+        preferredTimeSlot,
+        duration: slotMinutes,
+        days: calendar
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get worker dashboard
  * @route   GET /api/workers/dashboard
  * @access  Private/Worker
- * 
- * ✅ FIXED: Removed Payment model, using Booking.finalPrice instead
  */
 exports.getDashboard = async (req, res, next) => {
   try {
@@ -408,34 +955,18 @@ exports.getDashboard = async (req, res, next) => {
     });
 
     const activeJobsCount = await Booking.countDocuments({
-      workerId: user._id,
+      ...Booking.assignedTo(user._id),
       status: { $in: ['accepted', 'in-progress'] }
     });
 
     const completedJobsCount = await Booking.countDocuments({
-      workerId: user._id,
+      ...Booking.assignedTo(user._id),
       status: 'completed'
     });
 
-    // ✅ FIXED: Calculate total earnings from Booking.finalPrice instead of Payment model
-    const earningsResult = await Booking.aggregate([
-      {
-        $match: {
-          workerId: user._id,
-          status: 'completed',
-          paymentStatus: 'paid',
-          finalPrice: { $exists: true, $ne: null }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalEarnings: { $sum: '$finalPrice' }
-        }
-      }
-    ]);
-
-    const totalEarnings = earningsResult[0]?.totalEarnings || 0;
+    // Total earnings are the worker's net share from the payment ledger
+    const earnings = await Payment.getLedgerTotals({ workerId: user._id });
+    const totalEarnings = earnings.workerAmount;
 
     const stats = {
       pendingRequests: pendingRequestsCount,
@@ -450,7 +981,7 @@ exports.getDashboard = async (req, res, next) => {
     const recentBookings = await Booking.find({
       $or: [
         { sentToWorkers: worker._id, status: { $in: ['quote_requested', 'pending'] } },
-        { workerId: user._id }
+        Booking.assignedTo(user._id)
       ]
     })
       .populate('customerId', 'fullName profileImage phoneNumber email')
@@ -487,8 +1018,6 @@ exports.getDashboard = async (req, res, next) => {
  * @desc    Get worker statistics
  * @route   GET /api/workers/stats
  * @access  Private/Worker
- * 
- * ✅ FIXED: Removed Payment model, using Booking.finalPrice instead
  */
 exports.getWorkerStats = async (req, res, next) => {
   try {
@@ -508,63 +1037,44 @@ exports.getWorkerStats = async (req, res, next) => {
     }
 
     // Get booking stats
-    const totalBookings = await Booking.countDocuments({ workerId: user._id });
+    const totalBookings = await Booking.countDocuments(Booking.assignedTo(user._id));
     const pendingBookings = await Booking.countDocuments({
-      workerId: user._id,
+      ...Booking.assignedTo(user._id),
       status: 'pending'
     });
     const activeBookings = await Booking.countDocuments({
-      workerId: user._id,
+      ...Booking.assignedTo(user._id),
       status: { $in: ['accepted', 'in-progress'] }
     });
 
-    // ✅ FIXED: Get earnings this month from Booking.finalPrice instead of Payment model
+    // Earnings come from the payment ledger (worker share, net of refunds)
     const startOfMonth = new Date();
     startOfMonth.setDate(1);
     startOfMonth.setHours(0, 0, 0, 0);
 
-    const monthlyEarningsResult = await Booking.aggregate([
-      {
-        $match: {
-          workerId: user._id,
-          status: 'completed',
-          paymentStatus: 'paid',
-          finalPrice: { $exists: true, $ne: null },
-          completedAt: { $gte: startOfMonth }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$finalPrice' }
-        }
-      }
-    ]);
+    const monthlyEarnings = await Payment.getLedgerTotals({
+      workerId: user._id,
+      completedAt: { $gte: startOfMonth }
+    });
+    const allTimeEarnings = await Payment.getLedgerTotals({ workerId: user._id });
 
-    // ✅ FIXED: Get all-time earnings from Booking.finalPrice
-    const allTimeEarningsResult = await Booking.aggregate([
-      {
-        $match: {
-          workerId: user._id,
-          status: 'completed',
-          paymentStatus: 'paid',
-          finalPrice: { $exists: true, $ne: null }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$finalPrice' }
-        }
-      }
-    ]);
+    // Warranty callbacks per completed job
+    const callbacks = await callbackService.getWorkerCallbackStats(user._id);
 
     const stats = {
       profile: {
         rating: worker.rating || 0,
         completedJobs: worker.completedJobs || 0,
-        totalEarnings: allTimeEarningsResult[0]?.total || 0,
+        totalEarnings: allTimeEarnings.workerAmount,
         acceptanceRate: worker.acceptanceRate || 0,
+        punctuality: {
+          onTimeRate: worker.punctuality?.onTimeRate ?? 100,
+          lateArrivals: worker.punctuality?.lateArrivals || 0,
+          unverifiedArrivals: worker.punctuality?.unverifiedArrivals || 0,
+          averageMinutesLate: worker.punctuality?.lateArrivals
+            ? Math.round(worker.punctuality.totalMinutesLate / worker.punctuality.lateArrivals)
+            : 0
+        },
         responseTime: worker.responseTime || 0
       },
       bookings: {
@@ -573,8 +1083,12 @@ exports.getWorkerStats = async (req, res, next) => {
         active: activeBookings
       },
       earnings: {
-        thisMonth: monthlyEarningsResult[0]?.total || 0,
-        allTime: allTimeEarningsResult[0]?.total || 0
+        thisMonth: monthlyEarnings.workerAmount,
+        allTime: allTimeEarnings.workerAmount
+      },
+      callbacks: {
+        total: callbacks.callbacks,
+        rate: callbacks.rate
       }
     };
 
@@ -668,6 +1182,7 @@ exports.searchWorkers = async (req, res, next) => {
       verified,
       minRating,
       maxDistance,
+      instantBooking,
       sortBy = 'rating' // rating, experience, distance
     } = req.query;
 
@@ -706,11 +1221,24 @@ exports.searchWorkers = async (req, res, next) => {
       query.isVerified = true;
     }
 
+    // Workers who confirm bookings at once
+    if (instantBooking === 'true') {
+      query['preferences.instantBookingEnabled'] = true;
+    }
+
     // Rating filter
     if (minRating) {
       query.averageRating = { $gte: parseFloat(minRating) };
     }
 
+    // Hide workers the signed-in customer blocked or was blocked by
+    if (req.user) {
+      const blockedUserIds = await Block.getBlockedUserIds(req.user._id);
+      if (blockedUserIds.length > 0) {
+        query.userId = { $nin: blockedUserIds };
+      }
+    }
+
     console.log('Query:', JSON.stringify(query, null, 2));
 
     // Execute search with populated user data
@@ -0,0 +1,157 @@
+const { Booking, Quote, Notification, ProblemImage } = require('../models');
+const firebaseService = require('../services/firebaseService');
+const recurringBookingService = require('../services/recurringBookingService');
+const dispatchService = require('../services/dispatchService');
+const completionService = require('../services/completionService');
+const externalCalendarService = require('../services/externalCalendarService');
+const { SCHEDULED_JOBS, CALENDAR } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Background Jobs
+ * Handlers run by the job scheduler. Each returns a small summary that is
+ * stored on the ScheduledJob document as lastResult.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Remind customer and worker about accepted bookings starting soon
+ */
+const sendBookingReminders = async () => {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + SCHEDULED_JOBS.BOOKING_REMINDER_LEAD_HOURS * HOUR);
+
+  const bookings = await Booking.find({
+    status: 'accepted',
+    scheduledDate: { $gte: now, $lte: windowEnd },
+    reminderSentAt: null
+  })
+    .populate('customerId', 'fullName fcmToken')
+    .populate('workerId', 'fullName fcmToken');
+
+  let sent = 0;
+
+  for (const booking of bookings) {
+    const when = booking.scheduledDate.toLocaleString('en-LK', {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+    const recipients = [
+      {
+        user: booking.customerId,
+        message: `Your ${booking.serviceType} booking with ${booking.workerId?.fullName || 'your worker'} is on ${when}`
+      },
+      {
+        user: booking.workerId,
+        message: `You have a ${booking.serviceType} job for ${booking.customerId?.fullName || 'a customer'} on ${when}`
+      }
+    ];
+
+    for (const { user, message } of recipients) {
+      if (!user) continue;
+
+      try {
+        await firebaseService.sendReminderNotification(user._id, user.fcmToken, {
+          message,
+          bookingId: booking._id.toString()
+        });
+        sent += 1;
+      } catch (error) {
+        logger.warn(`⚠️ Booking reminder failed for ${booking._id} (non-critical): ${error.message}`);
+      }
+    }
+
+    // Mark as reminded without running the booking save hooks
+    await Booking.updateOne({ _id: booking._id }, { $set: { reminderSentAt: new Date() } });
+  }
+
+  return { bookings: bookings.length, sent };
+};
+
+/**
+ * Move quotes past validUntil to 'expired'
+ */
+const expireQuotes = async () => {
+  const expired = await Quote.updateExpiredQuotes();
+  return { expired };
+};
+
+/**
+ * Permanently remove problem images that were soft-deleted a while ago
+ */
+const purgeDeletedProblemImages = async () => {
+  const cutoff = new Date(Date.now() - SCHEDULED_JOBS.PROBLEM_IMAGE_RETENTION_DAYS * DAY);
+
+  const result = await ProblemImage.deleteMany({
+    isDeleted: true,
+    deletedAt: { $lt: cutoff }
+  });
+
+  return { purged: result.deletedCount };
+};
+
+/**
+ * Remove notifications past expiresAt
+ */
+const deleteExpiredNotifications = async () => {
+  const deleted = await Notification.deleteExpired();
+  return { deleted };
+};
+
+/**
+ * Book upcoming occurrences of active recurring series
+ */
+const generateRecurringBookings = async () => {
+  return recurringBookingService.generateDueOccurrences();
+};
+
+/**
+ * Widen open emergency dispatches and escalate the ones nobody took
+ */
+const advanceEmergencyDispatches = async () => {
+  return dispatchService.advanceDispatches();
+};
+
+/**
+ * Complete jobs the customer did not confirm or reject in time
+ */
+const autoConfirmCompletions = async () => {
+  return completionService.autoConfirmDue();
+};
+
+/**
+ * Re-import workers' external calendar feeds
+ */
+const syncExternalCalendars = async () => {
+  return externalCalendarService.syncAllFeeds();
+};
+
+/**
+ * Register every background job with the scheduler
+ * @param {Object} scheduler - jobScheduler instance
+ */
+const registerJobs = (scheduler) => {
+  scheduler.register('booking-reminders', 15 * MINUTE, sendBookingReminders);
+  scheduler.register('quote-expiry', HOUR, expireQuotes);
+  scheduler.register('problem-image-purge', DAY, purgeDeletedProblemImages);
+  scheduler.register('notification-cleanup', 6 * HOUR, deleteExpiredNotifications);
+  scheduler.register('recurring-bookings', 6 * HOUR, generateRecurringBookings);
+  scheduler.register('emergency-dispatch', MINUTE, advanceEmergencyDispatches);
+  scheduler.register('completion-auto-confirm', 15 * MINUTE, autoConfirmCompletions);
+  scheduler.register('external-calendar-sync', CALENDAR.IMPORT_SYNC_HOURS * HOUR, syncExternalCalendars);
+};
+
+module.exports = {
+  registerJobs,
+  sendBookingReminders,
+  expireQuotes,
+  purgeDeletedProblemImages,
+  deleteExpiredNotifications,
+  generateRecurringBookings,
+  advanceEmergencyDispatches,
+  autoConfirmCompletions,
+  syncExternalCalendars
+};
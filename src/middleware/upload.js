@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { AppError } = require('./errorHandler');
+const { CALENDAR } = require('../config/constants');
 
 /**
  * Multer Upload Middleware Configuration
@@ -92,6 +94,20 @@ const pdfFileFilter = (req, file, cb) => {
   }
 };
 
+/**
+ * iCalendar-only File Filter
+ */
+const calendarFileFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase() === '.ics';
+  const mimetype = /text\/calendar|text\/plain|application\/octet-stream/.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only iCalendar (.ics) files are allowed'));
+  }
+};
+
 // ============================================
 // UPLOAD CONFIGURATIONS
 // ============================================
@@ -143,6 +159,18 @@ const memoryUpload = multer({
   fileFilter: imageFileFilter
 });
 
+/**
+ * Calendar File Upload Configuration (kept in memory and parsed right away)
+ */
+const calendarUpload = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: CALENDAR.IMPORT_MAX_BYTES, // 1MB limit for .ics files
+    files: 1
+  },
+  fileFilter: calendarFileFilter
+});
+
 // ============================================
 // EXPORT MIDDLEWARE FUNCTIONS
 // ============================================
@@ -198,6 +226,21 @@ exports.uploadReviewImages = imageUpload.array('images', 5);
  */
 exports.uploadChatImage = imageUpload.single('chatImage');
 
+/**
+ * External Calendar (.ics) Upload
+ * Upload problems are passed on as 400s with a calendar-specific message
+ */
+exports.uploadCalendarFile = (req, res, next) => {
+  calendarUpload.single('calendar')(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(new AppError(`Calendar file is too large. Maximum size is ${CALENDAR.IMPORT_MAX_BYTES / (1024 * 1024)}MB.`, 400));
+    }
+    next(new AppError(err.message || 'Calendar file upload error', 400));
+  });
+};
+
 /**
  * Memory Upload (for AI processing)
  */
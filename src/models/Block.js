@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const blockSchema = new mongoose.Schema({
+  // User who created the block
+  blockerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // User being blocked
+  blockedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+blockSchema.index({ blockedId: 1 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Whether either user has blocked the other
+ * @param {ObjectId} userId1
+ * @param {ObjectId} userId2
+ * @returns {Promise<Boolean>}
+ */
+blockSchema.statics.isBlockedBetween = async function(userId1, userId2) {
+  const block = await this.exists({
+    $or: [
+      { blockerId: userId1, blockedId: userId2 },
+      { blockerId: userId2, blockedId: userId1 }
+    ]
+  });
+  return !!block;
+};
+
+/**
+ * Ids of every user a user should not see or interact with:
+ * users they blocked and users who blocked them
+ * @param {ObjectId} userId
+ * @returns {Promise<Array<ObjectId>>}
+ */
+blockSchema.statics.getBlockedUserIds = async function(userId) {
+  const blocks = await this.find({
+    $or: [{ blockerId: userId }, { blockedId: userId }]
+  }).select('blockerId blockedId').lean();
+
+  return blocks.map(block =>
+    block.blockerId.toString() === userId.toString() ? block.blockedId : block.blockerId
+  );
+};
+
+// Update timestamp before save
+blockSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Block', blockSchema);
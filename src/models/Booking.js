@@ -1,4 +1,54 @@
 const mongoose = require('mongoose');
+const { AppError } = require('../middleware/errorHandler');
+const { CALENDAR, MILESTONES } = require('../config/constants');
+const { setTimeOfDay } = require('../utils/helpers');
+
+const BOOKING_STATUSES = [
+  'quote_requested',
+  'quotes_sent',
+  'pending',
+  'accepted',
+  'declined',
+  'in-progress',
+  'completed',
+  'cancelled',
+  'disputed'
+];
+
+/**
+ * Allowed booking status transitions per role
+ * Keys are the current status, values are the statuses that role may move it to
+ */
+const BOOKING_TRANSITIONS = {
+  customer: {
+    'quote_requested': ['quotes_sent', 'cancelled'],
+    'quotes_sent': ['cancelled'],
+    'pending': ['cancelled'],
+    'accepted': ['cancelled'],
+    'declined': [],
+    'in-progress': ['completed', 'disputed'],
+    'completed': ['disputed'],
+    'cancelled': [],
+    'disputed': []
+  },
+  // Quote requests are awarded by accepting a quote (Quote.accept), never by the worker
+  worker: {
+    'quote_requested': ['declined'],
+    'quotes_sent': ['declined'],
+    'pending': ['accepted', 'declined', 'cancelled'],
+    'accepted': ['in-progress', 'cancelled'],
+    'declined': [],
+    // Workers submit completion for the customer to confirm (see completionService)
+    'in-progress': ['disputed'],
+    'completed': ['disputed'],
+    'cancelled': [],
+    'disputed': []
+  },
+  // Admins can correct a booking into any other status
+  admin: Object.fromEntries(
+    BOOKING_STATUSES.map(status => [status, BOOKING_STATUSES.filter(s => s !== status)])
+  )
+};
 
 const bookingSchema = new mongoose.Schema({
   // Parties Involved
@@ -14,6 +64,39 @@ const bookingSchema = new mongoose.Schema({
     ref: 'User'
     // ✅ Removed: index: true (using explicit index below instead)
   },
+
+  // Crew jobs: every worker on the job, the lead (workerId) included.
+  // Empty for solo bookings. paySplit is the member's % of the worker share;
+  // the booking is accepted once every member has accepted.
+  crew: [{
+    workerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    },
+    paySplit: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    },
+    status: {
+      type: String,
+      enum: ['invited', 'accepted', 'declined'],
+      default: 'invited'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    respondedAt: Date,
+    declineReason: String
+  }],
   
   // Service Details
   serviceType: {
@@ -103,6 +186,13 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     enum: ['morning', 'afternoon', 'evening', 'flexible']
   },
+
+  // Expected length of the job in minutes, used to reserve the worker's
+  // calendar when scheduledDate carries a start time
+  estimatedDuration: {
+    type: Number,
+    min: 15
+  },
   
   // Budget - ✅ UPDATED: max can be null for "50000+" budgets
   customerBudget: {
@@ -136,25 +226,34 @@ const bookingSchema = new mongoose.Schema({
   // Booking Status
   status: {
     type: String,
-    enum: [
-      'quote_requested',  // Customer created quote request
-      'quotes_sent',      // Sent to workers
-      'pending',          // Waiting for worker response
-      'accepted',         // Worker accepted
-      'declined',         // Worker declined
-      'in-progress',      // Work in progress
-      'completed',        // Work completed
-      'cancelled',        // Booking cancelled
-      'disputed'          // Dispute raised
-    ],
+    enum: BOOKING_STATUSES,
     default: 'quote_requested' // ✅ Default is quote_requested for new quotes
     // ✅ Index added explicitly below
   },
+
+  // Every status change with who made it - see BOOKING_TRANSITIONS
+  statusHistory: [{
+    from: String,
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['customer', 'worker', 'admin', 'system']
+    },
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Payment
   paymentStatus: {
     type: String,
-    enum: ['pending', 'unpaid', 'paid', 'refunded', 'disputed'],
+    enum: ['pending', 'unpaid', 'partially-paid', 'paid', 'refunded', 'disputed'],
     default: 'pending'
     // ✅ Index added explicitly below
   },
@@ -184,6 +283,19 @@ const bookingSchema = new mongoose.Schema({
     default: []
   }],
   
+  // Invited workers (Worker ids) who turned the quote request down
+  workerDeclines: [{
+    workerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Worker'
+    },
+    reason: String,
+    declinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Quote Information - When a specific worker provides a quote
   quote: {
     amount: Number,
@@ -198,6 +310,12 @@ const bookingSchema = new mongoose.Schema({
   
   // Work Progress
   workProgress: [{
+    workerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Set when the entry marks a payment milestone as done
+    milestoneId: mongoose.Schema.Types.ObjectId,
     status: String,
     note: String,
     images: [String],
@@ -207,10 +325,181 @@ const bookingSchema = new mongoose.Schema({
     }
   }],
   
+  // Warranty from the accepted quote; runs for `days` after completedAt
+  warranty: {
+    days: {
+      type: Number,
+      min: 0
+    },
+    terms: String
+  },
+
+  // Free follow-up booking raised under the warranty of this earlier booking
+  callbackOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+
+  // Milestone payment schedule, copied from the accepted quote.
+  // pending -> completed (worker) -> approved (customer, charge created) -> paid
+  milestones: [{
+    quoteMilestoneId: mongoose.Schema.Types.ObjectId,
+    title: {
+      type: String,
+      required: true
+    },
+    description: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    dueCondition: {
+      type: String,
+      enum: MILESTONES.DUE_CONDITIONS
+    },
+    dueDate: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'approved', 'paid'],
+      default: 'pending'
+    },
+    completedAt: Date,
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date,
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    paidAt: Date
+  }],
+
+  // Set by the booking-reminders job once both parties were reminded
+  reminderSentAt: Date,
+
+  // Reschedule negotiation, oldest first. At most one proposal is pending;
+  // a counter-proposal closes the pending one as 'countered'.
+  rescheduleProposals: [{
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedByRole: {
+      type: String,
+      enum: ['customer', 'worker']
+    },
+    scheduledDate: Date,
+    preferredTimeSlot: {
+      type: String,
+      enum: ['morning', 'afternoon', 'evening', 'flexible']
+    },
+    note: {
+      type: String,
+      maxlength: 500
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'countered'],
+      default: 'pending'
+    },
+    // Schedule being replaced, kept for the history
+    previousDate: Date,
+    previousTimeSlot: String,
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Emergency dispatch: the job is offered to nearby workers in widening
+  // waves and the first worker to accept gets it (see dispatchService)
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['searching', 'assigned', 'escalated', 'cancelled']
+    },
+    startedAt: Date,
+    radiusKm: Number,
+    wave: Number,
+    nextWaveAt: Date,
+    offers: [{
+      workerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      wave: Number,
+      distanceKm: Number,
+      response: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'expired'],
+        default: 'pending'
+      },
+      offeredAt: {
+        type: Date,
+        default: Date.now
+      },
+      respondedAt: Date
+    }],
+    assignedAt: Date,
+    escalatedAt: Date,
+    // No more waves: escalated with the radius at EMERGENCY_DISPATCH.MAX_RADIUS_KM
+    exhaustedAt: Date
+  },
+
+  // Occurrence of a recurring series (see BookingSeries)
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  seriesOccurrence: Number,
+
+  // Arrival and departure, from the worker's geofenced check-in/check-out.
+  // verified is false (and distanceKm null) when the booking has no
+  // coordinates to check the worker's position against.
+  actualStartTime: Date,
+  actualEndTime: Date,
+  checkIn: {
+    at: Date,
+    latitude: Number,
+    longitude: Number,
+    distanceKm: Number,
+    verified: Boolean,
+    minutesLate: Number
+  },
+  checkOut: {
+    at: Date,
+    latitude: Number,
+    longitude: Number,
+    distanceKm: Number,
+    verified: Boolean
+  },
+
   // Completion Details
   completedAt: Date,
   workCompletionNotes: String,
   completionImages: [String],
+
+  // Two-step completion: the worker submits, the customer confirms or rejects
+  // before confirmBy, otherwise the booking is confirmed automatically
+  completion: {
+    status: {
+      type: String,
+      enum: ['awaiting-confirmation', 'confirmed', 'auto-confirmed', 'rejected']
+    },
+    submittedAt: Date,
+    confirmBy: Date,
+    respondedAt: Date,
+    rejectionReason: String,
+    rejectionCount: Number
+  },
   
   // Cancellation
   cancellationReason: String,
@@ -219,6 +508,23 @@ const bookingSchema = new mongoose.Schema({
     enum: ['customer', 'worker', 'admin']
   },
   cancelledAt: Date,
+
+  // Outcome of the cancellation policy, recorded when the booking is cancelled
+  cancellation: {
+    kind: {
+      type: String,
+      enum: ['free', 'late', 'no-show', 'worker', 'admin']
+    },
+    policySource: {
+      type: String,
+      enum: ['worker', 'category', 'default']
+    },
+    hoursBeforeStart: Number,
+    fee: {
+      type: Number,
+      min: 0
+    }
+  },
   
   // Special Instructions
   specialInstructions: String,
@@ -271,6 +577,8 @@ const bookingSchema = new mongoose.Schema({
 // Customer and Worker lookups
 bookingSchema.index({ customerId: 1, createdAt: -1 });
 bookingSchema.index({ workerId: 1, createdAt: -1 });
+bookingSchema.index({ 'crew.workerId': 1, createdAt: -1 }, { sparse: true });
+bookingSchema.index({ callbackOf: 1 }, { sparse: true });
 
 // Status and scheduling
 bookingSchema.index({ status: 1, scheduledDate: 1 });
@@ -290,6 +598,14 @@ bookingSchema.index({ 'serviceLocation.city': 1 });
 // ✅ NEW: Index for tracking which workers received quotes
 bookingSchema.index({ sentToWorkers: 1 });
 
+// Open emergency dispatches and the offers made to a worker
+bookingSchema.index({ 'dispatch.status': 1, 'dispatch.nextWaveAt': 1 }, { sparse: true });
+bookingSchema.index({ 'dispatch.offers.workerId': 1 }, { sparse: true });
+
+// Occurrences of a recurring series
+bookingSchema.index({ seriesId: 1, scheduledDate: 1 }, { sparse: true });
+bookingSchema.index({ 'completion.status': 1, 'completion.confirmBy': 1 });
+
 // ✅ NEW: Compound index for service type + location searches
 bookingSchema.index({ serviceType: 1, 'serviceLocation.district': 1 });
 
@@ -301,25 +617,67 @@ bookingSchema.index({ createdAt: -1 });
 // ============================================
 
 /**
- * Update booking status
- * @param {String} newStatus - New status value
- * @param {String} userId - ID of user making the change
- * @param {String} role - Role of user (customer/worker/admin)
+ * Statuses the given role may move this booking to
+ * @param {String} role - customer, worker or admin
+ * @returns {Array<String>}
  */
-bookingSchema.methods.updateStatus = async function(newStatus, userId, role) {
+bookingSchema.methods.getAllowedTransitions = function(role) {
+  return BOOKING_TRANSITIONS[role]?.[this.status] || [];
+};
+
+/**
+ * Check whether the given role may move the booking to a status
+ * @param {String} newStatus - Target status
+ * @param {String} role - customer, worker or admin
+ * @returns {Boolean}
+ */
+bookingSchema.methods.canTransitionTo = function(newStatus, role) {
+  return this.getAllowedTransitions(role).includes(newStatus);
+};
+
+/**
+ * Move the booking to a new status and record it in statusHistory
+ * Throws a 409 AppError if the role may not make this transition
+ * @param {String} newStatus - Target status
+ * @param {Object} options - { changedBy, role, note }
+ */
+bookingSchema.methods.transitionTo = async function(newStatus, { changedBy = null, role, note = null } = {}) {
+  if (role !== 'system' && !this.canTransitionTo(newStatus, role)) {
+    throw new AppError(`Cannot change booking status from '${this.status}' to '${newStatus}'`, 409);
+  }
+
+  const previousStatus = this.status;
+  this.statusHistory.push({ from: previousStatus, status: newStatus, changedBy, role, note });
   this.status = newStatus;
-  
+
   if (newStatus === 'completed') {
     this.completedAt = new Date();
   } else if (newStatus === 'cancelled') {
     this.cancelledAt = new Date();
-    this.cancelledBy = role;
+    this.cancelledBy = role === 'system' ? 'admin' : role;
   }
-  
+
   await this.save();
+
+  // Live location is only shared while the worker is on the way
+  if (previousStatus === 'accepted') {
+    const LocationPing = require('./LocationPing');
+    await LocationPing.discardForBooking(this._id);
+  }
+
   return this;
 };
 
+/**
+ * Update booking status
+ * @param {String} newStatus - New status value
+ * @param {String} userId - ID of user making the change
+ * @param {String} role - Role of user (customer/worker/admin)
+ */
+bookingSchema.methods.updateStatus = async function(newStatus, userId, role) {
+  return this.transitionTo(newStatus, { changedBy: userId, role });
+};
+
 /**
  * Accept a quote from a worker
  */
@@ -384,6 +742,91 @@ bookingSchema.methods.getLocationString = function() {
   return 'Location not specified';
 };
 
+/**
+ * Time this booking holds on the worker's calendar
+ * @returns {Object} { start, end }
+ */
+bookingSchema.methods.getScheduledWindow = function() {
+  return this.constructor.getScheduledWindow(this);
+};
+
+/**
+ * Reschedule proposal waiting for an answer
+ * @returns {Object|null}
+ */
+bookingSchema.methods.getPendingReschedule = function() {
+  return this.rescheduleProposals.find(p => p.status === 'pending') || null;
+};
+
+/**
+ * Whether the booking is staffed by a crew rather than a single worker
+ * @returns {Boolean}
+ */
+bookingSchema.methods.isCrewBooking = function() {
+  return this.crew.length > 0;
+};
+
+/**
+ * Crew entry of a worker
+ * @param {ObjectId} userId - Worker's user id
+ * @returns {Object|null}
+ */
+bookingSchema.methods.getCrewMember = function(userId) {
+  return this.crew.find(member => member.workerId.toString() === userId.toString()) || null;
+};
+
+/**
+ * User ids of the workers on the job (declined crew members excluded)
+ * @returns {Array<ObjectId>}
+ */
+bookingSchema.methods.getWorkerIds = function() {
+  if (this.isCrewBooking()) {
+    return this.crew.filter(member => member.status !== 'declined').map(member => member.workerId);
+  }
+  return this.workerId ? [this.workerId] : [];
+};
+
+/**
+ * Whether a user is the assigned worker or a crew member still on the job
+ * @param {ObjectId} userId
+ * @returns {Boolean}
+ */
+bookingSchema.methods.isAssignedWorker = function(userId) {
+  return this.getWorkerIds().some(id => id.toString() === userId.toString());
+};
+
+/**
+ * Split a worker amount between the crew by pay split
+ * Rounding leftovers go to the last member so the shares add up exactly
+ * @param {Number} amount - Worker share of a payment
+ * @returns {Array<Object>} [{ workerId, amount }]
+ */
+bookingSchema.methods.getCrewShares = function(amount) {
+  if (!this.isCrewBooking()) {
+    return [{ workerId: this.workerId, amount }];
+  }
+
+  const members = this.crew.filter(member => member.status !== 'declined');
+  let remaining = amount;
+
+  return members.map((member, index) => {
+    const share = index === members.length - 1
+      ? Math.round(remaining * 100) / 100
+      : Math.round(amount * member.paySplit) / 100;
+    remaining -= share;
+    return { workerId: member.workerId, amount: share };
+  });
+};
+
+/**
+ * When the warranty of a completed booking runs out
+ * @returns {Date|null} null when the booking has no warranty or is not completed
+ */
+bookingSchema.methods.getWarrantyExpiry = function() {
+  if (!this.warranty?.days || !this.completedAt) return null;
+  return new Date(this.completedAt.getTime() + this.warranty.days * 24 * 60 * 60 * 1000);
+};
+
 /**
  * ✅ NEW: Check if booking is in quote request phase
  * @returns {Boolean}
@@ -392,6 +835,16 @@ bookingSchema.methods.isQuoteRequest = function() {
   return ['quote_requested', 'quotes_sent'].includes(this.status);
 };
 
+/**
+ * Whether the booking has not been accepted (or closed) yet
+ * Direct bookings wait in 'pending' until the worker answers, quote requests
+ * in 'quote_requested' / 'quotes_sent' until a quote is accepted
+ * @returns {Boolean}
+ */
+bookingSchema.methods.isAwaitingAcceptance = function() {
+  return ['quote_requested', 'quotes_sent', 'pending'].includes(this.status);
+};
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -400,6 +853,15 @@ bookingSchema.methods.isQuoteRequest = function() {
  * Calculate response time when worker responds
  */
 bookingSchema.pre('save', function(next) {
+  // Record the initial status of a new booking
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.customerId,
+      role: 'customer'
+    });
+  }
+
   // Calculate worker response time
   if (this.workerResponse && this.workerResponse.respondedAt && !this.workerResponse.responseTime) {
     const diffInMs = this.workerResponse.respondedAt - this.createdAt;
@@ -430,6 +892,104 @@ bookingSchema.pre('save', function(next) {
 // STATIC METHODS
 // ============================================
 
+bookingSchema.statics.TRANSITIONS = BOOKING_TRANSITIONS;
+
+/**
+ * Time a booking holds on the worker's calendar
+ * A scheduledDate with a time of day starts there and lasts estimatedDuration;
+ * a bare date holds the whole preferredTimeSlot window of that day, within
+ * which the worker picks the actual time (isSlot).
+ * @param {Object} params - { scheduledDate, preferredTimeSlot, estimatedDuration }
+ * @returns {Object} { start, end, isSlot }
+ */
+bookingSchema.statics.getScheduledWindow = function({ scheduledDate, preferredTimeSlot, estimatedDuration }) {
+  const start = new Date(scheduledDate);
+  const hasStartTime = start.getHours() !== 0 || start.getMinutes() !== 0;
+
+  if (hasStartTime) {
+    const minutes = estimatedDuration || CALENDAR.DEFAULT_BOOKING_MINUTES;
+    return { start, end: new Date(start.getTime() + minutes * 60000), isSlot: false };
+  }
+
+  const window = CALENDAR.TIME_SLOT_WINDOWS[preferredTimeSlot] || CALENDAR.TIME_SLOT_WINDOWS.flexible;
+  return {
+    start: setTimeOfDay(start, window.startTime),
+    end: setTimeOfDay(start, window.endTime),
+    isSlot: true
+  };
+};
+
+/**
+ * Money position of a milestone schedule
+ * Held is approved milestones whose charge has not settled yet
+ * Static so it also works on lean bookings
+ * @param {Array} milestones - booking.milestones
+ * @returns {Object} { total, paid, held, remaining, milestones, paidMilestones }
+ */
+bookingSchema.statics.getMilestoneSummary = function(milestones = []) {
+  const round = value => Math.round(value * 100) / 100;
+  const amountOf = list => round(list.reduce((sum, milestone) => sum + milestone.amount, 0));
+  const withStatus = status => milestones.filter(milestone => milestone.status === status);
+
+  const total = amountOf(milestones);
+  const paid = amountOf(withStatus('paid'));
+  const held = amountOf(withStatus('approved'));
+
+  return {
+    total,
+    paid,
+    held,
+    remaining: round(total - paid - held),
+    milestones: milestones.length,
+    paidMilestones: withStatus('paid').length
+  };
+};
+
+/**
+ * Query filter for bookings a worker is on: as the assigned (lead) worker
+ * or as a crew member who has not declined
+ * @param {ObjectId} workerId - Worker's user id
+ * @returns {Object} Mongo filter
+ */
+bookingSchema.statics.assignedTo = function(workerId) {
+  return {
+    $or: [
+      { workerId },
+      { crew: { $elemMatch: { workerId, status: { $ne: 'declined' } } } }
+    ]
+  };
+};
+
+/**
+ * Bookings of a worker (solo, lead or crew member) that hold time overlapping a window
+ * @param {ObjectId} workerId - Worker's user id
+ * @param {Date} start - Window start
+ * @param {Date} end - Window end
+ * @param {Object} options - { excludeBookingId }
+ * @returns {Promise<Array>} Conflicting bookings
+ */
+bookingSchema.statics.findConflicts = async function(workerId, start, end, { excludeBookingId = null } = {}) {
+  // Reach back far enough to catch a job that started the evening before
+  const dayStart = new Date(start);
+  dayStart.setHours(0, 0, 0, 0);
+  dayStart.setHours(dayStart.getHours() - CALENDAR.CONFLICT_LOOKBACK_HOURS);
+
+  const query = {
+    ...this.assignedTo(workerId),
+    status: { $in: CALENDAR.BLOCKING_STATUSES },
+    scheduledDate: { $gte: dayStart, $lt: end }
+  };
+  if (excludeBookingId) query._id = { $ne: excludeBookingId };
+
+  const bookings = await this.find(query)
+    .select('serviceType status scheduledDate preferredTimeSlot estimatedDuration');
+
+  return bookings.filter(booking => {
+    const window = booking.getScheduledWindow();
+    return window.start < end && window.end > start;
+  });
+};
+
 /**
  * ✅ NEW: Find bookings by location
  * @param {String} district - District name
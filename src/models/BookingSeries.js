@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const { RECURRING_BOOKINGS } = require('../config/constants');
+
+const SERIES_STATUSES = ['pending', 'active', 'declined', 'cancelled', 'completed'];
+
+const bookingSeriesSchema = new mongoose.Schema({
+  // Parties (both are User ids, like Booking)
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  workerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Copied onto every generated booking
+  serviceType: {
+    type: String,
+    required: true
+  },
+
+  problemDescription: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+
+  serviceLocation: {
+    address: String,
+    city: String,
+    district: String,
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    }
+  },
+
+  contactPhone: String,
+
+  preferredTimeSlot: {
+    type: String,
+    enum: ['morning', 'afternoon', 'evening', 'flexible']
+  },
+
+  estimatedDuration: {
+    type: Number,
+    min: 15
+  },
+
+  customerBudget: {
+    min: Number,
+    max: Number
+  },
+
+  specialInstructions: String,
+
+  // Schedule
+  frequency: {
+    type: String,
+    enum: Object.keys(RECURRING_BOOKINGS.FREQUENCIES),
+    required: true
+  },
+
+  // First occurrence of the current schedule. Rescheduling the whole
+  // series moves the anchor and restarts nextIndex at 0.
+  anchorDate: {
+    type: Date,
+    required: true
+  },
+
+  // The series ends at whichever of these comes first
+  endDate: Date,
+
+  occurrenceCount: {
+    type: Number,
+    min: 1,
+    max: RECURRING_BOOKINGS.MAX_OCCURRENCES
+  },
+
+  status: {
+    type: String,
+    enum: SERIES_STATUSES,
+    default: 'pending'
+  },
+
+  // Next occurrence (counted from anchorDate) still to be generated
+  nextIndex: {
+    type: Number,
+    default: 0
+  },
+
+  // Occurrences generated or skipped so far; counts towards occurrenceCount
+  occurrencesPlanned: {
+    type: Number,
+    default: 0
+  },
+
+  // Occurrences that were not booked (worker unavailable) or were skipped
+  skipped: [{
+    scheduledDate: Date,
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    reason: String,
+    skippedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  lastGeneratedAt: Date,
+
+  // Worker response / cancellation
+  respondedAt: Date,
+  cancelledAt: Date,
+  cancelledBy: {
+    type: String,
+    enum: ['customer', 'worker', 'admin']
+  },
+  cancellationReason: String,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+bookingSeriesSchema.index({ customerId: 1, createdAt: -1 });
+bookingSeriesSchema.index({ workerId: 1, createdAt: -1 });
+bookingSeriesSchema.index({ status: 1 });
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Date of an occurrence of the current schedule
+ * Monthly occurrences keep the anchor's day, clamped to short months
+ * @param {Number} index - 0 is the anchor itself
+ * @returns {Date}
+ */
+bookingSeriesSchema.methods.getOccurrenceDate = function(index) {
+  const date = new Date(this.anchorDate);
+  const { days, months } = RECURRING_BOOKINGS.FREQUENCIES[this.frequency];
+
+  if (months) {
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + months * index);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+  } else {
+    date.setDate(date.getDate() + days * index);
+  }
+
+  return date;
+};
+
+/**
+ * Whether an occurrence on this date falls after the end of the series
+ * @param {Date} date - Occurrence date
+ * @returns {Boolean}
+ */
+bookingSeriesSchema.methods.isPastEnd = function(date) {
+  if (this.occurrenceCount && this.occurrencesPlanned >= this.occurrenceCount) return true;
+  if (!this.endDate) return false;
+
+  const lastDay = new Date(this.endDate);
+  lastDay.setHours(23, 59, 59, 999);
+  return date > lastDay;
+};
+
+/**
+ * Role of a user in this series
+ * @param {ObjectId} userId
+ * @returns {String|null} 'customer', 'worker' or null
+ */
+bookingSeriesSchema.methods.getPartyRole = function(userId) {
+  const id = userId.toString();
+  if (this.customerId.toString() === id) return 'customer';
+  if (this.workerId.toString() === id) return 'worker';
+  return null;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+bookingSeriesSchema.statics.STATUSES = SERIES_STATUSES;
+
+// Update timestamp before save
+bookingSeriesSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
@@ -75,6 +75,22 @@ const categorySchema = new mongoose.Schema({
     }
   },
   
+  // Cancellation Policy (unset fields fall back to CANCELLATION_POLICY)
+  cancellationPolicy: {
+    freeWindowHours: {
+      type: Number,
+      min: 0
+    },
+    lateCancelFee: {
+      type: { type: String, enum: ['fixed', 'percentage'] },
+      value: { type: Number, min: 0 }
+    },
+    noShowFee: {
+      type: { type: String, enum: ['fixed', 'percentage'] },
+      value: { type: Number, min: 0 }
+    }
+  },
+  
   // Average Service Duration
   averageDuration: {
     value: Number,
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Named sequences (e.g. invoice numbers). A value handed out by next() is
+// never handed out again, even if the document that used it is deleted.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Atomically take the next value of a sequence
+ * @param {String} name - Sequence name
+ * @returns {Promise<Number>} Next value, starting at 1
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -172,6 +172,32 @@ customerSchema.methods.updateBookingStats = async function() {
   await this.save();
 };
 
+/**
+ * Bump the booking counters
+ * @param {Boolean} completed - A booking was completed
+ * @param {Boolean} cancelled - A booking was cancelled by (or because of) the customer
+ */
+customerSchema.methods.incrementBookings = async function(completed = false, cancelled = false) {
+  if (completed) {
+    this.completedBookings += 1;
+  } else if (cancelled) {
+    this.cancelledBookings += 1;
+  } else {
+    this.totalBookings += 1;
+  }
+
+  await this.save();
+};
+
+/**
+ * Take points off the reliability score (late cancellations, no-shows)
+ * @param {Number} points
+ */
+customerSchema.methods.applyReliabilityPenalty = async function(points) {
+  this.reliabilityScore = Math.max(0, this.reliabilityScore - points);
+  await this.save();
+};
+
 // Update timestamp before save
 customerSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+
+const DISPUTE_STATUSES = ['open', 'in-review', 'resolved'];
+const DISPUTE_OUTCOMES = ['full-refund', 'partial-refund', 'release-to-worker', 'dismissed'];
+
+// Photos/documents are stored as URLs; chat excerpts keep a copy of the
+// quoted messages so later edits or deletions don't change the evidence
+const evidenceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['photo', 'document', 'chat'],
+    required: true
+  },
+  url: String,
+  messages: [{
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    message: String,
+    sentAt: Date
+  }],
+  note: {
+    type: String,
+    maxlength: 500
+  }
+}, { _id: false });
+
+const disputeSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+
+  // Parties
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  workerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  openedByRole: {
+    type: String,
+    enum: ['customer', 'worker'],
+    required: true
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+
+  // Each party's side of the story, oldest first. The opening statement is
+  // the first entry.
+  statements: [{
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['customer', 'worker', 'admin']
+    },
+    message: {
+      type: String,
+      maxlength: 2000
+    },
+    evidence: [evidenceSchema],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Booking state before the dispute, restored if it is dismissed
+  bookingStatusBefore: String,
+  paymentStatusBefore: String,
+
+  // Admin workflow
+  status: {
+    type: String,
+    enum: DISPUTE_STATUSES,
+    default: 'open'
+  },
+
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  assignedAt: Date,
+
+  resolution: {
+    outcome: {
+      type: String,
+      enum: DISPUTE_OUTCOMES
+    },
+    refundAmount: Number,
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ assignedTo: 1, status: 1 });
+disputeSchema.index({ customerId: 1, createdAt: -1 });
+disputeSchema.index({ workerId: 1, createdAt: -1 });
+// One open dispute per booking
+disputeSchema.index(
+  { bookingId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'in-review'] } } }
+);
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Whether the dispute is still waiting for an admin decision
+ * @returns {Boolean}
+ */
+disputeSchema.methods.isOpen = function() {
+  return ['open', 'in-review'].includes(this.status);
+};
+
+/**
+ * Role of a user in this dispute
+ * @param {ObjectId} userId
+ * @returns {String|null} 'customer', 'worker' or null
+ */
+disputeSchema.methods.getPartyRole = function(userId) {
+  const id = userId.toString();
+  if (this.customerId.toString() === id) return 'customer';
+  if (this.workerId.toString() === id) return 'worker';
+  return null;
+};
+
+/**
+ * Assign the dispute to an admin
+ * @param {ObjectId} adminId - Admin taking the dispute
+ */
+disputeSchema.methods.assignTo = async function(adminId) {
+  this.assignedTo = adminId;
+  this.assignedAt = new Date();
+  this.status = 'in-review';
+  await this.save();
+  return this;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+disputeSchema.statics.STATUSES = DISPUTE_STATUSES;
+disputeSchema.statics.OUTCOMES = DISPUTE_OUTCOMES;
+
+// Update timestamp before save
+disputeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Dispute', disputeSchema);
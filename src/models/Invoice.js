@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+// Snapshot of what was billed for a completed booking. Amounts are copied at
+// issue time so the invoice does not change if the quote or profiles do.
+const invoiceSchema = new mongoose.Schema({
+  // Set right after the invoice is inserted, so only issued invoices take a
+  // number from the sequence
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  workerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Parties as printed on the invoice
+  billTo: {
+    name: String,
+    email: String,
+    phone: String,
+    address: String
+  },
+
+  provider: {
+    name: String,
+    businessName: String,
+    phone: String
+  },
+
+  serviceType: String,
+  serviceDate: Date,
+
+  lineItems: [{
+    description: String,
+    quantity: Number,
+    unitPrice: Number,
+    amount: Number
+  }],
+
+  additionalCharges: [{
+    description: String,
+    amount: Number
+  }],
+
+  discount: {
+    description: String,
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Difference between the quoted total and the final price on completion
+  adjustment: {
+    type: Number,
+    default: 0
+  },
+
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Parts of the total, for the customer's records
+  tax: {
+    label: String,
+    percentage: Number,
+    amount: Number
+  },
+
+  platformFee: {
+    percentage: Number,
+    amount: Number
+  },
+
+  currency: {
+    type: String,
+    default: 'LKR'
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ customerId: 1, issuedAt: -1 });
+invoiceSchema.index({ workerId: 1, issuedAt: -1 });
+
+// Update timestamp before save
+invoiceSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
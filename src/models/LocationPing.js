@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { LIVE_LOCATION } = require('../config/constants');
+
+// Worker positions shared with the customer while the worker is on the way
+// to an accepted booking. Short-lived: removed when the booking leaves
+// 'accepted' (see Booking.transitionTo) and by the TTL index otherwise.
+const locationPingSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+
+  workerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+
+  accuracy: Number, // metres, as reported by the device
+  heading: Number,  // degrees from north
+
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + LIVE_LOCATION.PING_TTL_MINUTES * 60 * 1000)
+  }
+});
+
+// Indexes
+locationPingSchema.index({ bookingId: 1, recordedAt: -1 });
+// NOTE: TTL index below creates an index on expiresAt
+locationPingSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Latest position shared for a booking
+ * @param {ObjectId} bookingId
+ * @returns {Promise<Document|null>}
+ */
+locationPingSchema.statics.getLatest = function(bookingId) {
+  return this.findOne({ bookingId }).sort({ recordedAt: -1 });
+};
+
+/**
+ * Drop every position shared for a booking
+ * @param {ObjectId} bookingId
+ * @returns {Promise<Number>} Positions removed
+ */
+locationPingSchema.statics.discardForBooking = async function(bookingId) {
+  const result = await this.deleteMany({ bookingId });
+  return result.deletedCount;
+};
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
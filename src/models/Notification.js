@@ -16,18 +16,31 @@ const notificationSchema = new mongoose.Schema({
       'booking-received',      // Worker receives new booking
       'booking-accepted',      // Customer: worker accepted booking
       'booking-declined',      // Customer: worker declined booking
+      'crew-member-declined',  // Customer / lead: a crew member declined, replacement needed
       'booking-cancelled',     // Booking cancelled
       'booking-completed',     // Booking completed
+      'booking-update',        // Customer: worker posted a work progress update
+      'completion-submitted',  // Customer: worker submitted the job for confirmation
+      'completion-rejected',   // Worker: customer rejected the completion (rework)
+      'booking-rescheduled',   // Booking moved to another date/time
+      'callback-requested',    // Worker: customer raised a warranty callback
       'quote-received',        // Customer receives quote
       'quote-accepted',        // Worker: customer accepted quote
       'quote-declined',        // Worker: customer declined quote
+      'quote-countered',       // Worker: customer made a counter-offer
       'new-message',           // New chat message
       'review-received',       // Worker receives review
       'payment-received',      // Worker: payment received
       'payment-reminder',      // Customer: payment reminder
+      'milestone-completed',   // Customer: worker finished a milestone, approve to pay
+      'dispute-opened',        // Other party / admins: dispute opened on a booking
+      'dispute-updated',       // Parties: new statement or evidence
+      'dispute-resolved',      // Parties: admin decision
       'profile-verified',      // Worker: profile verified
       'profile-rejected',      // Worker: profile rejected
       'booking-reminder',      // Reminder for upcoming booking
+      'emergency-dispatch',    // Worker: nearby emergency job offered
+      'emergency-escalated',   // Admin: emergency job nobody accepted
       'worker-nearby',         // Customer: worker nearby
       'promotion',             // Promotional notification
       'system-update',         // System updates
@@ -204,9 +217,10 @@ notificationSchema.statics.markAllAsRead = async function(userId) {
 };
 
 notificationSchema.statics.deleteExpired = async function() {
-  await this.deleteMany({
+  const result = await this.deleteMany({
     expiresAt: { $lt: new Date() }
   });
+  return result.deletedCount;
 };
 
 // Update timestamp before save
@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+const { PAYMENT_STATUS, PLATFORM_FEES } = require('../config/constants');
+const { calculatePlatformFee, generatePaymentId } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Allowed payment status transitions
+ * Keys are the current status, values are the statuses it may move to
+ */
+const PAYMENT_TRANSITIONS = {
+  [PAYMENT_STATUS.PENDING]: [PAYMENT_STATUS.PROCESSING, PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.FAILED],
+  [PAYMENT_STATUS.PROCESSING]: [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.FAILED],
+  [PAYMENT_STATUS.COMPLETED]: [PAYMENT_STATUS.REFUNDED],
+  [PAYMENT_STATUS.FAILED]: [],
+  [PAYMENT_STATUS.REFUNDED]: []
+};
+
+const paymentSchema = new mongoose.Schema({
+  // Human readable payment reference (e.g. PAYLX2K9A1B2C3)
+  paymentId: {
+    type: String,
+    unique: true,
+    default: generatePaymentId
+  },
+
+  // References
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+    // NOTE: Included in compound index below
+  },
+
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  workerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Ledger entry type - refunds reverse (part of) an earlier charge
+  type: {
+    type: String,
+    enum: ['charge', 'refund'],
+    default: 'charge'
+  },
+
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+
+  // Booking milestone this charge pays for (milestone payment plans)
+  milestoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // Amounts (LKR)
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  platformFee: {
+    percentage: {
+      type: Number,
+      default: PLATFORM_FEES.PERCENTAGE
+    },
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  workerAmount: {
+    type: Number,
+    default: 0
+  },
+
+  // Crew bookings: workerAmount split between the crew by pay split
+  workerShares: [{
+    _id: false,
+    workerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amount: Number
+  }],
+
+  currency: {
+    type: String,
+    default: 'LKR'
+  },
+
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'bank-transfer', 'mobile-wallet'],
+    required: true
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: Object.values(PAYMENT_STATUS),
+    default: PAYMENT_STATUS.PENDING
+  },
+
+  statusHistory: [{
+    status: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Refund tracking (on charges)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+
+  reason: String,
+
+  failureReason: String,
+
+  // Payment gateway (card, bank-transfer, mobile-wallet)
+  gateway: {
+    provider: String,
+    reference: String,
+    refundReference: String,
+    checkoutUrl: String
+  },
+
+  // Status timestamps
+  completedAt: Date,
+  failedAt: Date,
+  refundedAt: Date,
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentSchema.index({ bookingId: 1, createdAt: -1 });
+paymentSchema.index({ workerId: 1, status: 1, completedAt: -1 });
+paymentSchema.index({ 'workerShares.workerId': 1, status: 1 }, { sparse: true });
+paymentSchema.index({ customerId: 1, status: 1, completedAt: -1 });
+paymentSchema.index({ status: 1, completedAt: -1 });
+paymentSchema.index({ 'gateway.reference': 1 }, { sparse: true });
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Check whether the payment may move to the given status
+ * @param {String} newStatus - Target status
+ * @returns {Boolean}
+ */
+paymentSchema.methods.canTransitionTo = function(newStatus) {
+  return (PAYMENT_TRANSITIONS[this.status] || []).includes(newStatus);
+};
+
+/**
+ * Move the payment to a new status and record it in statusHistory
+ * Throws a 409 AppError if the transition is not allowed
+ * @param {String} newStatus - Target status
+ * @param {ObjectId} changedBy - User making the change
+ * @param {String} note - Optional note (e.g. failure reason)
+ */
+paymentSchema.methods.transitionTo = async function(newStatus, changedBy = null, note = null) {
+  if (!this.canTransitionTo(newStatus)) {
+    throw new AppError(`Cannot change payment status from '${this.status}' to '${newStatus}'`, 409);
+  }
+
+  this.status = newStatus;
+  this.statusHistory.push({ status: newStatus, changedBy, note });
+
+  if (newStatus === PAYMENT_STATUS.COMPLETED) {
+    this.completedAt = new Date();
+  } else if (newStatus === PAYMENT_STATUS.FAILED) {
+    this.failedAt = new Date();
+    if (note) this.failureReason = note;
+  } else if (newStatus === PAYMENT_STATUS.REFUNDED) {
+    this.refundedAt = new Date();
+  }
+
+  await this.save();
+  return this;
+};
+
+/**
+ * Amount of a charge that can still be refunded
+ * @returns {Number}
+ */
+paymentSchema.methods.getRefundableAmount = function() {
+  if (this.type !== 'charge' || this.status !== PAYMENT_STATUS.COMPLETED) return 0;
+  return Math.round((this.amount - this.refundedAmount) * 100) / 100;
+};
+
+/**
+ * Who the worker amount is credited to
+ * @returns {Array<Object>} [{ workerId, amount }]
+ */
+paymentSchema.methods.getWorkerShares = function() {
+  if (this.workerShares.length > 0) return this.workerShares;
+  return [{ workerId: this.workerId, amount: this.workerAmount }];
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+paymentSchema.statics.TRANSITIONS = PAYMENT_TRANSITIONS;
+
+/**
+ * Split an amount into platform fee and worker payout share
+ * @param {Number} amount - Gross amount
+ * @param {Number} feePercentage - Platform fee percentage
+ * @returns {Object} { platformFee: { percentage, amount }, workerAmount }
+ */
+paymentSchema.statics.splitAmount = function(amount, feePercentage = PLATFORM_FEES.PERCENTAGE) {
+  const { platformFee, workerAmount } = calculatePlatformFee(amount, feePercentage);
+  return {
+    platformFee: { percentage: feePercentage, amount: platformFee },
+    workerAmount
+  };
+};
+
+/**
+ * Net ledger totals for completed entries matching a filter
+ * Refunds are subtracted from charges so every dashboard reads the same numbers
+ * @param {Object} match - Extra $match conditions (workerId, completedAt, ...)
+ * @returns {Promise<Object>} { gross, platformFee, workerAmount, count }
+ */
+paymentSchema.statics.getLedgerTotals = async function(match = {}) {
+  const sign = { $cond: [{ $eq: ['$type', 'refund'] }, -1, 1] };
+  const { workerId, ...filters } = match;
+
+  // Per worker, crew entries count with the worker's own share
+  let workerAmount = '$workerAmount';
+  if (workerId) {
+    filters.$or = [{ workerId }, { 'workerShares.workerId': workerId }];
+    workerAmount = {
+      $cond: [
+        { $gt: [{ $size: { $ifNull: ['$workerShares', []] } }, 0] },
+        {
+          $sum: {
+            $map: {
+              input: { $filter: { input: '$workerShares', cond: { $eq: ['$$this.workerId', workerId] } } },
+              in: '$$this.amount'
+            }
+          }
+        },
+        '$workerAmount'
+      ]
+    };
+  }
+
+  const result = await this.aggregate([
+    {
+      $match: {
+        status: { $in: [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.REFUNDED] },
+        ...filters
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        gross: { $sum: { $multiply: ['$amount', sign] } },
+        platformFee: { $sum: { $multiply: ['$platformFee.amount', sign] } },
+        workerAmount: { $sum: { $multiply: [workerAmount, sign] } },
+        count: { $sum: { $cond: [{ $eq: ['$type', 'charge'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return {
+    gross: result[0]?.gross || 0,
+    platformFee: result[0]?.platformFee || 0,
+    workerAmount: result[0]?.workerAmount || 0,
+    count: result[0]?.count || 0
+  };
+};
+
+// Update timestamp before save
+paymentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { MILESTONES, WARRANTY } = require('../config/constants');
 
 const quoteSchema = new mongoose.Schema({
   // References
@@ -95,6 +96,46 @@ const quoteSchema = new mongoose.Schema({
   estimatedStartDate: Date,
   
   estimatedCompletionDate: Date,
+
+  // Workmanship warranty: free callbacks for this many days after completion
+  warranty: {
+    days: {
+      type: Number,
+      min: 0,
+      max: WARRANTY.MAX_DAYS,
+      default: 0
+    },
+    terms: {
+      type: String,
+      maxlength: 500
+    }
+  },
+
+  // Milestone payment plan for large jobs; amounts add up to totalAmount.
+  // Missing due dates default from the estimated timeline (see pre-validate).
+  milestones: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    description: {
+      type: String,
+      maxlength: 500
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    dueCondition: {
+      type: String,
+      enum: MILESTONES.DUE_CONDITIONS,
+      default: 'on-date'
+    },
+    dueDate: Date
+  }],
   
   estimatedDuration: {
     value: Number,
@@ -132,6 +173,12 @@ const quoteSchema = new mongoose.Schema({
     },
     amount: Number,
     message: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Quote version the entry was made against
+    version: Number,
     timestamp: {
       type: Date,
       default: Date.now
@@ -213,25 +260,188 @@ quoteSchema.methods.markAsViewed = async function() {
   }
 };
 
-quoteSchema.methods.accept = async function(notes = null) {
-  this.status = 'accepted';
-  this.acceptedAt = new Date();
-  if (notes) this.acceptanceNotes = notes;
-  
+/**
+ * Whether the quote can still be negotiated or accepted
+ * @returns {Boolean}
+ */
+quoteSchema.methods.isOpen = function() {
+  return ['pending', 'sent', 'viewed'].includes(this.status) && !this.isExpired;
+};
+
+/**
+ * The customer's counter-offer the worker has not answered yet, if any
+ * @returns {Object|null} negotiationHistory entry
+ */
+quoteSchema.methods.getPendingCounter = function() {
+  const last = this.negotiationHistory[this.negotiationHistory.length - 1];
+  return last && last.type === 'customer-counter' ? last : null;
+};
+
+/**
+ * Record a customer counter-offer against this version
+ * @param {ObjectId} customerId - Customer making the offer
+ * @param {Number} amount - Proposed total
+ * @param {String} message - Optional note to the worker
+ */
+quoteSchema.methods.addCounterOffer = async function(customerId, amount, message = null) {
+  this.negotiationHistory.push({
+    type: 'customer-counter',
+    amount,
+    message,
+    by: customerId,
+    version: this.version
+  });
+
   this.customerResponse = {
-    action: 'accepted',
+    action: 'negotiating',
+    message,
     respondedAt: new Date()
   };
-  
+
   await this.save();
-  
+  return this;
+};
+
+/**
+ * Default due dates for milestones that have none, from the estimated timeline:
+ * on-start at estimatedStartDate, on-completion at estimatedCompletionDate and
+ * on-date milestones spread evenly in between
+ */
+quoteSchema.methods.applyMilestoneDefaults = function() {
+  const start = this.estimatedStartDate;
+  const end = this.estimatedCompletionDate;
+  const count = this.milestones.length;
+
+  this.milestones.forEach((milestone, index) => {
+    if (milestone.dueDate) return;
+
+    if (milestone.dueCondition === 'on-start') {
+      milestone.dueDate = start;
+    } else if (milestone.dueCondition === 'on-completion') {
+      milestone.dueDate = end;
+    } else if (start && end) {
+      milestone.dueDate = new Date(start.getTime() + (end - start) * (index + 1) / count);
+    }
+  });
+};
+
+/**
+ * Milestone amounts rescaled to a new total, keeping their proportions
+ * The last milestone takes the rounding difference
+ * @param {Number} total - New totalAmount
+ * @returns {Array} Milestones for the revision
+ */
+quoteSchema.methods.scaleMilestones = function(total) {
+  const current = this.milestones.reduce((sum, milestone) => sum + milestone.amount, 0);
+  let remaining = total;
+
+  return this.milestones.map((milestone, index) => {
+    const amount = index === this.milestones.length - 1
+      ? Math.round(remaining * 100) / 100
+      : Math.round(milestone.amount * total / current * 100) / 100;
+    remaining -= amount;
+
+    const { _id, ...fields } = milestone.toObject();
+    return { ...fields, amount };
+  });
+};
+
+/**
+ * Worker revision: create the next version and withdraw this one
+ * @param {ObjectId} workerId - Worker revising the quote
+ * @param {Object} updates - Changed fields (totalAmount, breakdown, notes, validUntil, ...)
+ * @param {String} message - Optional note to the customer
+ * @returns {Promise<Document>} The new version
+ */
+quoteSchema.methods.revise = async function(workerId, updates, message = null) {
+  // A new price without a new plan keeps the milestone proportions
+  if (this.milestones.length > 0 && !updates.milestones &&
+      updates.totalAmount !== undefined && updates.totalAmount !== this.totalAmount) {
+    updates = { ...updates, milestones: this.scaleMilestones(updates.totalAmount) };
+  }
+
+  const revision = await this.createRevision({
+    ...updates,
+    status: 'sent',
+    sentAt: new Date(),
+    customerResponse: undefined,
+    negotiationHistory: [
+      ...this.negotiationHistory.map(entry => entry.toObject()),
+      {
+        type: 'worker-revision',
+        amount: updates.totalAmount !== undefined ? updates.totalAmount : this.totalAmount,
+        message,
+        by: workerId,
+        version: this.version + 1
+      }
+    ]
+  });
+
+  this.status = 'withdrawn';
+  await this.save();
+
+  return revision;
+};
+
+/**
+ * Accept this version and copy the agreed price onto the booking
+ * @param {String} notes - Optional acceptance notes
+ * @param {Object} options - { acceptedBy, role } who accepted (customer or worker)
+ */
+quoteSchema.methods.accept = async function(notes = null, { acceptedBy = null, role = 'customer' } = {}) {
+  this.status = 'accepted';
+  this.acceptedAt = new Date();
+  if (notes) this.acceptanceNotes = notes;
+
+  if (role === 'customer') {
+    this.customerResponse = {
+      action: 'accepted',
+      respondedAt: new Date()
+    };
+  }
+
+  await this.save();
+
   // Update booking with quote
   const Booking = mongoose.model('Booking');
-  await Booking.findByIdAndUpdate(this.bookingId, {
-    'quote.status': 'accepted',
-    quotedPrice: this.totalAmount,
+  const booking = await Booking.findById(this.bookingId);
+  if (!booking) return;
+
+  booking.workerId = booking.workerId || this.workerId;
+  booking.quotedPrice = this.totalAmount;
+  booking.quote = {
+    amount: this.totalAmount,
+    details: this.notes || booking.quote?.details,
+    createdAt: booking.quote?.createdAt || this.createdAt,
+    validUntil: this.validUntil,
     status: 'accepted'
-  });
+  };
+
+  if (this.warranty?.days > 0) {
+    booking.warranty = { days: this.warranty.days, terms: this.warranty.terms };
+  }
+
+  // The agreed milestone plan becomes the booking's payment schedule
+  if (this.milestones.length > 0) {
+    booking.milestones = this.milestones.map(milestone => ({
+      quoteMilestoneId: milestone._id,
+      title: milestone.title,
+      description: milestone.description,
+      amount: milestone.amount,
+      dueCondition: milestone.dueCondition,
+      dueDate: milestone.dueDate
+    }));
+  }
+
+  if (['quote_requested', 'quotes_sent', 'pending'].includes(booking.status)) {
+    await booking.transitionTo('accepted', {
+      changedBy: acceptedBy,
+      role: 'system',
+      note: `Quote v${this.version} accepted by ${role}`
+    });
+  } else {
+    await booking.save();
+  }
 };
 
 quoteSchema.methods.decline = async function(reason) {
@@ -247,11 +457,53 @@ quoteSchema.methods.decline = async function(reason) {
   
   await this.save();
   
-  // Update booking
+  // Update booking - only if it is still showing this worker's quote
   const Booking = mongoose.model('Booking');
-  await Booking.findByIdAndUpdate(this.bookingId, {
-    'quote.status': 'declined'
-  });
+  await Booking.updateOne(
+    { _id: this.bookingId, workerId: this.workerId, 'quote.status': { $ne: 'accepted' } },
+    { 'quote.status': 'declined' }
+  );
+};
+
+/**
+ * Worker withdraws an open quote
+ * @param {String} reason - Optional reason
+ */
+quoteSchema.methods.withdraw = async function(reason = null) {
+  this.status = 'withdrawn';
+  if (reason) this.declineReason = reason;
+  await this.save();
+  return this;
+};
+
+/**
+ * Comparable total: breakdown + additional charges - discount
+ * Falls back to totalAmount when the quote has no breakdown
+ * @returns {Object} { subtotal, additionalCharges, discount, total }
+ */
+quoteSchema.methods.getNormalizedTotal = function() {
+  const round = value => Math.round(value * 100) / 100;
+
+  const subtotal = this.breakdown.length > 0
+    ? this.breakdown.reduce((sum, line) => sum + (line.totalPrice || 0), 0)
+    : this.totalAmount;
+
+  const additionalCharges = this.additionalCharges
+    .reduce((sum, charge) => sum + (charge.amount || 0), 0);
+
+  let discount = 0;
+  if (this.discount?.value) {
+    discount = this.discount.type === 'percentage'
+      ? (subtotal + additionalCharges) * this.discount.value / 100
+      : this.discount.value;
+  }
+
+  return {
+    subtotal: round(subtotal),
+    additionalCharges: round(additionalCharges),
+    discount: round(discount),
+    total: round(Math.max(subtotal + additionalCharges - discount, 0))
+  };
 };
 
 quoteSchema.methods.createRevision = async function(updates) {
@@ -259,25 +511,39 @@ quoteSchema.methods.createRevision = async function(updates) {
   
   const revision = new Quote({
     ...this.toObject(),
-    _id: mongoose.Types.ObjectId(),
-    ...updates,
-    version: this.version + 1,
-    previousVersionId: this._id,
+    _id: new mongoose.Types.ObjectId(),
     status: 'pending',
     createdAt: new Date(),
     sentAt: null,
     viewedAt: null,
     acceptedAt: null,
-    declinedAt: null
+    declinedAt: null,
+    ...updates,
+    version: this.version + 1,
+    previousVersionId: this._id
   });
   
   await revision.save();
   return revision;
 };
 
+/**
+ * Every version of the quotes for a booking, oldest first
+ * @param {ObjectId} bookingId
+ * @param {ObjectId} workerId - Optional, limit to one worker's quotes
+ */
+quoteSchema.statics.getThread = function(bookingId, workerId = null) {
+  const query = { bookingId };
+  if (workerId) query.workerId = workerId;
+
+  return this.find(query)
+    .populate('workerId', 'fullName profileImage')
+    .sort({ createdAt: 1, version: 1 });
+};
+
 // Check and update expired quotes
 quoteSchema.statics.updateExpiredQuotes = async function() {
-  await this.updateMany(
+  const result = await this.updateMany(
     {
       status: { $in: ['pending', 'sent', 'viewed'] },
       validUntil: { $lt: new Date() }
@@ -286,8 +552,26 @@ quoteSchema.statics.updateExpiredQuotes = async function() {
       status: 'expired'
     }
   );
+  return result.modifiedCount;
 };
 
+// Milestone plan: defaults from the timeline, amounts must add up to the total
+quoteSchema.pre('validate', function(next) {
+  if (this.milestones.length === 0) return next();
+
+  if (this.milestones.length > MILESTONES.MAX_PER_QUOTE) {
+    this.invalidate('milestones', `A quote can have at most ${MILESTONES.MAX_PER_QUOTE} milestones`);
+  }
+
+  const sum = this.milestones.reduce((total, milestone) => total + (milestone.amount || 0), 0);
+  if (Math.abs(sum - this.totalAmount) > 0.01) {
+    this.invalidate('milestones', `Milestone amounts (${sum}) must add up to the total amount (${this.totalAmount})`);
+  }
+
+  this.applyMilestoneDefaults();
+  next();
+});
+
 // Update timestamp before save
 quoteSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
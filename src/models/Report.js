@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+const REPORT_TARGET_TYPES = ['user', 'review', 'message', 'booking'];
+const REPORT_STATUSES = ['open', 'in-review', 'resolved', 'dismissed'];
+
+const reportSchema = new mongoose.Schema({
+  // Who filed the report
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // What was reported
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // User accountable for the target (the user themselves, the review's
+  // author, the message's sender or the other party of the booking).
+  // Used for escalation thresholds.
+  reportedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+
+  // Screenshot / document URLs
+  evidence: [{
+    type: String,
+    trim: true
+  }],
+
+  // Moderation workflow
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  assignedAt: Date,
+
+  resolution: {
+    action: {
+      type: String,
+      enum: ['none', 'warning', 'content-removed', 'suspended']
+    },
+    note: String,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+
+  // Set when this report pushed the reported user over the auto-suspend threshold
+  escalated: {
+    type: Boolean,
+    default: false
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ assignedTo: 1, status: 1 });
+reportSchema.index({ reportedUserId: 1, status: 1, createdAt: -1 });
+// One open report per reporter and target
+reportSchema.index(
+  { reporterId: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'in-review'] } } }
+);
+
+// ============================================
+// METHODS
+// ============================================
+
+/**
+ * Whether the report is still waiting for a moderator decision
+ * @returns {Boolean}
+ */
+reportSchema.methods.isOpen = function() {
+  return ['open', 'in-review'].includes(this.status);
+};
+
+/**
+ * Assign the report to a moderator
+ * @param {ObjectId} adminId - Admin taking the report
+ */
+reportSchema.methods.assignTo = async function(adminId) {
+  this.assignedTo = adminId;
+  this.assignedAt = new Date();
+  this.status = 'in-review';
+  await this.save();
+  return this;
+};
+
+/**
+ * Close the report as resolved or dismissed
+ * @param {String} status - 'resolved' or 'dismissed'
+ * @param {ObjectId} adminId - Admin closing the report
+ * @param {Object} resolution - { action, note }
+ */
+reportSchema.methods.close = async function(status, adminId, { action = 'none', note = null } = {}) {
+  this.status = status;
+  this.resolution = {
+    action,
+    note,
+    resolvedBy: adminId,
+    resolvedAt: new Date()
+  };
+  await this.save();
+  return this;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+reportSchema.statics.TARGET_TYPES = REPORT_TARGET_TYPES;
+reportSchema.statics.STATUSES = REPORT_STATUSES;
+
+/**
+ * Number of distinct users who reported a user since a date
+ * Dismissed reports are not counted
+ * @param {ObjectId} userId - Reported user
+ * @param {Date} since - Start of the window
+ * @returns {Promise<Number>}
+ */
+reportSchema.statics.countDistinctReporters = async function(userId, since) {
+  const reporters = await this.distinct('reporterId', {
+    reportedUserId: userId,
+    status: { $ne: 'dismissed' },
+    createdAt: { $gte: since }
+  });
+  return reporters.length;
+};
+
+// Update timestamp before save
+reportSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scheduled Job
+ * One document per recurring background job. Holds the next run time and a
+ * lease-style lock so only one app instance runs a job at a time, and so
+ * schedules survive restarts.
+ */
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  intervalMs: {
+    type: Number,
+    required: true,
+    min: 1000
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Lock - set when an instance claims the job, cleared when it finishes
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Run history
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastDurationMs: Number,
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastError: String,
+
+  runCount: {
+    type: Number,
+    default: 0
+  },
+
+  failCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+scheduledJobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Atomically claim a due job for this instance
+ * Succeeds only if the job is due and not locked (or its lock has expired)
+ * @param {String} name - Job name
+ * @param {String} instanceId - Id of the claiming process
+ * @param {Number} lockTtlMs - How long the lock is held before it is considered stale
+ * @returns {Promise<Document|null>} The claimed job, or null if it is not due or already taken
+ */
+scheduledJobSchema.statics.claim = function(name, instanceId, lockTtlMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      name,
+      enabled: true,
+      nextRunAt: { $lte: now },
+      $or: [
+        { lockedUntil: null },
+        { lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        lockedBy: instanceId,
+        lockedUntil: new Date(now.getTime() + lockTtlMs),
+        lastRunAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Release a job after a run and schedule the next one
+ * Only the instance holding the lock can release it
+ * @param {String} name - Job name
+ * @param {String} instanceId - Id of the process that ran the job
+ * @param {Object} outcome - { result, error, durationMs }
+ */
+scheduledJobSchema.statics.release = async function(name, instanceId, { result = null, error = null, durationMs = 0 }) {
+  const job = await this.findOne({ name, lockedBy: instanceId });
+  if (!job) return null;
+
+  const now = Date.now();
+  job.lockedBy = null;
+  job.lockedUntil = null;
+  job.lastFinishedAt = new Date(now);
+  job.lastDurationMs = durationMs;
+  job.nextRunAt = new Date(now + job.intervalMs);
+  job.runCount += 1;
+
+  if (error) {
+    job.lastError = error;
+    job.failCount += 1;
+  } else {
+    job.lastResult = result;
+    job.lastError = null;
+  }
+
+  await job.save();
+  return job;
+};
+
+// Update timestamp before save
+scheduledJobSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -235,6 +235,16 @@ const workerSchema = new mongoose.Schema({
     default: 0
   },
 
+  // Arrivals recorded by booking check-ins; unverifiedArrivals could not be
+  // checked against the job location (booking without coordinates)
+  punctuality: {
+    arrivals: { type: Number, default: 0 },
+    unverifiedArrivals: { type: Number, default: 0 },
+    lateArrivals: { type: Number, default: 0 },
+    totalMinutesLate: { type: Number, default: 0 },
+    onTimeRate: { type: Number, default: 100, min: 0, max: 100 }
+  },
+
   // ==========================================
   // AVAILABILITY
   // ==========================================
@@ -282,6 +292,52 @@ const workerSchema = new mongoose.Schema({
     }
   },
 
+  // Date exceptions to the weekly template above (holidays, time-off or
+  // changed hours). Dates are inclusive; the most recently added override
+  // wins where ranges overlap.
+  availabilityOverrides: [{
+    kind: {
+      type: String,
+      enum: ['holiday', 'time-off', 'custom-hours'],
+      default: 'time-off'
+    },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    available: { type: Boolean, default: false },
+    startTime: String,
+    endTime: String,
+    reason: { type: String, trim: true, maxlength: 200 },
+    createdAt: { type: Date, default: Date.now }
+  }],
+
+  // Secret token of the worker's iCalendar feed (GET /workers/calendar/feed/:token.ics).
+  // Anyone with the URL can read the feed, so it is never returned by default
+  // and rotating it invalidates every existing subscription.
+  calendarFeed: {
+    token: { type: String, select: false },
+    rotatedAt: Date
+  },
+
+  // Busy times from the worker's other calendars, imported from an uploaded
+  // .ics file or a registered feed URL. Each import replaces the blocks of its
+  // source. Not selected by default since summaries are private.
+  externalCalendar: {
+    feedUrl: { type: String, select: false },
+    lastSyncedAt: { type: Date, select: false },
+    lastSyncError: { type: String, select: false }
+  },
+  externalBusyBlocks: {
+    type: [{
+      _id: false,
+      source: { type: String, enum: ['upload', 'feed'], required: true },
+      uid: String,
+      summary: { type: String, maxlength: 200 },
+      start: { type: Date, required: true },
+      end: { type: Date, required: true }
+    }],
+    select: false
+  },
+
   // ==========================================
   // BANK DETAILS (for payments)
   // ==========================================
@@ -307,6 +363,26 @@ const workerSchema = new mongoose.Schema({
     relationship: String
   },
 
+  // ==========================================
+  // CANCELLATION POLICY
+  // ==========================================
+
+  // Unset fields fall back to the category policy, then CANCELLATION_POLICY
+  cancellationPolicy: {
+    freeWindowHours: {
+      type: Number,
+      min: 0
+    },
+    lateCancelFee: {
+      type: { type: String, enum: ['fixed', 'percentage'] },
+      value: { type: Number, min: 0 }
+    },
+    noShowFee: {
+      type: { type: String, enum: ['fixed', 'percentage'] },
+      value: { type: Number, min: 0 }
+    }
+  },
+
   // ==========================================
   // PREFERENCES
   // ==========================================
@@ -355,6 +431,8 @@ workerSchema.index({ rating: -1, totalReviews: -1 });
 workerSchema.index({ isVerified: 1, rating: -1 });
 workerSchema.index({ serviceCategories: 1, 'serviceAreas.district': 1 });
 workerSchema.index({ completedJobs: -1 });
+workerSchema.index({ 'calendarFeed.token': 1 }, { unique: true, sparse: true });
+workerSchema.index({ 'externalCalendar.feedUrl': 1 }, { sparse: true });
 
 // ==========================================
 // METHODS
@@ -402,8 +480,9 @@ workerSchema.methods.updateRating = async function (newRating) {
 workerSchema.methods.updateStats = async function () {
   const Booking = require('./Booking');
 
+  // Crew jobs count for every member on the crew
   const stats = await Booking.aggregate([
-    { $match: { workerId: this.userId } },
+    { $match: Booking.assignedTo(this.userId) },
     {
       $group: {
         _id: '$status',
@@ -426,6 +505,77 @@ workerSchema.methods.updateStats = async function () {
   await this.save();
 };
 
+/**
+ * Recalculate acceptance rate: bookings the worker accepted and kept, out of
+ * every booking they responded to. Declines and worker cancellations after
+ * accepting count against it; customer no-shows do not.
+ */
+workerSchema.methods.updateAcceptanceRate = async function () {
+  const Booking = require('./Booking');
+
+  const [stats] = await Booking.aggregate([
+    {
+      $match: {
+        workerId: this.userId,
+        $or: [
+          { 'workerResponse.action': { $in: ['accepted', 'declined'] } },
+          { cancelledBy: 'worker' }
+        ]
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        responded: { $sum: 1 },
+        kept: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ['$workerResponse.action', 'accepted'] },
+                  { $ne: ['$cancellation.kind', 'worker'] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  this.acceptanceRate = stats?.responded
+    ? Math.round((stats.kept / stats.responded) * 100)
+    : 100;
+
+  await this.save();
+};
+
+/**
+ * Record a check-in arrival in the punctuality stats
+ * @param {Number} minutesLate - Minutes after the scheduled start (0 if on time)
+ * @param {Boolean} late - Whether the arrival was past the grace period
+ * @param {Boolean} verified - Whether the position was checked against the job location
+ */
+workerSchema.methods.recordArrival = async function (minutesLate, late, verified = true) {
+  const punctuality = this.punctuality;
+
+  punctuality.arrivals += 1;
+  if (!verified) {
+    punctuality.unverifiedArrivals += 1;
+  }
+  if (late) {
+    punctuality.lateArrivals += 1;
+    punctuality.totalMinutesLate += minutesLate;
+  }
+  punctuality.onTimeRate = Math.round(
+    ((punctuality.arrivals - punctuality.lateArrivals) / punctuality.arrivals) * 100
+  );
+
+  await this.save({ validateModifiedOnly: true });
+};
+
 /**
  * Check if worker serves a specific location
  */
@@ -438,6 +588,50 @@ workerSchema.methods.servesLocation = function (district, town = null) {
   return serviceArea.towns.length === 0 || serviceArea.towns.includes(town);
 };
 
+/**
+ * Imported busy blocks overlapping a window
+ * Needs externalBusyBlocks selected ('+externalBusyBlocks')
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Array} [{ source, start, end }]
+ */
+workerSchema.methods.getExternalBusyBlocks = function (start, end) {
+  return (this.externalBusyBlocks || [])
+    .filter(block => block.start < end && block.end > start)
+    .map(({ source, start, end }) => ({ source, start, end }));
+};
+
+/**
+ * Working hours on a given day, after applying date overrides
+ * @param {Date} date - Any time on the day
+ * @returns {Object|null} { startTime, endTime } or null if not working
+ */
+workerSchema.methods.getWorkingHours = function (date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+
+  const override = [...(this.availabilityOverrides || [])].reverse().find(o => {
+    const start = new Date(o.startDate);
+    const end = new Date(o.endDate);
+    start.setHours(0, 0, 0, 0);
+    end.setHours(0, 0, 0, 0);
+    return day >= start && day <= end;
+  });
+
+  if (override) {
+    if (!override.available) return null;
+    if (override.startTime && override.endTime) {
+      return { startTime: override.startTime, endTime: override.endTime };
+    }
+  }
+
+  const dayName = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][day.getDay()];
+  const template = this.availability?.[dayName];
+
+  if (!template || (!template.available && !override)) return null;
+  return { startTime: template.startTime, endTime: template.endTime };
+};
+
 // ==========================================
 // MIDDLEWARE
 // ==========================================
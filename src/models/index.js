@@ -15,6 +15,15 @@ const Notification = require('./Notification');
 const Quote = require('./Quote');
 const Category = require('./Category');
 const ProblemImage = require('./ProblemImage');
+const Payment = require('./Payment');
+const ScheduledJob = require('./ScheduledJob');
+const Report = require('./Report');
+const Block = require('./Block');
+const BookingSeries = require('./BookingSeries');
+const Dispute = require('./Dispute');
+const Counter = require('./Counter');
+const Invoice = require('./Invoice');
+const LocationPing = require('./LocationPing');
 
 module.exports = {
   User,
@@ -27,5 +36,14 @@ module.exports = {
   Notification,
   Quote,
   Category,
-  ProblemImage
+  ProblemImage,
+  Payment,
+  ScheduledJob,
+  Report,
+  Block,
+  BookingSeries,
+  Dispute,
+  Counter,
+  Invoice,
+  LocationPing
 };
\ No newline at end of file
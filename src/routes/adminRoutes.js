@@ -55,6 +55,80 @@ router.put('/users/:id/reactivate', adminController.reactivateUser);
  */
 router.delete('/users/:id', adminController.deleteUser);
 
+/**
+ * @route   GET /api/admin/reports
+ * @desc    Get report moderation queue
+ * @access  Private/Admin
+ */
+router.get('/reports', adminController.getReports);
+
+/**
+ * @route   GET /api/admin/reports/:id
+ * @desc    Get report details
+ * @access  Private/Admin
+ */
+router.get('/reports/:id', adminController.getReportById);
+
+/**
+ * @route   PUT /api/admin/reports/:id/assign
+ * @desc    Assign report to an admin
+ * @access  Private/Admin
+ */
+router.put('/reports/:id/assign', adminController.assignReport);
+
+/**
+ * @route   PUT /api/admin/reports/:id/resolve
+ * @desc    Resolve report
+ * @access  Private/Admin
+ */
+router.put('/reports/:id/resolve', adminController.resolveReport);
+
+/**
+ * @route   PUT /api/admin/reports/:id/dismiss
+ * @desc    Dismiss report
+ * @access  Private/Admin
+ */
+router.put('/reports/:id/dismiss', adminController.dismissReport);
+
+/**
+ * @route   GET /api/admin/disputes
+ * @desc    Get booking dispute queue
+ * @access  Private/Admin
+ */
+router.get('/disputes', adminController.getDisputes);
+
+/**
+ * @route   GET /api/admin/disputes/:id
+ * @desc    Get dispute details with booking and payments
+ * @access  Private/Admin
+ */
+router.get('/disputes/:id', adminController.getDisputeById);
+
+/**
+ * @route   PUT /api/admin/disputes/:id/assign
+ * @desc    Assign dispute to an admin
+ * @access  Private/Admin
+ */
+router.put('/disputes/:id/assign', adminController.assignDispute);
+
+/**
+ * @route   PUT /api/admin/disputes/:id/resolve
+ * @desc    Resolve dispute (refund, release to worker or dismiss)
+ * @access  Private/Admin
+ */
+router.put(
+  '/disputes/:id/resolve',
+  validateRequest(['body.outcome']),
+  adminController.resolveDispute
+);
+
+/**
+ * @route   PUT /api/admin/categories/:slug/cancellation-policy
+ * @desc    Set a service category's cancellation policy
+ * @access  Private/Admin
+ */
+router.put('/categories/:slug/cancellation-policy', adminController.updateCategoryCancellationPolicy);
+
 /**
  * @route   GET /api/admin/reviews
  * @desc    Get all reviews for moderation
@@ -1,6 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
+const paymentController = require('../controllers/paymentController');
+const quoteController = require('../controllers/quoteController');
+const bookingSeriesController = require('../controllers/bookingSeriesController');
+const dispatchController = require('../controllers/dispatchController');
+const disputeController = require('../controllers/disputeController');
+const rescheduleController = require('../controllers/rescheduleController');
+const completionController = require('../controllers/completionController');
+const attendanceController = require('../controllers/attendanceController');
+const liveLocationController = require('../controllers/liveLocationController');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const { roleMiddleware } = require('../middleware/roleMiddleware');
 const { validateRequest } = require('../middleware/validator');
@@ -87,6 +96,145 @@ router.post(
   bookingController.createBooking
 );
 
+// ============================================
+// EMERGENCY DISPATCH
+// ============================================
+
+/**
+ * @route   POST /bookings/emergency
+ * @desc    Create an emergency booking and dispatch it to nearby workers
+ * @access  Private/Customer
+ */
+router.post(
+  '/emergency',
+  authMiddleware,
+  roleMiddleware(['customer']),
+  validateRequest([
+    'body.serviceType',
+    'body.problemDescription',
+    'body.serviceLocation'
+  ]),
+  dispatchController.createEmergencyBooking
+);
+
+/**
+ * @route   GET /bookings/emergency/offers
+ * @desc    Get emergency jobs currently offered to the worker
+ * @access  Private/Worker
+ */
+router.get(
+  '/emergency/offers',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  dispatchController.getMyEmergencyOffers
+);
+
+// ============================================
+// RECURRING BOOKINGS
+// ============================================
+
+/**
+ * @route   POST /bookings/series
+ * @desc    Request a recurring booking (weekly, fortnightly, monthly)
+ * @access  Private/Customer
+ */
+router.post(
+  '/series',
+  authMiddleware,
+  roleMiddleware(['customer']),
+  validateRequest([
+    'body.workerId',
+    'body.serviceType',
+    'body.problemDescription',
+    'body.frequency',
+    'body.startDate'
+  ]),
+  bookingSeriesController.createSeries
+);
+
+/**
+ * @route   GET /bookings/series
+ * @desc    Get my recurring bookings
+ * @access  Private
+ */
+router.get('/series', authMiddleware, bookingSeriesController.getMySeries);
+
+/**
+ * @route   GET /bookings/series/:seriesId
+ * @desc    Get a recurring booking with its upcoming occurrences
+ * @access  Private
+ */
+router.get('/series/:seriesId', authMiddleware, bookingSeriesController.getSeriesById);
+
+/**
+ * @route   POST /bookings/series/:seriesId/accept
+ * @desc    Worker accepts a recurring booking
+ * @access  Private/Worker
+ */
+router.post(
+  '/series/:seriesId/accept',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  bookingSeriesController.acceptSeries
+);
+
+/**
+ * @route   POST /bookings/series/:seriesId/decline
+ * @desc    Worker declines a recurring booking
+ * @access  Private/Worker
+ */
+router.post(
+  '/series/:seriesId/decline',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  bookingSeriesController.declineSeries
+);
+
+/**
+ * @route   PUT /bookings/series/:seriesId/reschedule
+ * @desc    Move all upcoming occurrences to a new schedule
+ * @access  Private/Customer/Worker
+ */
+router.put(
+  '/series/:seriesId/reschedule',
+  authMiddleware,
+  roleMiddleware(['customer', 'worker']),
+  validateRequest(['body.startDate']),
+  bookingSeriesController.rescheduleSeries
+);
+
+/**
+ * @route   POST /bookings/series/:seriesId/cancel
+ * @desc    Cancel a recurring booking and its upcoming occurrences
+ * @access  Private
+ */
+router.post('/series/:seriesId/cancel', authMiddleware, bookingSeriesController.cancelSeries);
+
+/**
+ * @route   POST /bookings/series/:seriesId/occurrences/:bookingId/skip
+ * @desc    Skip one occurrence
+ * @access  Private/Customer/Worker
+ */
+router.post(
+  '/series/:seriesId/occurrences/:bookingId/skip',
+  authMiddleware,
+  roleMiddleware(['customer', 'worker']),
+  bookingSeriesController.skipOccurrence
+);
+
+/**
+ * @route   PUT /bookings/series/:seriesId/occurrences/:bookingId/reschedule
+ * @desc    Move one occurrence to another date/time
+ * @access  Private/Customer/Worker
+ */
+router.put(
+  '/series/:seriesId/occurrences/:bookingId/reschedule',
+  authMiddleware,
+  roleMiddleware(['customer', 'worker']),
+  validateRequest(['body.scheduledDate']),
+  bookingSeriesController.rescheduleOccurrence
+);
+
 // ============================================
 // ROUTES WITH :id PARAMETER - MUST BE LAST
 // These routes should come AFTER all specific routes
@@ -134,6 +282,80 @@ router.post(
   bookingController.createQuote
 );
 
+/**
+ * @route   POST /bookings/:id/dispatch/accept
+ * @desc    Accept an emergency job (first to accept wins)
+ * @access  Private/Worker
+ */
+router.post(
+  '/:id/dispatch/accept',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  dispatchController.acceptEmergencyOffer
+);
+
+/**
+ * @route   POST /bookings/:id/dispatch/decline
+ * @desc    Decline an emergency job offer
+ * @access  Private/Worker
+ */
+router.post(
+  '/:id/dispatch/decline',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  dispatchController.declineEmergencyOffer
+);
+
+/**
+ * @route   GET /bookings/:id/quotes/compare
+ * @desc    Compare every worker's quote for a quote request
+ * @access  Private/Customer/Admin
+ */
+router.get(
+  '/:id/quotes/compare',
+  authMiddleware,
+  roleMiddleware(['customer', 'admin']),
+  quoteController.compareQuotes
+);
+
+/**
+ * @route   POST /bookings/:id/quotes/:quoteId/counter
+ * @desc    Customer counter-offers a quote
+ * @access  Private/Customer
+ */
+router.post(
+  '/:id/quotes/:quoteId/counter',
+  authMiddleware,
+  roleMiddleware(['customer']),
+  validateRequest(['body.amount']),
+  quoteController.counterOffer
+);
+
+/**
+ * @route   POST /bookings/:id/quotes/:quoteId/revise
+ * @desc    Worker revises a quote (new version)
+ * @access  Private/Worker
+ */
+router.post(
+  '/:id/quotes/:quoteId/revise',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  validateRequest(['body.totalAmount']),
+  quoteController.reviseQuote
+);
+
+/**
+ * @route   POST /bookings/:id/quotes/:quoteId/accept
+ * @desc    Accept a quote (customer) or a counter-offer (worker)
+ * @access  Private/Customer/Worker
+ */
+router.post(
+  '/:id/quotes/:quoteId/accept',
+  authMiddleware,
+  roleMiddleware(['customer', 'worker']),
+  quoteController.acceptQuote
+);
+
 /**
  * @route   POST /bookings/:id/progress
  * @desc    Update work progress
@@ -172,6 +394,32 @@ router.put(
   bookingController.declineBooking
 );
 
+/**
+ * @route   PUT /bookings/:id/crew/:memberId
+ * @desc    Invite a replacement for a crew member who declined
+ * @access  Private/Customer
+ */
+router.put(
+  '/:id/crew/:memberId',
+  authMiddleware,
+  roleMiddleware(['customer']),
+  validateRequest(['body.workerId']),
+  bookingController.replaceCrewMember
+);
+
+/**
+ * @route   POST /bookings/:id/callbacks
+ * @desc    Raise a free warranty callback on a completed booking
+ * @access  Private/Customer
+ */
+router.post(
+  '/:id/callbacks',
+  authMiddleware,
+  roleMiddleware(['customer']),
+  validateRequest(['body.problemDescription', 'body.scheduledDate']),
+  bookingController.requestCallback
+);
+
 /**
  * @route   PUT /bookings/:id/cancel
  * @desc    Cancel booking
@@ -184,6 +432,25 @@ router.put(
   bookingController.cancelBooking
 );
 
+/**
+ * @route   GET /bookings/:id/cancellation-policy
+ * @desc    Get the cancellation policy and what cancelling now would cost
+ * @access  Private
+ */
+router.get('/:id/cancellation-policy', authMiddleware, bookingController.getCancellationPolicy);
+
+/**
+ * @route   PUT /bookings/:id/no-show
+ * @desc    Worker reports that the customer did not show up
+ * @access  Private/Worker
+ */
+router.put(
+  '/:id/no-show',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  bookingController.reportNoShow
+);
+
 /**
  * @route   PUT /bookings/:id/status
  * @desc    Update booking status
@@ -196,6 +463,233 @@ router.put(
   bookingController.updateBookingStatus
 );
 
+/**
+ * @route   POST /bookings/:id/reschedule
+ * @desc    Propose a new date/time (counters a pending proposal from the other side)
+ * @access  Private/Customer/Worker
+ */
+router.post(
+  '/:id/reschedule',
+  authMiddleware,
+  roleMiddleware(['customer', 'worker']),
+  validateRequest(['body.scheduledDate']),
+  rescheduleController.proposeReschedule
+);
+
+/**
+ * @route   POST /bookings/:id/reschedule/:proposalId/accept
+ * @desc    Accept a reschedule proposal
+ * @access  Private/Customer/Worker
+ */
+router.post(
+  '/:id/reschedule/:proposalId/accept',
+  authMiddleware,
+  roleMiddleware(['customer', 'worker']),
+  rescheduleController.acceptReschedule
+);
+
+/**
+ * @route   POST /bookings/:id/reschedule/:proposalId/decline
+ * @desc    Decline a reschedule proposal
+ * @access  Private/Customer/Worker
+ */
+router.post(
+  '/:id/reschedule/:proposalId/decline',
+  authMiddleware,
+  roleMiddleware(['customer', 'worker']),
+  rescheduleController.declineReschedule
+);
+
+/**
+ * @route   POST /bookings/:id/location
+ * @desc    Worker shares their position while on the way (accepted bookings)
+ * @access  Private/Worker
+ */
+router.post(
+  '/:id/location',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  validateRequest(['body.latitude', 'body.longitude']),
+  liveLocationController.shareLocation
+);
+
+/**
+ * @route   GET /bookings/:id/location
+ * @desc    Latest worker position and ETA
+ * @access  Private
+ */
+router.get('/:id/location', authMiddleware, liveLocationController.getLocation);
+
+/**
+ * @route   POST /bookings/:id/check-in
+ * @desc    Worker checks in at the job location (geofenced)
+ * @access  Private/Worker
+ */
+router.post(
+  '/:id/check-in',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  validateRequest(['body.latitude', 'body.longitude']),
+  attendanceController.checkIn
+);
+
+/**
+ * @route   POST /bookings/:id/check-out
+ * @desc    Worker checks out of the job location (geofenced)
+ * @access  Private/Worker
+ */
+router.post(
+  '/:id/check-out',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  validateRequest(['body.latitude', 'body.longitude']),
+  attendanceController.checkOut
+);
+
+/**
+ * @route   POST /bookings/:id/completion
+ * @desc    Submit the finished job for customer confirmation
+ * @access  Private/Worker
+ */
+router.post(
+  '/:id/completion',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  validateRequest([
+    'body.workCompletionNotes',
+    'body.completionImages',
+    'body.finalPrice'
+  ]),
+  completionController.submitCompletion
+);
+
+/**
+ * @route   POST /bookings/:id/completion/confirm
+ * @desc    Confirm the submitted job
+ * @access  Private/Customer
+ */
+router.post(
+  '/:id/completion/confirm',
+  authMiddleware,
+  roleMiddleware(['customer']),
+  completionController.confirmCompletion
+);
+
+/**
+ * @route   POST /bookings/:id/completion/reject
+ * @desc    Reject the submitted job (rework or dispute)
+ * @access  Private/Customer
+ */
+router.post(
+  '/:id/completion/reject',
+  authMiddleware,
+  roleMiddleware(['customer']),
+  validateRequest(['body.reason']),
+  completionController.rejectCompletion
+);
+
+/**
+ * @route   POST /bookings/:id/disputes
+ * @desc    Open a dispute on a booking
+ * @access  Private/Customer/Worker
+ */
+router.post(
+  '/:id/disputes',
+  authMiddleware,
+  roleMiddleware(['customer', 'worker']),
+  validateRequest(['body.reason']),
+  disputeController.openDispute
+);
+
+/**
+ * @route   GET /bookings/:id/dispute
+ * @desc    Get the dispute on a booking
+ * @access  Private/Customer/Worker
+ */
+router.get(
+  '/:id/dispute',
+  authMiddleware,
+  roleMiddleware(['customer', 'worker']),
+  disputeController.getBookingDispute
+);
+
+/**
+ * @route   POST /bookings/:id/dispute/statements
+ * @desc    Add a statement and evidence to an open dispute
+ * @access  Private/Customer/Worker
+ */
+router.post(
+  '/:id/dispute/statements',
+  authMiddleware,
+  roleMiddleware(['customer', 'worker']),
+  validateRequest(['body.message']),
+  disputeController.addStatement
+);
+
+/**
+ * @route   GET /bookings/:id/payments
+ * @desc    Get payment ledger for a booking
+ * @access  Private
+ */
+router.get('/:id/payments', authMiddleware, paymentController.getBookingPayments);
+
+/**
+ * @route   GET /bookings/:id/invoice
+ * @desc    Download the invoice PDF for a completed booking
+ * @access  Private
+ */
+router.get('/:id/invoice', authMiddleware, paymentController.getBookingInvoice);
+
+/**
+ * @route   POST /bookings/:id/milestones/:milestoneId/approve
+ * @desc    Approve a completed milestone and pay for it
+ * @access  Private/Customer
+ */
+router.post(
+  '/:id/milestones/:milestoneId/approve',
+  authMiddleware,
+  roleMiddleware(['customer']),
+  paymentController.approveMilestone
+);
+
+/**
+ * @route   POST /bookings/:id/payments
+ * @desc    Create a charge for a booking
+ * @access  Private/Customer/Admin
+ */
+router.post(
+  '/:id/payments',
+  authMiddleware,
+  roleMiddleware(['customer', 'admin']),
+  paymentController.createPayment
+);
+
+/**
+ * @route   PUT /bookings/:id/payments/:paymentId/status
+ * @desc    Update payment status
+ * @access  Private/Worker (cash confirmation)/Admin
+ */
+router.put(
+  '/:id/payments/:paymentId/status',
+  authMiddleware,
+  roleMiddleware(['worker', 'admin']),
+  validateRequest(['body.status']),
+  paymentController.updatePaymentStatus
+);
+
+/**
+ * @route   POST /bookings/:id/payments/:paymentId/refund
+ * @desc    Refund a completed payment
+ * @access  Private/Admin
+ */
+router.post(
+  '/:id/payments/:paymentId/refund',
+  authMiddleware,
+  roleMiddleware(['admin']),
+  validateRequest(['body.reason']),
+  paymentController.refundPayment
+);
+
 /**
  * @route   GET /bookings/:id
  * @desc    Get booking by ID
@@ -14,6 +14,7 @@ const bookingRoutes = require('./bookingRoutes');
 const reviewRoutes = require('./reviewRoutes');
 const chatRoutes = require('./chatRoutes');
 const notificationRoutes = require('./notificationRoutes');
+const paymentRoutes = require('./paymentRoutes');
 
 const adminRoutes = require('./adminRoutes');
 
@@ -34,6 +35,7 @@ router.get('/', (req, res) => {
       reviews: '/reviews',
       chat: '/chat',
       notifications: '/notifications',
+      payments: '/payments',
       
       admin: '/admin',
       
@@ -53,6 +55,7 @@ router.use('/bookings', bookingRoutes);
 router.use('/reviews', reviewRoutes);
 router.use('/chat', chatRoutes);
 router.use('/notifications', notificationRoutes);
+router.use('/payments', paymentRoutes);
 
 router.use('/admin', adminRoutes);
 
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+/**
+ * @route   POST /payments/webhook
+ * @desc    Payment gateway webhook (payment authorised, succeeded, failed)
+ * @access  Public (verified by gateway signature header)
+ */
+router.post('/webhook', paymentController.handleWebhook);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const userController = require('../controllers/userController');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const { roleMiddleware } = require('../middleware/roleMiddleware');
+const { validateRequest } = require('../middleware/validator');
 
 /**
  * @route   GET /api/users/me
@@ -11,6 +12,20 @@ const { roleMiddleware } = require('../middleware/roleMiddleware');
  */
 router.get('/me', authMiddleware, userController.getCurrentUser);
 
+/**
+ * @route   GET /api/users/blocked
+ * @desc    Get users blocked by the current user
+ * @access  Private
+ */
+router.get('/blocked', authMiddleware, userController.getBlockedUsers);
+
+/**
+ * @route   DELETE /api/users/blocked/:id
+ * @desc    Unblock a user
+ * @access  Private
+ */
+router.delete('/blocked/:id', authMiddleware, userController.unblockUser);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
@@ -76,12 +91,29 @@ router.get(
  */
 router.get('/nearby', authMiddleware, userController.getNearbyUsers);
 
+/**
+ * @route   POST /api/users/reports
+ * @desc    Report a user, review, message or booking
+ * @access  Private
+ */
+router.post(
+  '/reports',
+  authMiddleware,
+  validateRequest(['body.targetType', 'body.targetId', 'body.reason']),
+  userController.createReport
+);
+
 /**
  * @route   POST /api/users/:id/report
  * @desc    Report a user
  * @access  Private
  */
-router.post('/:id/report', authMiddleware, userController.reportUser);
+router.post(
+  '/:id/report',
+  authMiddleware,
+  validateRequest(['body.reason']),
+  userController.reportUser
+);
 
 /**
  * @route   POST /api/users/:id/block
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const workerController = require('../controllers/workerController');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const { authMiddleware, optionalAuthMiddleware } = require('../middleware/authMiddleware');
 const { roleMiddleware } = require('../middleware/roleMiddleware');
+const { uploadCalendarFile } = require('../middleware/upload');
 
 /**
  * ========================================
@@ -23,7 +24,7 @@ router.get('/nearby', authMiddleware, workerController.getNearbyWorkers);
  * @desc    Search workers by service type and location
  * @access  Public/Private
  */
-router.get('/search', workerController.searchWorkers);
+router.get('/search', optionalAuthMiddleware, workerController.searchWorkers);
 
 /**
  * @route   GET /workers/stats
@@ -78,6 +79,146 @@ router.put(
   workerController.updateWorkerProfile
 );
 
+/**
+ * @route   GET /workers/calendar
+ * @desc    Get own weekly hours and date overrides
+ * @access  Private/Worker
+ */
+router.get(
+  '/calendar',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  workerController.getCalendar
+);
+
+/**
+ * @route   PUT /workers/calendar/weekly
+ * @desc    Update weekly working hours
+ * @access  Private/Worker
+ */
+router.put(
+  '/calendar/weekly',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  workerController.updateWeeklyAvailability
+);
+
+/**
+ * @route   POST /workers/calendar/overrides
+ * @desc    Add a holiday, time-off or changed hours
+ * @access  Private/Worker
+ */
+router.post(
+  '/calendar/overrides',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  workerController.addAvailabilityOverride
+);
+
+/**
+ * @route   DELETE /workers/calendar/overrides/:overrideId
+ * @desc    Remove a calendar override
+ * @access  Private/Worker
+ */
+router.delete(
+  '/calendar/overrides/:overrideId',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  workerController.removeAvailabilityOverride
+);
+
+/**
+ * @route   GET /workers/calendar/feed
+ * @desc    Get own secret iCalendar feed URL
+ * @access  Private/Worker
+ */
+router.get(
+  '/calendar/feed',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  workerController.getCalendarFeed
+);
+
+/**
+ * @route   POST /workers/calendar/feed/rotate
+ * @desc    Rotate the calendar feed token
+ * @access  Private/Worker
+ */
+router.post(
+  '/calendar/feed/rotate',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  workerController.rotateCalendarFeed
+);
+
+/**
+ * @route   GET /workers/calendar/feed/:token.ics
+ * @desc    iCalendar feed of a worker's bookings
+ * @access  Public (secret token in the URL)
+ */
+router.get('/calendar/feed/:token.ics', workerController.getCalendarFeedIcs);
+
+/**
+ * @route   GET /workers/calendar/external
+ * @desc    Get external calendar feed and imported busy times
+ * @access  Private/Worker
+ */
+router.get(
+  '/calendar/external',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  workerController.getExternalCalendar
+);
+
+/**
+ * @route   POST /workers/calendar/external/import
+ * @desc    Import busy times from an uploaded .ics file
+ * @access  Private/Worker
+ */
+router.post(
+  '/calendar/external/import',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  uploadCalendarFile,
+  workerController.importExternalCalendar
+);
+
+/**
+ * @route   PUT /workers/calendar/external/feed
+ * @desc    Register an external calendar feed URL
+ * @access  Private/Worker
+ */
+router.put(
+  '/calendar/external/feed',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  workerController.setExternalCalendarFeed
+);
+
+/**
+ * @route   DELETE /workers/calendar/external/feed
+ * @desc    Disconnect the external calendar feed
+ * @access  Private/Worker
+ */
+router.delete(
+  '/calendar/external/feed',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  workerController.removeExternalCalendarFeed
+);
+
+/**
+ * @route   PUT /workers/cancellation-policy
+ * @desc    Set the worker's cancellation policy
+ * @access  Private/Worker
+ */
+router.put(
+  '/cancellation-policy',
+  authMiddleware,
+  roleMiddleware(['worker']),
+  workerController.updateCancellationPolicy
+);
+
 /**
  * @route   GET /workers
  * @desc    Get all workers with filters
@@ -105,6 +246,13 @@ router.get('/:id', workerController.getWorkerById);
  */
 router.get('/:id/profile', workerController.getWorkerProfileById);
 
+/**
+ * @route   GET /workers/:id/slots
+ * @desc    Get a worker's free booking slots for a date range
+ * @access  Public
+ */
+router.get('/:id/slots', workerController.getWorkerSlots);
+
 /**
  * @route   GET /workers/:id/reviews
  * @desc    Get worker reviews
@@ -3,6 +3,7 @@ const Worker = require('../models/Worker');
 const Customer = require('../models/Customer');
 const Booking = require('../models/Booking');
 const Review = require('../models/Review');
+const Payment = require('../models/Payment');
 
 const logger = require('../utils/logger');
 
@@ -248,19 +249,20 @@ class AnalyticsService {
           groupBy = { $dateToString: { format: '%Y-%m', date: '$createdAt' } };
       }
 
+      const sign = { $cond: [{ $eq: ['$type', 'refund'] }, -1, 1] };
       const revenue = await Payment.aggregate([
         {
           $match: {
-            status: 'completed'
+            status: { $in: ['completed', 'refunded'] }
           }
         },
         {
           $group: {
             _id: groupBy,
-            totalRevenue: { $sum: '$amount' },
-            platformFee: { $sum: '$platformFee' },
-            workerEarnings: { $sum: '$workerAmount' },
-            transactionCount: { $sum: 1 }
+            totalRevenue: { $sum: { $multiply: ['$amount', sign] } },
+            platformFee: { $sum: { $multiply: ['$platformFee.amount', sign] } },
+            workerEarnings: { $sum: { $multiply: ['$workerAmount', sign] } },
+            transactionCount: { $sum: { $cond: [{ $eq: ['$type', 'charge'] }, 1, 0] } }
           }
         },
         {
@@ -519,39 +521,27 @@ class AnalyticsService {
    * Helper: Get total revenue
    */
   async getTotalRevenue() {
-    const result = await Payment.aggregate([
-      { $match: { status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$platformFee' } } }
-    ]);
-    return result[0]?.total || 0;
+    const totals = await Payment.getLedgerTotals();
+    return totals.platformFee;
   }
 
   /**
    * Helper: Get worker earnings
    */
   async getWorkerEarnings(workerId) {
-    const result = await Payment.aggregate([
-      { $match: { workerId, status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$workerAmount' } } }
-    ]);
-    return result[0]?.total || 0;
+    const totals = await Payment.getLedgerTotals({ workerId });
+    return totals.workerAmount;
   }
 
   /**
    * Helper: Get worker earnings for period
    */
   async getWorkerEarningsForPeriod(workerId, startDate, endDate) {
-    const result = await Payment.aggregate([
-      {
-        $match: {
-          workerId,
-          status: 'completed',
-          createdAt: { $gte: startDate, $lte: endDate }
-        }
-      },
-      { $group: { _id: null, total: { $sum: '$workerAmount' } } }
-    ]);
-    return result[0]?.total || 0;
+    const totals = await Payment.getLedgerTotals({
+      workerId,
+      completedAt: { $gte: startDate, $lte: endDate }
+    });
+    return totals.workerAmount;
   }
 
   /**
@@ -568,27 +558,18 @@ class AnalyticsService {
    * Helper: Get customer total spent
    */
   async getCustomerTotalSpent(customerId) {
-    const result = await Payment.aggregate([
-      { $match: { customerId, status: 'completed' } },
-      { $group: { _id: null, total: { $sum: '$amount' } } }
-    ]);
-    return result[0]?.total || 0;
+    const totals = await Payment.getLedgerTotals({ customerId });
+    return totals.gross;
   }
 
   /**
    * Helper: Get revenue for period
    */
   async getRevenueForPeriod(startDate, endDate) {
-    const result = await Payment.aggregate([
-      {
-        $match: {
-          status: 'completed',
-          createdAt: { $gte: startDate, $lte: endDate }
-        }
-      },
-      { $group: { _id: null, total: { $sum: '$platformFee' } } }
-    ]);
-    return result[0]?.total || 0;
+    const totals = await Payment.getLedgerTotals({
+      completedAt: { $gte: startDate, $lte: endDate }
+    });
+    return totals.platformFee;
   }
 
   /**
@@ -0,0 +1,130 @@
+const Worker = require('../models/Worker');
+const firebaseService = require('./firebaseService');
+const { ATTENDANCE } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const { calculateDistance } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Attendance Service
+ * Geofenced check-in and check-out of the worker at the job location.
+ *
+ * Both take the worker's current coordinates and must be within
+ * ATTENDANCE.GEOFENCE_RADIUS_KM of serviceLocation.coordinates. Check-in
+ * starts the job (accepted -> in-progress), records actualStartTime and how
+ * late the worker was, and feeds Worker.punctuality. Check-out records
+ * actualEndTime. Bookings without coordinates cannot be geofenced: the
+ * check-in is still accepted but recorded as unverified everywhere (booking,
+ * punctuality and the customer's notification).
+ */
+
+const MINUTE = 60 * 1000;
+
+class AttendanceService {
+  /**
+   * Worker arrives at the job
+   * @param {Document} booking - Accepted booking
+   * @param {Document} user - Assigned worker
+   * @param {Object} position - { latitude, longitude }
+   * @returns {Promise<Document>} The in-progress booking
+   */
+  async checkIn(booking, user, position) {
+    if (booking.status !== 'accepted') {
+      throw new AppError(`Cannot check in to a booking that is '${booking.status}'`, 409);
+    }
+
+    const now = new Date();
+    const { start } = booking.getScheduledWindow();
+    if (now < new Date(start.getTime() - ATTENDANCE.EARLY_CHECK_IN_MINUTES * MINUTE)) {
+      throw new AppError(`Check-in opens ${ATTENDANCE.EARLY_CHECK_IN_MINUTES} minutes before the scheduled start`, 409);
+    }
+
+    const { latitude, longitude, distanceKm, verified } = this.verifyPosition(booking, position);
+    const minutesLate = Math.max(0, Math.round((now - start) / MINUTE));
+    const late = minutesLate > ATTENDANCE.LATE_GRACE_MINUTES;
+
+    booking.checkIn = { at: now, latitude, longitude, distanceKm, verified, minutesLate };
+    booking.actualStartTime = now;
+    await booking.transitionTo('in-progress', {
+      changedBy: user._id,
+      role: 'worker',
+      note: [
+        late ? `Checked in ${minutesLate} minutes late` : 'Checked in on site',
+        verified ? null : 'location not verified'
+      ].filter(Boolean).join(', ')
+    });
+
+    try {
+      const worker = await Worker.findOne({ userId: user._id });
+      if (worker) await worker.recordArrival(minutesLate, late, verified);
+    } catch (error) {
+      logger.warn(`⚠️ Punctuality update failed (non-critical): ${error.message}`);
+    }
+
+    await firebaseService.notify(booking.customerId, 'worker-nearby', verified ? 'Your Worker Has Arrived' : 'Your Worker Says They Have Arrived',
+      verified
+        ? `${user.fullName} has checked in at your location and started the ${booking.serviceType} job`
+        : `${user.fullName} has checked in and started the ${booking.serviceType} job. ` +
+          'Their location could not be verified because your booking has no map location',
+      { relatedUser: user._id, relatedBooking: booking._id, priority: 'high' });
+
+    return booking;
+  }
+
+  /**
+   * Worker leaves the job
+   * @param {Document} booking - In-progress booking the worker checked in to
+   * @param {Document} user - Assigned worker
+   * @param {Object} position - { latitude, longitude }
+   * @returns {Promise<Document>} The booking
+   */
+  async checkOut(booking, user, position) {
+    if (booking.status !== 'in-progress' || !booking.checkIn?.at) {
+      throw new AppError('You need to check in before checking out', 409);
+    }
+    if (booking.checkOut?.at) {
+      throw new AppError('You have already checked out of this booking', 409);
+    }
+
+    const { latitude, longitude, distanceKm, verified } = this.verifyPosition(booking, position);
+    const now = new Date();
+
+    booking.checkOut = { at: now, latitude, longitude, distanceKm, verified };
+    booking.actualEndTime = now;
+    await booking.save();
+
+    const minutesOnSite = Math.round((now - booking.actualStartTime) / MINUTE);
+
+    await firebaseService.notify(booking.customerId, 'booking-update', 'Worker Checked Out',
+      `${user.fullName} checked out after ${minutesOnSite} minutes on site`,
+      { relatedUser: user._id, relatedBooking: booking._id });
+
+    return booking;
+  }
+
+  /**
+   * Check the worker's position against the job location
+   * @returns {Object} { latitude, longitude, distanceKm, verified } distanceKm null when unverifiable
+   */
+  verifyPosition(booking, { latitude, longitude }) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (Number.isNaN(lat) || Number.isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new AppError('Valid latitude and longitude are required', 400);
+    }
+
+    const site = booking.serviceLocation?.coordinates;
+    if (site?.latitude == null || site?.longitude == null) {
+      return { latitude: lat, longitude: lng, distanceKm: null, verified: false };
+    }
+
+    const distanceKm = calculateDistance(site.latitude, site.longitude, lat, lng);
+    if (distanceKm > ATTENDANCE.GEOFENCE_RADIUS_KM) {
+      throw new AppError(`You are ${distanceKm} km from the job location. Move closer to check in or out`, 403);
+    }
+
+    return { latitude: lat, longitude: lng, distanceKm, verified: true };
+  }
+}
+
+module.exports = new AttendanceService();
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const Worker = require('../models/Worker');
+const { CALENDAR } = require('../config/constants');
+const { formatDate, escapeText, foldLine } = require('../utils/ical');
+
+/**
+ * Calendar Feed Service
+ * Secret iCalendar (.ics) feed of a worker's bookings for Google Calendar,
+ * Apple Calendar, Outlook, etc.
+ *
+ * The feed URL carries a random token stored on Worker.calendarFeed and is
+ * readable without logging in. It lists the worker's accepted and
+ * in-progress bookings, plus bookings that were cancelled after being
+ * accepted so subscribed calendars drop them (STATUS:CANCELLED). Each booking
+ * keeps a stable UID; SEQUENCE follows statusHistory so clients pick up
+ * changes.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const FEED_STATUSES = [...CALENDAR.BLOCKING_STATUSES, 'cancelled'];
+
+class CalendarFeedService {
+  /**
+   * Feed token of a worker, created on first use
+   * @param {ObjectId} userId - Worker's user id
+   * @returns {Promise<String|null>} null when the worker has no profile
+   */
+  async getToken(userId) {
+    const worker = await Worker.findOne({ userId }).select('+calendarFeed.token');
+    if (!worker) return null;
+    if (worker.calendarFeed?.token) return worker.calendarFeed.token;
+
+    return this.rotateToken(userId);
+  }
+
+  /**
+   * Replace the feed token; the old feed URL stops working
+   * @param {ObjectId} userId - Worker's user id
+   * @returns {Promise<String|null>} New token, null when the worker has no profile
+   */
+  async rotateToken(userId) {
+    const token = crypto.randomBytes(CALENDAR.FEED_TOKEN_BYTES).toString('hex');
+
+    const worker = await Worker.findOneAndUpdate(
+      { userId },
+      { $set: { 'calendarFeed.token': token, 'calendarFeed.rotatedAt': new Date() } }
+    );
+
+    return worker ? token : null;
+  }
+
+  /**
+   * Build the feed for a token
+   * @param {String} token
+   * @returns {Promise<String|null>} iCalendar text, null for an unknown token
+   */
+  async buildFeed(token) {
+    if (!token) return null;
+
+    const worker = await Worker.findOne({ 'calendarFeed.token': token }).select('userId');
+    if (!worker) return null;
+
+    const bookings = await Booking.find({
+      ...Booking.assignedTo(worker.userId),
+      status: { $in: FEED_STATUSES },
+      scheduledDate: { $gte: new Date(Date.now() - CALENDAR.FEED_PAST_DAYS * DAY) }
+    })
+      .populate('customerId', 'fullName phoneNumber')
+      .sort({ scheduledDate: 1 });
+
+    const events = bookings
+      .filter(booking => booking.status !== 'cancelled' || wasAccepted(booking))
+      .map(booking => this.buildEvent(booking));
+
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//FixMate//Worker Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:FixMate Bookings',
+      ...events.flat(),
+      'END:VCALENDAR'
+    ].map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * VEVENT lines of a booking
+   * @param {Document} booking - Booking with customerId populated
+   * @returns {Array<String>}
+   */
+  buildEvent(booking) {
+    const { start, end } = booking.getScheduledWindow();
+    const customer = booking.customerId || {};
+    const location = booking.serviceLocation || {};
+    const phone = booking.contactPhone || customer.phoneNumber;
+    const cancelled = booking.status === 'cancelled';
+
+    const description = [
+      booking.problemDescription,
+      customer.fullName && `Customer: ${customer.fullName}`,
+      phone && `Phone: ${phone}`,
+      booking.preferredTimeSlot && `Time slot: ${booking.preferredTimeSlot}`
+    ].filter(Boolean).join('\n');
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:booking-${booking._id}@fixmate.lk`,
+      `DTSTAMP:${formatDate(booking.updatedAt || new Date())}`,
+      `DTSTART:${formatDate(start)}`,
+      `DTEND:${formatDate(end)}`,
+      `SEQUENCE:${booking.statusHistory.length}`,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      `SUMMARY:${escapeText(`${cancelled ? 'Cancelled: ' : ''}${booking.serviceType}${customer.fullName ? ` - ${customer.fullName}` : ''}`)}`,
+      `DESCRIPTION:${escapeText(description)}`
+    ];
+
+    const address = [location.address, location.city, location.district].filter(Boolean).join(', ');
+    if (address) lines.push(`LOCATION:${escapeText(address)}`);
+
+    const coordinates = location.coordinates;
+    if (coordinates?.latitude != null && coordinates?.longitude != null) {
+      lines.push(`GEO:${coordinates.latitude};${coordinates.longitude}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+}
+
+/**
+ * Whether a booking was ever accepted (and so was on the worker's feed)
+ */
+const wasAccepted = (booking) =>
+  booking.statusHistory.some(entry => CALENDAR.BLOCKING_STATUSES.includes(entry.status));
+
+module.exports = new CalendarFeedService();
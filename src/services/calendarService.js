@@ -0,0 +1,149 @@
+const Booking = require('../models/Booking');
+const Worker = require('../models/Worker');
+const { CALENDAR } = require('../config/constants');
+const { setTimeOfDay, timeToMinutes, minutesToTime } = require('../utils/helpers');
+
+/**
+ * Calendar Service
+ * Worker working hours, free slots and double-booking checks
+ *
+ * Working hours come from Worker.availability (weekly template) with
+ * Worker.availabilityOverrides applied on top. Time is held by bookings in
+ * CALENDAR.BLOCKING_STATUSES (see Booking.getScheduledWindow) and by busy
+ * blocks imported from the worker's other calendars (externalCalendarService).
+ */
+
+class CalendarService {
+  /**
+   * Free slots of a worker between two dates
+   * @param {Document} worker - Worker profile
+   * @param {Date} from - First day (inclusive)
+   * @param {Date} to - Last day (inclusive)
+   * @param {Object} options - { preferredTimeSlot, duration } duration in minutes
+   * @returns {Promise<Array>} [{ date, workingHours, slots: [{ start, end }] }]
+   */
+  async getFreeSlots(worker, from, to, { preferredTimeSlot = 'flexible', duration = CALENDAR.SLOT_MINUTES } = {}) {
+    const firstDay = new Date(from);
+    firstDay.setHours(0, 0, 0, 0);
+    const lastDay = new Date(to);
+    lastDay.setHours(23, 59, 59, 999);
+
+    const slotWindow = CALENDAR.TIME_SLOT_WINDOWS[preferredTimeSlot] || CALENDAR.TIME_SLOT_WINDOWS.flexible;
+    const booked = (await Booking.findConflicts(worker.userId, firstDay, lastDay))
+      .map(booking => booking.getScheduledWindow())
+      .concat(await this.getExternalBusyBlocks(worker, firstDay, lastDay));
+    const now = new Date();
+
+    const days = [];
+    for (const day = new Date(firstDay); day <= lastDay; day.setDate(day.getDate() + 1)) {
+      const workingHours = worker.getWorkingHours(day);
+      const slots = [];
+
+      if (workingHours) {
+        // Only offer times inside both the working hours and the preferred window
+        const open = Math.max(timeToMinutes(workingHours.startTime), timeToMinutes(slotWindow.startTime));
+        const close = Math.min(timeToMinutes(workingHours.endTime), timeToMinutes(slotWindow.endTime));
+
+        for (let minute = open; minute + duration <= close; minute += CALENDAR.SLOT_MINUTES) {
+          const start = setTimeOfDay(day, minutesToTime(minute));
+          const end = new Date(start.getTime() + duration * 60000);
+
+          if (start <= now) continue;
+          if (booked.some(window => window.start < end && window.end > start)) continue;
+
+          slots.push({ start, end });
+        }
+      }
+
+      days.push({
+        date: formatDay(day),
+        workingHours,
+        slots
+      });
+    }
+
+    return days;
+  }
+
+  /**
+   * Check that a worker is working and not already booked during a window
+   * An exact window must fit inside the working hours; a time slot window
+   * (isSlot) only needs to overlap them since the worker picks the time
+   * @param {ObjectId} workerUserId - Worker's user id
+   * @param {Object} window - { start, end, isSlot }
+   * @param {Object} options - { excludeBookingId } booking being rescheduled/accepted
+   * @returns {Promise<Object>} { available, reason, conflicts: [{ bookingId, status, start, end }] }
+   *   status is 'external' for busy time imported from another calendar
+   */
+  async checkAvailability(workerUserId, { start, end, isSlot = false }, { excludeBookingId = null } = {}) {
+    const worker = await Worker.findOne({ userId: workerUserId })
+      .select('userId availability availabilityOverrides +externalBusyBlocks');
+
+    if (worker) {
+      const workingHours = worker.getWorkingHours(start);
+
+      if (!workingHours) {
+        return { available: false, reason: 'The worker is not working on this date', conflicts: [] };
+      }
+
+      const opens = setTimeOfDay(start, workingHours.startTime);
+      const closes = setTimeOfDay(start, workingHours.endTime);
+      const outside = isSlot
+        ? start >= closes || end <= opens
+        : start < opens || end > closes;
+      if (outside) {
+        return {
+          available: false,
+          reason: `The worker only works ${workingHours.startTime}-${workingHours.endTime} on this date`,
+          conflicts: []
+        };
+      }
+    }
+
+    const conflicts = (await Booking.findConflicts(workerUserId, start, end, { excludeBookingId }))
+      .map(booking => {
+        const booked = booking.getScheduledWindow();
+        return { bookingId: booking._id, status: booking.status, start: booked.start, end: booked.end };
+      });
+
+    if (conflicts.length > 0) {
+      return { available: false, reason: 'The worker is already booked at this time', conflicts };
+    }
+
+    const busy = worker ? worker.getExternalBusyBlocks(start, end) : [];
+    if (busy.length > 0) {
+      return {
+        available: false,
+        reason: 'The worker is busy with another commitment at this time',
+        conflicts: busy.map(block => ({ bookingId: null, status: 'external', start: block.start, end: block.end }))
+      };
+    }
+
+    return { available: true, reason: null, conflicts: [] };
+  }
+
+  /**
+   * Imported busy blocks of a worker overlapping a range
+   * Loads them when the worker document was fetched without them
+   * @param {Document} worker - Worker profile
+   * @returns {Promise<Array>} [{ source, start, end }]
+   */
+  async getExternalBusyBlocks(worker, start, end) {
+    if (!worker.isSelected('externalBusyBlocks')) {
+      const withBlocks = await Worker.findById(worker._id).select('+externalBusyBlocks');
+      return withBlocks ? withBlocks.getExternalBusyBlocks(start, end) : [];
+    }
+    return worker.getExternalBusyBlocks(start, end);
+  }
+}
+
+/**
+ * YYYY-MM-DD in server local time
+ */
+const formatDay = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+module.exports = new CalendarService();
@@ -0,0 +1,102 @@
+const Booking = require('../models/Booking');
+const firebaseService = require('./firebaseService');
+const calendarService = require('./calendarService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Callback Service
+ * Free warranty callbacks on completed bookings.
+ *
+ * A quote can carry a warranty (days after completion). While it runs, the
+ * customer can raise a callback: a new, free booking for the same worker
+ * linked to the original through callbackOf. Only one callback per booking
+ * can be open at a time.
+ */
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+class CallbackService {
+  /**
+   * Raise a warranty callback on a completed booking
+   * @param {Document} booking - Original booking
+   * @param {Document} customer - Booking customer
+   * @param {Object} params - { problemDescription, problemImages, scheduledDate, preferredTimeSlot }
+   * @returns {Promise<Document>} The callback booking
+   */
+  async raise(booking, customer, { problemDescription, problemImages, scheduledDate, preferredTimeSlot }) {
+    if (booking.status !== 'completed') {
+      throw new AppError('Callbacks can only be raised on completed bookings', 409);
+    }
+
+    const expiresAt = booking.getWarrantyExpiry();
+    if (!expiresAt) {
+      throw new AppError('This booking has no warranty', 409);
+    }
+    if (expiresAt < new Date()) {
+      throw new AppError(`The warranty on this booking expired on ${expiresAt.toDateString()}`, 409);
+    }
+
+    const open = await Booking.exists({ callbackOf: booking._id, status: { $nin: CLOSED_STATUSES } });
+    if (open) {
+      throw new AppError('A callback for this booking is already open', 409);
+    }
+
+    const date = new Date(scheduledDate);
+    if (isNaN(date) || date <= new Date()) {
+      throw new AppError('scheduledDate must be a future date', 400);
+    }
+
+    const availability = await calendarService.checkAvailability(
+      booking.workerId,
+      Booking.getScheduledWindow({ scheduledDate: date, preferredTimeSlot, estimatedDuration: booking.estimatedDuration })
+    );
+    if (!availability.available) {
+      throw new AppError(availability.reason, 409);
+    }
+
+    const callback = await Booking.create({
+      customerId: booking.customerId,
+      workerId: booking.workerId,
+      serviceType: booking.serviceType,
+      problemDescription,
+      problemImages: problemImages || [],
+      serviceLocation: booking.toObject().serviceLocation,
+      contactPhone: booking.contactPhone,
+      scheduledDate: date,
+      preferredTimeSlot,
+      estimatedDuration: booking.estimatedDuration,
+      quotedPrice: 0,
+      urgency: 'high',
+      status: 'pending',
+      callbackOf: booking._id
+    });
+
+    await firebaseService.notify(booking.workerId, 'callback-requested', 'Warranty Callback',
+      `${customer.fullName} raised a warranty callback on the ${booking.serviceType} job you completed on ${booking.completedAt.toDateString()}: ${problemDescription}`,
+      { relatedUser: customer._id, relatedBooking: callback._id, priority: 'high' });
+
+    logger.info(`Warranty callback ${callback._id} raised on booking ${booking._id}`);
+    return callback;
+  }
+
+  /**
+   * Callback rate of a worker: callbacks raised per completed job
+   * @param {ObjectId} workerId - Worker's user id
+   * @returns {Promise<Object>} { completedJobs, callbacks, rate } rate in %
+   */
+  async getWorkerCallbackStats(workerId) {
+    const [completedJobs, callbacks] = await Promise.all([
+      Booking.countDocuments({ workerId, status: 'completed', callbackOf: null }),
+      Booking.countDocuments({ workerId, callbackOf: { $ne: null }, status: { $ne: 'cancelled' } })
+    ]);
+
+    return {
+      completedJobs,
+      callbacks,
+      rate: completedJobs > 0 ? Math.round(callbacks / completedJobs * 1000) / 10 : 0
+    };
+  }
+}
+
+module.exports = new CallbackService();
@@ -0,0 +1,185 @@
+const Worker = require('../models/Worker');
+const Customer = require('../models/Customer');
+const Category = require('../models/Category');
+const { CANCELLATION_POLICY } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Cancellation Policy Service
+ * Works out what a cancellation costs and who it counts against.
+ *
+ * Policies are resolved field by field: the worker's policy, then the
+ * service category's, then CANCELLATION_POLICY. Customers cancel for free
+ * until the booking is accepted and, after that, until freeWindowHours before
+ * the scheduled start; later cancellations pay the late-cancel fee. A worker
+ * reporting that the customer did not show up charges the no-show fee.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const POLICY_FIELDS = ['freeWindowHours', 'lateCancelFee', 'noShowFee'];
+const FEE_TYPES = ['fixed', 'percentage'];
+
+class CancellationPolicyService {
+  /**
+   * Effective policy for a booking
+   * @param {Document} booking
+   * @returns {Promise<Object>} { source, freeWindowHours, lateCancelFee, noShowFee }
+   */
+  async getPolicy(booking) {
+    const [worker, category] = await Promise.all([
+      booking.workerId
+        ? Worker.findOne({ userId: booking.workerId }).select('cancellationPolicy')
+        : null,
+      Category.findOne({ slug: booking.serviceType }).select('cancellationPolicy')
+    ]);
+
+    const defaults = {
+      freeWindowHours: CANCELLATION_POLICY.FREE_WINDOW_HOURS,
+      lateCancelFee: CANCELLATION_POLICY.LATE_CANCEL_FEE,
+      noShowFee: CANCELLATION_POLICY.NO_SHOW_FEE
+    };
+
+    // Most specific level first
+    const levels = [
+      { source: 'worker', policy: worker?.cancellationPolicy },
+      { source: 'category', policy: category?.cancellationPolicy },
+      { source: 'default', policy: defaults }
+    ];
+
+    const result = {};
+    let sourceIndex = levels.length - 1;
+    for (const field of POLICY_FIELDS) {
+      const index = levels.findIndex(({ policy }) => isSet(policy?.[field]));
+      const value = levels[index].policy[field];
+
+      result[field] = field === 'freeWindowHours' ? value : { type: value.type, value: value.value };
+      sourceIndex = Math.min(sourceIndex, index);
+    }
+    result.source = levels[sourceIndex].source;
+
+    return result;
+  }
+
+  /**
+   * Work out the outcome of cancelling a booking now
+   * @param {Document} booking
+   * @param {String} role - Who cancels: customer, worker, admin or system
+   * @param {Object} options - { noShow, at }
+   * @returns {Promise<Object>} { kind, policySource, hoursBeforeStart, fee }
+   */
+  async assess(booking, role, { noShow = false, at = new Date() } = {}) {
+    const { start } = booking.getScheduledWindow();
+    const hoursBeforeStart = Math.round(((start - at) / HOUR) * 10) / 10;
+
+    if (role === 'admin' || role === 'system') {
+      return { kind: 'admin', hoursBeforeStart, fee: 0 };
+    }
+    if (role === 'worker' && !noShow) {
+      return { kind: 'worker', hoursBeforeStart, fee: 0 };
+    }
+
+    const policy = await this.getPolicy(booking);
+    const outcome = { policySource: policy.source, hoursBeforeStart };
+
+    if (noShow) {
+      return { kind: 'no-show', ...outcome, fee: this.calculateFee(booking, policy.noShowFee) };
+    }
+
+    // Nothing is committed until a worker accepts
+    if (booking.status !== 'accepted' || hoursBeforeStart >= policy.freeWindowHours) {
+      return { kind: 'free', ...outcome, fee: 0 };
+    }
+
+    return { kind: 'late', ...outcome, fee: this.calculateFee(booking, policy.lateCancelFee) };
+  }
+
+  /**
+   * Fee amount for a booking
+   * Percentage fees are taken from the final (or quoted) price
+   * @param {Document} booking
+   * @param {Object} fee - { type, value }
+   * @returns {Number}
+   */
+  calculateFee(booking, fee) {
+    if (fee.type === 'fixed') return fee.value;
+
+    const price = booking.finalPrice || booking.quotedPrice || 0;
+    return Math.round(price * fee.value) / 100;
+  }
+
+  /**
+   * Update customer reliability and worker acceptance after a cancellation
+   * recorded with assess()
+   * @param {Document} booking - Cancelled booking with booking.cancellation set
+   */
+  async recordImpact(booking) {
+    const { kind } = booking.cancellation || {};
+
+    try {
+      if (['free', 'late', 'no-show'].includes(kind)) {
+        const customer = await Customer.findOne({ userId: booking.customerId });
+        if (customer) {
+          await customer.incrementBookings(false, true);
+
+          const penalty = CANCELLATION_POLICY.RELIABILITY_PENALTY[kind];
+          if (penalty) await customer.applyReliabilityPenalty(penalty);
+        }
+      } else if (kind === 'worker') {
+        const worker = await Worker.findOne({ userId: booking.workerId });
+        if (worker) await worker.updateAcceptanceRate();
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Cancellation stats update failed (non-critical): ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a policy update from a worker or admin
+   * Fields that are null are cleared so they fall back to the next level
+   * @param {Object} input - { freeWindowHours, lateCancelFee, noShowFee }
+   * @returns {Object} Fields to set
+   */
+  normalisePolicy(input = {}) {
+    const policy = {};
+
+    if (input.freeWindowHours !== undefined) {
+      const hours = input.freeWindowHours === null ? undefined : Number(input.freeWindowHours);
+      if (hours !== undefined && (Number.isNaN(hours) || hours < 0)) {
+        throw new AppError('freeWindowHours must be a positive number of hours', 400);
+      }
+      policy.freeWindowHours = hours;
+    }
+
+    for (const field of ['lateCancelFee', 'noShowFee']) {
+      if (input[field] === undefined) continue;
+      if (input[field] === null) {
+        policy[field] = undefined;
+        continue;
+      }
+
+      const { type, value } = input[field];
+      const amount = Number(value);
+      if (!FEE_TYPES.includes(type) || Number.isNaN(amount) || amount < 0) {
+        throw new AppError(`${field} needs a type (${FEE_TYPES.join(' or ')}) and a positive value`, 400);
+      }
+      if (type === 'percentage' && amount > 100) {
+        throw new AppError(`${field} percentage cannot be more than 100`, 400);
+      }
+      policy[field] = { type, value: amount };
+    }
+
+    return policy;
+  }
+}
+
+/**
+ * Whether a policy field has been configured
+ */
+const isSet = (value) => {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'object') return !!value.type && value.value !== undefined && value.value !== null;
+  return true;
+};
+
+module.exports = new CancellationPolicyService();
@@ -0,0 +1,304 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { getAuth } = require('../config/firebase-admin');
+const User = require('../models/User');
+const chatService = require('./chatService');
+const logger = require('../utils/logger');
+
+/**
+ * Chat Gateway
+ * WebSocket endpoint for realtime chat at /ws/chat
+ *
+ * Connect with the same Firebase ID token the REST API uses, either as
+ * "Authorization: Bearer <token>" or "?token=<token>".
+ *
+ * Client -> server events:
+ *   message:send      { receiverId, message, messageType, mediaUrl, location, bookingId, clientId }
+ *   typing            { receiverId, isTyping }
+ *   message:delivered { conversationId }
+ *   message:read      { conversationId }
+ *   ping
+ *
+ * Server -> client events:
+ *   message:new, message:sent, typing, message:delivered, message:read, pong, error
+ *   location:update   { bookingId, position, eta } worker en route (see liveLocationService)
+ *
+ * Everything here is also available over the REST chat endpoints; when a
+ * user has no open socket they simply keep polling those.
+ */
+
+const CHAT_PATH = '/ws/chat';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+class ChatGateway {
+  constructor() {
+    this.wss = null;
+    this.heartbeat = null;
+    // userId -> Set of open sockets (a user may have several devices)
+    this.connections = new Map();
+  }
+
+  /**
+   * Attach the gateway to the HTTP server
+   * @param {http.Server} server
+   */
+  attach(server) {
+    if (this.wss) return;
+
+    this.wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== CHAT_PATH) return;
+
+      this.authenticate(req)
+        .then(user => {
+          this.wss.handleUpgrade(req, socket, head, ws => this.onConnection(ws, user));
+        })
+        .catch(error => {
+          logger.warn(`Chat socket rejected: ${error.message}`);
+          socket.write(`HTTP/1.1 ${error.statusCode || 401} Unauthorized\r\n\r\n`);
+          socket.destroy();
+        });
+    });
+
+    this.heartbeat = setInterval(() => this.checkConnections(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+
+    logger.info(`💬 Chat gateway listening on ${CHAT_PATH}`);
+  }
+
+  /**
+   * Close every socket and stop the gateway
+   */
+  close() {
+    if (!this.wss) return;
+
+    clearInterval(this.heartbeat);
+    this.wss.clients.forEach(ws => ws.terminate());
+    this.wss.close();
+    this.wss = null;
+    this.connections.clear();
+  }
+
+  /**
+   * Verify the Firebase ID token on the upgrade request
+   * @returns {Promise<Document>} The connecting user
+   */
+  async authenticate(req) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ')
+      ? authHeader.split('Bearer ')[1]
+      : new URL(req.url, 'http://localhost').searchParams.get('token');
+
+    if (!token) {
+      throw Object.assign(new Error('No token provided'), { statusCode: 401 });
+    }
+
+    const decodedToken = await getAuth().verifyIdToken(token);
+    const user = await User.findOne({ firebaseUid: decodedToken.uid })
+      .select('firebaseUid email role accountStatus fullName fcmToken notificationSettings');
+
+    if (!user) {
+      throw Object.assign(new Error('User not found'), { statusCode: 401 });
+    }
+
+    if (['suspended', 'deleted'].includes(user.accountStatus)) {
+      throw Object.assign(new Error(`Account ${user.accountStatus}`), { statusCode: 403 });
+    }
+
+    return user;
+  }
+
+  onConnection(ws, user) {
+    const userId = user._id.toString();
+
+    ws.user = user;
+    ws.isAlive = true;
+
+    if (!this.connections.has(userId)) {
+      this.connections.set(userId, new Set());
+    }
+    this.connections.get(userId).add(ws);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', data => this.onMessage(ws, data));
+
+    ws.on('close', () => {
+      const sockets = this.connections.get(userId);
+      if (sockets) {
+        sockets.delete(ws);
+        if (sockets.size === 0) this.connections.delete(userId);
+      }
+    });
+
+    logger.info(`💬 Chat socket connected: ${user.email}`);
+  }
+
+  async onMessage(ws, data) {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(ws, 'error', { message: 'Invalid JSON' });
+    }
+
+    try {
+      switch (event.type) {
+        case 'message:send':
+          return await this.handleSend(ws, event);
+        case 'typing':
+          return await this.handleTyping(ws, event);
+        case 'message:delivered':
+          return await this.handleDelivered(ws.user._id, event.conversationId);
+        case 'message:read':
+          return await this.handleRead(ws.user._id, event.conversationId);
+        case 'ping':
+          return this.send(ws, 'pong');
+        default:
+          return this.send(ws, 'error', { message: `Unknown event type '${event.type}'` });
+      }
+    } catch (error) {
+      logger.error(`Chat socket event '${event.type}' failed: ${error.message}`);
+      this.send(ws, 'error', {
+        event: event.type,
+        clientId: event.clientId,
+        message: error.isOperational ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  async handleSend(ws, event) {
+    if (!event.receiverId || !event.message) {
+      return this.send(ws, 'error', {
+        event: event.type,
+        clientId: event.clientId,
+        message: 'receiverId and message are required'
+      });
+    }
+
+    const message = await chatService.sendMessage(ws.user, event, {
+      receiverOnline: this.isOnline(event.receiverId)
+    });
+
+    this.send(ws, 'message:sent', { clientId: event.clientId, message });
+    this.notifyNewMessage(message, ws);
+  }
+
+  async handleTyping(ws, { receiverId, isTyping = true }) {
+    if (!receiverId) return;
+
+    const conversation = await chatService.setTyping(ws.user._id, receiverId, !!isTyping);
+    this.emitToUser(receiverId, 'typing', {
+      conversationId: conversation.conversationId,
+      userId: ws.user._id,
+      isTyping: !!isTyping
+    });
+  }
+
+  /**
+   * Mark a conversation delivered for a user and tell the sender
+   */
+  async handleDelivered(userId, conversationId) {
+    const otherUserId = conversationId && chatService.getOtherParticipant(conversationId, userId);
+    if (!otherUserId) return;
+
+    const deliveredAt = await chatService.markDelivered(conversationId, userId);
+    if (deliveredAt) {
+      this.emitDeliveryReceipt(conversationId, userId, deliveredAt);
+    }
+  }
+
+  /**
+   * Mark a conversation read for a user and tell the sender
+   */
+  async handleRead(userId, conversationId) {
+    const otherUserId = conversationId && chatService.getOtherParticipant(conversationId, userId);
+    if (!otherUserId) return;
+
+    const readAt = await chatService.markRead(conversationId, userId);
+    if (readAt) {
+      this.emitReadReceipt(conversationId, userId, readAt);
+    }
+  }
+
+  // ============================================
+  // PUSH HELPERS (also used by the REST controller)
+  // ============================================
+
+  /**
+   * Push a new message to the receiver and to the sender's other devices
+   * @param {Document} message - Populated message
+   * @param {WebSocket} originSocket - Socket that sent it (skipped)
+   */
+  notifyNewMessage(message, originSocket = null) {
+    const receiverId = (message.receiverId._id || message.receiverId).toString();
+    const senderId = (message.senderId._id || message.senderId).toString();
+
+    this.emitToUser(receiverId, 'message:new', { message });
+    this.emitToUser(senderId, 'message:new', { message }, originSocket);
+  }
+
+  emitDeliveryReceipt(conversationId, userId, deliveredAt) {
+    const senderId = chatService.getOtherParticipant(conversationId, userId);
+    this.emitToUser(senderId, 'message:delivered', {
+      conversationId,
+      deliveredTo: userId,
+      deliveredAt
+    });
+  }
+
+  emitReadReceipt(conversationId, userId, readAt) {
+    const senderId = chatService.getOtherParticipant(conversationId, userId);
+    this.emitToUser(senderId, 'message:read', {
+      conversationId,
+      readBy: userId,
+      readAt
+    });
+  }
+
+  /**
+   * Whether a user has at least one open chat socket
+   */
+  isOnline(userId) {
+    return this.connections.has(userId.toString());
+  }
+
+  /**
+   * Send an event to every open socket of a user
+   * @returns {Boolean} true if at least one socket received it
+   */
+  emitToUser(userId, type, payload = {}, exceptSocket = null) {
+    const sockets = userId && this.connections.get(userId.toString());
+    if (!sockets) return false;
+
+    let sent = false;
+    sockets.forEach(ws => {
+      if (ws !== exceptSocket && this.send(ws, type, payload)) sent = true;
+    });
+    return sent;
+  }
+
+  send(ws, type, payload = {}) {
+    if (ws.readyState !== WebSocket.OPEN) return false;
+    ws.send(JSON.stringify({ type, ...payload }));
+    return true;
+  }
+
+  /**
+   * Drop sockets that stopped answering pings
+   */
+  checkConnections() {
+    if (!this.wss) return;
+
+    this.wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }
+}
+
+module.exports = new ChatGateway();
@@ -0,0 +1,150 @@
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Block = require('../models/Block');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Chat Service
+ * Message persistence shared by the REST chat endpoints and the WebSocket
+ * gateway, so both transports behave the same way
+ */
+
+class ChatService {
+  /**
+   * The other participant of a conversation
+   * @param {String} conversationId - "<userId>_<userId>"
+   * @param {ObjectId|String} userId - One participant
+   * @returns {String|null}
+   */
+  getOtherParticipant(conversationId, userId) {
+    const ids = conversationId.split('_');
+    const me = userId.toString();
+
+    if (ids.length !== 2 || !ids.includes(me)) return null;
+    return ids[0] === me ? ids[1] : ids[0];
+  }
+
+  /**
+   * Save a message and notify the receiver in-app
+   * @param {Document} sender - Sending user
+   * @param {Object} payload - { receiverId, message, messageType, mediaUrl, location, bookingId }
+   * @param {Object} options - { receiverOnline } skip the in-app notification if the receiver has a live socket
+   * @returns {Promise<Document>} Populated message
+   */
+  async sendMessage(sender, payload, { receiverOnline = false } = {}) {
+    const {
+      receiverId,
+      message,
+      messageType,
+      mediaUrl,
+      location,
+      bookingId
+    } = payload;
+
+    const receiver = await User.findById(receiverId);
+    if (!receiver) {
+      throw new AppError('Receiver not found', 404);
+    }
+
+    if (await Block.isBlockedBetween(sender._id, receiver._id)) {
+      throw new AppError('You cannot send messages to this user', 403);
+    }
+
+    const conversationId = Message.generateConversationId(sender._id, receiverId);
+
+    const newMessage = await Message.create({
+      conversationId,
+      senderId: sender._id,
+      receiverId,
+      messageType: messageType || 'text',
+      message,
+      mediaUrl,
+      location,
+      bookingId
+    });
+
+    // Populate sender and receiver info
+    await newMessage.populate('senderId', 'fullName profileImage');
+    await newMessage.populate('receiverId', 'fullName profileImage');
+
+    // Notify the receiver when they are not connected to chat
+    if (!receiverOnline && receiver.fcmToken && receiver.notificationSettings?.pushEnabled) {
+      try {
+        await Notification.create({
+          userId: receiverId,
+          type: 'new-message',
+          title: `Message from ${sender.fullName}`,
+          message: newMessage.messageType === 'text' ? message : `Sent a ${newMessage.messageType}`,
+          relatedUser: sender._id,
+          priority: 'normal'
+        });
+      } catch (notifError) {
+        logger.warn(`⚠️ Notification creation failed (non-critical): ${notifError.message}`);
+      }
+    }
+
+    return newMessage;
+  }
+
+  /**
+   * Mark every undelivered message to a user in a conversation as delivered
+   * @returns {Promise<Date|null>} Delivery time, or null if nothing changed
+   */
+  async markDelivered(conversationId, userId) {
+    const deliveredAt = new Date();
+    const result = await Message.updateMany(
+      {
+        conversationId,
+        receiverId: userId,
+        isDelivered: false
+      },
+      {
+        isDelivered: true,
+        deliveredAt
+      }
+    );
+
+    return result.modifiedCount > 0 ? deliveredAt : null;
+  }
+
+  /**
+   * Mark every unread message to a user in a conversation as read
+   * Reading implies delivery, so undelivered messages are delivered too
+   * @returns {Promise<Date|null>} Read time, or null if nothing changed
+   */
+  async markRead(conversationId, userId) {
+    const readAt = new Date();
+    const result = await Message.updateMany(
+      {
+        conversationId,
+        receiverId: userId,
+        isRead: false
+      },
+      {
+        isRead: true,
+        readAt
+      }
+    );
+
+    await Message.updateMany(
+      { conversationId, receiverId: userId, isDelivered: false },
+      { isDelivered: true, deliveredAt: readAt }
+    );
+
+    return result.modifiedCount > 0 ? readAt : null;
+  }
+
+  /**
+   * Record that a user started or stopped typing to another user
+   */
+  async setTyping(userId, otherUserId, isTyping) {
+    const conversation = await Conversation.findOrCreate(userId, otherUserId);
+    await conversation.setTyping(userId, isTyping);
+    return conversation;
+  }
+}
+
+module.exports = new ChatService();
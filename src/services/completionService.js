@@ -0,0 +1,197 @@
+const Booking = require('../models/Booking');
+const Worker = require('../models/Worker');
+const Customer = require('../models/Customer');
+const firebaseService = require('./firebaseService');
+const disputeService = require('./disputeService');
+const { COMPLETION } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Completion Service
+ * Two-step completion sign-off for in-progress bookings.
+ *
+ * The worker submits notes, photo evidence and the final price; the booking
+ * stays 'in-progress' with completion.status 'awaiting-confirmation'. The
+ * customer confirms (booking completed) or rejects it, either asking for
+ * rework (the worker submits again) or opening a dispute. Submissions nobody
+ * answers within COMPLETION.CONFIRMATION_HOURS are confirmed automatically.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const REJECT_ACTIONS = ['rework', 'dispute'];
+
+class CompletionService {
+  /**
+   * Worker submits the finished job for the customer to confirm
+   * @param {Document} booking - In-progress booking
+   * @param {Document} user - Assigned worker
+   * @param {Object} params - { workCompletionNotes, completionImages, finalPrice }
+   * @returns {Promise<Document>} The booking
+   */
+  async submit(booking, user, { workCompletionNotes, completionImages, finalPrice }) {
+    if (booking.status !== 'in-progress') {
+      throw new AppError('Only in-progress bookings can be submitted for completion', 409);
+    }
+    if (booking.completion?.status === 'awaiting-confirmation') {
+      throw new AppError('This job is already waiting for the customer to confirm', 409);
+    }
+
+    const images = Array.isArray(completionImages) ? completionImages.filter(Boolean) : [];
+    if (images.length < COMPLETION.MIN_IMAGES || images.length > COMPLETION.MAX_IMAGES) {
+      throw new AppError(`Add between ${COMPLETION.MIN_IMAGES} and ${COMPLETION.MAX_IMAGES} completion photos`, 400);
+    }
+
+    const price = Number(finalPrice);
+    if (Number.isNaN(price) || price < 0) {
+      throw new AppError('finalPrice must be a positive amount', 400);
+    }
+
+    const now = new Date();
+    booking.workCompletionNotes = workCompletionNotes;
+    booking.completionImages = images;
+    booking.finalPrice = price;
+    booking.completion = {
+      status: 'awaiting-confirmation',
+      submittedAt: now,
+      confirmBy: new Date(now.getTime() + COMPLETION.CONFIRMATION_HOURS * HOUR),
+      rejectionCount: booking.completion?.rejectionCount || 0
+    };
+    await booking.save();
+
+    await firebaseService.notify(booking.customerId, 'completion-submitted', 'Please Confirm Your Job',
+      `${user.fullName} has finished your ${booking.serviceType} job (LKR ${price}). Please confirm or report a problem within ${COMPLETION.CONFIRMATION_HOURS} hours.`,
+      { relatedUser: user._id, relatedBooking: booking._id, priority: 'high' });
+
+    return booking;
+  }
+
+  /**
+   * Customer confirms the submitted job
+   * @param {Document} booking
+   * @param {Document} user - Customer
+   * @returns {Promise<Document>} The completed booking
+   */
+  async confirm(booking, user) {
+    this.assertAwaitingConfirmation(booking);
+
+    booking.completion.status = 'confirmed';
+    booking.completion.respondedAt = new Date();
+    await booking.transitionTo('completed', {
+      changedBy: user._id,
+      role: 'customer',
+      note: 'Customer confirmed completion'
+    });
+
+    await this.recordCompletion(booking);
+    return booking;
+  }
+
+  /**
+   * Customer rejects the submitted job
+   * 'rework' sends it back to the worker, 'dispute' opens a dispute
+   * @param {Document} booking
+   * @param {Document} user - Customer
+   * @param {Object} params - { reason, action, evidence }
+   * @returns {Promise<Object>} { booking, dispute }
+   */
+  async reject(booking, user, { reason, action = 'rework', evidence }) {
+    this.assertAwaitingConfirmation(booking);
+
+    if (!REJECT_ACTIONS.includes(action)) {
+      throw new AppError(`action must be one of: ${REJECT_ACTIONS.join(', ')}`, 400);
+    }
+
+    booking.completion.status = 'rejected';
+    booking.completion.respondedAt = new Date();
+    booking.completion.rejectionReason = reason;
+    booking.completion.rejectionCount = (booking.completion.rejectionCount || 0) + 1;
+
+    if (action === 'dispute') {
+      const dispute = await disputeService.openDispute(booking, user, 'customer', {
+        reason: 'Work not completed as agreed',
+        description: reason,
+        evidence
+      });
+      return { booking, dispute };
+    }
+
+    await booking.save();
+
+    await firebaseService.notify(booking.workerId, 'completion-rejected', 'Job Needs More Work',
+      `${user.fullName} did not accept the completed ${booking.serviceType} job: ${reason}. Please fix it and submit again.`,
+      { relatedUser: user._id, relatedBooking: booking._id, priority: 'high' });
+
+    return { booking, dispute: null };
+  }
+
+  /**
+   * Confirm submissions the customer did not answer in time (background job)
+   * @returns {Promise<Object>} { due, confirmed }
+   */
+  async autoConfirmDue() {
+    const due = await Booking.find({
+      status: 'in-progress',
+      'completion.status': 'awaiting-confirmation',
+      'completion.confirmBy': { $lte: new Date() }
+    });
+
+    let confirmed = 0;
+    for (const booking of due) {
+      try {
+        booking.completion.status = 'auto-confirmed';
+        booking.completion.respondedAt = new Date();
+        await booking.transitionTo('completed', {
+          role: 'system',
+          note: `Auto-confirmed after ${COMPLETION.CONFIRMATION_HOURS} hours without a customer response`
+        });
+
+        await this.recordCompletion(booking);
+        confirmed += 1;
+      } catch (error) {
+        logger.error(`Booking ${booking._id} failed to auto-confirm: ${error.message}`);
+      }
+    }
+
+    return { due: due.length, confirmed };
+  }
+
+  /**
+   * Stats and notifications once a booking is completed
+   * Crew bookings credit every member
+   * @param {Document} booking - Completed booking
+   */
+  async recordCompletion(booking) {
+    const workerIds = booking.getWorkerIds();
+
+    try {
+      const workers = await Worker.find({ userId: { $in: workerIds } });
+      for (const worker of workers) {
+        await worker.updateStats();
+      }
+
+      const customer = await Customer.findOne({ userId: booking.customerId });
+      if (customer) await customer.incrementBookings(true);
+    } catch (error) {
+      logger.warn(`⚠️ Completion stats update failed (non-critical): ${error.message}`);
+    }
+
+    await firebaseService.notify(booking.customerId, 'booking-completed', 'Job Completed',
+      'Your job has been marked as completed. Please leave a review.',
+      { relatedUser: booking.workerId, relatedBooking: booking._id });
+
+    for (const workerId of workerIds) {
+      await firebaseService.notify(workerId, 'booking-completed', 'Job Confirmed',
+        `Your ${booking.serviceType} job has been confirmed as completed.`,
+        { relatedUser: booking.customerId, relatedBooking: booking._id });
+    }
+  }
+
+  assertAwaitingConfirmation(booking) {
+    if (booking.status !== 'in-progress' || booking.completion?.status !== 'awaiting-confirmation') {
+      throw new AppError('This job is not waiting for confirmation', 409);
+    }
+  }
+}
+
+module.exports = new CompletionService();
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Worker = require('../models/Worker');
+const Block = require('../models/Block');
+const firebaseService = require('./firebaseService');
+const calendarService = require('./calendarService');
+const { CREW } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Crew Service
+ * Bookings that put several workers on one job (roofing, moving, masonry).
+ *
+ * booking.workerId stays the lead worker and booking.crew lists every
+ * member, the lead included, with a role and a pay split (% of the worker
+ * share of each payment). Every member accepts separately; the booking only
+ * moves to 'accepted' once the whole crew has. A member who declines is
+ * marked 'declined' and the customer can invite a replacement in their slot;
+ * the lead declining declines the whole booking.
+ */
+
+class CrewService {
+  /**
+   * Validate a crew for a new booking
+   * @param {ObjectId} customerId - Booking customer
+   * @param {ObjectId} leadId - booking.workerId
+   * @param {Array} crew - [{ workerId, role, paySplit }], lead included
+   * @param {Object} window - { start, end } the booking holds
+   * @returns {Promise<Array>} Crew entries for the booking
+   */
+  async buildCrew(customerId, leadId, crew, window) {
+    if (!Array.isArray(crew) || crew.length < CREW.MIN_MEMBERS || crew.length > CREW.MAX_MEMBERS) {
+      throw new AppError(`A crew needs between ${CREW.MIN_MEMBERS} and ${CREW.MAX_MEMBERS} workers`, 400);
+    }
+
+    const ids = crew.map(member => String(member.workerId || ''));
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new AppError('Every crew member needs a valid workerId', 400);
+    }
+    if (new Set(ids).size !== ids.length) {
+      throw new AppError('A worker can only be in the crew once', 400);
+    }
+    if (!ids.includes(String(leadId))) {
+      throw new AppError('The lead worker (workerId) must be part of the crew', 400);
+    }
+
+    const splits = crew.map(member => Number(member.paySplit));
+    if (splits.some(split => Number.isNaN(split) || split <= 0 || split > 100)) {
+      throw new AppError('Every crew member needs a paySplit between 0 and 100', 400);
+    }
+    const total = splits.reduce((sum, split) => sum + split, 0);
+    if (Math.abs(total - 100) > 0.01) {
+      throw new AppError(`Crew pay splits must add up to 100 (got ${total})`, 400);
+    }
+
+    for (const id of ids) {
+      if (id !== String(leadId)) {
+        await this.assertCanJoin(customerId, id, window);
+      }
+    }
+
+    return crew.map((member, index) => ({
+      workerId: ids[index],
+      role: member.role || (ids[index] === String(leadId) ? CREW.LEAD_ROLE : undefined),
+      paySplit: splits[index]
+    }));
+  }
+
+  /**
+   * Notify crew members (other than the lead) that they were invited
+   * @param {Document} booking
+   * @param {Document} customer
+   * @param {Array} members - Crew entries to notify (default: whole crew)
+   */
+  async notifyInvited(booking, customer, members = booking.crew) {
+    for (const member of members) {
+      if (member.workerId.toString() === booking.workerId.toString()) continue;
+
+      await firebaseService.notify(member.workerId, 'booking-received', 'Crew Job Invitation',
+        `${customer.fullName} invited you to a ${booking.serviceType} crew job${member.role ? ` as ${member.role}` : ''} (${member.paySplit}% of the worker pay)`,
+        { relatedUser: customer._id, relatedBooking: booking._id });
+    }
+  }
+
+  /**
+   * A crew member accepts; the booking is accepted once the whole crew has
+   * Availability is checked by the caller
+   * @param {Document} booking - Crew booking not accepted yet
+   * @param {Document} user - Crew member
+   * @returns {Promise<Object>} { crewComplete, booking } booking reloaded with every member's answer
+   */
+  async acceptMember(booking, user) {
+    this.getInvitedMember(booking, user);
+
+    // Atomic per-member update: members accepting at the same time each see
+    // the answers saved before theirs, so only the last one completes the crew
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: { $in: ['quote_requested', 'quotes_sent', 'pending'] },
+        crew: { $elemMatch: { workerId: user._id, status: 'invited' } }
+      },
+      { $set: { 'crew.$.status': 'accepted', 'crew.$.respondedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new AppError('This crew job is no longer waiting for your answer', 409);
+    }
+
+    const crewComplete = updated.crew.every(m => m.status === 'accepted');
+    if (!crewComplete) {
+      return { crewComplete, booking: updated };
+    }
+
+    updated.workerResponse = {
+      respondedAt: new Date(),
+      action: 'accepted'
+    };
+    await updated.transitionTo('accepted', {
+      changedBy: user._id,
+      role: 'worker',
+      note: 'All crew members accepted'
+    });
+
+    await firebaseService.notify(updated.customerId, 'booking-accepted', 'Crew Confirmed',
+      `Your whole crew has accepted the ${updated.serviceType} job`,
+      { relatedUser: updated.workerId, relatedBooking: updated._id });
+
+    logger.info(`Crew booking ${updated._id} accepted by all ${updated.crew.length} members`);
+    return { crewComplete, booking: updated };
+  }
+
+  /**
+   * A crew member (not the lead) declines; the customer can replace them
+   * @param {Document} booking - Crew booking not accepted yet
+   * @param {Document} user - Crew member
+   * @param {String} reason
+   * @returns {Promise<Object>} The declined crew entry
+   */
+  async declineMember(booking, user, reason) {
+    const member = this.getInvitedMember(booking, user);
+
+    member.status = 'declined';
+    member.respondedAt = new Date();
+    member.declineReason = reason;
+    await booking.save();
+
+    const message = `${user.fullName} declined the ${booking.serviceType} crew job${member.role ? ` (${member.role})` : ''}. Reason: ${reason}`;
+
+    await firebaseService.notify(booking.customerId, 'crew-member-declined', 'Crew Member Declined',
+      `${message}. Invite another worker to take their place.`,
+      { relatedUser: user._id, relatedBooking: booking._id, priority: 'high' });
+    await firebaseService.notify(booking.workerId, 'crew-member-declined', 'Crew Member Declined', message,
+      { relatedUser: user._id, relatedBooking: booking._id });
+
+    return member;
+  }
+
+  /**
+   * Customer invites another worker into a declined member's slot
+   * The new member keeps the slot's pay split
+   * @param {Document} booking - Crew booking not accepted yet
+   * @param {Document} customer
+   * @param {String} memberId - Crew entry id
+   * @param {Object} params - { workerId, role }
+   * @returns {Promise<Object>} The updated crew entry
+   */
+  async replaceMember(booking, customer, memberId, { workerId, role }) {
+    if (!booking.isAwaitingAcceptance()) {
+      throw new AppError('Crew members can only be replaced before the booking is accepted', 409);
+    }
+
+    const member = booking.crew.id(memberId);
+    if (!member) {
+      throw new AppError('Crew member not found', 404);
+    }
+    if (member.status !== 'declined') {
+      throw new AppError('Only a crew member who declined can be replaced', 409);
+    }
+    if (!mongoose.Types.ObjectId.isValid(workerId)) {
+      throw new AppError('A valid workerId is required', 400);
+    }
+    if (booking.getCrewMember(workerId)) {
+      throw new AppError('This worker is already part of the crew', 409);
+    }
+
+    await this.assertCanJoin(customer._id, workerId, booking.getScheduledWindow());
+
+    member.workerId = workerId;
+    if (role !== undefined) member.role = role;
+    member.status = 'invited';
+    member.invitedAt = new Date();
+    member.respondedAt = undefined;
+    member.declineReason = undefined;
+    await booking.save();
+
+    await this.notifyInvited(booking, customer, [member]);
+
+    return member;
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * The user's crew entry, if it is still waiting for their answer
+   */
+  getInvitedMember(booking, user) {
+    const member = booking.getCrewMember(user._id);
+
+    if (!member) {
+      throw new AppError('You are not part of this crew', 403);
+    }
+    if (member.status !== 'invited') {
+      throw new AppError(`You have already ${member.status} this job`, 409);
+    }
+
+    return member;
+  }
+
+  /**
+   * Check a worker can be put on the customer's job at this time
+   */
+  async assertCanJoin(customerId, workerUserId, window) {
+    const [user, worker] = await Promise.all([
+      User.findById(workerUserId).select('fullName'),
+      Worker.exists({ userId: workerUserId })
+    ]);
+
+    if (!user || !worker) {
+      throw new AppError(`Worker ${workerUserId} not found`, 404);
+    }
+    if (await Block.isBlockedBetween(customerId, workerUserId)) {
+      throw new AppError(`You cannot book ${user.fullName}`, 403);
+    }
+
+    const availability = await calendarService.checkAvailability(workerUserId, window);
+    if (!availability.available) {
+      throw new AppError(`${user.fullName}: ${availability.reason}`, 409);
+    }
+  }
+}
+
+module.exports = new CrewService();
@@ -0,0 +1,306 @@
+const Booking = require('../models/Booking');
+const Worker = require('../models/Worker');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const firebaseService = require('./firebaseService');
+const calendarService = require('./calendarService');
+const { EMERGENCY_DISPATCH, CALENDAR } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const { calculateDistance } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Emergency Dispatch Service
+ * Offers urgency='emergency' bookings to the nearest available, verified
+ * workers serving the district, in waves with a widening radius. The first
+ * worker to accept gets the job; admins are alerted if nobody accepts within
+ * EMERGENCY_DISPATCH.ESCALATION_MINUTES.
+ */
+
+const MINUTE = 60 * 1000;
+
+class DispatchService {
+  /**
+   * Start dispatching a new emergency booking and send the first wave
+   * @param {Document} booking - Unassigned emergency booking
+   * @returns {Promise<Number>} Workers offered the job in the first wave
+   */
+  async startDispatch(booking) {
+    booking.dispatch = {
+      status: 'searching',
+      startedAt: new Date(),
+      radiusKm: EMERGENCY_DISPATCH.INITIAL_RADIUS_KM,
+      wave: 0,
+      offers: []
+    };
+
+    return this.sendWave(booking);
+  }
+
+  /**
+   * Offer the job to the nearest workers not offered it yet
+   * @param {Document} booking
+   * @returns {Promise<Number>} Workers offered the job in this wave
+   */
+  async sendWave(booking) {
+    const candidates = await this.findCandidates(booking);
+    const wave = booking.dispatch.wave + 1;
+
+    for (const { worker, distanceKm } of candidates) {
+      booking.dispatch.offers.push({ workerId: worker.userId._id, wave, distanceKm });
+    }
+
+    booking.dispatch.wave = wave;
+    booking.dispatch.nextWaveAt = new Date(Date.now() + EMERGENCY_DISPATCH.WAVE_INTERVAL_MINUTES * MINUTE);
+    await booking.save();
+
+    for (const { worker, distanceKm } of candidates) {
+      try {
+        await firebaseService.sendAndSaveNotification(worker.userId._id, {
+          type: 'emergency-dispatch',
+          title: '🚨 Emergency Job Nearby',
+          body: `Emergency ${booking.serviceType} job${distanceKm !== null ? ` ${distanceKm} km away` : ''} in ${booking.getLocationString()}. First to accept gets it.`,
+          data: { bookingId: booking._id.toString() },
+          priority: 'high'
+        }, worker.userId.fcmToken);
+      } catch (error) {
+        logger.warn(`⚠️ Emergency offer notification failed (non-critical): ${error.message}`);
+      }
+    }
+
+    logger.info(`🚨 Dispatch ${booking._id}: wave ${wave} offered to ${candidates.length} worker(s) within ${booking.dispatch.radiusKm} km`);
+    return candidates.length;
+  }
+
+  /**
+   * Verified, available workers serving the booking's district, nearest first
+   * Workers without known coordinates are only used when the booking has none
+   * @param {Document} booking
+   * @returns {Promise<Array>} [{ worker, distanceKm }]
+   */
+  async findCandidates(booking) {
+    const { district, city, coordinates } = booking.serviceLocation || {};
+    const offered = booking.dispatch.offers.map(offer => offer.workerId);
+    const blocked = await Block.getBlockedUserIds(booking.customerId);
+
+    const query = {
+      isVerified: true,
+      isAvailable: true,
+      serviceCategories: booking.serviceType,
+      userId: { $nin: [...offered, ...blocked, booking.customerId] }
+    };
+    if (district) query['serviceAreas.district'] = district;
+
+    const workers = await Worker.find(query)
+      .select('userId serviceAreas rating availability availabilityOverrides')
+      .populate('userId', 'fcmToken location accountStatus');
+
+    const hasOrigin = coordinates?.latitude && coordinates?.longitude;
+    const now = new Date();
+    const window = { start: now, end: new Date(now.getTime() + CALENDAR.DEFAULT_BOOKING_MINUTES * MINUTE) };
+
+    const candidates = [];
+    for (const worker of workers) {
+      if (!worker.userId || worker.userId.accountStatus !== 'active') continue;
+      if (district && !worker.servesLocation(district, city)) continue;
+
+      let distanceKm = null;
+      if (hasOrigin) {
+        const [lng, lat] = worker.userId.location?.coordinates?.coordinates || [];
+        if (!lat && !lng) continue;
+
+        distanceKm = calculateDistance(coordinates.latitude, coordinates.longitude, lat, lng);
+        if (distanceKm > booking.dispatch.radiusKm) continue;
+      }
+
+      const availability = await calendarService.checkAvailability(worker.userId._id, window);
+      if (!availability.available) continue;
+
+      candidates.push({ worker, distanceKm });
+    }
+
+    candidates.sort((a, b) => hasOrigin
+      ? a.distanceKm - b.distanceKm
+      : (b.worker.rating || 0) - (a.worker.rating || 0));
+
+    return candidates.slice(0, EMERGENCY_DISPATCH.WORKERS_PER_WAVE);
+  }
+
+  /**
+   * Worker accepts an emergency offer. Only the first acceptance wins.
+   * @param {String} bookingId
+   * @param {Document} user - Accepting worker
+   * @returns {Promise<Document>} The assigned booking
+   */
+  async acceptOffer(bookingId, user) {
+    const now = new Date();
+
+    // Atomic claim: only succeeds while the job is unassigned and offered to this worker
+    const claimed = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        status: 'pending',
+        workerId: null,
+        'dispatch.status': { $in: ['searching', 'escalated'] },
+        'dispatch.offers': { $elemMatch: { workerId: user._id, response: 'pending' } }
+      },
+      {
+        $set: {
+          workerId: user._id,
+          'dispatch.status': 'assigned',
+          'dispatch.assignedAt': now
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      const booking = await Booking.findById(bookingId).select('dispatch workerId');
+      const offered = booking?.dispatch?.offers?.some(offer => offer.workerId.toString() === user._id.toString());
+
+      if (!booking || !offered) {
+        throw new AppError('Emergency job not found', 404);
+      }
+      throw new AppError('This emergency job has already been taken', 409);
+    }
+
+    for (const offer of claimed.dispatch.offers) {
+      if (offer.response !== 'pending') continue;
+      offer.response = offer.workerId.toString() === user._id.toString() ? 'accepted' : 'expired';
+      offer.respondedAt = now;
+    }
+
+    claimed.workerResponse = { respondedAt: now, action: 'accepted' };
+    await claimed.transitionTo('accepted', {
+      changedBy: user._id,
+      role: 'worker',
+      note: 'Accepted emergency dispatch'
+    });
+
+    await firebaseService.notify(claimed.customerId, 'booking-accepted', 'Help Is On The Way',
+      `${user.fullName} accepted your emergency ${claimed.serviceType} request`,
+      { relatedUser: user._id, relatedBooking: claimed._id, priority: 'high' });
+
+    return claimed;
+  }
+
+  /**
+   * Worker declines an emergency offer
+   * @param {String} bookingId
+   * @param {Document} user - Declining worker
+   * @returns {Promise<Document>} The booking
+   */
+  async declineOffer(bookingId, user) {
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        'dispatch.offers': { $elemMatch: { workerId: user._id, response: 'pending' } }
+      },
+      {
+        $set: {
+          'dispatch.offers.$.response': 'declined',
+          'dispatch.offers.$.respondedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!booking) {
+      throw new AppError('No open emergency offer for this job', 404);
+    }
+
+    return booking;
+  }
+
+  /**
+   * Stop dispatching (booking cancelled)
+   * @param {Document} booking
+   */
+  cancelDispatch(booking) {
+    if (!['searching', 'escalated'].includes(booking.dispatch?.status)) return;
+
+    booking.dispatch.status = 'cancelled';
+    booking.dispatch.nextWaveAt = undefined;
+    for (const offer of booking.dispatch.offers) {
+      if (offer.response === 'pending') offer.response = 'expired';
+    }
+  }
+
+  /**
+   * Send the next wave or escalate for every open dispatch (background job)
+   * @returns {Promise<Object>} { open, waves, escalated, exhausted }
+   */
+  async advanceDispatches() {
+    const now = new Date();
+    const escalateBefore = new Date(now.getTime() - EMERGENCY_DISPATCH.ESCALATION_MINUTES * MINUTE);
+
+    const open = await Booking.find({
+      status: 'pending',
+      workerId: null,
+      'dispatch.status': { $in: ['searching', 'escalated'] },
+      'dispatch.nextWaveAt': { $lte: now }
+    });
+
+    let waves = 0;
+    let escalated = 0;
+    let exhausted = 0;
+
+    for (const booking of open) {
+      try {
+        // Admins already know and every worker in range was offered the job:
+        // stop sending waves, the outstanding offers can still be accepted
+        if (booking.dispatch.status === 'escalated' && booking.dispatch.radiusKm >= EMERGENCY_DISPATCH.MAX_RADIUS_KM) {
+          booking.dispatch.nextWaveAt = undefined;
+          booking.dispatch.exhaustedAt = now;
+          await booking.save();
+          exhausted += 1;
+          continue;
+        }
+
+        if (booking.dispatch.status === 'searching' && booking.dispatch.startedAt <= escalateBefore) {
+          await this.escalate(booking);
+          escalated += 1;
+        }
+
+        booking.dispatch.radiusKm = Math.min(
+          booking.dispatch.radiusKm + EMERGENCY_DISPATCH.RADIUS_STEP_KM,
+          EMERGENCY_DISPATCH.MAX_RADIUS_KM
+        );
+        await this.sendWave(booking);
+        waves += 1;
+      } catch (error) {
+        logger.error(`Dispatch ${booking._id} failed to advance: ${error.message}`);
+      }
+    }
+
+    return { open: open.length, waves, escalated, exhausted };
+  }
+
+  /**
+   * Alert admins (and the customer) that nobody took an emergency job
+   * Waves keep going after escalation until the radius reaches MAX_RADIUS_KM
+   * @param {Document} booking
+   */
+  async escalate(booking) {
+    booking.dispatch.status = 'escalated';
+    booking.dispatch.escalatedAt = new Date();
+    await booking.save();
+
+    const admins = await User.find({ role: 'admin', accountStatus: 'active' }).select('_id');
+    const offered = booking.dispatch.offers.length;
+
+    for (const admin of admins) {
+      await firebaseService.notify(admin._id, 'emergency-escalated', 'Emergency Job Unassigned',
+        `Emergency ${booking.serviceType} in ${booking.getLocationString()} has no worker after ${EMERGENCY_DISPATCH.ESCALATION_MINUTES} minutes (${offered} offered)`,
+        { relatedUser: booking.customerId, relatedBooking: booking._id, priority: 'high' });
+    }
+
+    await firebaseService.notify(booking.customerId, 'system-update', 'Still Looking For A Worker',
+      'No worker has accepted your emergency request yet. Our support team has been alerted.',
+      { relatedBooking: booking._id, priority: 'high' });
+
+    logger.warn(`🚨 Dispatch ${booking._id} escalated to ${admins.length} admin(s)`);
+  }
+}
+
+module.exports = new DispatchService();
@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const Dispute = require('../models/Dispute');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const firebaseService = require('./firebaseService');
+const paymentService = require('./paymentService');
+const { PAYMENT_STATUS } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Dispute Service
+ * Disputes on bookings: opening, statements/evidence from both parties and
+ * the admin resolution that refunds or releases the payment
+ *
+ * Opening a dispute moves the booking to 'disputed' and its paymentStatus to
+ * 'disputed'. The resolution decides where both end up:
+ *   full-refund        every completed charge refunded, booking cancelled
+ *   partial-refund     refundAmount refunded, booking completed
+ *   release-to-worker  payment stands, booking completed
+ *   dismissed          booking and payment restored to their previous state
+ */
+
+class DisputeService {
+  /**
+   * Open a dispute on a booking
+   * @param {Document} booking
+   * @param {Document} user - Customer or worker of the booking
+   * @param {String} role - 'customer' or 'worker'
+   * @param {Object} params - { reason, description, evidence }
+   * @returns {Promise<Document>} The dispute
+   */
+  async openDispute(booking, user, role, { reason, description, evidence }) {
+    if (!booking.workerId) {
+      throw new AppError('Only bookings with an assigned worker can be disputed', 409);
+    }
+
+    const existing = await Dispute.exists({
+      bookingId: booking._id,
+      status: { $in: ['open', 'in-review'] }
+    });
+    if (existing) {
+      throw new AppError('There is already an open dispute for this booking', 409);
+    }
+
+    if (!booking.canTransitionTo('disputed', role)) {
+      throw new AppError(`A booking that is '${booking.status}' cannot be disputed`, 409);
+    }
+
+    const dispute = await Dispute.create({
+      bookingId: booking._id,
+      customerId: booking.customerId,
+      workerId: booking.workerId,
+      openedBy: user._id,
+      openedByRole: role,
+      reason,
+      description,
+      statements: [{
+        authorId: user._id,
+        role,
+        message: description || reason,
+        evidence: await this.buildEvidence(booking, evidence)
+      }],
+      bookingStatusBefore: booking.status,
+      paymentStatusBefore: booking.paymentStatus
+    });
+
+    booking.paymentStatus = 'disputed';
+    await booking.transitionTo('disputed', {
+      changedBy: user._id,
+      role,
+      note: `Dispute opened: ${reason}`
+    });
+
+    const otherPartyId = role === 'customer' ? booking.workerId : booking.customerId;
+    await firebaseService.notify(otherPartyId, 'dispute-opened', 'Dispute Opened',
+      `${user.fullName} opened a dispute on your ${booking.serviceType} booking: ${reason}`,
+      { relatedUser: user._id, relatedBooking: booking._id, priority: 'high' });
+
+    const admins = await User.find({ role: 'admin', accountStatus: 'active' }).select('_id');
+    for (const admin of admins) {
+      await firebaseService.notify(admin._id, 'dispute-opened', 'New Dispute',
+        `Dispute on ${booking.serviceType} booking ${booking._id}: ${reason}`,
+        { relatedUser: user._id, relatedBooking: booking._id });
+    }
+
+    logger.info(`Dispute ${dispute._id} opened on booking ${booking._id} by ${role} ${user._id}`);
+    return dispute;
+  }
+
+  /**
+   * Add a statement (and evidence) to an open dispute
+   * @param {Document} dispute
+   * @param {Document} user - Party or admin
+   * @param {String} role - 'customer', 'worker' or 'admin'
+   * @param {Object} params - { message, evidence }
+   * @returns {Promise<Document>} The dispute
+   */
+  async addStatement(dispute, user, role, { message, evidence }) {
+    if (!dispute.isOpen()) {
+      throw new AppError(`This dispute is already ${dispute.status}`, 409);
+    }
+
+    const booking = await Booking.findById(dispute.bookingId);
+
+    dispute.statements.push({
+      authorId: user._id,
+      role,
+      message,
+      evidence: await this.buildEvidence(booking, evidence)
+    });
+    await dispute.save();
+
+    const recipients = [dispute.customerId, dispute.workerId]
+      .filter(id => id.toString() !== user._id.toString());
+    for (const recipient of recipients) {
+      await firebaseService.notify(recipient, 'dispute-updated', 'Dispute Updated',
+        `${role === 'admin' ? 'An admin' : user.fullName} added a statement to the dispute on your ${booking.serviceType} booking`,
+        { relatedUser: user._id, relatedBooking: booking._id });
+    }
+
+    return dispute;
+  }
+
+  /**
+   * Resolve a dispute and apply the outcome to the booking and payments
+   * @param {Document} dispute
+   * @param {Document} admin - Resolving admin
+   * @param {Object} params - { outcome, refundAmount, note }
+   * @returns {Promise<Object>} { dispute, booking, refunds }
+   */
+  async resolveDispute(dispute, admin, { outcome, refundAmount, note }) {
+    if (!dispute.isOpen()) {
+      throw new AppError(`This dispute is already ${dispute.status}`, 409);
+    }
+    if (!Dispute.OUTCOMES.includes(outcome)) {
+      throw new AppError(`Outcome must be one of: ${Dispute.OUTCOMES.join(', ')}`, 400);
+    }
+
+    const booking = await Booking.findById(dispute.bookingId);
+    const refunds = [];
+
+    if (outcome === 'full-refund' || outcome === 'partial-refund') {
+      const charges = await Payment.find({
+        bookingId: booking._id,
+        type: 'charge',
+        status: PAYMENT_STATUS.COMPLETED
+      }).sort({ completedAt: 1 });
+
+      const refundable = charges.reduce((sum, charge) => sum + charge.getRefundableAmount(), 0);
+      let remaining = outcome === 'full-refund' ? refundable : Number(refundAmount);
+
+      if (refundable <= 0) {
+        throw new AppError('Nothing has been paid for this booking, so there is nothing to refund', 409);
+      }
+      if (!remaining || remaining <= 0 || remaining > refundable) {
+        throw new AppError(`Refund amount must be between 0 and ${refundable}`, 400);
+      }
+
+      const reason = `Dispute resolution: ${note || outcome}`;
+      for (const charge of charges) {
+        const amount = Math.min(remaining, charge.getRefundableAmount());
+        if (amount <= 0) continue;
+
+        const { refund } = await paymentService.refundPayment(charge, {
+          amount,
+          reason,
+          changedBy: admin._id
+        });
+        refunds.push(refund);
+        remaining = Math.round((remaining - amount) * 100) / 100;
+        if (remaining <= 0) break;
+      }
+    }
+
+    // Refunds may have changed paymentStatus; reload before moving the booking on
+    const current = await Booking.findById(booking._id);
+    const totalRefunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+
+    if (outcome === 'dismissed') {
+      current.paymentStatus = dispute.paymentStatusBefore;
+      await current.transitionTo(dispute.bookingStatusBefore, {
+        changedBy: admin._id,
+        role: 'admin',
+        note: 'Dispute dismissed'
+      });
+    } else if (outcome === 'full-refund') {
+      current.paymentStatus = 'refunded';
+      current.cancellationReason = 'Dispute resolved with a full refund';
+      await current.transitionTo('cancelled', {
+        changedBy: admin._id,
+        role: 'admin',
+        note: current.cancellationReason
+      });
+    } else {
+      if (current.paymentStatus !== 'refunded') {
+        current.paymentStatus = dispute.paymentStatusBefore;
+      }
+      await current.transitionTo('completed', {
+        changedBy: admin._id,
+        role: 'admin',
+        note: outcome === 'partial-refund'
+          ? `Dispute resolved with a partial refund of LKR ${totalRefunded}`
+          : 'Dispute resolved in favour of the worker'
+      });
+    }
+
+    dispute.status = 'resolved';
+    dispute.resolution = {
+      outcome,
+      refundAmount: totalRefunded || undefined,
+      note,
+      resolvedBy: admin._id,
+      resolvedAt: new Date()
+    };
+    await dispute.save();
+
+    const summaries = {
+      'full-refund': 'The customer receives a full refund.',
+      'partial-refund': `The customer receives a refund of LKR ${totalRefunded}.`,
+      'release-to-worker': 'The payment is released to the worker.',
+      'dismissed': 'The dispute was dismissed and the booking continues as before.'
+    };
+    for (const userId of [dispute.customerId, dispute.workerId]) {
+      await firebaseService.notify(userId, 'dispute-resolved', 'Dispute Resolved',
+        `The dispute on your ${current.serviceType} booking was resolved. ${summaries[outcome]}${note ? ` Note: ${note}` : ''}`,
+        { relatedUser: admin._id, relatedBooking: current._id, priority: 'high' });
+    }
+
+    // A job first completed by the resolution counts like any other completed
+    // job; one disputed after completion was already recorded then
+    if (current.status === 'completed' && dispute.bookingStatusBefore !== 'completed') {
+      // Required here: completionService requires this service to open disputes
+      const completionService = require('./completionService');
+      await completionService.recordCompletion(current);
+    }
+
+    logger.info(`Dispute ${dispute._id} resolved (${outcome}) by admin ${admin._id}`);
+    return { dispute, booking: current, refunds };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Normalise evidence from the request
+   * Accepts URL strings (photos), { type: 'photo'|'document', url, note } and
+   * { type: 'chat', messageIds, note } with messages between the two parties
+   * @returns {Promise<Array>} Evidence entries
+   */
+  async buildEvidence(booking, evidence = []) {
+    const items = Array.isArray(evidence) ? evidence : [evidence];
+    const result = [];
+
+    for (const item of items) {
+      if (!item) continue;
+
+      if (typeof item === 'string') {
+        result.push({ type: 'photo', url: item });
+        continue;
+      }
+
+      if (item.type === 'chat') {
+        const ids = (item.messageIds || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+        const parties = [booking.customerId, booking.workerId];
+        const messages = await Message.find({
+          _id: { $in: ids },
+          senderId: { $in: parties },
+          receiverId: { $in: parties }
+        })
+          .select('senderId message createdAt')
+          .sort({ createdAt: 1 });
+
+        if (messages.length === 0) {
+          throw new AppError('Chat evidence must quote messages between the customer and the worker', 400);
+        }
+
+        result.push({
+          type: 'chat',
+          note: item.note,
+          messages: messages.map(m => ({
+            messageId: m._id,
+            senderId: m.senderId,
+            message: m.message,
+            sentAt: m.createdAt
+          }))
+        });
+        continue;
+      }
+
+      if (!item.url) {
+        throw new AppError('Photo and document evidence needs a url', 400);
+      }
+      result.push({ type: item.type === 'document' ? 'document' : 'photo', url: item.url, note: item.note });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new DisputeService();
@@ -26,14 +26,15 @@ class EmailService {
   /**
    * Send email
    */
-  async sendEmail(to, subject, html, text = null) {
+  async sendEmail(to, subject, html, text = null, attachments = null) {
     try {
       const mailOptions = {
         from: `"${this.fromName}" <${this.fromEmail}>`,
         to,
         subject,
         html,
-        ...(text && { text })
+        ...(text && { text }),
+        ...(attachments && { attachments })
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -359,8 +360,9 @@ class EmailService {
 
   /**
    * Send payment receipt email
+   * @param {Object} invoice - Optional { invoiceNumber, pdf } attached as a PDF
    */
-  async sendPaymentReceiptEmail(userEmail, userName, paymentDetails) {
+  async sendPaymentReceiptEmail(userEmail, userName, paymentDetails, invoice = null) {
     const subject = '💰 Payment Receipt - FixMate';
     const html = `
       <!DOCTYPE html>
@@ -397,6 +399,7 @@ class EmailService {
             </div>
             
             <p>This payment has been processed successfully. You can view your payment history in your account.</p>
+            ${invoice ? `<p>Your invoice <strong>${invoice.invoiceNumber}</strong> is attached.</p>` : ''}
             
             <p>Best regards,<br>The FixMate Team</p>
           </div>
@@ -405,7 +408,11 @@ class EmailService {
       </html>
     `;
 
-    return await this.sendEmail(userEmail, subject, html);
+    const attachments = invoice
+      ? [{ filename: `${invoice.invoiceNumber}.pdf`, content: invoice.pdf, contentType: 'application/pdf' }]
+      : null;
+
+    return await this.sendEmail(userEmail, subject, html, null, attachments);
   }
 
   /**
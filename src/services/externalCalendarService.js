@@ -0,0 +1,371 @@
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+const Worker = require('../models/Worker');
+const { CALENDAR } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const { parseCalendar, expandEvent } = require('../utils/ical');
+const logger = require('../utils/logger');
+
+/**
+ * External Calendar Service
+ * Busy times from a worker's other calendars (jobs taken outside FixMate).
+ *
+ * A worker uploads an .ics file or registers a feed URL; its events become
+ * Worker.externalBusyBlocks, which calendarService treats like bookings when
+ * checking availability. Only upcoming time is kept (up to
+ * CALENDAR.IMPORT_LOOKAHEAD_DAYS). Every import replaces the blocks of the same
+ * source ('upload' or 'feed'), so re-importing never duplicates them.
+ * Registered feeds are re-imported by the 'external-calendar-sync' job.
+ * Free (TRANSP:TRANSPARENT) and cancelled events are skipped.
+ *
+ * Feeds are fetched by the server, so only public internet addresses are
+ * allowed: the host is checked before the request, again when the socket
+ * resolves it (no DNS rebinding) and on every redirect. Local feeds (a stub
+ * server in tests) need CALENDAR_IMPORT_ALLOW_PRIVATE_HOSTS=true in a
+ * development or test environment.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const SOURCES = ['upload', 'feed'];
+const PRIVATE_HOSTS_ENVIRONMENTS = ['development', 'test'];
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+class ExternalCalendarService {
+  /**
+   * Import an uploaded .ics file
+   * @param {ObjectId} userId - Worker's user id
+   * @param {String} text - .ics contents
+   * @returns {Promise<Object>} { imported, blocks }
+   */
+  async importFile(userId, text) {
+    const blocks = this.buildBlocks(text, 'upload');
+    const worker = await this.replaceBlocks(userId, 'upload', blocks);
+
+    logger.info(`Imported ${blocks.length} busy blocks from an uploaded calendar for worker ${userId}`);
+    return { imported: blocks.length, blocks: this.getUpcomingBlocks(worker) };
+  }
+
+  /**
+   * Register (or replace) the worker's external feed and import it now
+   * The feed is only saved if it can be fetched and read.
+   * @param {ObjectId} userId - Worker's user id
+   * @param {String} feedUrl - http(s):// or webcal:// URL of an .ics feed
+   * @returns {Promise<Object>} { imported, blocks }
+   */
+  async setFeed(userId, feedUrl) {
+    const url = normalizeFeedUrl(feedUrl);
+
+    const blocks = this.buildBlocks(await this.fetchFeed(url), 'feed');
+
+    const worker = await this.replaceBlocks(userId, 'feed', blocks, {
+      'externalCalendar.feedUrl': url,
+      'externalCalendar.lastSyncedAt': new Date(),
+      'externalCalendar.lastSyncError': null
+    });
+
+    logger.info(`Registered external calendar feed for worker ${userId} (${blocks.length} busy blocks)`);
+    return { imported: blocks.length, blocks: this.getUpcomingBlocks(worker) };
+  }
+
+  /**
+   * Forget the worker's external feed and the blocks it imported
+   * @param {ObjectId} userId - Worker's user id
+   * @returns {Promise<Document|null>} Worker with remaining blocks
+   */
+  async removeFeed(userId) {
+    return Worker.findOneAndUpdate(
+      { userId },
+      {
+        $unset: { 'externalCalendar.feedUrl': '', 'externalCalendar.lastSyncError': '' },
+        $pull: { externalBusyBlocks: { source: 'feed' } }
+      },
+      { new: true }
+    ).select('+externalBusyBlocks');
+  }
+
+  /**
+   * Re-import a worker's registered feed
+   * A failed fetch keeps the previous blocks and records the error.
+   * @param {Document} worker - With externalCalendar.feedUrl selected
+   * @returns {Promise<Boolean>} Whether the sync succeeded
+   */
+  async syncFeed(worker) {
+    const url = worker.externalCalendar?.feedUrl;
+    if (!url) return false;
+
+    try {
+      const blocks = this.buildBlocks(await this.fetchFeed(url), 'feed');
+      await this.replaceBlocks(worker.userId, 'feed', blocks, {
+        'externalCalendar.lastSyncedAt': new Date(),
+        'externalCalendar.lastSyncError': null
+      });
+      return true;
+    } catch (error) {
+      logger.warn(`⚠️ External calendar sync failed for worker ${worker.userId}: ${error.message}`);
+      await Worker.updateOne(
+        { _id: worker._id },
+        { $set: { 'externalCalendar.lastSyncError': error instanceof AppError ? error.message : 'Calendar sync failed' } }
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Re-import every registered feed (scheduled job)
+   * @returns {Promise<Object>} { feeds, synced, failed }
+   */
+  async syncAllFeeds() {
+    const workers = await Worker.find({ 'externalCalendar.feedUrl': { $exists: true } })
+      .select('userId +externalCalendar.feedUrl');
+
+    let synced = 0;
+    for (const worker of workers) {
+      if (await this.syncFeed(worker)) synced += 1;
+    }
+
+    return { feeds: workers.length, synced, failed: workers.length - synced };
+  }
+
+  /**
+   * Download a feed from a public address
+   * Redirects are followed by hand so every hop is checked
+   * @param {String} feedUrl - From normalizeFeedUrl
+   * @returns {Promise<String>} .ics contents
+   * @throws {AppError} With a message that is safe to show the worker
+   */
+  async fetchFeed(feedUrl) {
+    let url = feedUrl;
+
+    for (let hop = 0; hop <= CALENDAR.IMPORT_MAX_REDIRECTS; hop++) {
+      await assertPublicHost(new URL(url).hostname);
+
+      let response;
+      try {
+        response = await axios.get(url, {
+          timeout: CALENDAR.IMPORT_FETCH_TIMEOUT_MS,
+          maxContentLength: CALENDAR.IMPORT_MAX_BYTES,
+          maxRedirects: 0,
+          validateStatus: status => status < 400,
+          lookup: lookupPublicAddress,
+          responseType: 'text',
+          transformResponse: data => data,
+          headers: { Accept: 'text/calendar, */*' }
+        });
+      } catch (error) {
+        throw toFeedError(error);
+      }
+
+      if (response.status < 300) {
+        return response.data;
+      }
+
+      if (!response.headers.location) {
+        throw new AppError('The calendar feed redirected without a location', 422);
+      }
+      url = normalizeFeedUrl(new URL(response.headers.location, url).toString());
+    }
+
+    throw new AppError('The calendar feed redirected too many times', 422);
+  }
+
+  /**
+   * Turn .ics contents into busy blocks from now to the lookahead limit
+   * Recurring events are expanded; each occurrence is one block
+   * @param {String} text - .ics contents
+   * @param {String} source - 'upload' or 'feed'
+   * @returns {Array} [{ source, uid, summary, start, end }] sorted by start
+   */
+  buildBlocks(text, source) {
+    if (Buffer.byteLength(String(text || '')) > CALENDAR.IMPORT_MAX_BYTES) {
+      throw new AppError(`Calendar files are limited to ${CALENDAR.IMPORT_MAX_BYTES / 1024} KB`, 400);
+    }
+
+    const events = parseCalendar(text);
+    if (!events) {
+      throw new AppError('This is not an iCalendar (.ics) file', 400);
+    }
+
+    const from = new Date();
+    const to = new Date(from.getTime() + CALENDAR.IMPORT_LOOKAHEAD_DAYS * DAY);
+
+    // Occurrences moved by a RECURRENCE-ID override are left out of the series
+    const moved = new Map();
+    for (const event of events) {
+      if (event.uid && event.recurrenceId) {
+        moved.set(event.uid, [...(moved.get(event.uid) || []), event.recurrenceId]);
+      }
+    }
+
+    const blocks = new Map();
+    for (const event of events) {
+      if (event.transparent || event.status === 'CANCELLED' || event.end <= event.start) continue;
+
+      const skip = event.recurrenceId ? [] : moved.get(event.uid) || [];
+      for (const { start, end } of expandEvent(event, from, to, skip)) {
+        const key = `${event.uid || ''}|${start.getTime()}|${end.getTime()}`;
+        blocks.set(key, {
+          source,
+          uid: event.uid || null,
+          summary: event.summary ? event.summary.slice(0, 200) : null,
+          start,
+          end
+        });
+      }
+    }
+
+    return [...blocks.values()]
+      .sort((a, b) => a.start - b.start)
+      .slice(0, CALENDAR.IMPORT_MAX_BLOCKS);
+  }
+
+  /**
+   * Swap the blocks of one source for a new set
+   * @param {ObjectId} userId - Worker's user id
+   * @param {String} source - 'upload' or 'feed'
+   * @param {Array} blocks - From buildBlocks
+   * @param {Object} extra - Other fields to $set in the same update
+   * @returns {Promise<Document>} Worker with externalBusyBlocks selected
+   */
+  async replaceBlocks(userId, source, blocks, extra = {}) {
+    const kept = SOURCES.filter(other => other !== source);
+
+    // Pipeline update so the filter and the append happen in one write
+    const worker = await Worker.findOneAndUpdate(
+      { userId },
+      [{
+        $set: {
+          ...extra,
+          externalBusyBlocks: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ['$externalBusyBlocks', []] },
+                  cond: { $in: ['$$this.source', kept] }
+                }
+              },
+              { $literal: blocks }
+            ]
+          }
+        }
+      }],
+      { new: true }
+    ).select('+externalBusyBlocks');
+
+    if (!worker) {
+      throw new AppError('Worker profile not found', 404);
+    }
+    return worker;
+  }
+
+  /**
+   * Blocks of a worker that have not ended yet
+   * @param {Document} worker - With externalBusyBlocks selected
+   * @returns {Array}
+   */
+  getUpcomingBlocks(worker) {
+    const now = new Date();
+    return (worker.externalBusyBlocks || []).filter(block => block.end > now);
+  }
+}
+
+/**
+ * Validate a feed URL; webcal:// is fetched over https
+ * @returns {String} The URL to fetch
+ */
+const normalizeFeedUrl = (feedUrl) => {
+  let url;
+  try {
+    url = new URL(String(feedUrl || '').trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch (error) {
+    throw new AppError('feedUrl must be a valid URL', 400);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new AppError('feedUrl must be an http(s) or webcal URL', 400);
+  }
+  return url.toString();
+};
+
+/**
+ * Whether an IP address is outside the public internet
+ */
+const isBlockedAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const allowPrivateHosts = () =>
+  process.env.CALENDAR_IMPORT_ALLOW_PRIVATE_HOSTS === 'true' &&
+  PRIVATE_HOSTS_ENVIRONMENTS.includes(process.env.NODE_ENV);
+
+const blockedHostError = () => {
+  const error = new AppError('Calendar feeds must be served from a public internet address', 400);
+  error.code = 'EBLOCKEDHOST';
+  return error;
+};
+
+/**
+ * Resolve a host and make sure none of its addresses is private
+ * @returns {Promise<Array>} [{ address, family }]
+ */
+const resolvePublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.promises.lookup(host, { all: true });
+
+  if (!allowPrivateHosts() && addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw blockedHostError();
+  }
+  return addresses;
+};
+
+/**
+ * Up-front host check with a clear error
+ */
+const assertPublicHost = async (hostname) => {
+  try {
+    await resolvePublicHost(hostname);
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError('The calendar feed host could not be found', 422);
+  }
+};
+
+/**
+ * DNS lookup used by the request itself, so a host cannot switch to a
+ * private address between the check and the connection
+ */
+const lookupPublicAddress = async (hostname, options) => {
+  const addresses = await resolvePublicHost(hostname);
+  return options?.all ? addresses : addresses[0];
+};
+
+/**
+ * Turn a failed request into an error that does not leak internals
+ */
+const toFeedError = (error) => {
+  if (error instanceof AppError) return error;
+  if (error.code === 'EBLOCKEDHOST' || error.cause?.code === 'EBLOCKEDHOST') return blockedHostError();
+  if (error.response) return new AppError(`The calendar feed returned HTTP ${error.response.status}`, 422);
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new AppError('The calendar feed did not respond in time', 422);
+  }
+  if (error.code === 'ERR_BAD_RESPONSE' && /maxContentLength/.test(error.message)) {
+    return new AppError(`Calendar files are limited to ${CALENDAR.IMPORT_MAX_BYTES / 1024} KB`, 422);
+  }
+  return new AppError('The calendar feed could not be reached', 422);
+};
+
+module.exports = new ExternalCalendarService();
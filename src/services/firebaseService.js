@@ -1,5 +1,6 @@
 const admin = require('../config/firebase-admin');
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const logger = require('../utils/logger');
 
 /**
@@ -242,7 +243,9 @@ class FirebaseService {
         title: notificationData.title,
         message: notificationData.body,
         data: notificationData.data || {},
-        priority: notificationData.priority || 'normal'
+        priority: notificationData.priority || 'normal',
+        relatedUser: notificationData.relatedUser || null,
+        relatedBooking: notificationData.relatedBooking || null
       });
 
       // Send push notification if FCM token exists
@@ -265,6 +268,36 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Save an in-app notification and push it to the user's device (non-critical)
+   * Failures are logged, never thrown, so the action that triggered the
+   * notification still succeeds.
+   * @param {ObjectId} userId - Recipient
+   * @param {String} type - Notification type
+   * @param {String} title
+   * @param {String} message
+   * @param {Object} options - { relatedUser, relatedBooking, priority }
+   * @returns {Promise<Document|null>} Saved notification, null on failure
+   */
+  async notify(userId, type, title, message, { relatedUser, relatedBooking, priority = 'normal' } = {}) {
+    try {
+      const user = await User.findById(userId).select('fcmToken');
+
+      return await this.sendAndSaveNotification(userId, {
+        type,
+        title,
+        body: message,
+        data: relatedBooking ? { bookingId: relatedBooking.toString() } : {},
+        priority,
+        relatedUser,
+        relatedBooking
+      }, user?.fcmToken);
+    } catch (notifError) {
+      logger.warn(`⚠️ Notification creation failed (non-critical): ${notifError.message}`);
+      return null;
+    }
+  }
+
   /**
    * Send booking notification
    */
@@ -354,7 +387,7 @@ class FirebaseService {
    */
   async sendPaymentNotification(userId, fcmToken, paymentData) {
     const notificationData = {
-      type: 'payment',
+      type: 'payment-received',
       title: '💰 Payment Received',
       body: `Payment of LKR ${paymentData.amount} has been processed`,
       data: {
@@ -373,7 +406,7 @@ class FirebaseService {
    */
   async sendReminderNotification(userId, fcmToken, reminderData) {
     const notificationData = {
-      type: 'reminder',
+      type: 'booking-reminder',
       title: '⏰ Reminder',
       body: reminderData.message,
       data: {
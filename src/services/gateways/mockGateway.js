@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Mock Payment Gateway
+ * Offline provider that behaves like a real card/wallet gateway:
+ * initiate authorises an intent, capture settles it, refund reverses it,
+ * and webhooks are signed with HMAC-SHA256 so the full flow can be run
+ * locally and in tests without any network calls
+ */
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+class MockGateway {
+  constructor({ webhookSecret } = {}) {
+    this.name = 'mock';
+    // No built-in fallback: without a secret every webhook is rejected
+    this.webhookSecret = webhookSecret || null;
+    this.intents = new Map();
+  }
+
+  /**
+   * Create a payment intent (authorised, awaiting capture)
+   * @param {Object} params - { amount, currency, paymentId, bookingId, method }
+   * @returns {Promise<Object>} { reference, status, checkoutUrl }
+   */
+  async initiate({ amount, currency = 'LKR', paymentId, bookingId, method }) {
+    const reference = `mock_pi_${crypto.randomBytes(8).toString('hex')}`;
+
+    this.intents.set(reference, {
+      amount,
+      currency,
+      paymentId,
+      bookingId,
+      method,
+      capturedAmount: 0,
+      refundedAmount: 0,
+      status: 'authorized'
+    });
+
+    logger.info(`Mock gateway: intent ${reference} created for ${paymentId} (${currency} ${amount})`);
+
+    return {
+      reference,
+      status: 'authorized',
+      checkoutUrl: `https://mock-gateway.local/checkout/${reference}`
+    };
+  }
+
+  /**
+   * Capture an authorised intent
+   * @param {String} reference - Gateway reference from initiate
+   * @param {Number} amount - Amount to capture (defaults to full amount)
+   * @returns {Promise<Object>} { reference, status, amount }
+   */
+  async capture(reference, amount) {
+    const intent = this.intents.get(reference);
+
+    // Intents are lost on restart - never settle a reference we did not authorise
+    if (!intent) {
+      return { reference, status: 'failed', amount: 0 };
+    }
+
+    if (intent.status !== 'authorized') {
+      return { reference, status: intent.status, amount: intent.capturedAmount };
+    }
+
+    intent.capturedAmount = amount !== undefined ? amount : intent.amount;
+    intent.status = 'succeeded';
+
+    return { reference, status: 'succeeded', amount: intent.capturedAmount };
+  }
+
+  /**
+   * Refund (part of) a captured intent
+   * @param {String} reference - Gateway reference of the original charge
+   * @param {Number} amount - Amount to refund
+   * @returns {Promise<Object>} { reference, refundReference, status, amount }
+   */
+  async refund(reference, amount) {
+    const intent = this.intents.get(reference);
+
+    if (intent) {
+      intent.refundedAmount += amount;
+      if (intent.refundedAmount >= intent.capturedAmount) {
+        intent.status = 'refunded';
+      }
+    }
+
+    return {
+      reference,
+      refundReference: `mock_re_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'succeeded',
+      amount
+    };
+  }
+
+  /**
+   * Sign a raw webhook body
+   * Header format: t=<unix seconds>,v1=<hex hmac of "t.body">
+   * @param {String} rawBody - Exact request body
+   * @param {Number} timestamp - Unix seconds (defaults to now)
+   * @returns {String} Signature header value
+   */
+  sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    if (!this.webhookSecret) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET is not configured');
+    }
+
+    const digest = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Verify a webhook signature header against the raw body
+   * @param {String|Buffer} rawBody - Exact request body
+   * @param {String} signatureHeader - Value of the signature header
+   * @returns {Boolean}
+   */
+  verifyWebhookSignature(rawBody, signatureHeader) {
+    if (!this.webhookSecret || !rawBody || !signatureHeader) return false;
+
+    const parts = Object.fromEntries(
+      signatureHeader.split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1) return false;
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+    if (age > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+    const expected = this.sign(rawBody.toString(), timestamp).split('v1=')[1];
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(parts.v1, 'hex');
+
+    return expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  /**
+   * Normalise a webhook body into a gateway-independent event
+   * @param {Object} body - Parsed webhook body
+   * @returns {Object} { id, type, reference, amount, failureReason }
+   */
+  parseWebhookEvent(body) {
+    return {
+      id: body.id,
+      type: body.type,
+      reference: body.data?.reference,
+      amount: body.data?.amount,
+      failureReason: body.data?.failureReason
+    };
+  }
+
+  /**
+   * Build a signed webhook request, as the gateway would send it
+   * Used to simulate gateway callbacks locally and in tests
+   * @param {String} type - payment.authorized | payment.succeeded | payment.failed
+   * @param {String} reference - Gateway reference
+   * @param {Object} data - Extra event data (amount, failureReason)
+   * @returns {Object} { rawBody, signature }
+   */
+  buildWebhook(type, reference, data = {}) {
+    const rawBody = JSON.stringify({
+      id: `mock_evt_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      data: { reference, ...data }
+    });
+
+    return { rawBody, signature: this.sign(rawBody) };
+  }
+}
+
+module.exports = MockGateway;
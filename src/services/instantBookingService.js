@@ -0,0 +1,165 @@
+const Booking = require('../models/Booking');
+const firebaseService = require('./firebaseService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Instant Booking Service
+ * Confirms direct bookings without waiting for the worker, driven by
+ * Worker.preferences:
+ *
+ * - instantBookingEnabled: the customer may book a free slot with
+ *   `instant: true` and it is confirmed at once, priced from the worker's
+ *   rates instead of a quote
+ * - autoAcceptBookings: any incoming booking that fits the worker's calendar
+ *   and service area moves straight to 'accepted'
+ *
+ * Calendar availability is checked by the caller before the booking is
+ * created, and again here once the booking holds the slot, so two bookings
+ * that passed the first check together cannot both be confirmed. Crew
+ * bookings are never auto-confirmed since every member has to accept.
+ */
+
+class InstantBookingService {
+  /**
+   * Whether a customer may book this worker instantly
+   * @param {Document} worker - Worker profile
+   * @param {Object} params - { serviceLocation, crew }
+   * @returns {Object} { allowed, reason }
+   */
+  checkInstantBooking(worker, { serviceLocation, crew }) {
+    if (!worker?.preferences?.instantBookingEnabled) {
+      return { allowed: false, reason: 'This worker does not take instant bookings' };
+    }
+    if (crew?.length) {
+      return { allowed: false, reason: 'Crew bookings cannot be booked instantly' };
+    }
+    return this.checkWorkerCanConfirm(worker, serviceLocation);
+  }
+
+  /**
+   * Availability switch and service area checks shared by both modes
+   * @returns {Object} { allowed, reason }
+   */
+  checkWorkerCanConfirm(worker, serviceLocation = {}) {
+    if (worker.isAvailable === false) {
+      return { allowed: false, reason: 'This worker is not taking bookings right now' };
+    }
+    if (!serviceLocation.district || !worker.servesLocation(serviceLocation.district, serviceLocation.city)) {
+      return { allowed: false, reason: 'The service location is outside the worker\'s service area' };
+    }
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Price of an instant booking from the worker's rates
+   * Hourly rate for the booked duration, but never below the minimum charge
+   * @param {Document} worker
+   * @param {Object} window - { start, end }
+   * @returns {Number|undefined} undefined when the worker has no rates set
+   */
+  estimatePrice(worker, { start, end }) {
+    if (!worker.hourlyRate && !worker.minimumCharge) return undefined;
+
+    const hours = (end - start) / (60 * 60 * 1000);
+    const hourly = Math.round((worker.hourlyRate || 0) * hours * 100) / 100;
+    return Math.max(hourly, worker.minimumCharge || 0);
+  }
+
+  /**
+   * Confirm a new booking if the customer booked instantly or the worker
+   * auto-accepts bookings
+   * @param {Document} booking - Newly created booking
+   * @param {Document} worker - Worker profile
+   * @param {Object} options - { instant }
+   * @returns {Promise<String|null>} 'instant', 'auto-accept' or null (left for the worker)
+   */
+  async confirmIfAllowed(booking, worker, { instant = false } = {}) {
+    if (!worker || booking.isCrewBooking()) return null;
+
+    let mode = null;
+    if (instant) {
+      mode = 'instant';
+      booking.quotedPrice = this.estimatePrice(worker, booking.getScheduledWindow());
+    } else if (worker.preferences?.autoAcceptBookings &&
+        this.checkWorkerCanConfirm(worker, booking.serviceLocation).allowed) {
+      mode = 'auto-accept';
+    }
+    if (!mode) return null;
+
+    booking.workerResponse = {
+      respondedAt: new Date(),
+      responseTime: 0,
+      action: 'accepted'
+    };
+    await booking.transitionTo('accepted', {
+      role: 'system',
+      note: mode === 'instant' ? 'Instant booking' : 'Auto-accepted by worker preference'
+    });
+
+    // Another booking may have passed the caller's check at the same time.
+    // Both are saved as accepted before either looks again, so at least one
+    // sees the other and gives the slot up - in a tight race both may, but
+    // the worker is never booked twice.
+    const { start, end } = booking.getScheduledWindow();
+    const conflicts = await Booking.findConflicts(booking.workerId, start, end, { excludeBookingId: booking._id });
+    if (conflicts.length) {
+      await this.releaseSlot(booking, mode);
+      if (mode === 'instant') {
+        throw new AppError('This time slot was just booked by someone else. Please choose another time', 409);
+      }
+      return null;
+    }
+
+    logger.info(`Booking ${booking._id} confirmed (${mode})`);
+    return mode;
+  }
+
+  /**
+   * Give up a slot another booking confirmed at the same time
+   * An instant booking is removed since the customer asked for a confirmed
+   * slot; an auto-accepted one goes back to 'pending' for the worker
+   * @param {Document} booking
+   * @param {String} mode - 'instant' or 'auto-accept'
+   */
+  async releaseSlot(booking, mode) {
+    logger.info(`Booking ${booking._id} lost its slot to a concurrent booking (${mode})`);
+
+    if (mode === 'instant') {
+      await Booking.deleteOne({ _id: booking._id });
+      return;
+    }
+
+    booking.statusHistory.push({
+      from: booking.status,
+      status: 'pending',
+      role: 'system',
+      note: 'Slot taken by another booking'
+    });
+    booking.status = 'pending';
+    booking.workerResponse = undefined;
+    await booking.save();
+  }
+
+  /**
+   * Tell both parties a booking was confirmed without a worker response
+   * @param {Document} booking
+   * @param {Document} customer
+   * @param {String} mode - 'instant' or 'auto-accept'
+   */
+  async notifyConfirmed(booking, customer, mode) {
+    const when = `${booking.scheduledDate.toDateString()}${booking.preferredTimeSlot ? ` (${booking.preferredTimeSlot})` : ''}`;
+    const price = booking.quotedPrice ? ` for LKR ${booking.quotedPrice}` : '';
+
+    await firebaseService.notify(booking.customerId, 'booking-accepted', 'Booking Confirmed',
+      `Your ${booking.serviceType} booking on ${when} is confirmed${price}`,
+      { relatedUser: booking.workerId, relatedBooking: booking._id });
+
+    await firebaseService.notify(booking.workerId, 'booking-received', 'New Booking Confirmed',
+      `${customer.fullName} ${mode === 'instant' ? 'instantly booked' : 'booked'} a ${booking.serviceType} job on ${when}${price}. ` +
+      `It was confirmed automatically and is on your calendar.`,
+      { relatedUser: customer._id, relatedBooking: booking._id, priority: 'high' });
+  }
+}
+
+module.exports = new InstantBookingService();
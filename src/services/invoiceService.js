@@ -0,0 +1,285 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Quote = require('../models/Quote');
+const User = require('../models/User');
+const Worker = require('../models/Worker');
+const Payment = require('../models/Payment');
+const { INVOICE, CONTACT_INFO } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const { formatCurrency, formatDate } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Invoice Service
+ * Issues one numbered invoice per completed booking and renders it as a PDF.
+ *
+ * The invoice is built from the accepted quote (breakdown, additional charges,
+ * discount) and the booking's final price; any difference between the two is
+ * shown as an adjustment. Prices are tax inclusive, so tax and the platform
+ * fee are shown as parts of the total. Numbers come from the 'invoice'
+ * Counter sequence and are never reused. The invoice is inserted first and
+ * only the request that inserted it takes a number, so concurrent requests
+ * do not leave gaps in the sequence.
+ */
+
+const round = value => Math.round(value * 100) / 100;
+
+class InvoiceService {
+  /**
+   * Invoice for a completed booking, issuing it on first request
+   * @param {Document} booking - Completed booking
+   * @returns {Promise<Document>} The invoice
+   */
+  async getOrCreateInvoice(booking) {
+    const existing = await Invoice.findOne({ bookingId: booking._id });
+    if (existing?.invoiceNumber) return existing;
+
+    if (!existing && booking.status !== 'completed') {
+      throw new AppError('An invoice is issued once the booking is completed', 409);
+    }
+
+    if (!existing) {
+      const data = await this.buildInvoiceData(booking);
+      const result = await Invoice.findOneAndUpdate(
+        { bookingId: booking._id },
+        { $setOnInsert: data },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+
+      if (!result.lastErrorObject?.updatedExisting) {
+        return this.assignNumber(result.value);
+      }
+    }
+
+    return this.claimUnnumbered(booking);
+  }
+
+  /**
+   * Give a newly inserted invoice the next number of the sequence
+   * @param {Document} invoice - Invoice without a number
+   * @returns {Promise<Document>} The numbered invoice
+   */
+  async assignNumber(invoice) {
+    const seq = await Counter.next('invoice');
+    const invoiceNumber = `${INVOICE.NUMBER_PREFIX}-${String(seq).padStart(INVOICE.NUMBER_DIGITS, '0')}`;
+
+    const numbered = await Invoice.findOneAndUpdate(
+      { _id: invoice._id },
+      { $set: { invoiceNumber } },
+      { new: true }
+    );
+
+    logger.info(`Invoice ${invoiceNumber} issued for booking ${invoice.bookingId}`);
+    return numbered;
+  }
+
+  /**
+   * Invoice inserted by another request
+   * It is numbered by that request; if it is still unnumbered after
+   * NUMBERING_TIMEOUT_SECONDS that request failed, and this one numbers it.
+   * @param {Document} booking
+   * @returns {Promise<Document>} The numbered invoice
+   */
+  async claimUnnumbered(booking) {
+    const stale = new Date(Date.now() - INVOICE.NUMBERING_TIMEOUT_SECONDS * 1000);
+
+    const claimed = await Invoice.findOneAndUpdate(
+      { bookingId: booking._id, invoiceNumber: { $exists: false }, issuedAt: { $lt: stale } },
+      { $set: { issuedAt: new Date() } },
+      { new: true }
+    );
+    if (claimed) return this.assignNumber(claimed);
+
+    const invoice = await Invoice.findOne({ bookingId: booking._id });
+    if (!invoice?.invoiceNumber) {
+      throw new AppError('The invoice is being issued, please try again shortly', 409);
+    }
+    return invoice;
+  }
+
+  /**
+   * Invoice fields for a booking
+   * @param {Document} booking
+   * @returns {Promise<Object>}
+   */
+  async buildInvoiceData(booking) {
+    const [quote, customer, workerUser, worker] = await Promise.all([
+      Quote.findOne({ bookingId: booking._id, workerId: booking.workerId, status: 'accepted' })
+        .sort({ createdAt: -1 }),
+      User.findById(booking.customerId).select('fullName email phoneNumber'),
+      User.findById(booking.workerId).select('fullName phoneNumber'),
+      Worker.findOne({ userId: booking.workerId }).select('businessName')
+    ]);
+
+    const quoted = quote ? quote.getNormalizedTotal() : null;
+    const total = round(booking.finalPrice ?? quoted?.total ?? booking.quotedPrice ?? 0);
+
+    const lineItems = quote?.breakdown.length
+      ? quote.breakdown.map(line => ({
+        description: line.description ? `${line.item} - ${line.description}` : line.item,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        amount: line.totalPrice
+      }))
+      : [{
+        description: `${booking.serviceType} service`,
+        quantity: 1,
+        unitPrice: quoted ? quoted.subtotal : total,
+        amount: quoted ? quoted.subtotal : total
+      }];
+
+    const taxPercentage = INVOICE.TAX_PERCENTAGE;
+    const { platformFee } = Payment.splitAmount(total);
+
+    return {
+      bookingId: booking._id,
+      quoteId: quote?._id,
+      customerId: booking.customerId,
+      workerId: booking.workerId,
+      billTo: {
+        name: customer?.fullName,
+        email: customer?.email,
+        phone: booking.contactPhone || customer?.phoneNumber,
+        address: [booking.serviceLocation?.address, booking.getLocationString()].filter(Boolean).join(', ')
+      },
+      provider: {
+        name: workerUser?.fullName,
+        businessName: worker?.businessName,
+        phone: workerUser?.phoneNumber
+      },
+      serviceType: booking.serviceType,
+      serviceDate: booking.completedAt || booking.scheduledDate,
+      lineItems,
+      additionalCharges: (quote?.additionalCharges || []).map(charge => ({
+        description: charge.name,
+        amount: charge.amount
+      })),
+      discount: {
+        description: quote?.discount?.reason || 'Discount',
+        amount: quoted?.discount || 0
+      },
+      adjustment: quoted ? round(total - quoted.total) : 0,
+      total,
+      tax: {
+        label: INVOICE.TAX_LABEL,
+        percentage: taxPercentage,
+        amount: round(total * taxPercentage / (100 + taxPercentage))
+      },
+      platformFee
+    };
+  }
+
+  /**
+   * Render an invoice as a PDF
+   * @param {Document} invoice
+   * @param {Object} options - { amountPaid } net amount paid so far
+   * @returns {Promise<Buffer>}
+   */
+  renderPdf(invoice, { amountPaid = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = 50;
+      const right = doc.page.width - 50;
+      const money = amount => formatCurrency(amount, false);
+
+      // Header
+      doc.fontSize(22).font('Helvetica-Bold').text('FixMate', left, 50);
+      doc.fontSize(9).font('Helvetica').fillColor('#555')
+        .text(CONTACT_INFO.ADDRESS)
+        .text(`${CONTACT_INFO.EMAIL}  |  ${CONTACT_INFO.PHONE}`);
+
+      doc.fillColor('#000').fontSize(18).font('Helvetica-Bold')
+        .text('INVOICE', left, 50, { align: 'right' });
+      doc.fontSize(10).font('Helvetica')
+        .text(`Invoice No: ${invoice.invoiceNumber}`, { align: 'right' })
+        .text(`Issued: ${formatDate(invoice.issuedAt, 'short')}`, { align: 'right' })
+        .text(`Booking: ${invoice.bookingId}`, { align: 'right' });
+
+      // Parties
+      const partiesTop = 140;
+      doc.font('Helvetica-Bold').text('Bill To', left, partiesTop);
+      doc.font('Helvetica')
+        .text(invoice.billTo.name || '-')
+        .text(invoice.billTo.address || '')
+        .text(invoice.billTo.phone || '')
+        .text(invoice.billTo.email || '');
+
+      doc.font('Helvetica-Bold').text('Service Provider', 320, partiesTop);
+      doc.font('Helvetica')
+        .text(invoice.provider.businessName || invoice.provider.name || '-', 320)
+        .text(invoice.provider.businessName ? invoice.provider.name : '', 320)
+        .text(invoice.provider.phone || '', 320)
+        .text(`Service: ${invoice.serviceType} on ${formatDate(invoice.serviceDate, 'short')}`, 320);
+
+      // Line items
+      const columns = { description: left, quantity: 330, unitPrice: 390, amount: 470 };
+      let y = 250;
+
+      const row = (cells, { bold = false } = {}) => {
+        if (y > doc.page.height - 120) {
+          doc.addPage();
+          y = 50;
+        }
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        doc.text(cells.description, columns.description, y, { width: 270 });
+        const height = doc.y - y;
+        if (cells.quantity !== undefined) doc.text(cells.quantity, columns.quantity, y, { width: 50, align: 'right' });
+        if (cells.unitPrice !== undefined) doc.text(cells.unitPrice, columns.unitPrice, y, { width: 70, align: 'right' });
+        doc.text(cells.amount, columns.amount, y, { width: right - columns.amount, align: 'right' });
+        y += Math.max(height, 14) + 6;
+      };
+
+      const rule = () => {
+        doc.moveTo(left, y - 3).lineTo(right, y - 3).strokeColor('#ccc').stroke();
+        y += 4;
+      };
+
+      row({ description: 'Description', quantity: 'Qty', unitPrice: 'Unit Price', amount: `Amount (${invoice.currency})` }, { bold: true });
+      rule();
+
+      for (const line of invoice.lineItems) {
+        row({
+          description: line.description,
+          quantity: String(line.quantity),
+          unitPrice: money(line.unitPrice),
+          amount: money(line.amount)
+        });
+      }
+      for (const charge of invoice.additionalCharges) {
+        row({ description: charge.description, amount: money(charge.amount) });
+      }
+      if (invoice.discount.amount > 0) {
+        row({ description: invoice.discount.description, amount: `-${money(invoice.discount.amount)}` });
+      }
+      if (invoice.adjustment !== 0) {
+        row({ description: 'Final price adjustment on completion', amount: money(invoice.adjustment) });
+      }
+      rule();
+
+      // Totals
+      row({ description: 'Total', amount: formatCurrency(invoice.total) }, { bold: true });
+      if (invoice.tax.percentage > 0) {
+        row({ description: `Includes ${invoice.tax.label} (${invoice.tax.percentage}%)`, amount: money(invoice.tax.amount) });
+      }
+      row({ description: `Includes FixMate platform fee (${invoice.platformFee.percentage}%)`, amount: money(invoice.platformFee.amount) });
+      y += 6;
+      row({ description: 'Amount paid', amount: money(amountPaid) });
+      row({ description: 'Balance due', amount: formatCurrency(Math.max(round(invoice.total - amountPaid), 0)) }, { bold: true });
+
+      doc.fontSize(8).fillColor('#777').font('Helvetica')
+        .text('Thank you for using FixMate. This invoice was generated electronically and is valid without a signature.',
+          left, doc.page.height - 90, { width: right - left, align: 'center' });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,127 @@
+const os = require('os');
+const crypto = require('crypto');
+const ScheduledJob = require('../models/ScheduledJob');
+const { SCHEDULED_JOBS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Job Scheduler
+ * In-process runner for recurring background jobs. Schedules and locks live
+ * in the ScheduledJob collection, so jobs survive restarts and only one
+ * instance runs a given job at a time.
+ */
+
+class JobScheduler {
+  constructor() {
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.handlers = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register a recurring job
+   * @param {String} name - Unique job name
+   * @param {Number} intervalMs - Time between runs
+   * @param {Function} handler - async () => result (stored as lastResult)
+   */
+  register(name, intervalMs, handler) {
+    this.handlers.set(name, { intervalMs, handler });
+  }
+
+  /**
+   * Persist registered jobs and start polling for due ones
+   */
+  async start() {
+    if (this.timer) return;
+
+    for (const [name, { intervalMs }] of this.handlers) {
+      await ScheduledJob.updateOne(
+        { name },
+        {
+          $set: { intervalMs },
+          $setOnInsert: { name, nextRunAt: new Date() }
+        },
+        { upsert: true }
+      );
+    }
+
+    this.timer = setInterval(() => this.tick(), SCHEDULED_JOBS.POLL_INTERVAL_MS);
+    this.timer.unref();
+
+    logger.info(`Job scheduler started (${this.handlers.size} jobs, instance ${this.instanceId})`);
+    this.tick();
+  }
+
+  /**
+   * Stop polling. A job that is already running finishes on its own.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Job scheduler stopped');
+    }
+  }
+
+  /**
+   * Run every registered job that is due and not locked elsewhere
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (const name of this.handlers.keys()) {
+        const job = await ScheduledJob.claim(name, this.instanceId, SCHEDULED_JOBS.LOCK_TTL_MS);
+        if (job) {
+          await this.runJob(name);
+        }
+      }
+    } catch (error) {
+      logger.error(`Job scheduler tick failed: ${error.message}`);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Run a claimed job and release its lock
+   */
+  async runJob(name) {
+    const { handler } = this.handlers.get(name);
+    const startedAt = Date.now();
+
+    try {
+      const result = await handler();
+      const durationMs = Date.now() - startedAt;
+
+      await ScheduledJob.release(name, this.instanceId, { result, durationMs });
+      logger.info(`Job '${name}' finished in ${durationMs}ms`, { result });
+    } catch (error) {
+      const durationMs = Date.now() - startedAt;
+
+      await ScheduledJob.release(name, this.instanceId, { error: error.message, durationMs });
+      logger.error(`Job '${name}' failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run a job now, outside its schedule (still honours the lock)
+   * @returns {Promise<Boolean>} false if another instance holds the lock
+   */
+  async runNow(name) {
+    if (!this.handlers.has(name)) {
+      throw new Error(`Unknown job '${name}'`);
+    }
+
+    await ScheduledJob.updateOne({ name }, { $set: { nextRunAt: new Date() } });
+    const job = await ScheduledJob.claim(name, this.instanceId, SCHEDULED_JOBS.LOCK_TTL_MS);
+    if (!job) return false;
+
+    await this.runJob(name);
+    return true;
+  }
+}
+
+module.exports = new JobScheduler();
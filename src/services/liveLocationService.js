@@ -0,0 +1,102 @@
+const LocationPing = require('../models/LocationPing');
+const geocodingService = require('./geocodingService');
+const chatGateway = require('./chatGateway');
+const { LIVE_LOCATION } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Live Location Service
+ * Worker position and ETA while the worker is on the way to a job.
+ *
+ * Sharing only works while the booking is 'accepted'. The worker posts
+ * positions; the customer polls the latest one or receives 'location:update'
+ * events on their open chat socket. The ETA is the straight-line distance to
+ * serviceLocation.coordinates at LIVE_LOCATION.AVERAGE_SPEED_KMH. Positions
+ * are discarded once the booking leaves 'accepted' (Booking.transitionTo).
+ */
+
+const MINUTE = 60 * 1000;
+
+class LiveLocationService {
+  /**
+   * Worker shares their current position
+   * @param {Document} booking - Accepted booking
+   * @param {Document} user - Assigned worker
+   * @param {Object} position - { latitude, longitude, accuracy, heading }
+   * @returns {Promise<Object>} { position, eta, ignored } ignored when posted too soon after the last one
+   */
+  async share(booking, user, { latitude, longitude, accuracy, heading }) {
+    this.assertSharing(booking);
+
+    const latest = await LocationPing.getLatest(booking._id);
+    if (latest && Date.now() - latest.recordedAt < LIVE_LOCATION.MIN_INTERVAL_SECONDS * 1000) {
+      return { position: latest, eta: this.getEta(booking, latest), ignored: true };
+    }
+
+    const position = await LocationPing.create({
+      bookingId: booking._id,
+      workerId: user._id,
+      latitude,
+      longitude,
+      accuracy,
+      heading
+    });
+    const eta = this.getEta(booking, position);
+
+    chatGateway.emitToUser(booking.customerId, 'location:update', {
+      bookingId: booking._id.toString(),
+      position: { latitude: position.latitude, longitude: position.longitude, recordedAt: position.recordedAt },
+      eta
+    });
+
+    return { position, eta, ignored: false };
+  }
+
+  /**
+   * Latest shared position and ETA for a booking
+   * @param {Document} booking - Accepted booking
+   * @returns {Promise<Object|null>} { position, eta, stale } or null if nothing was shared yet
+   */
+  async getLatest(booking) {
+    this.assertSharing(booking);
+
+    const position = await LocationPing.getLatest(booking._id);
+    if (!position) return null;
+
+    return {
+      position,
+      eta: this.getEta(booking, position),
+      stale: Date.now() - position.recordedAt > LIVE_LOCATION.STALE_AFTER_MINUTES * MINUTE
+    };
+  }
+
+  /**
+   * Straight-line ETA from a position to the job
+   * @returns {Object|null} { distanceKm, minutes, arrivesAt } or null when the job has no coordinates
+   */
+  getEta(booking, position) {
+    const destination = booking.serviceLocation?.coordinates;
+    if (destination?.latitude == null || destination?.longitude == null) return null;
+
+    const { distanceKm } = geocodingService.calculateStraightLineDistance(
+      { latitude: position.latitude, longitude: position.longitude },
+      { latitude: destination.latitude, longitude: destination.longitude }
+    );
+    const km = parseFloat(distanceKm);
+    const minutes = Math.ceil(km / LIVE_LOCATION.AVERAGE_SPEED_KMH * 60);
+
+    return {
+      distanceKm: km,
+      minutes,
+      arrivesAt: new Date(position.recordedAt.getTime() + minutes * MINUTE)
+    };
+  }
+
+  assertSharing(booking) {
+    if (booking.status !== 'accepted') {
+      throw new AppError('Live location is only available while the worker is on the way to an accepted booking', 409);
+    }
+  }
+}
+
+module.exports = new LiveLocationService();
@@ -0,0 +1,107 @@
+const Booking = require('../models/Booking');
+const firebaseService = require('./firebaseService');
+const paymentService = require('./paymentService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Milestone Service
+ * Staged payments for large jobs.
+ *
+ * The worker's quote defines the milestones; accepting it copies them onto
+ * the booking. The worker marks a milestone done from a work progress update,
+ * the customer approves it and a charge for its amount is created. The
+ * milestone is 'approved' (money held) until that charge settles, then
+ * 'paid'. Settlement is applied by paymentService.settleMilestone.
+ */
+
+const ACTIVE_STATUSES = ['accepted', 'in-progress'];
+
+class MilestoneService {
+  /**
+   * Worker marks a milestone as done
+   * @param {Document} booking
+   * @param {Document} user - Worker on the job
+   * @param {String} milestoneId
+   * @returns {Object} The milestone (booking saved by the caller)
+   */
+  markCompleted(booking, user, milestoneId) {
+    const milestone = this.getMilestone(booking, milestoneId);
+
+    if (!ACTIVE_STATUSES.includes(booking.status)) {
+      throw new AppError('Milestones can only be completed on an accepted or in-progress booking', 409);
+    }
+    if (milestone.status !== 'pending') {
+      throw new AppError(`This milestone is already ${milestone.status}`, 409);
+    }
+
+    milestone.status = 'completed';
+    milestone.completedAt = new Date();
+    milestone.completedBy = user._id;
+
+    return milestone;
+  }
+
+  /**
+   * Customer approves a completed milestone and pays for it
+   * @param {Document} booking
+   * @param {Document} user - Customer
+   * @param {String} milestoneId
+   * @param {Object} params - { paymentMethod }
+   * @returns {Promise<Object>} { milestone, payment, summary }
+   */
+  async approve(booking, user, milestoneId, { paymentMethod }) {
+    const milestone = this.getMilestone(booking, milestoneId);
+
+    if (milestone.status !== 'completed') {
+      throw new AppError(
+        milestone.status === 'pending'
+          ? 'The worker has not marked this milestone as done yet'
+          : `This milestone is already ${milestone.status}`,
+        409
+      );
+    }
+
+    const payment = await paymentService.createCharge(booking, {
+      amount: milestone.amount,
+      paymentMethod,
+      changedBy: user._id,
+      milestoneId: milestone._id
+    });
+
+    // The charge may already have settled (and marked the milestone) by now
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, milestones: { $elemMatch: { _id: milestone._id, status: 'completed' } } },
+      {
+        $set: {
+          'milestones.$.status': 'approved',
+          'milestones.$.approvedAt': new Date(),
+          'milestones.$.paymentId': payment._id
+        }
+      },
+      { new: true }
+    ) || await Booking.findById(booking._id);
+
+    await firebaseService.notify(booking.workerId, 'payment-received', 'Milestone Approved',
+      `${user.fullName} approved "${milestone.title}" (LKR ${milestone.amount}) on your ${booking.serviceType} job`,
+      { relatedUser: user._id, relatedBooking: booking._id });
+
+    logger.info(`Milestone ${milestone._id} of booking ${booking._id} approved, charge ${payment.paymentId}`);
+
+    return {
+      milestone: updated.milestones.id(milestone._id),
+      payment,
+      summary: Booking.getMilestoneSummary(updated.milestones)
+    };
+  }
+
+  getMilestone(booking, milestoneId) {
+    const milestone = booking.milestones.id(milestoneId);
+    if (!milestone) {
+      throw new AppError('Milestone not found', 404);
+    }
+    return milestone;
+  }
+}
+
+module.exports = new MilestoneService();
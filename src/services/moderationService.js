@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const Message = require('../models/Message');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const { MODERATION } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Moderation Service
+ * User reports, account suspension and automatic escalation
+ */
+
+class ModerationService {
+  /**
+   * Find the user accountable for a reported item
+   * @param {String} targetType - user, review, message or booking
+   * @param {String} targetId - Id of the reported item
+   * @param {ObjectId} reporterId - Reporting user (for booking/message access checks)
+   * @returns {Promise<ObjectId>} Reported user id
+   */
+  async resolveReportedUser(targetType, targetId, reporterId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw new AppError(`Invalid ${targetType} id`, 400);
+    }
+
+    const reporter = reporterId.toString();
+
+    switch (targetType) {
+      case 'user': {
+        const user = await User.findById(targetId).select('_id');
+        if (!user) throw new AppError('User not found', 404);
+        return user._id;
+      }
+
+      case 'review': {
+        const review = await Review.findById(targetId).select('customerId');
+        if (!review) throw new AppError('Review not found', 404);
+        return review.customerId;
+      }
+
+      case 'message': {
+        const message = await Message.findById(targetId).select('senderId receiverId');
+        if (!message) throw new AppError('Message not found', 404);
+        if (message.receiverId.toString() !== reporter) {
+          throw new AppError('You can only report messages sent to you', 403);
+        }
+        return message.senderId;
+      }
+
+      case 'booking': {
+        const booking = await Booking.findById(targetId).select('customerId workerId');
+        if (!booking) throw new AppError('Booking not found', 404);
+
+        if (booking.customerId.toString() === reporter && booking.workerId) {
+          return booking.workerId;
+        }
+        if (booking.workerId && booking.workerId.toString() === reporter) {
+          return booking.customerId;
+        }
+        throw new AppError('You can only report bookings you are part of', 403);
+      }
+
+      default:
+        throw new AppError(`Cannot report a '${targetType}'`, 400);
+    }
+  }
+
+  /**
+   * File a report and escalate if the reported user passes the threshold
+   * @param {Document} reporter - Reporting user
+   * @param {Object} params - { targetType, targetId, reason, description, evidence }
+   * @returns {Promise<Object>} { report, suspended }
+   */
+  async fileReport(reporter, { targetType, targetId, reason, description, evidence = [] }) {
+    const reportedUserId = await this.resolveReportedUser(targetType, targetId, reporter._id);
+
+    if (reportedUserId.toString() === reporter._id.toString()) {
+      throw new AppError('You cannot report yourself', 400);
+    }
+
+    const existing = await Report.findOne({
+      reporterId: reporter._id,
+      targetType,
+      targetId,
+      status: { $in: ['open', 'in-review'] }
+    });
+    if (existing) {
+      throw new AppError('You have already reported this and it is being reviewed', 409);
+    }
+
+    const report = await Report.create({
+      reporterId: reporter._id,
+      targetType,
+      targetId,
+      reportedUserId,
+      reason,
+      description,
+      evidence: Array.isArray(evidence) ? evidence : [evidence]
+    });
+
+    // Reported reviews also show up in the review moderation list
+    if (targetType === 'review') {
+      await Review.findByIdAndUpdate(targetId, {
+        isFlagged: true,
+        $push: { flagReasons: { reason, flaggedBy: reporter._id } }
+      });
+    }
+
+    logger.info(`Report ${report._id} filed against user ${reportedUserId} (${targetType}: ${reason})`);
+
+    const suspended = await this.checkEscalation(report);
+    return { report, suspended };
+  }
+
+  /**
+   * Suspend a user automatically once enough distinct users reported them
+   * @param {Document} report - The report that was just filed
+   * @returns {Promise<Boolean>} true if the user was suspended
+   */
+  async checkEscalation(report) {
+    const since = new Date(Date.now() - MODERATION.REPORT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const reporters = await Report.countDistinctReporters(report.reportedUserId, since);
+
+    if (reporters < MODERATION.AUTO_SUSPEND_REPORT_THRESHOLD) return false;
+
+    const user = await User.findById(report.reportedUserId).select('accountStatus role');
+    if (!user || user.accountStatus !== 'active' || user.role === 'admin') return false;
+
+    await this.suspendUser(
+      user._id,
+      `Automatically suspended after reports from ${reporters} users. An admin will review your account.`
+    );
+
+    report.escalated = true;
+    await report.save();
+
+    logger.warn(`User ${user._id} auto-suspended after ${reporters} reports`);
+    return true;
+  }
+
+  /**
+   * Suspend a user account and notify them
+   * @param {ObjectId} userId - User to suspend
+   * @param {String} reason - Shown to the user
+   * @returns {Promise<Document|null>} The updated user, or null if not found
+   */
+  async suspendUser(userId, reason) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { accountStatus: 'suspended' },
+      { new: true }
+    );
+
+    if (!user) return null;
+
+    await Notification.create({
+      userId: user._id,
+      type: 'account-suspended',
+      title: 'Account Suspended',
+      message: `Your account has been suspended. Reason: ${reason}`,
+      priority: 'high'
+    });
+
+    return user;
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,105 @@
+const MockGateway = require('./gateways/mockGateway');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Payment Gateway Service
+ * Adapter in front of the configured payment provider. Every provider
+ * implements the same contract:
+ *   initiate(params)                       -> { reference, status, checkoutUrl }
+ *   capture(reference, amount)             -> { reference, status, amount }
+ *   refund(reference, amount)              -> { reference, refundReference, status, amount }
+ *   verifyWebhookSignature(raw, signature) -> Boolean
+ *   parseWebhookEvent(body)                -> { id, type, reference, amount, failureReason }
+ */
+
+const REQUIRED_METHODS = ['initiate', 'capture', 'refund', 'verifyWebhookSignature', 'parseWebhookEvent'];
+
+// Payment methods that go through the gateway (cash is settled in person)
+const GATEWAY_METHODS = ['card', 'bank-transfer', 'mobile-wallet'];
+
+// The offline mock provider settles anything it is asked to, so it is never
+// available outside local development and tests
+const MOCK_ENVIRONMENTS = ['development', 'test'];
+
+class PaymentGatewayService {
+  constructor() {
+    this.providers = new Map();
+    this.activeName = process.env.PAYMENT_GATEWAY_PROVIDER || 'mock';
+    this.signatureHeader = 'x-payment-signature';
+
+    if (MOCK_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+      this.registerProvider(new MockGateway({
+        webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET
+      }));
+    }
+
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+      logger.warn('⚠️ PAYMENT_WEBHOOK_SECRET is not set - payment gateway webhooks will be rejected');
+    }
+  }
+
+  /**
+   * Register a provider implementation
+   * @param {Object} provider - Object with a name and the gateway contract methods
+   */
+  registerProvider(provider) {
+    const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+    if (!provider.name || missing.length > 0) {
+      throw new Error(`Invalid payment provider '${provider.name}': missing ${missing.join(', ')}`);
+    }
+
+    this.providers.set(provider.name, provider);
+    logger.info(`Payment gateway provider registered: ${provider.name}`);
+  }
+
+  /**
+   * Whether the configured provider is registered
+   */
+  isConfigured() {
+    return this.providers.has(this.activeName);
+  }
+
+  /**
+   * Currently configured provider
+   * Throws a 503 AppError when it is not registered (e.g. the mock provider
+   * in production), so gateway payments are refused instead of erroring
+   */
+  getProvider(name = this.activeName) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      logger.error(`Payment gateway provider '${name}' is not registered`);
+      throw new AppError('Payment gateway is not configured', 503);
+    }
+    return provider;
+  }
+
+  /**
+   * Whether a payment method is charged through the gateway
+   */
+  isGatewayMethod(paymentMethod) {
+    return GATEWAY_METHODS.includes(paymentMethod);
+  }
+
+  async initiate(params) {
+    return this.getProvider().initiate(params);
+  }
+
+  async capture(reference, amount, providerName) {
+    return this.getProvider(providerName).capture(reference, amount);
+  }
+
+  async refund(reference, amount, providerName) {
+    return this.getProvider(providerName).refund(reference, amount);
+  }
+
+  verifyWebhookSignature(rawBody, signature, providerName) {
+    return this.getProvider(providerName).verifyWebhookSignature(rawBody, signature);
+  }
+
+  parseWebhookEvent(body, providerName) {
+    return this.getProvider(providerName).parseWebhookEvent(body);
+  }
+}
+
+module.exports = new PaymentGatewayService();
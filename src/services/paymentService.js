@@ -0,0 +1,441 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Worker = require('../models/Worker');
+const Customer = require('../models/Customer');
+const User = require('../models/User');
+const paymentGatewayService = require('./paymentGatewayService');
+const firebaseService = require('./firebaseService');
+const emailService = require('./emailService');
+const invoiceService = require('./invoiceService');
+const { PAYMENT_STATUS } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Payment Service
+ * Single place that writes to the payment ledger and keeps the booking,
+ * worker earnings and customer spend in step with it
+ */
+
+class PaymentService {
+  /**
+   * Amount due for a booking (final price, then accepted quote)
+   */
+  getAmountDue(booking) {
+    return booking.finalPrice || booking.quotedPrice || booking.quote?.amount || 0;
+  }
+
+  /**
+   * Create a pending charge for a booking
+   * milestoneId ties the charge to one milestone of the booking's payment plan
+   */
+  async createCharge(booking, { amount, paymentMethod, changedBy = null, milestoneId = null }) {
+    const chargeAmount = amount !== undefined ? Number(amount) : this.getAmountDue(booking);
+
+    if (!chargeAmount || chargeAmount <= 0) {
+      throw new AppError('Payment amount must be greater than zero', 400);
+    }
+
+    await this.assertCanCharge(booking, chargeAmount, milestoneId);
+
+    const method = paymentMethod || booking.paymentMethod || 'cash';
+    if (paymentGatewayService.isGatewayMethod(method) && !paymentGatewayService.isConfigured()) {
+      throw new AppError('Payment gateway is not configured', 503);
+    }
+
+    const split = Payment.splitAmount(chargeAmount);
+
+    const payment = await Payment.create({
+      bookingId: booking._id,
+      customerId: booking.customerId._id || booking.customerId,
+      workerId: booking.workerId._id || booking.workerId,
+      type: 'charge',
+      amount: chargeAmount,
+      ...split,
+      workerShares: booking.isCrewBooking() ? booking.getCrewShares(split.workerAmount) : [],
+      milestoneId,
+      paymentMethod: method,
+      statusHistory: [{ status: PAYMENT_STATUS.PENDING, changedBy }]
+    });
+
+    logger.logPayment(payment.paymentId, payment.amount, payment.status, {
+      bookingId: booking._id.toString()
+    });
+
+    if (paymentGatewayService.isGatewayMethod(payment.paymentMethod)) {
+      try {
+        await this.initiateGatewayCharge(payment);
+      } catch (error) {
+        // Close the charge so it does not block the next attempt
+        await this.failPayment(payment, changedBy, 'Payment gateway could not start the charge');
+        throw error;
+      }
+    }
+
+    if (!milestoneId) {
+      await Booking.findByIdAndUpdate(booking._id, {
+        paymentMethod: payment.paymentMethod,
+        paymentStatus: await this.getPaymentStatus(booking._id)
+      });
+    }
+
+    return payment;
+  }
+
+  /**
+   * Booking paymentStatus from the ledger for a lump-sum (non-milestone) booking
+   * Refunds count against the amount paid
+   * @param {ObjectId} bookingId
+   * @returns {Promise<String>} 'paid', 'partially-paid' or 'unpaid'
+   */
+  async getPaymentStatus(bookingId) {
+    const booking = await Booking.findById(bookingId).select('finalPrice quotedPrice quote');
+    const amountDue = booking ? this.getAmountDue(booking) : 0;
+    const { gross: netPaid } = await Payment.getLedgerTotals({ bookingId });
+
+    if (netPaid <= 0) return 'unpaid';
+    return amountDue && netPaid < amountDue ? 'partially-paid' : 'paid';
+  }
+
+  /**
+   * Guard against paying the same thing twice
+   * Only one charge per booking (or per milestone) may be open at a time, and
+   * a lump payment may not take the net amount paid past the amount due
+   */
+  async assertCanCharge(booking, chargeAmount, milestoneId = null) {
+    const open = await Payment.exists({
+      bookingId: booking._id,
+      type: 'charge',
+      milestoneId,
+      status: { $in: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PROCESSING] }
+    });
+    if (open) {
+      throw new AppError('A payment for this booking is already in progress', 409);
+    }
+
+    if (milestoneId) return;
+
+    const amountDue = this.getAmountDue(booking);
+    if (!amountDue) return;
+
+    const { gross: netPaid } = await Payment.getLedgerTotals({ bookingId: booking._id });
+    const outstanding = Math.round((amountDue - netPaid) * 100) / 100;
+
+    if (outstanding <= 0) {
+      throw new AppError('This booking has already been paid', 409);
+    }
+    if (chargeAmount > outstanding) {
+      throw new AppError(`Payment amount exceeds the outstanding balance of LKR ${outstanding}`, 400);
+    }
+  }
+
+  /**
+   * Open a payment intent with the gateway and move the charge to processing
+   * The charge completes when the gateway webhook confirms it
+   */
+  async initiateGatewayCharge(payment) {
+    const provider = paymentGatewayService.getProvider();
+    const intent = await provider.initiate({
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentId: payment.paymentId,
+      bookingId: payment.bookingId.toString(),
+      method: payment.paymentMethod
+    });
+
+    payment.gateway = {
+      provider: provider.name,
+      reference: intent.reference,
+      checkoutUrl: intent.checkoutUrl
+    };
+
+    await payment.transitionTo(PAYMENT_STATUS.PROCESSING, null, `Gateway intent ${intent.reference} created`);
+    return payment;
+  }
+
+  /**
+   * Mark a charge as completed and credit the booking, worker and customer
+   */
+  async completePayment(payment, changedBy = null, note = null) {
+    await payment.transitionTo(PAYMENT_STATUS.COMPLETED, changedBy, note);
+
+    if (payment.type === 'charge') {
+      const paymentStatus = payment.milestoneId
+        ? await this.settleMilestone(payment, 'paid')
+        : await this.getPaymentStatus(payment.bookingId);
+
+      await Booking.findByIdAndUpdate(payment.bookingId, {
+        paymentStatus,
+        paymentMethod: payment.paymentMethod,
+        paymentDetails: {
+          transactionId: payment.gateway?.reference || payment.paymentId,
+          paidAt: payment.completedAt,
+          amount: payment.amount
+        }
+      });
+
+      await this.creditWorkers(payment.getWorkerShares(), 1);
+      await Customer.updateOne(
+        { userId: payment.customerId },
+        { $inc: { totalSpent: payment.amount } }
+      );
+    }
+
+    logger.logPayment(payment.paymentId, payment.amount, payment.status);
+    return payment;
+  }
+
+  /**
+   * Mark a payment as failed
+   */
+  async failPayment(payment, changedBy = null, reason = null) {
+    await payment.transitionTo(PAYMENT_STATUS.FAILED, changedBy, reason);
+
+    if (payment.type === 'charge') {
+      const paymentStatus = payment.milestoneId
+        ? await this.settleMilestone(payment, 'failed')
+        : await this.getPaymentStatus(payment.bookingId);
+
+      await Booking.findByIdAndUpdate(payment.bookingId, { paymentStatus });
+    }
+
+    logger.logPayment(payment.paymentId, payment.amount, payment.status, { reason });
+    return payment;
+  }
+
+  /**
+   * Refund (part of) a completed charge
+   * Writes a completed refund entry that reverses the platform fee and
+   * worker share proportionally
+   */
+  async refundPayment(charge, { amount, reason, changedBy = null }) {
+    const refundable = charge.getRefundableAmount();
+    const refundAmount = amount !== undefined ? Number(amount) : refundable;
+
+    if (!refundAmount || refundAmount <= 0 || refundAmount > refundable) {
+      throw new AppError(`Refund amount must be between 0 and ${refundable}`, 400);
+    }
+
+    let gateway;
+    if (charge.gateway?.reference) {
+      const result = await paymentGatewayService.refund(
+        charge.gateway.reference,
+        refundAmount,
+        charge.gateway.provider
+      );
+      gateway = {
+        provider: charge.gateway.provider,
+        reference: charge.gateway.reference,
+        refundReference: result.refundReference
+      };
+    }
+
+    const ratio = refundAmount / charge.amount;
+    const refund = await Payment.create({
+      bookingId: charge.bookingId,
+      customerId: charge.customerId,
+      workerId: charge.workerId,
+      type: 'refund',
+      refundOf: charge._id,
+      amount: refundAmount,
+      platformFee: {
+        percentage: charge.platformFee.percentage,
+        amount: Math.round(charge.platformFee.amount * ratio * 100) / 100
+      },
+      workerAmount: Math.round(charge.workerAmount * ratio * 100) / 100,
+      workerShares: charge.workerShares.map(share => ({
+        workerId: share.workerId,
+        amount: Math.round(share.amount * ratio * 100) / 100
+      })),
+      paymentMethod: charge.paymentMethod,
+      reason,
+      gateway,
+      status: PAYMENT_STATUS.COMPLETED,
+      completedAt: new Date(),
+      statusHistory: [{ status: PAYMENT_STATUS.COMPLETED, changedBy, note: reason }]
+    });
+
+    charge.refundedAmount = Math.round((charge.refundedAmount + refundAmount) * 100) / 100;
+    const fullyRefunded = charge.refundedAmount >= charge.amount;
+
+    if (fullyRefunded) {
+      await charge.transitionTo(PAYMENT_STATUS.REFUNDED, changedBy, reason);
+      await Booking.findByIdAndUpdate(charge.bookingId, { paymentStatus: 'refunded' });
+    } else {
+      await charge.save();
+    }
+
+    await this.creditWorkers(refund.getWorkerShares(), -1);
+    await Customer.updateOne(
+      { userId: charge.customerId },
+      { $inc: { totalSpent: -refund.amount } }
+    );
+
+    logger.logPayment(refund.paymentId, refund.amount, refund.status, {
+      refundOf: charge.paymentId,
+      fullyRefunded
+    });
+
+    return { refund, charge, fullyRefunded };
+  }
+
+  /**
+   * Apply a settled milestone charge to its milestone
+   * Paid marks it paid; failed sends it back to 'completed' so the customer
+   * can approve it again
+   * @param {Document} payment - Milestone charge
+   * @param {String} outcome - 'paid' or 'failed'
+   * @returns {Promise<String>} Booking paymentStatus for the schedule
+   */
+  async settleMilestone(payment, outcome) {
+    const update = outcome === 'paid'
+      ? { 'milestones.$.status': 'paid', 'milestones.$.paidAt': payment.completedAt }
+      : { 'milestones.$.status': 'completed', 'milestones.$.paymentId': null };
+
+    const booking = await Booking.findOneAndUpdate(
+      { _id: payment.bookingId, 'milestones._id': payment.milestoneId },
+      { $set: update },
+      { new: true }
+    );
+
+    const { total, paid } = Booking.getMilestoneSummary(booking?.milestones);
+    if (paid > 0 && paid >= total) return 'paid';
+    return paid > 0 ? 'partially-paid' : 'unpaid';
+  }
+
+  /**
+   * Add (sign 1) or take back (sign -1) worker earnings, share by share
+   */
+  async creditWorkers(shares, sign) {
+    await Promise.all(shares.map(share => Worker.updateOne(
+      { userId: share.workerId },
+      { $inc: { totalEarnings: sign * share.amount } }
+    )));
+  }
+
+  /**
+   * Apply a verified gateway webhook event to the matching charge
+   * Events that were already applied are ignored so gateway retries are safe
+   * @param {Object} event - Normalised event { type, reference, amount, failureReason }
+   * @returns {Promise<Object>} { payment, applied }
+   */
+  async handleGatewayEvent(event) {
+    const payment = await Payment.findOne({
+      'gateway.reference': event.reference,
+      type: 'charge'
+    });
+
+    if (!payment) {
+      throw new AppError(`No payment found for gateway reference '${event.reference}'`, 404);
+    }
+
+    switch (event.type) {
+      case 'payment.authorized': {
+        if (payment.status !== PAYMENT_STATUS.PROCESSING) break;
+
+        const result = await paymentGatewayService.capture(
+          payment.gateway.reference,
+          payment.amount,
+          payment.gateway.provider
+        );
+        if (result.status === 'succeeded') {
+          await this.completePayment(payment, null, 'Captured via gateway');
+          await this.notifyPaymentCompleted(payment);
+          return { payment, applied: true };
+        }
+        break;
+      }
+
+      case 'payment.succeeded':
+        if (!payment.canTransitionTo(PAYMENT_STATUS.COMPLETED)) break;
+
+        await this.completePayment(payment, null, 'Confirmed by gateway');
+        await this.notifyPaymentCompleted(payment);
+        return { payment, applied: true };
+
+      case 'payment.failed':
+        if (!payment.canTransitionTo(PAYMENT_STATUS.FAILED)) break;
+
+        await this.failPayment(payment, null, event.failureReason || 'Declined by gateway');
+        return { payment, applied: true };
+
+      default:
+        logger.warn(`Unhandled payment gateway event type: ${event.type}`);
+    }
+
+    return { payment, applied: false };
+  }
+
+  /**
+   * Tell the worker (push + in-app) and the customer (email receipt)
+   * that a charge went through. Failures here never fail the payment.
+   */
+  async notifyPaymentCompleted(payment) {
+    const [worker, customer, booking] = await Promise.all([
+      User.findById(payment.workerId),
+      User.findById(payment.customerId),
+      Booking.findById(payment.bookingId)
+    ]);
+
+    try {
+      if (worker) {
+        await firebaseService.sendPaymentNotification(worker._id, worker.fcmToken, {
+          paymentId: payment.paymentId,
+          amount: payment.amount
+        });
+      }
+    } catch (notifError) {
+      logger.warn(`⚠️ Payment notification failed (non-critical): ${notifError.message}`);
+    }
+
+    try {
+      if (customer?.email) {
+        await emailService.sendPaymentReceiptEmail(customer.email, customer.fullName, {
+          paymentId: payment.paymentId,
+          bookingId: payment.bookingId.toString(),
+          serviceType: booking?.serviceType,
+          date: payment.completedAt,
+          method: payment.paymentMethod,
+          amount: payment.amount
+        }, await this.getInvoiceAttachment(booking));
+      }
+    } catch (emailError) {
+      logger.warn(`⚠️ Payment receipt email failed (non-critical): ${emailError.message}`);
+    }
+  }
+
+  /**
+   * Invoice PDF for the receipt email, once the booking is completed
+   * @returns {Promise<Object|null>} { invoiceNumber, pdf }
+   */
+  async getInvoiceAttachment(booking) {
+    if (booking?.status !== 'completed') return null;
+
+    try {
+      const invoice = await invoiceService.getOrCreateInvoice(booking);
+      const { netPaid } = await this.getBookingSummary(booking._id);
+      const pdf = await invoiceService.renderPdf(invoice, { amountPaid: netPaid });
+      return { invoiceNumber: invoice.invoiceNumber, pdf };
+    } catch (error) {
+      logger.warn(`⚠️ Invoice generation failed (non-critical): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Net ledger summary for a booking (paid minus refunds)
+   */
+  async getBookingSummary(bookingId) {
+    const totals = await Payment.getLedgerTotals({
+      bookingId: new mongoose.Types.ObjectId(bookingId)
+    });
+    return {
+      netPaid: totals.gross,
+      platformFee: totals.platformFee,
+      workerAmount: totals.workerAmount
+    };
+  }
+}
+
+module.exports = new PaymentService();
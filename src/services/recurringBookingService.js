@@ -0,0 +1,419 @@
+const BookingSeries = require('../models/BookingSeries');
+const Booking = require('../models/Booking');
+const Worker = require('../models/Worker');
+const Block = require('../models/Block');
+const firebaseService = require('./firebaseService');
+const calendarService = require('./calendarService');
+const { RECURRING_BOOKINGS } = require('../config/constants');
+const { AppError } = require('../middleware/errorHandler');
+const { pick } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+/**
+ * Recurring Booking Service
+ * Booking series (weekly, fortnightly, monthly) and the Booking documents
+ * generated from them.
+ *
+ * A series starts 'pending' until the worker accepts it. Active series book
+ * occurrences RECURRING_BOOKINGS.LOOKAHEAD_DAYS ahead, as 'accepted'
+ * bookings; occurrences the worker's calendar cannot take are recorded in
+ * series.skipped instead of being booked.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Series fields copied onto each generated booking
+const OCCURRENCE_FIELDS = [
+  'customerId',
+  'workerId',
+  'serviceType',
+  'problemDescription',
+  'serviceLocation',
+  'contactPhone',
+  'preferredTimeSlot',
+  'estimatedDuration',
+  'customerBudget',
+  'specialInstructions'
+];
+
+class RecurringBookingService {
+  /**
+   * Create a series for a customer, waiting for the worker to accept
+   * @param {Document} customer - Booking customer
+   * @param {Object} params - Booking fields plus { frequency, startDate, endDate, occurrenceCount }
+   * @returns {Promise<Document>} The series
+   */
+  async createSeries(customer, params) {
+    const { workerId, frequency, startDate, endDate, occurrenceCount } = params;
+
+    if (!RECURRING_BOOKINGS.FREQUENCIES[frequency]) {
+      throw new AppError(`frequency must be one of: ${Object.keys(RECURRING_BOOKINGS.FREQUENCIES).join(', ')}`, 400);
+    }
+
+    const anchorDate = new Date(startDate);
+    if (isNaN(anchorDate) || anchorDate <= new Date()) {
+      throw new AppError('startDate must be a future date', 400);
+    }
+
+    if (!endDate && !occurrenceCount) {
+      throw new AppError('Either endDate or occurrenceCount is required', 400);
+    }
+    if (endDate && new Date(endDate) < anchorDate) {
+      throw new AppError('endDate must be on or after startDate', 400);
+    }
+
+    const worker = await Worker.findOne({ userId: workerId }).select('userId');
+    if (!worker) {
+      throw new AppError('Worker not found', 404);
+    }
+
+    if (await Block.isBlockedBetween(customer._id, workerId)) {
+      throw new AppError('You cannot book this worker', 403);
+    }
+
+    const series = new BookingSeries({
+      ...pick(params, OCCURRENCE_FIELDS),
+      customerId: customer._id,
+      frequency,
+      anchorDate,
+      endDate,
+      occurrenceCount
+    });
+
+    await this.assertFirstOccurrenceAvailable(series);
+    await series.save();
+
+    await firebaseService.notify(series.workerId, 'booking-received', 'New Recurring Booking Request',
+      `${customer.fullName} wants to book you ${frequency} for ${series.serviceType}`, { relatedUser: customer._id });
+
+    return series;
+  }
+
+  /**
+   * Worker accepts or declines a pending series
+   * @param {Document} series
+   * @param {Document} worker - Responding worker user
+   * @param {Boolean} accept
+   * @returns {Promise<Object>} { series, created, skipped }
+   */
+  async respond(series, worker, accept) {
+    if (series.status !== 'pending') {
+      throw new AppError(`This series is already ${series.status}`, 409);
+    }
+
+    series.status = accept ? 'active' : 'declined';
+    series.respondedAt = new Date();
+
+    let result = { created: 0, skipped: 0 };
+    if (accept) {
+      await this.assertFirstOccurrenceAvailable(series);
+      result = await this.generateOccurrences(series);
+    } else {
+      await series.save();
+    }
+
+    await firebaseService.notify(series.customerId,
+      accept ? 'booking-accepted' : 'booking-declined',
+      accept ? 'Recurring Booking Accepted' : 'Recurring Booking Declined',
+      `${worker.fullName} ${accept ? 'accepted' : 'declined'} your ${series.frequency} ${series.serviceType} booking`,
+      { relatedUser: worker._id });
+
+    return { series, ...result };
+  }
+
+  /**
+   * Book every occurrence that falls inside the lookahead window
+   * @param {Document} series - Active series
+   * @param {Date} horizon - Book occurrences up to this date
+   * @returns {Promise<Object>} { created, skipped }
+   */
+  async generateOccurrences(series, horizon = new Date(Date.now() + RECURRING_BOOKINGS.LOOKAHEAD_DAYS * DAY)) {
+    let created = 0;
+    let skipped = 0;
+
+    while (series.status === 'active') {
+      const scheduledDate = series.getOccurrenceDate(series.nextIndex);
+      if (scheduledDate > horizon) break;
+
+      if (series.isPastEnd(scheduledDate)) {
+        series.status = 'completed';
+        break;
+      }
+
+      const occurrence = series.nextIndex;
+      series.nextIndex += 1;
+      series.occurrencesPlanned += 1;
+
+      if (scheduledDate <= new Date()) continue;
+
+      const window = Booking.getScheduledWindow({
+        scheduledDate,
+        preferredTimeSlot: series.preferredTimeSlot,
+        estimatedDuration: series.estimatedDuration
+      });
+      const availability = await calendarService.checkAvailability(series.workerId, window);
+
+      if (!availability.available) {
+        series.skipped.push({ scheduledDate, reason: availability.reason });
+        skipped += 1;
+
+        await firebaseService.notify(series.customerId, 'booking-cancelled', 'Recurring Booking Skipped',
+          `Your ${series.serviceType} on ${scheduledDate.toDateString()} was not booked: ${availability.reason}`,
+          { relatedUser: series.workerId });
+        continue;
+      }
+
+      await Booking.create({
+        ...pick(series.toObject(), OCCURRENCE_FIELDS),
+        scheduledDate,
+        status: 'accepted',
+        seriesId: series._id,
+        seriesOccurrence: occurrence,
+        statusHistory: [{
+          status: 'accepted',
+          role: 'system',
+          note: `Occurrence ${occurrence + 1} of recurring series`
+        }]
+      });
+      created += 1;
+    }
+
+    series.lastGeneratedAt = new Date();
+    await series.save();
+
+    if (created > 0 || skipped > 0) {
+      logger.info(`Series ${series._id}: booked ${created}, skipped ${skipped} occurrence(s)`);
+    }
+
+    return { created, skipped };
+  }
+
+  /**
+   * Generate upcoming occurrences for every active series (background job)
+   * @returns {Promise<Object>} { series, created, skipped }
+   */
+  async generateDueOccurrences() {
+    const activeSeries = await BookingSeries.find({ status: 'active' });
+    const totals = { series: activeSeries.length, created: 0, skipped: 0 };
+
+    for (const series of activeSeries) {
+      try {
+        const { created, skipped } = await this.generateOccurrences(series);
+        totals.created += created;
+        totals.skipped += skipped;
+      } catch (error) {
+        logger.error(`Generating occurrences for series ${series._id} failed: ${error.message}`);
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Skip a single occurrence (cancels its booking)
+   * @param {Document} series
+   * @param {Document} booking - Occurrence of the series
+   * @param {Document} user - Customer or worker of the series
+   * @param {String} reason
+   * @returns {Promise<Document>} The cancelled booking
+   */
+  async skipOccurrence(series, booking, user, reason) {
+    const role = series.getPartyRole(user._id);
+    this.assertUpcoming(series, booking);
+
+    booking.cancellationReason = reason || 'Occurrence skipped';
+    await booking.transitionTo('cancelled', {
+      changedBy: user._id,
+      role,
+      note: 'Skipped occurrence of recurring series'
+    });
+
+    series.skipped.push({
+      scheduledDate: booking.scheduledDate,
+      bookingId: booking._id,
+      reason: booking.cancellationReason,
+      skippedBy: user._id
+    });
+    await series.save();
+
+    await firebaseService.notify(otherParty(series, role), 'booking-cancelled', 'Occurrence Skipped',
+      `${user.fullName} skipped the ${series.serviceType} on ${booking.scheduledDate.toDateString()}`,
+      { relatedUser: user._id, relatedBooking: booking._id });
+
+    return booking;
+  }
+
+  /**
+   * Move a single occurrence to another date/time
+   * @param {Document} series
+   * @param {Document} booking - Occurrence of the series
+   * @param {Document} user - Customer or worker of the series
+   * @param {Object} changes - { scheduledDate, preferredTimeSlot }
+   * @returns {Promise<Document>} The updated booking
+   */
+  async rescheduleOccurrence(series, booking, user, { scheduledDate, preferredTimeSlot }) {
+    const role = series.getPartyRole(user._id);
+    this.assertUpcoming(series, booking);
+
+    const newDate = new Date(scheduledDate);
+    if (isNaN(newDate) || newDate <= new Date()) {
+      throw new AppError('scheduledDate must be a future date', 400);
+    }
+
+    const window = Booking.getScheduledWindow({
+      scheduledDate: newDate,
+      preferredTimeSlot: preferredTimeSlot || booking.preferredTimeSlot,
+      estimatedDuration: booking.estimatedDuration
+    });
+    const availability = await calendarService.checkAvailability(series.workerId, window, {
+      excludeBookingId: booking._id
+    });
+    if (!availability.available) {
+      throw new AppError(availability.reason, 409);
+    }
+
+    const previousDate = booking.scheduledDate;
+    booking.scheduledDate = newDate;
+    if (preferredTimeSlot) booking.preferredTimeSlot = preferredTimeSlot;
+    booking.reminderSentAt = undefined;
+    await booking.save();
+
+    await firebaseService.notify(otherParty(series, role), 'booking-rescheduled', 'Occurrence Rescheduled',
+      `${user.fullName} moved the ${series.serviceType} on ${previousDate.toDateString()} to ${newDate.toDateString()}`,
+      { relatedUser: user._id, relatedBooking: booking._id });
+
+    return booking;
+  }
+
+  /**
+   * Move every upcoming occurrence to a new schedule
+   * Upcoming bookings are cancelled and rebooked from the new startDate
+   * @param {Document} series - Active series
+   * @param {Document} user - Customer or worker of the series
+   * @param {Object} changes - { startDate, frequency, preferredTimeSlot }
+   * @returns {Promise<Object>} { series, created, skipped }
+   */
+  async rescheduleSeries(series, user, { startDate, frequency, preferredTimeSlot }) {
+    const role = series.getPartyRole(user._id);
+
+    if (series.status !== 'active') {
+      throw new AppError(`Only active series can be rescheduled (this one is ${series.status})`, 409);
+    }
+
+    const anchorDate = new Date(startDate);
+    if (isNaN(anchorDate) || anchorDate <= new Date()) {
+      throw new AppError('startDate must be a future date', 400);
+    }
+    if (frequency && !RECURRING_BOOKINGS.FREQUENCIES[frequency]) {
+      throw new AppError(`frequency must be one of: ${Object.keys(RECURRING_BOOKINGS.FREQUENCIES).join(', ')}`, 400);
+    }
+
+    const released = await this.cancelUpcoming(series, user, role, 'Recurring series rescheduled');
+
+    series.anchorDate = anchorDate;
+    series.nextIndex = 0;
+    series.occurrencesPlanned = Math.max(0, series.occurrencesPlanned - released);
+    if (frequency) series.frequency = frequency;
+    if (preferredTimeSlot) series.preferredTimeSlot = preferredTimeSlot;
+
+    await this.assertFirstOccurrenceAvailable(series);
+    const result = await this.generateOccurrences(series);
+
+    await firebaseService.notify(otherParty(series, role), 'booking-rescheduled', 'Recurring Booking Rescheduled',
+      `${user.fullName} moved your ${series.serviceType} series to start on ${anchorDate.toDateString()}`,
+      { relatedUser: user._id });
+
+    return { series, ...result };
+  }
+
+  /**
+   * Cancel a series and every upcoming occurrence
+   * @param {Document} series
+   * @param {Document} user - Customer or worker of the series (or admin)
+   * @param {String} role - Role of the user
+   * @param {String} reason
+   * @returns {Promise<Object>} { series, cancelledBookings }
+   */
+  async cancelSeries(series, user, role, reason) {
+    if (!['pending', 'active'].includes(series.status)) {
+      throw new AppError(`This series is already ${series.status}`, 409);
+    }
+
+    const cancelledBookings = await this.cancelUpcoming(series, user, role, reason || 'Recurring series cancelled');
+
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    series.cancelledBy = role;
+    series.cancellationReason = reason;
+    await series.save();
+
+    if (role !== 'admin') {
+      await firebaseService.notify(otherParty(series, role), 'booking-cancelled', 'Recurring Booking Cancelled',
+        `${user.fullName} cancelled the ${series.frequency} ${series.serviceType} series`,
+        { relatedUser: user._id });
+    }
+
+    return { series, cancelledBookings };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Cancel the series' bookings that have not started yet
+   * @returns {Promise<Number>} Number of cancelled bookings
+   */
+  async cancelUpcoming(series, user, role, reason) {
+    const upcoming = await Booking.find({
+      seriesId: series._id,
+      status: { $in: ['pending', 'accepted'] },
+      scheduledDate: { $gt: new Date() }
+    });
+
+    for (const booking of upcoming) {
+      booking.cancellationReason = reason;
+      await booking.transitionTo('cancelled', {
+        changedBy: user._id,
+        role,
+        note: reason
+      });
+    }
+
+    return upcoming.length;
+  }
+
+  /**
+   * The first occurrence of a (re)scheduled series must fit the worker's calendar
+   */
+  async assertFirstOccurrenceAvailable(series) {
+    const availability = await calendarService.checkAvailability(series.workerId, Booking.getScheduledWindow({
+      scheduledDate: series.anchorDate,
+      preferredTimeSlot: series.preferredTimeSlot,
+      estimatedDuration: series.estimatedDuration
+    }));
+
+    if (!availability.available) {
+      throw new AppError(`The first occurrence cannot be booked: ${availability.reason}`, 409);
+    }
+  }
+
+  /**
+   * Only upcoming, accepted occurrences of this series can be skipped or moved
+   */
+  assertUpcoming(series, booking) {
+    if (!booking.seriesId || booking.seriesId.toString() !== series._id.toString()) {
+      throw new AppError('Booking is not part of this series', 404);
+    }
+    if (booking.status !== 'accepted' || booking.scheduledDate <= new Date()) {
+      throw new AppError('Only upcoming occurrences can be changed', 409);
+    }
+  }
+}
+
+/**
+ * The other party of a series
+ */
+const otherParty = (series, role) => (role === 'worker' ? series.customerId : series.workerId);
+
+module.exports = new RecurringBookingService();
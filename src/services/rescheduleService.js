@@ -0,0 +1,181 @@
+const Booking = require('../models/Booking');
+const firebaseService = require('./firebaseService');
+const calendarService = require('./calendarService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Reschedule Service
+ * Customer and worker negotiate a new date/time slot for a booking.
+ *
+ * Either side proposes; the other side accepts, declines or counter-proposes.
+ * Only one proposal is pending at a time and every proposal stays in
+ * booking.rescheduleProposals as the history. The booking only moves when a
+ * proposal is accepted and the worker's calendar can take the new slot.
+ */
+
+const RESCHEDULABLE_STATUSES = ['pending', 'accepted'];
+const TIME_SLOTS = ['morning', 'afternoon', 'evening', 'flexible'];
+
+class RescheduleService {
+  /**
+   * Propose a new date/time (or counter the other side's pending proposal)
+   * @param {Document} booking
+   * @param {Document} user - Customer or worker of the booking
+   * @param {String} role - 'customer' or 'worker'
+   * @param {Object} params - { scheduledDate, preferredTimeSlot, note }
+   * @returns {Promise<Object>} The new proposal
+   */
+  async propose(booking, user, role, { scheduledDate, preferredTimeSlot, note }) {
+    this.assertReschedulable(booking);
+
+    const newDate = new Date(scheduledDate);
+    if (isNaN(newDate) || newDate <= new Date()) {
+      throw new AppError('scheduledDate must be a future date', 400);
+    }
+    if (preferredTimeSlot && !TIME_SLOTS.includes(preferredTimeSlot)) {
+      throw new AppError(`preferredTimeSlot must be one of: ${TIME_SLOTS.join(', ')}`, 400);
+    }
+
+    const pending = booking.getPendingReschedule();
+    let countered = false;
+
+    if (pending) {
+      if (pending.proposedByRole === role) {
+        throw new AppError('You already have a reschedule proposal waiting for an answer', 409);
+      }
+      pending.status = 'countered';
+      pending.respondedBy = user._id;
+      pending.respondedAt = new Date();
+      countered = true;
+    }
+
+    booking.rescheduleProposals.push({
+      proposedBy: user._id,
+      proposedByRole: role,
+      scheduledDate: newDate,
+      preferredTimeSlot: preferredTimeSlot || booking.preferredTimeSlot,
+      note,
+      previousDate: booking.scheduledDate,
+      previousTimeSlot: booking.preferredTimeSlot
+    });
+    await booking.save();
+
+    const proposal = booking.rescheduleProposals[booking.rescheduleProposals.length - 1];
+
+    await firebaseService.notify(otherParty(booking, role), 'booking-rescheduled', countered ? 'New Time Proposed' : 'Reschedule Requested',
+      `${user.fullName} ${countered ? 'suggested another time' : 'asked to move'} your ${booking.serviceType} booking to ${describeSlot(proposal)}`,
+      { relatedUser: user._id, relatedBooking: booking._id });
+
+    return proposal;
+  }
+
+  /**
+   * Accept the pending proposal and move the booking
+   * @param {Document} booking
+   * @param {String} proposalId
+   * @param {Document} user - The party the proposal was sent to
+   * @param {String} role
+   * @returns {Promise<Document>} The rescheduled booking
+   */
+  async accept(booking, proposalId, user, role) {
+    this.assertReschedulable(booking);
+    const proposal = this.getAnswerableProposal(booking, proposalId, role);
+
+    const window = Booking.getScheduledWindow({
+      scheduledDate: proposal.scheduledDate,
+      preferredTimeSlot: proposal.preferredTimeSlot,
+      estimatedDuration: booking.estimatedDuration
+    });
+    // A crew job moves only if every member can make the new time
+    for (const workerId of booking.getWorkerIds()) {
+      const availability = await calendarService.checkAvailability(workerId, window, {
+        excludeBookingId: booking._id
+      });
+      if (!availability.available) {
+        throw new AppError(availability.reason, 409);
+      }
+    }
+
+    proposal.status = 'accepted';
+    proposal.respondedBy = user._id;
+    proposal.respondedAt = new Date();
+
+    booking.scheduledDate = proposal.scheduledDate;
+    booking.preferredTimeSlot = proposal.preferredTimeSlot;
+    booking.reminderSentAt = undefined;
+    await booking.save();
+
+    await firebaseService.notify(proposal.proposedBy, 'booking-rescheduled', 'Booking Rescheduled',
+      `${user.fullName} accepted the new time for your ${booking.serviceType} booking: ${describeSlot(proposal)}`,
+      { relatedUser: user._id, relatedBooking: booking._id });
+
+    logger.info(`Booking ${booking._id} rescheduled to ${proposal.scheduledDate.toISOString()}`);
+    return booking;
+  }
+
+  /**
+   * Decline the pending proposal; the booking keeps its schedule
+   * @param {Document} booking
+   * @param {String} proposalId
+   * @param {Document} user - The party the proposal was sent to
+   * @param {String} role
+   * @returns {Promise<Object>} The declined proposal
+   */
+  async decline(booking, proposalId, user, role) {
+    const proposal = this.getAnswerableProposal(booking, proposalId, role);
+
+    proposal.status = 'declined';
+    proposal.respondedBy = user._id;
+    proposal.respondedAt = new Date();
+    await booking.save();
+
+    await firebaseService.notify(proposal.proposedBy, 'booking-rescheduled', 'Reschedule Declined',
+      `${user.fullName} declined moving your ${booking.serviceType} booking. It stays on ${describeSlot({
+        scheduledDate: booking.scheduledDate,
+        preferredTimeSlot: booking.preferredTimeSlot
+      })}`,
+      { relatedUser: user._id, relatedBooking: booking._id });
+
+    return proposal;
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  assertReschedulable(booking) {
+    if (!booking.workerId) {
+      throw new AppError('Only bookings with an assigned worker can be rescheduled', 409);
+    }
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      throw new AppError(`A booking that is '${booking.status}' cannot be rescheduled`, 409);
+    }
+  }
+
+  /**
+   * The pending proposal, if it was sent to this role
+   */
+  getAnswerableProposal(booking, proposalId, role) {
+    const proposal = booking.rescheduleProposals.id(proposalId);
+
+    if (!proposal) {
+      throw new AppError('Reschedule proposal not found', 404);
+    }
+    if (proposal.status !== 'pending') {
+      throw new AppError(`This proposal has already been ${proposal.status}`, 409);
+    }
+    if (proposal.proposedByRole === role) {
+      throw new AppError('You cannot answer your own proposal', 403);
+    }
+
+    return proposal;
+  }
+}
+
+const otherParty = (booking, role) => (role === 'worker' ? booking.customerId : booking.workerId);
+
+const describeSlot = ({ scheduledDate, preferredTimeSlot }) =>
+  `${scheduledDate.toDateString()}${preferredTimeSlot ? ` (${preferredTimeSlot})` : ''}`;
+
+module.exports = new RescheduleService();
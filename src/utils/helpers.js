@@ -431,6 +431,15 @@ const minutesToTime = (minutes) => {
   return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
 };
 
+/**
+ * Same day as date, at an "HH:mm" time (server local time)
+ */
+const setTimeOfDay = (date, time) => {
+  const result = new Date(date);
+  result.setHours(0, timeToMinutes(time), 0, 0);
+  return result;
+};
+
 /**
  * Get date range
  */
@@ -586,6 +595,7 @@ module.exports = {
   // Time Operations
   timeToMinutes,
   minutesToTime,
+  setTimeOfDay,
   getDateRange,
   
   // Async Operations
@@ -0,0 +1,370 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ * Writing for the worker calendar feed and reading for imported calendars.
+ *
+ * The reader only takes what busy-time import needs from each VEVENT: UID,
+ * SUMMARY, STATUS, TRANSP, start/end (DTEND or DURATION), RRULE, EXDATE and
+ * RECURRENCE-ID. Recurrence supports DAILY, WEEKLY (with BYDAY), MONTHLY and
+ * YEARLY rules with INTERVAL, COUNT and UNTIL; other rule parts are ignored.
+ */
+
+const WEEK_DAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_RECURRENCE_PERIODS = 5000;
+
+// ============================================
+// WRITING
+// ============================================
+
+/**
+ * UTC date-time in iCalendar form, e.g. 20240305T083000Z
+ */
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ */
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold lines longer than 75 octets (RFC 5545 §3.1)
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > 75) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n');
+};
+
+// ============================================
+// READING
+// ============================================
+
+/**
+ * Undo escapeText
+ */
+const unescapeText = (value = '') => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([\\;,])/g, '$1');
+
+/**
+ * Split a content line into name, params and value
+ * @returns {Object|null} { name, params, value }
+ */
+const parseLine = (line) => {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @returns {Number} Milliseconds to add to UTC to get wall time
+ */
+const getZoneOffset = (timestamp, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => { parts[type] = Number(value); });
+
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp;
+};
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * UTC ('Z') and TZID times are converted exactly; floating times and unknown
+ * TZIDs (e.g. Windows zone names) are read as server local time.
+ * @returns {Object|null} { date, allDay }
+ */
+const parseDateValue = (value, params = {}) => {
+  const day = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  if (day) {
+    return { date: new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])), allDay: true };
+  }
+
+  const time = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+  if (!time) return null;
+
+  const [year, month, date, hours, minutes, seconds] = time.slice(1, 7).map(Number);
+  const wallTime = Date.UTC(year, month - 1, date, hours, minutes, seconds);
+
+  if (time[7]) {
+    return { date: new Date(wallTime), allDay: false };
+  }
+
+  if (params.TZID) {
+    try {
+      const offset = getZoneOffset(wallTime - getZoneOffset(wallTime, params.TZID), params.TZID);
+      return { date: new Date(wallTime - offset), allDay: false };
+    } catch (error) {
+      // Unknown zone name, fall through to local time
+    }
+  }
+
+  return { date: new Date(year, month - 1, date, hours, minutes, seconds), allDay: false };
+};
+
+/**
+ * Parse a DURATION value, e.g. PT1H30M or P2D
+ * @returns {Number|null} Milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+  if (!match) return null;
+
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map(part => Number(part) || 0);
+  const ms = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return match[1] === '-' ? -ms : ms;
+};
+
+/**
+ * Parse an RRULE value
+ * @returns {Object} { freq, interval, count, until, byDay }
+ */
+const parseRule = (value) => {
+  const parts = {};
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    if (key && val) parts[key.toUpperCase()] = val.toUpperCase();
+  }
+
+  return {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    count: parseInt(parts.COUNT, 10) || null,
+    until: parts.UNTIL ? parseDateValue(parts.UNTIL)?.date || null : null,
+    byDay: parts.BYDAY
+      ? parts.BYDAY.split(',').map(day => day.slice(-2)).filter(day => WEEK_DAYS.includes(day))
+      : null
+  };
+};
+
+/**
+ * Read the events of an iCalendar file
+ * @param {String} text - .ics contents
+ * @returns {Array|null} [{ uid, summary, status, transparent, start, end, allDay, rule, exdates, recurrenceId }],
+ *   null when the text is not a VCALENDAR
+ */
+const parseCalendar = (text) => {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) return null;
+
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  for (const raw of lines) {
+    const line = parseLine(raw.trim());
+    if (!line) continue;
+
+    if (line.name === 'BEGIN') {
+      if (line.value.toUpperCase() === 'VEVENT' && !current) {
+        current = { exdates: [] };
+      } else if (current) {
+        nested += 1; // VALARM and friends
+      }
+      continue;
+    }
+
+    if (line.name === 'END' && current) {
+      if (nested > 0) {
+        nested -= 1;
+      } else if (line.value.toUpperCase() === 'VEVENT') {
+        const event = finishEvent(current);
+        if (event) events.push(event);
+        current = null;
+      }
+      continue;
+    }
+
+    if (!current || nested > 0) continue;
+
+    switch (line.name) {
+      case 'UID':
+        current.uid = line.value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(line.value);
+        break;
+      case 'STATUS':
+        current.status = line.value.toUpperCase();
+        break;
+      case 'TRANSP':
+        current.transparent = line.value.toUpperCase() === 'TRANSPARENT';
+        break;
+      case 'DTSTART':
+        current.dtstart = parseDateValue(line.value, line.params);
+        break;
+      case 'DTEND':
+        current.dtend = parseDateValue(line.value, line.params);
+        break;
+      case 'DURATION':
+        current.duration = parseDuration(line.value);
+        break;
+      case 'RRULE':
+        current.rule = parseRule(line.value);
+        break;
+      case 'EXDATE':
+        for (const value of line.value.split(',')) {
+          const exdate = parseDateValue(value, line.params);
+          if (exdate) current.exdates.push(exdate.date);
+        }
+        break;
+      case 'RECURRENCE-ID':
+        current.recurrenceId = parseDateValue(line.value, line.params)?.date || null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events;
+};
+
+/**
+ * Resolve start/end of a parsed VEVENT
+ * Without DTEND or DURATION an all-day event lasts one day and a timed one
+ * has no length (RFC 5545 §3.6.1)
+ * @returns {Object|null} null when DTSTART is missing or unreadable
+ */
+const finishEvent = ({ dtstart, dtend, duration, ...event }) => {
+  if (!dtstart) return null;
+
+  const start = dtstart.date;
+  let end;
+  if (dtend) {
+    end = dtend.date;
+  } else if (duration != null) {
+    end = new Date(start.getTime() + duration);
+  } else {
+    end = dtstart.allDay ? addDays(start, 1) : new Date(start);
+  }
+
+  return { ...event, start, end, allDay: dtstart.allDay, rule: event.rule || null, recurrenceId: event.recurrenceId || null };
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Candidate starts of the n-th period of a recurrence rule, in order
+ */
+const getPeriodStarts = (start, rule, n) => {
+  const step = n * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [addDays(start, step)];
+    case 'WEEKLY': {
+      const weekday = (start.getDay() + 6) % 7; // Monday = 0
+      const weekStart = addDays(start, step * 7 - weekday);
+      const days = rule.byDay || [WEEK_DAYS[weekday]];
+      return WEEK_DAYS
+        .map((day, index) => (days.includes(day) ? addDays(weekStart, index) : null))
+        .filter(date => date && date >= start);
+    }
+    case 'MONTHLY': {
+      const date = new Date(start);
+      date.setMonth(start.getMonth() + step);
+      return date.getDate() === start.getDate() ? [date] : [];
+    }
+    case 'YEARLY': {
+      const date = new Date(start);
+      date.setFullYear(start.getFullYear() + step);
+      return date.getDate() === start.getDate() ? [date] : [];
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Occurrences of an event overlapping a range
+ * @param {Object} event - From parseCalendar
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Array<Date>} skip - Extra starts to leave out (occurrences moved by a RECURRENCE-ID override)
+ * @returns {Array} [{ start, end }]
+ */
+const expandEvent = (event, from, to, skip = []) => {
+  const length = event.end - event.start;
+  const excluded = new Set([...event.exdates, ...skip].map(date => date.getTime()));
+  const occurrences = [];
+
+  const add = (start) => {
+    const end = new Date(start.getTime() + length);
+    if (start < to && end > from && !excluded.has(start.getTime())) {
+      occurrences.push({ start, end });
+    }
+  };
+
+  if (!event.rule || !getPeriodStarts(event.start, event.rule, 0)) {
+    add(event.start);
+    return occurrences;
+  }
+
+  const { count, until } = event.rule;
+  let seen = 0;
+
+  for (let n = 0; n < MAX_RECURRENCE_PERIODS; n++) {
+    for (const start of getPeriodStarts(event.start, event.rule, n)) {
+      if ((until && start > until) || (count && seen >= count) || start >= to) {
+        return occurrences;
+      }
+      seen += 1;
+      add(start);
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  formatDate,
+  escapeText,
+  foldLine,
+  parseCalendar,
+  expandEvent
+};
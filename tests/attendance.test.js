@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { Booking, User, Worker, LocationPing } = require('../src/models');
+const attendanceService = require('../src/services/attendanceService');
+const firebaseService = require('../src/services/firebaseService');
+const { stubSave } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const MINUTE = 60 * 1000;
+
+describe('Attendance check-in and check-out', () => {
+  let worker;
+  let profile;
+  let booking;
+  const site = { latitude: 6.9271, longitude: 79.8612 };
+
+  beforeEach(() => {
+    worker = new User({ fullName: 'Worker', role: 'worker' });
+    profile = { recordArrival: jest.fn() };
+    booking = stubSave(new Booking({
+      customerId: id(),
+      workerId: worker._id,
+      serviceType: 'plumbing',
+      status: 'accepted',
+      scheduledDate: new Date(Date.now() + 10 * MINUTE),
+      serviceLocation: { district: 'Colombo', coordinates: site }
+    }));
+
+    jest.spyOn(firebaseService, 'notify').mockResolvedValue(null);
+    jest.spyOn(Worker, 'findOne').mockResolvedValue(profile);
+    jest.spyOn(LocationPing, 'discardForBooking').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('starts the job when the worker checks in on site', async () => {
+    await attendanceService.checkIn(booking, worker, site);
+
+    expect(booking.status).toBe('in-progress');
+    expect(booking.checkIn).toMatchObject({ verified: true, minutesLate: 0 });
+    expect(profile.recordArrival).toHaveBeenCalledWith(0, false, true);
+    expect(firebaseService.notify).toHaveBeenCalledWith(
+      booking.customerId, 'worker-nearby', 'Your Worker Has Arrived', expect.any(String),
+      { relatedUser: worker._id, relatedBooking: booking._id, priority: 'high' }
+    );
+  });
+
+  it('refuses a check-in away from the job location', async () => {
+    await expect(attendanceService.checkIn(booking, worker, { latitude: 7.2906, longitude: 80.6337 }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(booking.status).toBe('accepted');
+  });
+
+  it('records a check-in it cannot verify without the job\'s coordinates', async () => {
+    booking.serviceLocation.coordinates = undefined;
+
+    await attendanceService.checkIn(booking, worker, site);
+
+    expect(booking.checkIn.verified).toBe(false);
+    expect(firebaseService.notify).toHaveBeenCalledWith(
+      booking.customerId, 'worker-nearby', 'Your Worker Says They Have Arrived', expect.any(String), expect.any(Object)
+    );
+  });
+
+  it('tells the customer when the worker checks out', async () => {
+    await attendanceService.checkIn(booking, worker, site);
+
+    await attendanceService.checkOut(booking, worker, site);
+
+    expect(booking.checkOut.verified).toBe(true);
+    expect(firebaseService.notify).toHaveBeenLastCalledWith(
+      booking.customerId, 'booking-update', 'Worker Checked Out', expect.any(String),
+      { relatedUser: worker._id, relatedBooking: booking._id }
+    );
+  });
+
+  it('refuses a check-out before check-in', async () => {
+    await expect(attendanceService.checkOut(booking, worker, site)).rejects.toMatchObject({ statusCode: 409 });
+    expect(firebaseService.notify).not.toHaveBeenCalled();
+  });
+});
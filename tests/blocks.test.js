@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { Block, User, Message } = require('../src/models');
+const userController = require('../src/controllers/userController');
+const bookingController = require('../src/controllers/bookingController');
+const chatService = require('../src/services/chatService');
+const { query, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const call = async (handler, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await handler({ params: {}, query: {}, body: {}, user: { firebaseUid: 'uid' }, ...req }, res, next);
+  return { res, next };
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Block model', () => {
+  it('treats a block in either direction as blocking both users', async () => {
+    const [a, b] = [id(), id()];
+    const exists = jest.spyOn(Block, 'exists').mockResolvedValue({ _id: id() });
+
+    await expect(Block.isBlockedBetween(a, b)).resolves.toBe(true);
+    expect(exists).toHaveBeenCalledWith({
+      $or: [
+        { blockerId: a, blockedId: b },
+        { blockerId: b, blockedId: a }
+      ]
+    });
+  });
+
+  it('lists the other side of every block the user is part of', async () => {
+    const user = id();
+    const blockedByUser = id();
+    const blockedUser = id();
+    jest.spyOn(Block, 'find').mockReturnValue(query([
+      { blockerId: user, blockedId: blockedByUser },
+      { blockerId: blockedUser, blockedId: user }
+    ]));
+
+    await expect(Block.getBlockedUserIds(user)).resolves.toEqual([blockedByUser, blockedUser]);
+  });
+});
+
+describe('Blocking users', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ firebaseUid: 'uid' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+  });
+
+  it('refuses to block yourself', async () => {
+    const { res } = await call(userController.blockUser, { params: { id: user._id.toString() } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('blocks idempotently with an upsert', async () => {
+    const target = new User();
+    jest.spyOn(User, 'findById').mockReturnValue(query(target));
+    const upsert = jest.spyOn(Block, 'updateOne').mockResolvedValue({});
+
+    const { res } = await call(userController.blockUser, {
+      params: { id: target._id.toString() },
+      body: { reason: 'Spam' }
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(upsert).toHaveBeenCalledWith(
+      { blockerId: user._id, blockedId: target._id },
+      { $setOnInsert: { blockerId: user._id, blockedId: target._id, reason: 'Spam' } },
+      { upsert: true }
+    );
+  });
+
+  it('answers 404 when unblocking someone who is not blocked', async () => {
+    jest.spyOn(Block, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+
+    const { res } = await call(userController.unblockUser, { params: { id: id().toString() } });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('Blocks are enforced', () => {
+  it('stops a blocked user from sending a message', async () => {
+    const sender = new User();
+    jest.spyOn(User, 'findById').mockResolvedValue(new User());
+    jest.spyOn(Block, 'isBlockedBetween').mockResolvedValue(true);
+    const create = jest.spyOn(Message, 'create');
+
+    await expect(chatService.sendMessage(sender, { receiverId: id(), message: 'Hi' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('stops a customer from booking a worker on either side of a block', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(new User({ firebaseUid: 'uid', role: 'customer' }));
+    jest.spyOn(Block, 'isBlockedBetween').mockResolvedValue(true);
+
+    const { res, next } = await call(bookingController.createBooking, {
+      body: { workerId: id().toString(), serviceType: 'plumbing', scheduledDate: new Date().toISOString() }
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
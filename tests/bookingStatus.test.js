@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const { Booking, User, Worker, Customer, Block, Notification, LocationPing } = require('../src/models');
+const bookingController = require('../src/controllers/bookingController');
+const calendarService = require('../src/services/calendarService');
+const { query, stubSave, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Booking status transitions', () => {
+  it.each(['quote_requested', 'quotes_sent'])('never lets a worker accept a %s booking directly', (status) => {
+    const booking = new Booking({ status });
+
+    expect(booking.canTransitionTo('accepted', 'worker')).toBe(false);
+    expect(booking.canTransitionTo('declined', 'worker')).toBe(true);
+  });
+
+  it('lets the worker answer a pending booking', () => {
+    const booking = new Booking({ status: 'pending' });
+
+    expect(booking.getAllowedTransitions('worker')).toEqual(['accepted', 'declined', 'cancelled']);
+  });
+
+  it('keeps customers from moving a booking forward themselves', () => {
+    expect(new Booking({ status: 'pending' }).canTransitionTo('accepted', 'customer')).toBe(false);
+    expect(new Booking({ status: 'accepted' }).canTransitionTo('in-progress', 'customer')).toBe(false);
+  });
+
+  it('records every change in statusHistory', async () => {
+    const booking = stubSave(new Booking({ customerId: id(), status: 'pending' }));
+    const workerId = id();
+
+    await booking.transitionTo('declined', { changedBy: workerId, role: 'worker', note: 'Fully booked' });
+
+    expect(booking.statusHistory[booking.statusHistory.length - 1]).toMatchObject({
+      from: 'pending',
+      status: 'declined',
+      role: 'worker',
+      note: 'Fully booked'
+    });
+  });
+
+  it('refuses a transition the role may not make', async () => {
+    const booking = stubSave(new Booking({ customerId: id(), status: 'completed' }));
+
+    await expect(booking.transitionTo('accepted', { role: 'worker' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(booking.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /bookings/:id/status', () => {
+  let user;
+  let booking;
+
+  const updateStatus = async (status, role = 'worker') => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await bookingController.updateBookingStatus(
+      { params: { id: booking._id.toString() }, body: { status }, user: { firebaseUid: 'uid', role } },
+      res,
+      next
+    );
+    if (next.mock.calls.length) throw next.mock.calls[0][0];
+    return res;
+  };
+
+  beforeEach(() => {
+    user = new User({ fullName: 'Worker', role: 'worker' });
+    booking = stubSave(new Booking({ customerId: id(), serviceType: 'plumbing', status: 'pending' }));
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(Booking, 'findById').mockImplementation(() => query(booking));
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+    jest.spyOn(calendarService, 'checkAvailability').mockResolvedValue({ available: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a worker who is not assigned to an unassigned booking', async () => {
+    const res = await updateStatus('accepted');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(booking.status).toBe('pending');
+  });
+
+  it('refuses a worker assigned to someone else\'s booking', async () => {
+    booking.workerId = id();
+
+    const res = await updateStatus('declined');
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('refuses accepting a quote request even for the invited worker', async () => {
+    booking.status = 'quotes_sent';
+    booking.workerId = user._id;
+
+    const res = await updateStatus('accepted');
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(booking.status).toBe('quotes_sent');
+  });
+
+  it('lets the assigned worker decline a pending booking', async () => {
+    booking.workerId = user._id;
+
+    const res = await updateStatus('declined');
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(booking.status).toBe('declined');
+  });
+
+  it('lets the assigned worker accept a pending booking when free', async () => {
+    booking.workerId = user._id;
+    booking.scheduledDate = new Date('2026-11-02T09:00:00Z');
+
+    const res = await updateStatus('accepted');
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(calendarService.checkAvailability).toHaveBeenCalledWith(
+      user._id,
+      booking.getScheduledWindow(),
+      { excludeBookingId: booking._id }
+    );
+    expect(booking.status).toBe('accepted');
+  });
+
+  it('refuses to accept a booking that would double-book the worker', async () => {
+    booking.workerId = user._id;
+    const conflicts = [{ bookingId: id() }];
+    calendarService.checkAvailability.mockResolvedValue({ available: false, reason: 'Worker already has a booking', conflicts });
+
+    const res = await updateStatus('accepted');
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Worker already has a booking', conflicts });
+    expect(booking.status).toBe('pending');
+    expect(booking.save).not.toHaveBeenCalled();
+  });
+
+  it('sends a worker starting the job to the check-in endpoint', async () => {
+    booking.workerId = user._id;
+    booking.status = 'accepted';
+
+    const res = await updateStatus('in-progress');
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: expect.stringContaining('POST /bookings/:id/check-in')
+    }));
+    expect(booking.status).toBe('accepted');
+    expect(booking.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /bookings', () => {
+  const customer = new User({ fullName: 'Customer', role: 'customer' });
+
+  const createBooking = async (body) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await bookingController.createBooking({ body, user: { firebaseUid: 'uid', role: 'customer' } }, res, next);
+    if (next.mock.calls.length) throw next.mock.calls[0][0];
+    return res.json.mock.calls[0][0].data.booking;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(customer);
+    jest.spyOn(Block, 'isBlockedBetween').mockResolvedValue(false);
+    jest.spyOn(Worker, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Customer, 'findOne').mockResolvedValue({ incrementBookings: jest.fn() });
+    jest.spyOn(calendarService, 'checkAvailability').mockResolvedValue({ available: true });
+    jest.spyOn(Booking, 'create').mockImplementation(async data => new Booking(data));
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates a booking with a chosen worker as pending, waiting for that worker', async () => {
+    const booking = await createBooking({
+      workerId: id().toString(),
+      serviceType: 'plumbing',
+      problemDescription: 'Leaking tap',
+      scheduledDate: new Date(Date.now() + 86400000).toISOString()
+    });
+
+    expect(booking.status).toBe('pending');
+    expect(booking.canTransitionTo('accepted', 'worker')).toBe(true);
+  });
+});
+
+describe('PUT /bookings/:id/decline', () => {
+  let worker;
+  let booking;
+  let workerProfile;
+
+  const decline = async (reason) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await bookingController.declineBooking(
+      { params: { id: booking._id.toString() }, body: { reason }, user: { firebaseUid: 'uid', role: 'worker' } },
+      res,
+      next
+    );
+    if (next.mock.calls.length) throw next.mock.calls[0][0];
+    return res;
+  };
+
+  beforeEach(() => {
+    worker = new User({ fullName: 'Worker', role: 'worker' });
+    booking = stubSave(new Booking({
+      customerId: id(),
+      workerId: worker._id,
+      serviceType: 'plumbing',
+      status: 'accepted',
+      scheduledDate: new Date(Date.now() + 2 * 60 * 60 * 1000)
+    }));
+    workerProfile = { updateAcceptanceRate: jest.fn() };
+
+    // Leaving 'accepted' discards the worker's live location
+    jest.spyOn(LocationPing, 'discardForBooking').mockResolvedValue();
+
+    jest.spyOn(User, 'findOne').mockResolvedValue(worker);
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+    jest.spyOn(Worker, 'findOne').mockResolvedValue(workerProfile);
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels the booking through the cancellation policy when the lead declines', async () => {
+    const res = await decline('Van broke down');
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(booking.status).toBe('cancelled');
+    expect(booking.cancellation).toMatchObject({ kind: 'worker', fee: 0 });
+    expect(booking.workerResponse).toMatchObject({ action: 'declined', declineReason: 'Van broke down' });
+    expect(workerProfile.updateAcceptanceRate).toHaveBeenCalled();
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: booking.customerId,
+      type: 'booking-declined'
+    }));
+  });
+
+  it('still declines when the customer notification cannot be saved', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Notification.create.mockRejectedValue(new Error('db down'));
+
+    const res = await decline();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(booking.status).toBe('cancelled');
+    expect(booking.cancellationReason).toBe('No reason provided');
+  });
+});
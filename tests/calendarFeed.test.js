@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { Booking, User, Worker } = require('../src/models');
+const calendarFeedService = require('../src/services/calendarFeedService');
+const workerController = require('../src/controllers/workerController');
+const { CALENDAR } = require('../src/config/constants');
+const { query, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Worker calendar feed', () => {
+  let worker;
+  let bookings;
+
+  const booking = (fields = {}) => new Booking({
+    customerId: new User({ fullName: 'Nimal Perera', phoneNumber: '0771234567' }),
+    workerId: worker.userId,
+    serviceType: 'plumbing',
+    status: 'accepted',
+    scheduledDate: new Date('2026-11-02T09:00:00Z'),
+    problemDescription: 'Leaking tap, kitchen; bring washers',
+    serviceLocation: { address: '12 Galle Road', city: 'Dehiwala', district: 'Colombo' },
+    ...fields
+  });
+
+  beforeEach(() => {
+    worker = new Worker({ userId: id(), calendarFeed: { token: 'a'.repeat(48) } });
+    bookings = [];
+
+    jest.spyOn(Worker, 'findOne').mockImplementation(() => query(worker));
+    jest.spyOn(Worker, 'findOneAndUpdate').mockImplementation(async () => worker);
+    jest.spyOn(Booking, 'find').mockImplementation(() => query(bookings));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lists accepted bookings as confirmed events', async () => {
+    const accepted = booking();
+    bookings = [accepted];
+
+    const feed = await calendarFeedService.buildFeed(worker.calendarFeed.token);
+
+    expect(feed).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(feed).toMatch(/END:VCALENDAR\r\n$/);
+    expect(feed).toContain(`UID:booking-${accepted._id}@fixmate.lk`);
+    expect(feed).toContain('STATUS:CONFIRMED');
+    expect(feed).toContain('SUMMARY:plumbing - Nimal Perera');
+    expect(feed).toContain('DESCRIPTION:Leaking tap\\, kitchen\\; bring washers');
+    expect(feed).toContain('LOCATION:12 Galle Road\\, Dehiwala\\, Colombo');
+    expect(Booking.find).toHaveBeenCalledWith(expect.objectContaining({
+      status: { $in: [...CALENDAR.BLOCKING_STATUSES, 'cancelled'] }
+    }));
+  });
+
+  it('keeps cancelled bookings that were accepted so calendars drop them', async () => {
+    const cancelled = booking({
+      status: 'cancelled',
+      statusHistory: [{ from: 'pending', status: 'accepted' }, { from: 'accepted', status: 'cancelled' }]
+    });
+    const neverAccepted = booking({
+      status: 'cancelled',
+      statusHistory: [{ from: 'pending', status: 'cancelled' }]
+    });
+    bookings = [cancelled, neverAccepted];
+
+    const feed = await calendarFeedService.buildFeed(worker.calendarFeed.token);
+
+    expect(feed).toContain(`UID:booking-${cancelled._id}@fixmate.lk`);
+    expect(feed).toContain('STATUS:CANCELLED');
+    expect(feed).toContain('SEQUENCE:2');
+    expect(feed).not.toContain(`UID:booking-${neverAccepted._id}@fixmate.lk`);
+  });
+
+  it('folds long lines at 75 octets', async () => {
+    bookings = [booking({ problemDescription: 'Water heater replacement '.repeat(10) })];
+
+    const feed = await calendarFeedService.buildFeed(worker.calendarFeed.token);
+
+    feed.split('\r\n').forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+  });
+
+  it('has no feed for an unknown token', async () => {
+    Worker.findOne.mockImplementation(() => query(null));
+
+    await expect(calendarFeedService.buildFeed('unknown')).resolves.toBeNull();
+    await expect(calendarFeedService.buildFeed('')).resolves.toBeNull();
+    expect(Booking.find).not.toHaveBeenCalled();
+  });
+
+  it('returns the existing token without rotating it', async () => {
+    await expect(calendarFeedService.getToken(worker.userId)).resolves.toBe(worker.calendarFeed.token);
+    expect(Worker.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('creates a token on first use', async () => {
+    worker.calendarFeed = undefined;
+
+    const token = await calendarFeedService.getToken(worker.userId);
+
+    expect(token).toHaveLength(CALENDAR.FEED_TOKEN_BYTES * 2);
+    expect(Worker.findOneAndUpdate).toHaveBeenCalledWith(
+      { userId: worker.userId },
+      { $set: { 'calendarFeed.token': token, 'calendarFeed.rotatedAt': expect.any(Date) } }
+    );
+  });
+
+  it('issues a new token on rotation', async () => {
+    const token = await calendarFeedService.rotateToken(worker.userId);
+
+    expect(token).not.toBe(worker.calendarFeed.token);
+    expect(token).toHaveLength(CALENDAR.FEED_TOKEN_BYTES * 2);
+  });
+
+  it('serves the feed as text/calendar and 404s unknown tokens', async () => {
+    bookings = [booking()];
+    const res = mockResponse();
+
+    await workerController.getCalendarFeedIcs({ params: { token: worker.calendarFeed.token } }, res, jest.fn());
+
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/calendar; charset=utf-8' }));
+    expect(res.send).toHaveBeenCalledWith(expect.stringContaining('BEGIN:VEVENT'));
+
+    Worker.findOne.mockImplementation(() => query(null));
+    const missing = mockResponse();
+    await workerController.getCalendarFeedIcs({ params: { token: 'unknown' } }, missing, jest.fn());
+
+    expect(missing.status).toHaveBeenCalledWith(404);
+  });
+});
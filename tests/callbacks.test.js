@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { Booking, User } = require('../src/models');
+const callbackService = require('../src/services/callbackService');
+const calendarService = require('../src/services/calendarService');
+const firebaseService = require('../src/services/firebaseService');
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Warranty callbacks', () => {
+  let customer;
+  let booking;
+  const request = { problemDescription: 'Tap is leaking again', scheduledDate: new Date(Date.now() + 2 * DAY) };
+
+  beforeEach(() => {
+    customer = new User({ fullName: 'Customer', role: 'customer' });
+    booking = new Booking({
+      customerId: customer._id,
+      workerId: id(),
+      serviceType: 'plumbing',
+      status: 'completed',
+      completedAt: new Date(Date.now() - 10 * DAY),
+      warranty: { days: 30 }
+    });
+
+    jest.spyOn(Booking, 'exists').mockResolvedValue(null);
+    jest.spyOn(Booking, 'create').mockImplementation(async fields => new Booking(fields));
+    jest.spyOn(calendarService, 'checkAvailability').mockResolvedValue({ available: true });
+    jest.spyOn(firebaseService, 'notify').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('books a free callback with the same worker while the warranty runs', async () => {
+    const callback = await callbackService.raise(booking, customer, request);
+
+    expect(callback).toMatchObject({
+      workerId: booking.workerId,
+      quotedPrice: 0,
+      status: 'pending',
+      callbackOf: booking._id
+    });
+    expect(firebaseService.notify).toHaveBeenCalledWith(
+      booking.workerId, 'callback-requested', 'Warranty Callback', expect.any(String),
+      { relatedUser: customer._id, relatedBooking: callback._id, priority: 'high' }
+    );
+  });
+
+  it('refuses a callback once the warranty has expired', async () => {
+    booking.completedAt = new Date(Date.now() - 31 * DAY);
+
+    await expect(callbackService.raise(booking, customer, request)).rejects.toMatchObject({ statusCode: 409 });
+    expect(Booking.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a callback on a booking without a warranty', async () => {
+    booking.warranty = undefined;
+
+    await expect(callbackService.raise(booking, customer, request)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('allows only one open callback per booking', async () => {
+    Booking.exists.mockResolvedValue({ _id: id() });
+
+    await expect(callbackService.raise(booking, customer, request))
+      .rejects.toMatchObject({ statusCode: 409, message: 'A callback for this booking is already open' });
+  });
+
+  it('reports the worker\'s callback rate', async () => {
+    jest.spyOn(Booking, 'countDocuments')
+      .mockResolvedValueOnce(40)
+      .mockResolvedValueOnce(3);
+
+    await expect(callbackService.getWorkerCallbackStats(booking.workerId))
+      .resolves.toEqual({ completedJobs: 40, callbacks: 3, rate: 7.5 });
+  });
+});
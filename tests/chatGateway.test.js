@@ -0,0 +1,147 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const { WebSocket } = require('ws');
+const { User, Message, Block } = require('../src/models');
+const chatGateway = require('../src/services/chatGateway');
+const chatService = require('../src/services/chatService');
+
+const ChatGateway = chatGateway.constructor;
+
+const id = () => new mongoose.Types.ObjectId();
+
+/**
+ * Open a socket and collect the events it receives
+ */
+const connect = (port, token) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/ws/chat?token=${token}`);
+  ws.events = [];
+  ws.on('message', data => ws.events.push(JSON.parse(data.toString())));
+  ws.on('open', () => resolve(ws));
+  ws.on('unexpected-response', (req, res) => reject(Object.assign(new Error('rejected'), { status: res.statusCode })));
+  ws.on('error', reject);
+});
+
+const nextEvent = (ws, type) => new Promise((resolve) => {
+  const found = ws.events.find(event => event.type === type);
+  if (found) return resolve(found);
+  ws.on('message', data => {
+    const event = JSON.parse(data.toString());
+    if (event.type === type) resolve(event);
+  });
+});
+
+describe('ChatGateway', () => {
+  const alice = { _id: id(), email: 'alice@example.com', fullName: 'Alice' };
+  const bob = { _id: id(), email: 'bob@example.com', fullName: 'Bob' };
+  const users = { alice, bob };
+  let server;
+  let gateway;
+  let port;
+  let sockets;
+
+  beforeAll(async () => {
+    server = http.createServer();
+    gateway = new ChatGateway();
+    jest.spyOn(gateway, 'authenticate').mockImplementation(async (req) => {
+      const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+      if (!users[token]) throw Object.assign(new Error('Invalid token'), { statusCode: 401 });
+      return users[token];
+    });
+    gateway.attach(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    gateway.close();
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    sockets = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(sockets.map(ws => new Promise((resolve) => {
+      ws.on('close', resolve);
+      ws.close();
+    })));
+  });
+
+  const open = async (token) => {
+    const ws = await connect(port, token);
+    sockets.push(ws);
+    return ws;
+  };
+
+  it('refuses a connection without a valid token', async () => {
+    await expect(connect(port, 'mallory')).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('delivers a sent message to the receiver and acknowledges it to the sender', async () => {
+    const sender = await open('alice');
+    const receiver = await open('bob');
+    const message = { _id: id(), senderId: alice._id, receiverId: bob._id, message: 'Hi' };
+    const sendMessage = jest.spyOn(chatService, 'sendMessage').mockResolvedValue(message);
+
+    sender.send(JSON.stringify({ type: 'message:send', receiverId: bob._id, message: 'Hi', clientId: 'c1' }));
+
+    const sent = await nextEvent(sender, 'message:sent');
+    const received = await nextEvent(receiver, 'message:new');
+
+    expect(sent.clientId).toBe('c1');
+    expect(received.message.message).toBe('Hi');
+    expect(sendMessage).toHaveBeenCalledWith(alice, expect.anything(), { receiverOnline: true });
+  });
+
+  it('sends a read receipt to the other participant', async () => {
+    const sender = await open('alice');
+    const reader = await open('bob');
+    const readAt = new Date();
+    jest.spyOn(chatService, 'markRead').mockResolvedValue(readAt);
+
+    const conversationId = Message.generateConversationId(alice._id, bob._id);
+    reader.send(JSON.stringify({ type: 'message:read', conversationId }));
+
+    const receipt = await nextEvent(sender, 'message:read');
+    expect(receipt).toMatchObject({ conversationId, readBy: bob._id.toString(), readAt: readAt.toISOString() });
+  });
+
+  it('answers a message that is not JSON with an error event', async () => {
+    const ws = await open('alice');
+
+    ws.send('not json');
+    expect((await nextEvent(ws, 'error')).message).toBe('Invalid JSON');
+  });
+
+  it('tracks who is online per user', async () => {
+    await open('alice');
+
+    expect(gateway.isOnline(alice._id)).toBe(true);
+    expect(gateway.isOnline(id())).toBe(false);
+  });
+});
+
+describe('chatService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finds the other participant only for a member of the conversation', () => {
+    const [a, b] = [id().toString(), id().toString()];
+
+    expect(chatService.getOtherParticipant(`${a}_${b}`, a)).toBe(b);
+    expect(chatService.getOtherParticipant(`${a}_${b}`, id())).toBeNull();
+  });
+
+  it('refuses a message between users who blocked each other', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: id() });
+    jest.spyOn(Block, 'isBlockedBetween').mockResolvedValue(true);
+    const create = jest.spyOn(Message, 'create');
+
+    await expect(chatService.sendMessage({ _id: id() }, { receiverId: id(), message: 'Hi' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
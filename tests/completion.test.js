@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { Booking, User, Worker, Customer, LocationPing } = require('../src/models');
+const completionService = require('../src/services/completionService');
+const disputeService = require('../src/services/disputeService');
+const firebaseService = require('../src/services/firebaseService');
+const { COMPLETION } = require('../src/config/constants');
+const { stubSave } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+
+describe('Completion sign-off', () => {
+  let customer;
+  let worker;
+  let booking;
+  let customerProfile;
+
+  const submit = (fields = {}) => completionService.submit(booking, worker, {
+    workCompletionNotes: 'Replaced the washer',
+    completionImages: ['https://cdn.example.com/after.jpg'],
+    finalPrice: 4500,
+    ...fields
+  });
+
+  beforeEach(() => {
+    customer = new User({ fullName: 'Customer', role: 'customer' });
+    worker = new User({ fullName: 'Worker', role: 'worker' });
+    booking = stubSave(new Booking({
+      customerId: customer._id,
+      workerId: worker._id,
+      serviceType: 'plumbing',
+      status: 'in-progress'
+    }));
+    customerProfile = { incrementBookings: jest.fn() };
+
+    jest.spyOn(firebaseService, 'notify').mockResolvedValue(null);
+    jest.spyOn(Worker, 'find').mockResolvedValue([]);
+    jest.spyOn(Customer, 'findOne').mockResolvedValue(customerProfile);
+    jest.spyOn(LocationPing, 'discardForBooking').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps the job in progress until the customer confirms', async () => {
+    await submit();
+
+    expect(booking.status).toBe('in-progress');
+    expect(booking.finalPrice).toBe(4500);
+    expect(booking.completion.status).toBe('awaiting-confirmation');
+    expect(booking.completion.confirmBy - booking.completion.submittedAt).toBe(COMPLETION.CONFIRMATION_HOURS * HOUR);
+    expect(firebaseService.notify).toHaveBeenCalledWith(
+      customer._id, 'completion-submitted', 'Please Confirm Your Job', expect.any(String),
+      { relatedUser: worker._id, relatedBooking: booking._id, priority: 'high' }
+    );
+  });
+
+  it('requires photo evidence', async () => {
+    await expect(submit({ completionImages: [] })).rejects.toMatchObject({ statusCode: 400 });
+    expect(booking.save).not.toHaveBeenCalled();
+  });
+
+  it('completes the job and credits the customer once confirmed', async () => {
+    await submit();
+
+    await completionService.confirm(booking, customer);
+
+    expect(booking.status).toBe('completed');
+    expect(booking.completion.status).toBe('confirmed');
+    expect(customerProfile.incrementBookings).toHaveBeenCalledWith(true);
+  });
+
+  it('sends a rejected job back to the worker for rework', async () => {
+    await submit();
+
+    const result = await completionService.reject(booking, customer, { reason: 'Still leaking' });
+
+    expect(result.dispute).toBeNull();
+    expect(booking.status).toBe('in-progress');
+    expect(booking.completion).toMatchObject({ status: 'rejected', rejectionReason: 'Still leaking', rejectionCount: 1 });
+    await expect(submit()).resolves.toBe(booking);
+  });
+
+  it('opens a dispute when the customer rejects with action dispute', async () => {
+    await submit();
+    const dispute = { _id: id() };
+    jest.spyOn(disputeService, 'openDispute').mockResolvedValue(dispute);
+
+    const result = await completionService.reject(booking, customer, { reason: 'Damaged the sink', action: 'dispute' });
+
+    expect(result.dispute).toBe(dispute);
+    expect(disputeService.openDispute).toHaveBeenCalledWith(booking, customer, 'customer', expect.objectContaining({
+      description: 'Damaged the sink'
+    }));
+  });
+
+  it('auto-confirms submissions the customer did not answer in time', async () => {
+    await submit();
+    booking.completion.confirmBy = new Date(Date.now() - HOUR);
+    jest.spyOn(Booking, 'find').mockResolvedValue([booking]);
+
+    const result = await completionService.autoConfirmDue();
+
+    expect(result).toEqual({ due: 1, confirmed: 1 });
+    expect(booking.status).toBe('completed');
+    expect(booking.completion.status).toBe('auto-confirmed');
+  });
+
+  it('credits every crew member still on the job', async () => {
+    const member = id();
+    booking.crew = [
+      { workerId: worker._id, paySplit: 60, status: 'accepted' },
+      { workerId: member, paySplit: 40, status: 'accepted' },
+      { workerId: id(), paySplit: 0, status: 'declined' }
+    ];
+
+    await completionService.recordCompletion(booking);
+
+    expect(Worker.find).toHaveBeenCalledWith({ userId: { $in: [worker._id, member] } });
+    const notified = firebaseService.notify.mock.calls
+      .filter(([, , title]) => title === 'Job Confirmed')
+      .map(([userId]) => userId);
+    expect(notified).toEqual([worker._id, member]);
+  });
+});
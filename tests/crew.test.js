@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { Booking, User } = require('../src/models');
+const crewService = require('../src/services/crewService');
+const firebaseService = require('../src/services/firebaseService');
+const bookingController = require('../src/controllers/bookingController');
+const { mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Crew acceptance', () => {
+  let lead;
+  let member;
+  let stored;
+
+  /**
+   * Booking document as a request would load it from the shared stored state.
+   * save() writes the status back so later loads see it.
+   */
+  const load = () => {
+    const booking = new Booking(JSON.parse(JSON.stringify(stored)));
+    jest.spyOn(booking, 'save').mockImplementation(async () => {
+      stored.status = booking.status;
+      return booking;
+    });
+    return booking;
+  };
+
+  beforeEach(() => {
+    lead = new User({ fullName: 'Lead', role: 'worker' });
+    member = new User({ fullName: 'Member', role: 'worker' });
+    stored = new Booking({
+      customerId: id(),
+      workerId: lead._id,
+      serviceType: 'roofing',
+      status: 'pending',
+      crew: [
+        { workerId: lead._id, role: 'lead', paySplit: 60 },
+        { workerId: member._id, role: 'helper', paySplit: 40 }
+      ]
+    }).toObject();
+
+    jest.spyOn(firebaseService, 'notify').mockResolvedValue(null);
+
+    // Atomic positional update against the stored state, like MongoDB applies it
+    jest.spyOn(Booking, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      await tick();
+      const { workerId, status } = filter.crew.$elemMatch;
+      const entry = stored.crew.find(m => m.workerId.toString() === workerId.toString() && m.status === status);
+      if (!filter.status.$in.includes(stored.status) || !entry) return null;
+
+      entry.status = update.$set['crew.$.status'];
+      entry.respondedAt = update.$set['crew.$.respondedAt'];
+      return load();
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('waits for the rest of the crew after one member accepts', async () => {
+    const result = await crewService.acceptMember(load(), member);
+
+    expect(result.crewComplete).toBe(false);
+    expect(result.booking.getCrewMember(member._id).status).toBe('accepted');
+    expect(stored.status).toBe('pending');
+  });
+
+  it('accepts the booking when the last member accepts', async () => {
+    await crewService.acceptMember(load(), member);
+
+    const result = await crewService.acceptMember(load(), lead);
+
+    expect(result.crewComplete).toBe(true);
+    expect(result.booking.status).toBe('accepted');
+    expect(stored.status).toBe('accepted');
+    expect(firebaseService.notify).toHaveBeenCalledWith(
+      stored.customerId, 'booking-accepted', 'Crew Confirmed', expect.any(String), expect.any(Object)
+    );
+  });
+
+  it('accepts the booking exactly once when the whole crew accepts at the same time', async () => {
+    // Both requests loaded the booking before either answer was saved
+    const [a, b] = [load(), load()];
+
+    const results = await Promise.all([
+      crewService.acceptMember(a, member),
+      crewService.acceptMember(b, lead)
+    ]);
+
+    expect(results.filter(result => result.crewComplete)).toHaveLength(1);
+    expect(stored.crew.every(m => m.status === 'accepted')).toBe(true);
+    expect(stored.status).toBe('accepted');
+    expect(firebaseService.notify).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a member who already answered', async () => {
+    await crewService.acceptMember(load(), member);
+
+    await expect(crewService.acceptMember(load(), member)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('keeps crew bookings off the generic accept route', async () => {
+    const booking = load();
+    jest.spyOn(User, 'findOne').mockResolvedValue(lead);
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const res = mockResponse();
+
+    await bookingController.updateBookingStatus(
+      { params: { id: booking._id.toString() }, body: { status: 'accepted' }, user: { firebaseUid: 'uid', role: 'worker' } },
+      res,
+      jest.fn()
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(stored.status).toBe('pending');
+    expect(stored.crew.every(m => m.status === 'invited')).toBe(true);
+  });
+});
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const { Booking, User, Worker, Block } = require('../src/models');
+const dispatchService = require('../src/services/dispatchService');
+const firebaseService = require('../src/services/firebaseService');
+const bookingController = require('../src/controllers/bookingController');
+const { EMERGENCY_DISPATCH } = require('../src/config/constants');
+const { query, stubSave, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const MINUTE = 60 * 1000;
+
+const emergencyBooking = (dispatch = {}) => stubSave(new Booking({
+  customerId: id(),
+  serviceType: 'plumbing',
+  status: 'pending',
+  urgency: 'emergency',
+  scheduledDate: new Date(),
+  dispatch: {
+    status: 'searching',
+    startedAt: new Date(),
+    radiusKm: EMERGENCY_DISPATCH.INITIAL_RADIUS_KM,
+    wave: 1,
+    nextWaveAt: new Date(Date.now() - MINUTE),
+    offers: [],
+    ...dispatch
+  }
+}));
+
+beforeEach(() => {
+  jest.spyOn(firebaseService, 'notify').mockResolvedValue(null);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Emergency offer claims', () => {
+  let booking;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    first = new User({ fullName: 'First' });
+    second = new User({ fullName: 'Second' });
+    booking = emergencyBooking({
+      offers: [{ workerId: first._id, wave: 1 }, { workerId: second._id, wave: 1 }]
+    });
+    jest.spyOn(Booking, 'findById').mockReturnValue(query(booking));
+  });
+
+  it('assigns the job to the first worker to accept and expires the other offers', async () => {
+    booking.workerId = first._id;
+    booking.dispatch.status = 'assigned';
+    const claim = jest.spyOn(Booking, 'findOneAndUpdate').mockResolvedValue(booking);
+
+    await dispatchService.acceptOffer(booking._id, first);
+
+    expect(claim.mock.calls[0][0]).toMatchObject({
+      _id: booking._id,
+      status: 'pending',
+      workerId: null,
+      'dispatch.offers': { $elemMatch: { workerId: first._id, response: 'pending' } }
+    });
+    expect(booking.status).toBe('accepted');
+    expect(booking.dispatch.offers.map(offer => offer.response)).toEqual(['accepted', 'expired']);
+    expect(firebaseService.notify).toHaveBeenCalledWith(
+      booking.customerId, 'booking-accepted', 'Help Is On The Way', expect.any(String),
+      { relatedUser: first._id, relatedBooking: booking._id, priority: 'high' }
+    );
+  });
+
+  it('lets only one of two simultaneous acceptances win', async () => {
+    // The conditional update matches once; the racing worker finds the job taken
+    jest.spyOn(Booking, 'findOneAndUpdate')
+      .mockImplementationOnce(async () => {
+        booking.workerId = first._id;
+        booking.dispatch.status = 'assigned';
+        return booking;
+      })
+      .mockResolvedValueOnce(null);
+
+    const results = await Promise.allSettled([
+      dispatchService.acceptOffer(booking._id, first),
+      dispatchService.acceptOffer(booking._id, second)
+    ]);
+
+    expect(results[0].status).toBe('fulfilled');
+    expect(results[1].reason).toMatchObject({ statusCode: 409, message: 'This emergency job has already been taken' });
+    expect(booking.workerId).toEqual(first._id);
+  });
+
+  it('answers 404 to a worker who was never offered the job', async () => {
+    jest.spyOn(Booking, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(dispatchService.acceptOffer(booking._id, new User()))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('refuses to accept an emergency job through the generic status route', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(new User({ role: 'admin' }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const res = mockResponse();
+
+    await bookingController.updateBookingStatus(
+      { params: { id: booking._id.toString() }, body: { status: 'accepted' }, user: { firebaseUid: 'uid', role: 'admin' } },
+      res,
+      jest.fn()
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(booking.status).toBe('pending');
+  });
+});
+
+describe('Dispatch waves', () => {
+  beforeEach(() => {
+    jest.spyOn(Block, 'getBlockedUserIds').mockResolvedValue([]);
+    jest.spyOn(Worker, 'find').mockReturnValue(query([]));
+    jest.spyOn(User, 'find').mockReturnValue(query([]));
+  });
+
+  it('widens the radius with every wave', async () => {
+    const booking = emergencyBooking();
+    jest.spyOn(Booking, 'find').mockResolvedValue([booking]);
+
+    const result = await dispatchService.advanceDispatches();
+
+    expect(result).toMatchObject({ waves: 1, escalated: 0, exhausted: 0 });
+    expect(booking.dispatch.radiusKm).toBe(EMERGENCY_DISPATCH.INITIAL_RADIUS_KM + EMERGENCY_DISPATCH.RADIUS_STEP_KM);
+    expect(booking.dispatch.wave).toBe(2);
+  });
+
+  it('escalates a job nobody took in time and keeps sending waves', async () => {
+    const booking = emergencyBooking({
+      startedAt: new Date(Date.now() - (EMERGENCY_DISPATCH.ESCALATION_MINUTES + 1) * MINUTE)
+    });
+    jest.spyOn(Booking, 'find').mockResolvedValue([booking]);
+
+    const result = await dispatchService.advanceDispatches();
+
+    expect(result).toMatchObject({ waves: 1, escalated: 1 });
+    expect(booking.dispatch.status).toBe('escalated');
+    expect(booking.dispatch.nextWaveAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('keeps searching at the maximum radius until the job is escalated', async () => {
+    const booking = emergencyBooking({ radiusKm: EMERGENCY_DISPATCH.MAX_RADIUS_KM });
+    jest.spyOn(Booking, 'find').mockResolvedValue([booking]);
+
+    const result = await dispatchService.advanceDispatches();
+
+    expect(result).toMatchObject({ waves: 1, exhausted: 0 });
+    expect(booking.dispatch.radiusKm).toBe(EMERGENCY_DISPATCH.MAX_RADIUS_KM);
+  });
+
+  it('stops sending waves once escalated at the maximum radius', async () => {
+    const booking = emergencyBooking({
+      status: 'escalated',
+      escalatedAt: new Date(),
+      radiusKm: EMERGENCY_DISPATCH.MAX_RADIUS_KM,
+      wave: 7
+    });
+    jest.spyOn(Booking, 'find').mockResolvedValue([booking]);
+
+    const result = await dispatchService.advanceDispatches();
+
+    expect(result).toMatchObject({ waves: 0, exhausted: 1 });
+    expect(Worker.find).not.toHaveBeenCalled();
+    expect(booking.dispatch.wave).toBe(7);
+    expect(booking.dispatch.nextWaveAt).toBeUndefined();
+    expect(booking.dispatch.exhaustedAt).toBeInstanceOf(Date);
+    expect(booking.dispatch.status).toBe('escalated');
+  });
+});
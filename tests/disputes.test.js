@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { Booking, Dispute, Payment, User } = require('../src/models');
+const disputeService = require('../src/services/disputeService');
+const completionService = require('../src/services/completionService');
+const paymentService = require('../src/services/paymentService');
+const firebaseService = require('../src/services/firebaseService');
+const { PAYMENT_STATUS } = require('../src/config/constants');
+const { query, stubSave } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Dispute resolution', () => {
+  let admin;
+  let booking;
+
+  const openDispute = (bookingStatusBefore) => stubSave(new Dispute({
+    bookingId: booking._id,
+    customerId: booking.customerId,
+    workerId: booking.workerId,
+    openedBy: booking.customerId,
+    openedByRole: 'customer',
+    reason: 'Job not finished',
+    bookingStatusBefore,
+    paymentStatusBefore: 'paid'
+  }));
+
+  beforeEach(() => {
+    admin = new User({ role: 'admin' });
+    booking = stubSave(new Booking({
+      customerId: id(),
+      workerId: id(),
+      serviceType: 'plumbing',
+      status: 'disputed',
+      paymentStatus: 'disputed'
+    }));
+
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+    jest.spyOn(firebaseService, 'notify').mockResolvedValue(null);
+    jest.spyOn(completionService, 'recordCompletion').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('records the completion of a job first completed by the resolution', async () => {
+    const dispute = openDispute('in-progress');
+
+    await disputeService.resolveDispute(dispute, admin, { outcome: 'release-to-worker' });
+
+    expect(booking.status).toBe('completed');
+    expect(booking.paymentStatus).toBe('paid');
+    expect(completionService.recordCompletion).toHaveBeenCalledWith(booking);
+    expect(dispute.status).toBe('resolved');
+  });
+
+  it('does not record a completion twice for a job disputed after completion', async () => {
+    const dispute = openDispute('completed');
+
+    await disputeService.resolveDispute(dispute, admin, { outcome: 'release-to-worker' });
+
+    expect(booking.status).toBe('completed');
+    expect(completionService.recordCompletion).not.toHaveBeenCalled();
+  });
+
+  it('refunds every charge and cancels the booking on a full refund', async () => {
+    const dispute = openDispute('in-progress');
+    const charge = new Payment({ type: 'charge', status: PAYMENT_STATUS.COMPLETED, amount: 5000 });
+    jest.spyOn(Payment, 'find').mockReturnValue(query([charge]));
+    const refund = jest.spyOn(paymentService, 'refundPayment').mockResolvedValue({ refund: { amount: 5000 } });
+
+    const result = await disputeService.resolveDispute(dispute, admin, { outcome: 'full-refund' });
+
+    expect(refund).toHaveBeenCalledWith(charge, expect.objectContaining({ amount: 5000, changedBy: admin._id }));
+    expect(result.refunds).toHaveLength(1);
+    expect(booking.status).toBe('cancelled');
+    expect(booking.paymentStatus).toBe('refunded');
+    expect(completionService.recordCompletion).not.toHaveBeenCalled();
+  });
+
+  it('refuses to resolve a dispute twice', async () => {
+    const dispute = openDispute('in-progress');
+    dispute.status = 'resolved';
+
+    await expect(disputeService.resolveDispute(dispute, admin, { outcome: 'dismissed' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
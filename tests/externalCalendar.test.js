@@ -0,0 +1,200 @@
+const http = require('http');
+const { Worker } = require('../src/models');
+const externalCalendarService = require('../src/services/externalCalendarService');
+const { AppError } = require('../src/middleware/errorHandler');
+const { formatDate } = require('../src/utils/ical');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Whole hours from now, so every event is inside the import window
+const at = (hours) => {
+  const date = new Date(Date.now() + hours * HOUR);
+  date.setUTCMinutes(0, 0, 0);
+  return date;
+};
+
+const vevent = ({ uid, summary, start, end, extra = [] }) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTART:${formatDate(start)}`,
+  `DTEND:${formatDate(end)}`,
+  `SUMMARY:${summary}`,
+  ...extra,
+  'END:VEVENT'
+];
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Test//Stub//EN',
+  ...events.flat(),
+  'END:VCALENDAR'
+].join('\r\n');
+
+/**
+ * In-memory stand-in for the worker document: applies the pipeline update
+ * replaceBlocks sends ($filter the kept sources, then append the $literal blocks)
+ */
+const fakeWorker = (initialBlocks = []) => {
+  const worker = { _id: 'worker-1', userId: 'user-1', externalBusyBlocks: [...initialBlocks], externalCalendar: {} };
+
+  jest.spyOn(Worker, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const { externalBusyBlocks, ...fields } = update[0].$set;
+    const [{ $filter }, { $literal }] = externalBusyBlocks.$concatArrays;
+    const kept = $filter.cond.$in[1];
+
+    worker.externalBusyBlocks = [
+      ...worker.externalBusyBlocks.filter(block => kept.includes(block.source)),
+      ...$literal
+    ];
+    for (const [path, value] of Object.entries(fields)) {
+      worker.externalCalendar[path.split('.')[1]] = value;
+    }
+
+    return { select: () => Promise.resolve(worker) };
+  });
+  jest.spyOn(Worker, 'updateOne').mockImplementation(async (filter, { $set }) => {
+    for (const [path, value] of Object.entries($set)) {
+      worker.externalCalendar[path.split('.')[1]] = value;
+    }
+    return {};
+  });
+
+  return worker;
+};
+
+describe('externalCalendarService.buildBlocks', () => {
+  it('expands recurring events and skips free, cancelled and excluded ones', () => {
+    const start = at(48);
+    const text = calendar(
+      vevent({ uid: 'daily', summary: 'Standup', start, end: new Date(start.getTime() + HOUR),
+        extra: ['RRULE:FREQ=DAILY;COUNT=3', `EXDATE:${formatDate(new Date(start.getTime() + DAY))}`] }),
+      vevent({ uid: 'free', summary: 'Free', start, end: at(50), extra: ['TRANSP:TRANSPARENT'] }),
+      vevent({ uid: 'gone', summary: 'Gone', start, end: at(50), extra: ['STATUS:CANCELLED'] })
+    );
+
+    const blocks = externalCalendarService.buildBlocks(text, 'upload');
+
+    expect(blocks.map(block => block.start.getTime())).toEqual([
+      start.getTime(),
+      start.getTime() + 2 * DAY
+    ]);
+    expect(blocks.every(block => block.uid === 'daily' && block.source === 'upload')).toBe(true);
+  });
+
+  it('keeps one block for an event listed twice', () => {
+    const event = vevent({ uid: 'dup', summary: 'Job', start: at(24), end: at(26) });
+
+    expect(externalCalendarService.buildBlocks(calendar(event, event), 'upload')).toHaveLength(1);
+  });
+
+  it('rejects text that is not a calendar', () => {
+    expect(() => externalCalendarService.buildBlocks('hello', 'upload')).toThrow(AppError);
+  });
+});
+
+describe('externalCalendarService feed import', () => {
+  const env = { ...process.env };
+  let server;
+  let baseUrl;
+  let feed;
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url === '/moved.ics') {
+        res.writeHead(302, { Location: '/feed.ics' });
+        return res.end();
+      }
+      if (req.url === '/broken.ics') {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        return res.end('stack trace with internal details');
+      }
+      res.writeHead(200, { 'Content-Type': 'text/calendar' });
+      res.end(feed);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'test';
+    process.env.CALENDAR_IMPORT_ALLOW_PRIVATE_HOSTS = 'true';
+    requests = [];
+    feed = calendar(
+      vevent({ uid: 'a', summary: 'Job A', start: at(24), end: at(26) }),
+      vevent({ uid: 'b', summary: 'Job B', start: at(48), end: at(50) })
+    );
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('replaces the feed blocks on every sync without duplicating them', async () => {
+    const upload = { source: 'upload', uid: 'u', summary: 'Uploaded', start: at(72), end: at(73) };
+    const worker = fakeWorker([upload]);
+
+    const first = await externalCalendarService.setFeed(worker.userId, `${baseUrl}/feed.ics`);
+    expect(first.imported).toBe(2);
+    expect(worker.externalCalendar.feedUrl).toBe(`${baseUrl}/feed.ics`);
+
+    expect(await externalCalendarService.syncFeed(worker)).toBe(true);
+    expect(worker.externalBusyBlocks).toHaveLength(3);
+
+    feed = calendar(vevent({ uid: 'b', summary: 'Job B moved', start: at(30), end: at(32) }));
+    expect(await externalCalendarService.syncFeed(worker)).toBe(true);
+
+    expect(worker.externalBusyBlocks.map(block => block.summary)).toEqual(['Uploaded', 'Job B moved']);
+    expect(worker.externalCalendar.lastSyncError).toBeNull();
+  });
+
+  it('follows redirects to the feed', async () => {
+    fakeWorker();
+
+    const result = await externalCalendarService.setFeed('user-1', `${baseUrl}/moved.ics`);
+
+    expect(result.imported).toBe(2);
+    expect(requests).toEqual(['/moved.ics', '/feed.ics']);
+  });
+
+  it('keeps the previous blocks and a safe error when a sync fails', async () => {
+    const worker = fakeWorker();
+    await externalCalendarService.setFeed(worker.userId, `${baseUrl}/feed.ics`);
+
+    worker.externalCalendar.feedUrl = `${baseUrl}/broken.ics`;
+    expect(await externalCalendarService.syncFeed(worker)).toBe(false);
+
+    expect(worker.externalBusyBlocks).toHaveLength(2);
+    expect(worker.externalCalendar.lastSyncError).toBe('The calendar feed returned HTTP 500');
+  });
+
+  it.each([
+    ['without the opt-in flag', {}],
+    ['in production even with the flag', { NODE_ENV: 'production' }]
+  ])('refuses private addresses %s', async (label, overrides) => {
+    delete process.env.CALENDAR_IMPORT_ALLOW_PRIVATE_HOSTS;
+    if (overrides.NODE_ENV) {
+      process.env.CALENDAR_IMPORT_ALLOW_PRIVATE_HOSTS = 'true';
+      process.env.NODE_ENV = overrides.NODE_ENV;
+    }
+    fakeWorker();
+
+    for (const url of [`${baseUrl}/feed.ics`, 'http://localhost/feed.ics', 'http://169.254.169.254/latest', 'http://[::ffff:127.0.0.1]/']) {
+      await expect(externalCalendarService.setFeed('user-1', url)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Calendar feeds must be served from a public internet address'
+      });
+    }
+    expect(requests).toEqual([]);
+    expect(Worker.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Test helpers
+ * The suites run without MongoDB: model statics are stubbed with jest.spyOn
+ * and documents are built with `new Model()` so schema methods still run.
+ */
+
+const QUERY_METHODS = ['select', 'populate', 'sort', 'limit', 'skip', 'lean', 'session'];
+
+/**
+ * Chainable stand-in for a Mongoose query that resolves to `value`
+ * e.g. jest.spyOn(Booking, 'findById').mockReturnValue(query(booking))
+ */
+const query = (value) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    catch: reject => Promise.resolve(value).catch(reject),
+    exec: () => Promise.resolve(value)
+  };
+  QUERY_METHODS.forEach(method => { chain[method] = () => chain; });
+  return chain;
+};
+
+/**
+ * Document whose save() resolves without a database
+ */
+const stubSave = (doc) => {
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+};
+
+/**
+ * Express response double: res.status(...).json(...) records the reply
+ */
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.send = jest.fn(() => res);
+  return res;
+};
+
+module.exports = {
+  query,
+  stubSave,
+  mockResponse
+};
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const { Booking, Worker } = require('../src/models');
+const instantBookingService = require('../src/services/instantBookingService');
+
+const id = () => new mongoose.Types.ObjectId();
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Instant booking', () => {
+  let worker;
+  let stored;
+  const scheduledDate = new Date(Date.now() + 2 * DAY);
+
+  /**
+   * New booking for the shared slot; save() records its status in the
+   * stored bookings the conflict check reads
+   */
+  const newBooking = () => {
+    const booking = new Booking({
+      customerId: id(),
+      workerId: worker.userId,
+      serviceType: 'plumbing',
+      status: 'pending',
+      serviceLocation: { district: 'Colombo' },
+      scheduledDate,
+      preferredTimeSlot: 'morning'
+    });
+    stored.set(booking._id.toString(), booking);
+    jest.spyOn(booking, 'save').mockImplementation(async () => {
+      await tick();
+      return booking;
+    });
+    return booking;
+  };
+
+  beforeEach(() => {
+    stored = new Map();
+    worker = new Worker({
+      userId: id(),
+      hourlyRate: 2000,
+      minimumCharge: 3000,
+      serviceAreas: [{ district: 'Colombo', towns: [] }],
+      preferences: { instantBookingEnabled: true }
+    });
+
+    // Confirmed bookings of the slot, read after yielding like a real query
+    jest.spyOn(Booking, 'findConflicts').mockImplementation(async (workerId, start, end, { excludeBookingId }) => {
+      await tick();
+      return [...stored.values()].filter(b =>
+        ['accepted', 'in-progress'].includes(b.status) && !b._id.equals(excludeBookingId)
+      );
+    });
+    jest.spyOn(Booking, 'deleteOne').mockImplementation(async ({ _id }) => {
+      stored.delete(_id.toString());
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('confirms an instant booking priced from the worker\'s rates', async () => {
+    const booking = newBooking();
+
+    const mode = await instantBookingService.confirmIfAllowed(booking, worker, { instant: true });
+
+    expect(mode).toBe('instant');
+    expect(booking.status).toBe('accepted');
+    expect(booking.quotedPrice).toBeGreaterThanOrEqual(3000);
+  });
+
+  it('confirms only one of two instant bookings for the same slot', async () => {
+    const [a, b] = [newBooking(), newBooking()];
+
+    const results = await Promise.allSettled([
+      instantBookingService.confirmIfAllowed(a, worker, { instant: true }),
+      instantBookingService.confirmIfAllowed(b, worker, { instant: true })
+    ]);
+
+    const confirmed = [...stored.values()].filter(booking => booking.status === 'accepted');
+    expect(confirmed.length).toBeLessThanOrEqual(1);
+    results.filter(result => result.status === 'rejected')
+      .forEach(result => expect(result.reason).toMatchObject({ statusCode: 409 }));
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(confirmed.length);
+  });
+
+  it('drops an instant booking that lost its slot', async () => {
+    const taken = newBooking();
+    taken.status = 'accepted';
+    const booking = newBooking();
+
+    await expect(instantBookingService.confirmIfAllowed(booking, worker, { instant: true }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(Booking.deleteOne).toHaveBeenCalledWith({ _id: booking._id });
+    expect(stored.has(booking._id.toString())).toBe(false);
+  });
+
+  it('leaves an auto-accepted booking that lost its slot for the worker', async () => {
+    worker.preferences.autoAcceptBookings = true;
+    const taken = newBooking();
+    taken.status = 'accepted';
+    const booking = newBooking();
+
+    const mode = await instantBookingService.confirmIfAllowed(booking, worker);
+
+    expect(mode).toBeNull();
+    expect(booking.status).toBe('pending');
+    expect(booking.workerResponse?.action).toBeUndefined();
+    expect(booking.statusHistory.map(entry => entry.status)).toEqual(['accepted', 'pending']);
+    expect(Booking.deleteOne).not.toHaveBeenCalled();
+  });
+});
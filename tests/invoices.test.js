@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { Booking, Invoice, Counter } = require('../src/models');
+const invoiceService = require('../src/services/invoiceService');
+const { INVOICE } = require('../src/config/constants');
+
+const id = () => new mongoose.Types.ObjectId();
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * In-memory stand-in for the invoices collection (one booking) and the
+ * counter, answering the queries invoiceService makes. Every call yields
+ * first so concurrent requests interleave like they would against MongoDB.
+ */
+const fakeStore = () => {
+  const store = { invoice: null, seq: 0 };
+
+  jest.spyOn(Counter, 'next').mockImplementation(async () => {
+    await tick();
+    store.seq += 1;
+    return store.seq;
+  });
+
+  jest.spyOn(Invoice, 'findOne').mockImplementation(async () => {
+    await tick();
+    return store.invoice && { ...store.invoice };
+  });
+
+  jest.spyOn(Invoice, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+    await tick();
+
+    if (options.upsert) {
+      const updatedExisting = !!store.invoice;
+      if (!updatedExisting) {
+        store.invoice = { _id: id(), issuedAt: new Date(), ...update.$setOnInsert };
+      }
+      return { value: { ...store.invoice }, lastErrorObject: { updatedExisting } };
+    }
+
+    const invoice = store.invoice;
+    const matches = invoice && (filter._id
+      ? invoice._id.equals(filter._id)
+      : !invoice.invoiceNumber && invoice.issuedAt < filter.issuedAt.$lt);
+    if (!matches) return null;
+
+    Object.assign(invoice, update.$set);
+    return { ...invoice };
+  });
+
+  return store;
+};
+
+describe('Invoice numbering', () => {
+  let booking;
+
+  beforeEach(() => {
+    booking = new Booking({ customerId: id(), workerId: id(), serviceType: 'plumbing', status: 'completed' });
+    jest.spyOn(invoiceService, 'buildInvoiceData').mockImplementation(async b => ({ bookingId: b._id, total: 4500 }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('numbers the first invoice from the sequence', async () => {
+    fakeStore();
+
+    const invoice = await invoiceService.getOrCreateInvoice(booking);
+
+    expect(invoice.invoiceNumber).toBe(`${INVOICE.NUMBER_PREFIX}-${'1'.padStart(INVOICE.NUMBER_DIGITS, '0')}`);
+  });
+
+  it('returns the existing invoice without taking another number', async () => {
+    const store = fakeStore();
+    const first = await invoiceService.getOrCreateInvoice(booking);
+
+    const second = await invoiceService.getOrCreateInvoice(booking);
+
+    expect(second.invoiceNumber).toBe(first.invoiceNumber);
+    expect(store.seq).toBe(1);
+  });
+
+  it('takes one number for concurrent requests on the same booking', async () => {
+    const store = fakeStore();
+
+    const results = await Promise.allSettled([
+      invoiceService.getOrCreateInvoice(booking),
+      invoiceService.getOrCreateInvoice(booking),
+      invoiceService.getOrCreateInvoice(booking)
+    ]);
+
+    const issued = results.filter(result => result.status === 'fulfilled');
+    expect(issued.length).toBeGreaterThanOrEqual(1);
+    issued.forEach(result => expect(result.value.invoiceNumber).toBe(store.invoice.invoiceNumber));
+    results.filter(result => result.status === 'rejected')
+      .forEach(result => expect(result.reason).toMatchObject({ statusCode: 409 }));
+    expect(Counter.next).toHaveBeenCalledTimes(1);
+    expect(store.seq).toBe(1);
+  });
+
+  it('numbers an invoice left unnumbered by a request that failed', async () => {
+    const store = fakeStore();
+    store.invoice = {
+      _id: id(),
+      bookingId: booking._id,
+      issuedAt: new Date(Date.now() - (INVOICE.NUMBERING_TIMEOUT_SECONDS + 1) * 1000)
+    };
+
+    const invoice = await invoiceService.getOrCreateInvoice(booking);
+
+    expect(invoice.invoiceNumber).toBeDefined();
+    expect(store.seq).toBe(1);
+  });
+
+  it('asks the caller to retry while another request is numbering the invoice', async () => {
+    const store = fakeStore();
+    store.invoice = { _id: id(), bookingId: booking._id, issuedAt: new Date() };
+
+    await expect(invoiceService.getOrCreateInvoice(booking)).rejects.toMatchObject({ statusCode: 409 });
+    expect(store.seq).toBe(0);
+  });
+
+  it('only issues invoices for completed bookings', async () => {
+    fakeStore();
+    booking.status = 'in-progress';
+
+    await expect(invoiceService.getOrCreateInvoice(booking)).rejects.toMatchObject({ statusCode: 409 });
+    expect(Invoice.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,116 @@
+const { ScheduledJob } = require('../src/models');
+const jobScheduler = require('../src/services/jobScheduler');
+const { registerJobs } = require('../src/jobs');
+const { SCHEDULED_JOBS } = require('../src/config/constants');
+const { stubSave } = require('./helpers');
+
+const JobScheduler = jobScheduler.constructor;
+
+describe('JobScheduler', () => {
+  let scheduler;
+  let claimable;
+
+  beforeEach(() => {
+    scheduler = new JobScheduler();
+    claimable = new Set();
+
+    jest.spyOn(ScheduledJob, 'claim').mockImplementation(async name => (claimable.has(name) ? { name } : null));
+    jest.spyOn(ScheduledJob, 'release').mockResolvedValue(null);
+    jest.spyOn(ScheduledJob, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('runs only the jobs this instance could claim', async () => {
+    const due = jest.fn().mockResolvedValue({ sent: 2 });
+    const locked = jest.fn();
+    scheduler.register('due', 60000, due);
+    scheduler.register('locked', 60000, locked);
+    claimable.add('due');
+
+    await scheduler.tick();
+
+    expect(due).toHaveBeenCalledTimes(1);
+    expect(locked).not.toHaveBeenCalled();
+    expect(ScheduledJob.claim).toHaveBeenCalledWith('due', scheduler.instanceId, SCHEDULED_JOBS.LOCK_TTL_MS);
+    expect(ScheduledJob.release).toHaveBeenCalledWith('due', scheduler.instanceId,
+      expect.objectContaining({ result: { sent: 2 } }));
+  });
+
+  it('records a failed job and still runs the next one', async () => {
+    const next = jest.fn().mockResolvedValue(null);
+    scheduler.register('broken', 60000, jest.fn().mockRejectedValue(new Error('boom')));
+    scheduler.register('next', 60000, next);
+    claimable.add('broken').add('next');
+
+    await scheduler.tick();
+
+    expect(ScheduledJob.release).toHaveBeenCalledWith('broken', scheduler.instanceId,
+      expect.objectContaining({ error: 'boom' }));
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('does not start a tick while the previous one is still running', async () => {
+    let finish;
+    scheduler.register('slow', 60000, () => new Promise(resolve => { finish = resolve; }));
+    claimable.add('slow');
+
+    const first = scheduler.tick();
+    await scheduler.tick();
+    await new Promise(setImmediate);
+    finish();
+    await first;
+
+    expect(ScheduledJob.claim).toHaveBeenCalledTimes(1);
+  });
+
+  it('runNow honours the lock held by another instance', async () => {
+    scheduler.register('locked', 60000, jest.fn());
+
+    await expect(scheduler.runNow('locked')).resolves.toBe(false);
+    await expect(scheduler.runNow('missing')).rejects.toThrow("Unknown job 'missing'");
+  });
+
+  it('registers every background job', () => {
+    registerJobs(scheduler);
+
+    expect([...scheduler.handlers.keys()]).toEqual(expect.arrayContaining([
+      'booking-reminders', 'quote-expiry', 'problem-image-purge', 'notification-cleanup'
+    ]));
+  });
+});
+
+describe('ScheduledJob', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims only a due job whose lock is free or expired', async () => {
+    jest.spyOn(ScheduledJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await ScheduledJob.claim('quote-expiry', 'instance-a', 1000);
+
+    const [filter, update] = ScheduledJob.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ name: 'quote-expiry', enabled: true, nextRunAt: { $lte: expect.any(Date) } });
+    expect(filter.$or).toEqual([{ lockedUntil: null }, { lockedUntil: { $lt: expect.any(Date) } }]);
+    expect(update.$set.lockedBy).toBe('instance-a');
+  });
+
+  it('releases only for the lock holder and schedules the next run', async () => {
+    const job = stubSave(new ScheduledJob({ name: 'quote-expiry', intervalMs: 60000, lockedBy: 'instance-a' }));
+    jest.spyOn(ScheduledJob, 'findOne').mockImplementation(async ({ lockedBy }) => (lockedBy === 'instance-a' ? job : null));
+
+    await expect(ScheduledJob.release('quote-expiry', 'instance-b', {})).resolves.toBeNull();
+
+    const before = Date.now();
+    await ScheduledJob.release('quote-expiry', 'instance-a', { error: 'boom', durationMs: 5 });
+
+    expect(job.lockedBy).toBeNull();
+    expect(job.failCount).toBe(1);
+    expect(job.lastError).toBe('boom');
+    expect(job.nextRunAt.getTime()).toBeGreaterThanOrEqual(before + 60000);
+  });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { Booking, User, LocationPing } = require('../src/models');
+const liveLocationService = require('../src/services/liveLocationService');
+const chatGateway = require('../src/services/chatGateway');
+const liveLocationController = require('../src/controllers/liveLocationController');
+const { LIVE_LOCATION } = require('../src/config/constants');
+const { query, stubSave, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const MINUTE = 60 * 1000;
+
+describe('Live worker location', () => {
+  let worker;
+  let booking;
+  // About 5.6 km north of the job
+  const position = { latitude: 6.9771, longitude: 79.8612 };
+
+  const ping = (fields = {}) => new LocationPing({
+    bookingId: booking._id,
+    workerId: worker._id,
+    ...position,
+    ...fields
+  });
+
+  beforeEach(() => {
+    worker = new User({ fullName: 'Worker', role: 'worker' });
+    booking = stubSave(new Booking({
+      customerId: id(),
+      workerId: worker._id,
+      serviceType: 'plumbing',
+      status: 'accepted',
+      serviceLocation: { district: 'Colombo', coordinates: { latitude: 6.9271, longitude: 79.8612 } }
+    }));
+
+    jest.spyOn(LocationPing, 'getLatest').mockResolvedValue(null);
+    jest.spyOn(LocationPing, 'create').mockImplementation(async fields => new LocationPing(fields));
+    jest.spyOn(LocationPing, 'discardForBooking').mockResolvedValue(0);
+    jest.spyOn(chatGateway, 'emitToUser').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('shares the position with the customer along with a straight-line ETA', async () => {
+    const result = await liveLocationService.share(booking, worker, position);
+
+    expect(result.ignored).toBe(false);
+    expect(result.eta.distanceKm).toBeCloseTo(5.56, 1);
+    expect(result.eta.minutes).toBe(Math.ceil(result.eta.distanceKm / LIVE_LOCATION.AVERAGE_SPEED_KMH * 60));
+    expect(chatGateway.emitToUser).toHaveBeenCalledWith(booking.customerId, 'location:update', expect.objectContaining({
+      bookingId: booking._id.toString(),
+      eta: result.eta
+    }));
+  });
+
+  it('ignores positions posted faster than the minimum interval', async () => {
+    const latest = ping({ recordedAt: new Date() });
+    LocationPing.getLatest.mockResolvedValue(latest);
+
+    const result = await liveLocationService.share(booking, worker, position);
+
+    expect(result).toMatchObject({ position: latest, ignored: true });
+    expect(LocationPing.create).not.toHaveBeenCalled();
+    expect(chatGateway.emitToUser).not.toHaveBeenCalled();
+  });
+
+  it('has no ETA for a job without coordinates', async () => {
+    booking.serviceLocation.coordinates = undefined;
+
+    const result = await liveLocationService.share(booking, worker, position);
+
+    expect(result.eta).toBeNull();
+  });
+
+  it('flags the latest position as stale after a while', async () => {
+    LocationPing.getLatest.mockResolvedValue(ping({
+      recordedAt: new Date(Date.now() - (LIVE_LOCATION.STALE_AFTER_MINUTES + 1) * MINUTE)
+    }));
+
+    await expect(liveLocationService.getLatest(booking)).resolves.toMatchObject({ stale: true });
+  });
+
+  it.each(['pending', 'in-progress'])('only shares while the booking is accepted, not %s', async (status) => {
+    booking.status = status;
+
+    await expect(liveLocationService.share(booking, worker, position)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(liveLocationService.getLatest(booking)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('discards shared positions once the booking leaves accepted', async () => {
+    await booking.transitionTo('in-progress', { changedBy: worker._id, role: 'worker' });
+
+    expect(LocationPing.discardForBooking).toHaveBeenCalledWith(booking._id);
+  });
+
+  it('only shows the position to the booking\'s customer and worker', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(new User({ fullName: 'Stranger', role: 'customer' }));
+    jest.spyOn(Booking, 'findById').mockReturnValue(query(booking));
+    const res = mockResponse();
+
+    await liveLocationController.getLocation({ params: { id: booking._id.toString() }, user: { firebaseUid: 'uid' } }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(LocationPing.getLatest).not.toHaveBeenCalled();
+  });
+});
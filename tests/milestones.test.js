@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { Booking, User } = require('../src/models');
+const milestoneService = require('../src/services/milestoneService');
+const paymentService = require('../src/services/paymentService');
+const firebaseService = require('../src/services/firebaseService');
+const { query } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Milestone payments', () => {
+  let customer;
+  let worker;
+  let booking;
+  let payment;
+
+  const milestone = () => booking.milestones[0];
+
+  beforeEach(() => {
+    customer = new User({ fullName: 'Customer', role: 'customer' });
+    worker = new User({ fullName: 'Worker', role: 'worker' });
+    booking = new Booking({
+      customerId: customer._id,
+      workerId: worker._id,
+      serviceType: 'renovation',
+      status: 'in-progress',
+      milestones: [
+        { title: 'Demolition', amount: 20000 },
+        { title: 'Tiling', amount: 30000 }
+      ]
+    });
+    payment = { _id: id(), paymentId: 'PAY-1' };
+
+    jest.spyOn(paymentService, 'createCharge').mockResolvedValue(payment);
+    jest.spyOn(firebaseService, 'notify').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lets the worker mark a pending milestone as done', () => {
+    milestoneService.markCompleted(booking, worker, milestone()._id);
+
+    expect(milestone()).toMatchObject({ status: 'completed', completedBy: worker._id });
+  });
+
+  it('refuses milestone progress before the booking is accepted', () => {
+    booking.status = 'pending';
+
+    expect(() => milestoneService.markCompleted(booking, worker, milestone()._id))
+      .toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  it('refuses to approve a milestone the worker has not finished', async () => {
+    await expect(milestoneService.approve(booking, customer, milestone()._id, {}))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(paymentService.createCharge).not.toHaveBeenCalled();
+  });
+
+  it('charges the milestone amount and holds it as approved', async () => {
+    milestoneService.markCompleted(booking, worker, milestone()._id);
+    jest.spyOn(Booking, 'findOneAndUpdate').mockImplementation(async () => {
+      const updated = new Booking(booking.toObject());
+      Object.assign(updated.milestones[0], { status: 'approved', paymentId: payment._id });
+      return updated;
+    });
+
+    const result = await milestoneService.approve(booking, customer, milestone()._id, { paymentMethod: 'card' });
+
+    expect(paymentService.createCharge).toHaveBeenCalledWith(booking, {
+      amount: 20000,
+      paymentMethod: 'card',
+      changedBy: customer._id,
+      milestoneId: milestone()._id
+    });
+    expect(result.milestone.status).toBe('approved');
+    expect(result.summary).toMatchObject({ total: 50000, held: 20000, paid: 0, remaining: 30000 });
+    expect(firebaseService.notify).toHaveBeenCalledWith(
+      worker._id, 'payment-received', 'Milestone Approved', expect.any(String),
+      { relatedUser: customer._id, relatedBooking: booking._id }
+    );
+  });
+
+  it('keeps a milestone the charge already settled as paid', async () => {
+    milestoneService.markCompleted(booking, worker, milestone()._id);
+    const settled = new Booking(booking.toObject());
+    settled.milestones[0].status = 'paid';
+    jest.spyOn(Booking, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Booking, 'findById').mockReturnValue(query(settled));
+
+    const result = await milestoneService.approve(booking, customer, milestone()._id, {});
+
+    expect(result.milestone.status).toBe('paid');
+    expect(result.summary).toMatchObject({ paid: 20000, held: 0, paidMilestones: 1 });
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { Payment, Booking, Worker, Customer } = require('../src/models');
+const paymentService = require('../src/services/paymentService');
+const paymentGatewayService = require('../src/services/paymentGatewayService');
+const { PAYMENT_STATUS } = require('../src/config/constants');
+const { query, stubSave } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const buildBooking = (fields = {}) => new Booking({
+  customerId: id(),
+  workerId: id(),
+  serviceType: 'plumbing',
+  problemDescription: 'Leaking tap',
+  scheduledDate: new Date(),
+  quotedPrice: 10000,
+  status: 'completed',
+  ...fields
+});
+
+describe('paymentService', () => {
+  let booking;
+  let ledger;
+  let created;
+
+  beforeEach(() => {
+    booking = buildBooking();
+    ledger = { gross: 0, platformFee: 0, workerAmount: 0, count: 0 };
+    created = [];
+
+    jest.spyOn(Payment, 'exists').mockImplementation(async () =>
+      created.some(payment => [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.PROCESSING].includes(payment.status)));
+    jest.spyOn(Payment, 'getLedgerTotals').mockImplementation(async () => ledger);
+    jest.spyOn(Payment, 'create').mockImplementation(async (data) => {
+      const payment = stubSave(new Payment(data));
+      created.push(payment);
+      return payment;
+    });
+    jest.spyOn(Booking, 'findById').mockImplementation(() => query(booking));
+    jest.spyOn(Booking, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Worker, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Customer, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createCharge', () => {
+    it('fails the charge when the gateway cannot start it, so a retry is allowed', async () => {
+      jest.spyOn(paymentGatewayService.getProvider(), 'initiate').mockRejectedValueOnce(new Error('gateway down'));
+
+      await expect(paymentService.createCharge(booking, { paymentMethod: 'card' })).rejects.toThrow('gateway down');
+      expect(created[0].status).toBe(PAYMENT_STATUS.FAILED);
+
+      const retry = await paymentService.createCharge(booking, { paymentMethod: 'card' });
+      expect(retry.status).toBe(PAYMENT_STATUS.PROCESSING);
+    });
+
+    it('refuses a second charge while one is open', async () => {
+      await paymentService.createCharge(booking, { paymentMethod: 'cash' });
+
+      await expect(paymentService.createCharge(booking, { paymentMethod: 'cash' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('refuses a charge once the ledger covers the amount due', async () => {
+      ledger.gross = 10000;
+
+      await expect(paymentService.createCharge(booking, { paymentMethod: 'cash' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'This booking has already been paid' });
+    });
+
+    it('refuses a charge above the outstanding balance', async () => {
+      ledger.gross = 4000;
+
+      await expect(paymentService.createCharge(booking, { amount: 7000, paymentMethod: 'cash' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('completePayment', () => {
+    it.each([
+      [4000, 'partially-paid'],
+      [10000, 'paid']
+    ])('marks the booking from the net amount paid (%d of 10000)', async (netPaid, paymentStatus) => {
+      const payment = await paymentService.createCharge(booking, { amount: 4000, paymentMethod: 'cash' });
+      ledger.gross = netPaid;
+
+      await paymentService.completePayment(payment);
+
+      expect(payment.status).toBe(PAYMENT_STATUS.COMPLETED);
+      expect(Booking.findByIdAndUpdate).toHaveBeenLastCalledWith(booking._id, expect.objectContaining({ paymentStatus }));
+    });
+  });
+});
@@ -0,0 +1,205 @@
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { Payment, Booking, Worker, Customer, User } = require('../src/models');
+const MockGateway = require('../src/services/gateways/mockGateway');
+const paymentGatewayService = require('../src/services/paymentGatewayService');
+const paymentService = require('../src/services/paymentService');
+const emailService = require('../src/services/emailService');
+const firebaseService = require('../src/services/firebaseService');
+const paymentController = require('../src/controllers/paymentController');
+const { PAYMENT_STATUS } = require('../src/config/constants');
+const { query } = require('./helpers');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.post('/payments/webhook', paymentController.handleWebhook);
+  app.use((err, req, res, next) => {
+    res.status(err.statusCode || 500).json({ success: false, message: err.message });
+  });
+  return app;
+};
+
+const sendWebhook = (app, { rawBody, signature }) => request(app)
+  .post('/payments/webhook')
+  .set('Content-Type', 'application/json')
+  .set(paymentGatewayService.signatureHeader, signature)
+  .send(rawBody);
+
+describe('MockGateway webhook signatures', () => {
+  const gateway = new MockGateway({ webhookSecret: 'secret' });
+  const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: { reference: 'ref_1' } });
+
+  it('accepts a body signed with the secret', () => {
+    expect(gateway.verifyWebhookSignature(rawBody, gateway.sign(rawBody))).toBe(true);
+  });
+
+  it('rejects a tampered body', () => {
+    const signature = gateway.sign(rawBody);
+    expect(gateway.verifyWebhookSignature(rawBody.replace('ref_1', 'ref_2'), signature)).toBe(false);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const forged = new MockGateway({ webhookSecret: 'other' }).sign(rawBody);
+    expect(gateway.verifyWebhookSignature(rawBody, forged)).toBe(false);
+  });
+
+  it('rejects an expired or malformed signature', () => {
+    const old = Math.floor(Date.now() / 1000) - 3600;
+    expect(gateway.verifyWebhookSignature(rawBody, gateway.sign(rawBody, old))).toBe(false);
+    expect(gateway.verifyWebhookSignature(rawBody, 'v1=abc')).toBe(false);
+    expect(gateway.verifyWebhookSignature(rawBody, undefined)).toBe(false);
+  });
+
+  it('rejects every webhook when no secret is configured', () => {
+    const unconfigured = new MockGateway();
+    expect(() => unconfigured.sign(rawBody)).toThrow('PAYMENT_WEBHOOK_SECRET is not configured');
+    expect(unconfigured.verifyWebhookSignature(rawBody, gateway.sign(rawBody))).toBe(false);
+  });
+
+  it('does not settle a reference it never authorised', async () => {
+    const result = await gateway.capture('mock_pi_unknown', 1000);
+    expect(result.status).toBe('failed');
+    expect(result.amount).toBe(0);
+  });
+});
+
+describe('POST /payments/webhook', () => {
+  const app = buildApp();
+  const gateway = paymentGatewayService.getProvider('mock');
+  let payment;
+
+  beforeEach(async () => {
+    const { reference } = await gateway.initiate({ amount: 5000, paymentId: 'PAYTEST' });
+
+    payment = new Payment({
+      bookingId: new mongoose.Types.ObjectId(),
+      customerId: new mongoose.Types.ObjectId(),
+      workerId: new mongoose.Types.ObjectId(),
+      amount: 5000,
+      paymentMethod: 'card',
+      status: PAYMENT_STATUS.PROCESSING,
+      gateway: { provider: 'mock', reference }
+    });
+
+    jest.spyOn(payment, 'save').mockResolvedValue(payment);
+    jest.spyOn(Payment, 'findOne').mockImplementation(async (query) =>
+      (query['gateway.reference'] === reference ? payment : null));
+    jest.spyOn(Booking, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Booking, 'findById').mockImplementation(() => query(null));
+    jest.spyOn(Payment, 'getLedgerTotals').mockResolvedValue({ gross: 5000 });
+    jest.spyOn(Worker, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Customer, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+    jest.spyOn(firebaseService, 'sendPaymentNotification').mockResolvedValue(null);
+    jest.spyOn(emailService, 'sendPaymentReceiptEmail').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects an unsigned or wrongly signed webhook without touching the payment', async () => {
+    const { rawBody } = gateway.buildWebhook('payment.succeeded', payment.gateway.reference);
+    const forged = new MockGateway({ webhookSecret: 'guess' }).sign(rawBody);
+
+    const res = await sendWebhook(app, { rawBody, signature: forged });
+
+    expect(res.status).toBe(401);
+    expect(Payment.findOne).not.toHaveBeenCalled();
+    expect(payment.status).toBe(PAYMENT_STATUS.PROCESSING);
+  });
+
+  it('applies a signed event once and ignores redeliveries', async () => {
+    const webhook = gateway.buildWebhook('payment.succeeded', payment.gateway.reference);
+
+    const first = await sendWebhook(app, webhook);
+    expect(first.status).toBe(200);
+    expect(first.body.message).toBe('Webhook processed');
+    expect(first.body.data.status).toBe(PAYMENT_STATUS.COMPLETED);
+
+    const retry = await sendWebhook(app, webhook);
+    expect(retry.status).toBe(200);
+    expect(retry.body.message).toBe('Webhook already processed');
+
+    const late = await sendWebhook(app, gateway.buildWebhook('payment.authorized', payment.gateway.reference));
+    expect(late.body.message).toBe('Webhook already processed');
+
+    expect(Booking.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Customer.updateOne).toHaveBeenCalledTimes(1);
+    expect(payment.statusHistory.filter(entry => entry.status === PAYMENT_STATUS.COMPLETED)).toHaveLength(1);
+  });
+
+  it('does not fail a payment that already completed', async () => {
+    await sendWebhook(app, gateway.buildWebhook('payment.succeeded', payment.gateway.reference));
+
+    const res = await sendWebhook(app, gateway.buildWebhook('payment.failed', payment.gateway.reference, {
+      failureReason: 'Card declined'
+    }));
+
+    expect(res.body.message).toBe('Webhook already processed');
+    expect(payment.status).toBe(PAYMENT_STATUS.COMPLETED);
+  });
+
+  it('returns 404 for an unknown gateway reference', async () => {
+    const res = await sendWebhook(app, gateway.buildWebhook('payment.succeeded', 'mock_pi_missing'));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('without a registered gateway provider', () => {
+  const app = buildApp();
+  const activeName = paymentGatewayService.activeName;
+
+  beforeEach(() => {
+    paymentGatewayService.activeName = 'unregistered';
+    jest.spyOn(Payment, 'create');
+    jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+    jest.spyOn(Payment, 'getLedgerTotals').mockResolvedValue({ gross: 0 });
+  });
+
+  afterEach(() => {
+    paymentGatewayService.activeName = activeName;
+    jest.restoreAllMocks();
+  });
+
+  it('reports the gateway as not configured', () => {
+    expect(paymentGatewayService.isConfigured()).toBe(false);
+  });
+
+  it('answers webhooks with 503 instead of a server error', async () => {
+    const webhook = new MockGateway({ webhookSecret: 'test-webhook-secret' }).buildWebhook('payment.succeeded', 'ref');
+
+    const res = await sendWebhook(app, webhook);
+
+    expect(res.status).toBe(503);
+    expect(res.body.message).toBe('Payment gateway is not configured');
+  });
+
+  it('refuses gateway charges before recording them, but still takes cash', async () => {
+    const booking = new Booking({
+      customerId: new mongoose.Types.ObjectId(),
+      workerId: new mongoose.Types.ObjectId(),
+      quotedPrice: 5000
+    });
+
+    await expect(paymentService.createCharge(booking, { paymentMethod: 'card' }))
+      .rejects.toMatchObject({ statusCode: 503 });
+    expect(Payment.create).not.toHaveBeenCalled();
+
+    Payment.create.mockImplementation(async data => new Payment(data));
+    jest.spyOn(Booking, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Booking, 'findById').mockImplementation(() => query(booking));
+
+    const cash = await paymentService.createCharge(booking, { paymentMethod: 'cash' });
+    expect(cash.status).toBe(PAYMENT_STATUS.PENDING);
+  });
+});
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const { Booking, User, Quote, Notification } = require('../src/models');
+const quoteController = require('../src/controllers/quoteController');
+const calendarService = require('../src/services/calendarService');
+const { query, stubSave, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+describe('Quote acceptance', () => {
+  let customer;
+  let booking;
+
+  const newQuote = (fields = {}) => stubSave(new Quote({
+    bookingId: booking._id,
+    customerId: customer._id,
+    workerId: id(),
+    totalAmount: 5000,
+    status: 'sent',
+    validUntil: tomorrow(),
+    ...fields
+  }));
+
+  const accept = async (quote) => {
+    jest.spyOn(Quote, 'findOne').mockResolvedValueOnce(quote);
+    const res = mockResponse();
+    const next = jest.fn();
+    await quoteController.acceptQuote(
+      {
+        params: { id: booking._id.toString(), quoteId: quote._id.toString() },
+        body: {},
+        user: { firebaseUid: 'uid', role: 'customer' }
+      },
+      res,
+      next
+    );
+    if (next.mock.calls.length) throw next.mock.calls[0][0];
+    return res;
+  };
+
+  beforeEach(() => {
+    customer = new User({ firebaseUid: 'uid', role: 'customer', fullName: 'Nimal' });
+    booking = stubSave(new Booking({
+      customerId: customer._id,
+      serviceType: 'plumbing',
+      status: 'quotes_sent',
+      scheduledDate: tomorrow()
+    }));
+
+    jest.spyOn(User, 'findOne').mockResolvedValue(customer);
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+    jest.spyOn(Quote, 'find').mockReturnValue(query([]));
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+    jest.spyOn(calendarService, 'checkAvailability').mockResolvedValue({ available: true });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('awards the booking to the quoting worker', async () => {
+    const quote = newQuote();
+    const award = jest.spyOn(Booking, 'findOneAndUpdate').mockResolvedValue(booking);
+
+    const res = await accept(quote);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(award).toHaveBeenCalledWith(
+      expect.objectContaining({
+        _id: booking._id,
+        'quote.status': { $ne: 'accepted' },
+        $or: [{ workerId: null }, { workerId: quote.workerId }]
+      }),
+      { $set: { workerId: quote.workerId, 'quote.status': 'accepted' } },
+      { new: true }
+    );
+    expect(quote.status).toBe('accepted');
+    expect(booking.status).toBe('accepted');
+    expect(booking.workerId).toEqual(quote.workerId);
+    expect(booking.quotedPrice).toBe(5000);
+  });
+
+  it('refuses a quote on a booking that is no longer awaiting acceptance', async () => {
+    booking.status = 'cancelled';
+    const quote = newQuote();
+    const award = jest.spyOn(Booking, 'findOneAndUpdate');
+
+    const res = await accept(quote);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(award).not.toHaveBeenCalled();
+    expect(quote.save).not.toHaveBeenCalled();
+  });
+
+  it('lets only one of two simultaneous acceptances win', async () => {
+    const first = newQuote();
+    const second = newQuote();
+    // The conditional update matches once; the racing request finds the booking taken
+    jest.spyOn(Booking, 'findOneAndUpdate')
+      .mockResolvedValueOnce(booking)
+      .mockResolvedValueOnce(null);
+
+    const [a, b] = await Promise.all([accept(first), accept(second)]);
+
+    expect(a.status).toHaveBeenCalledWith(200);
+    expect(b.status).toHaveBeenCalledWith(409);
+    expect(first.status).toBe('accepted');
+    expect(second.status).toBe('sent');
+    expect(booking.workerId).toEqual(first.workerId);
+  });
+
+  it('releases the award when accepting the quote fails', async () => {
+    const quote = newQuote();
+    jest.spyOn(Booking, 'findOneAndUpdate').mockResolvedValue(booking);
+    const release = jest.spyOn(Booking, 'updateOne').mockResolvedValue({});
+    quote.save.mockRejectedValueOnce(new Error('write conflict'));
+
+    await expect(accept(quote)).rejects.toThrow('write conflict');
+    expect(release).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: booking._id }),
+      { $set: { workerId: null, 'quote.status': 'pending' } }
+    );
+  });
+});
+
+describe('Quote negotiation', () => {
+  let customer;
+  let worker;
+  let booking;
+  let quote;
+
+  const respond = async (handler, user, body) => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const res = mockResponse();
+    const next = jest.fn();
+    await handler(
+      {
+        params: { id: booking._id.toString(), quoteId: quote._id.toString() },
+        body,
+        user: { firebaseUid: user.firebaseUid, role: user.role }
+      },
+      res,
+      next
+    );
+    expect(next).not.toHaveBeenCalled();
+    return res;
+  };
+
+  beforeEach(() => {
+    customer = new User({ firebaseUid: 'customer-uid', role: 'customer' });
+    worker = new User({ firebaseUid: 'worker-uid', role: 'worker' });
+    booking = stubSave(new Booking({ customerId: customer._id, serviceType: 'plumbing', status: 'quotes_sent' }));
+    quote = new Quote({
+      bookingId: booking._id,
+      customerId: customer._id,
+      workerId: worker._id,
+      totalAmount: 5000,
+      status: 'sent',
+      validUntil: tomorrow()
+    });
+
+    jest.spyOn(Quote.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(Booking, 'findById').mockResolvedValue(booking);
+    jest.spyOn(Quote, 'findOne').mockResolvedValue(quote);
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('records a counter-offer while the booking awaits acceptance', async () => {
+    const res = await respond(quoteController.counterOffer, customer, { amount: 4000 });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(quote.getPendingCounter()).toMatchObject({ amount: 4000 });
+  });
+
+  it('lets the worker revise while the booking awaits acceptance', async () => {
+    const res = await respond(quoteController.reviseQuote, worker, { totalAmount: 4500 });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(quote.status).toBe('withdrawn');
+  });
+
+  it.each(['accepted', 'cancelled'])('refuses a counter-offer once the booking is %s', async (status) => {
+    booking.status = status;
+
+    const res = await respond(quoteController.counterOffer, customer, { amount: 4000 });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(quote.negotiationHistory).toHaveLength(0);
+    expect(quote.save).not.toHaveBeenCalled();
+  });
+
+  it.each(['accepted', 'cancelled'])('refuses a revision once the booking is %s', async (status) => {
+    booking.status = status;
+
+    const res = await respond(quoteController.reviseQuote, worker, { totalAmount: 4500 });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(quote.status).toBe('sent');
+    expect(booking.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { Booking, BookingSeries, User, Notification } = require('../src/models');
+const recurringBookingService = require('../src/services/recurringBookingService');
+const calendarService = require('../src/services/calendarService');
+const firebaseService = require('../src/services/firebaseService');
+const { query, stubSave } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Recurring booking series', () => {
+  let series;
+
+  const newSeries = (fields = {}) => stubSave(new BookingSeries({
+    customerId: id(),
+    workerId: id(),
+    serviceType: 'cleaning',
+    problemDescription: 'Weekly house clean',
+    frequency: 'weekly',
+    anchorDate: new Date(Date.now() + DAY),
+    status: 'active',
+    ...fields
+  }));
+
+  beforeEach(() => {
+    series = newSeries();
+    jest.spyOn(Booking, 'create').mockImplementation(async fields => new Booking(fields));
+    jest.spyOn(calendarService, 'checkAvailability').mockResolvedValue({ available: true });
+    jest.spyOn(firebaseService, 'notify').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('books every weekly occurrence inside the lookahead window', async () => {
+    const result = await recurringBookingService.generateOccurrences(series, new Date(Date.now() + 25 * DAY));
+
+    expect(result).toEqual({ created: 4, skipped: 0 });
+    expect(Booking.create).toHaveBeenCalledTimes(4);
+    expect(Booking.create.mock.calls.map(([fields]) => fields.seriesOccurrence)).toEqual([0, 1, 2, 3]);
+    expect(Booking.create.mock.calls[1][0]).toMatchObject({
+      status: 'accepted',
+      seriesId: series._id,
+      scheduledDate: series.getOccurrenceDate(1)
+    });
+    expect(series.nextIndex).toBe(4);
+  });
+
+  it('completes the series after occurrenceCount bookings', async () => {
+    series.occurrenceCount = 2;
+
+    const result = await recurringBookingService.generateOccurrences(series, new Date(Date.now() + 60 * DAY));
+
+    expect(result.created).toBe(2);
+    expect(series.status).toBe('completed');
+  });
+
+  it('skips an occurrence the worker cannot take and tells the customer', async () => {
+    calendarService.checkAvailability
+      .mockResolvedValueOnce({ available: true })
+      .mockResolvedValueOnce({ available: false, reason: 'Worker is on leave' });
+
+    const result = await recurringBookingService.generateOccurrences(series, new Date(Date.now() + 9 * DAY));
+
+    expect(result).toEqual({ created: 1, skipped: 1 });
+    expect(series.skipped[0]).toMatchObject({ reason: 'Worker is on leave' });
+    expect(firebaseService.notify).toHaveBeenCalledWith(
+      series.customerId,
+      'booking-cancelled',
+      'Recurring Booking Skipped',
+      expect.stringContaining('Worker is on leave'),
+      { relatedUser: series.workerId }
+    );
+  });
+
+  it('refuses to answer a series that is no longer pending', async () => {
+    await expect(recurringBookingService.respond(series, new User(), true))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('books occurrences once the worker accepts', async () => {
+    series = newSeries({ status: 'pending' });
+    const worker = new User({ fullName: 'Kamal' });
+
+    const result = await recurringBookingService.respond(series, worker, true);
+
+    expect(series.status).toBe('active');
+    expect(result.created).toBeGreaterThan(0);
+    expect(firebaseService.notify).toHaveBeenCalledWith(
+      series.customerId, 'booking-accepted', 'Recurring Booking Accepted', expect.any(String), { relatedUser: worker._id }
+    );
+  });
+});
+
+describe('firebaseService.notify', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('saves the related user and booking with the notification', async () => {
+    const [userId, relatedUser, relatedBooking] = [id(), id(), id()];
+    jest.spyOn(User, 'findById').mockReturnValue(query(null));
+    const create = jest.spyOn(Notification, 'create').mockResolvedValue({ _id: id() });
+
+    await firebaseService.notify(userId, 'booking-accepted', 'Accepted', 'Your booking was accepted', { relatedUser, relatedBooking });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      userId,
+      type: 'booking-accepted',
+      message: 'Your booking was accepted',
+      relatedUser,
+      relatedBooking,
+      data: { bookingId: relatedBooking.toString() }
+    }));
+  });
+
+  it('never fails the caller when the notification cannot be saved', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue(query(null));
+    jest.spyOn(Notification, 'create').mockRejectedValue(new Error('db down'));
+
+    await expect(firebaseService.notify(id(), 'booking-accepted', 'Accepted', 'Message')).resolves.toBeNull();
+  });
+});
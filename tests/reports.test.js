@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { Report, User, Notification } = require('../src/models');
+const adminController = require('../src/controllers/adminController');
+const moderationService = require('../src/services/moderationService');
+const { MODERATION } = require('../src/config/constants');
+const { query, stubSave, mockResponse } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const newReport = (fields = {}) => stubSave(new Report({
+  reporterId: id(),
+  targetType: 'user',
+  targetId: id(),
+  reportedUserId: id(),
+  reason: 'Harassment',
+  ...fields
+}));
+
+const call = async (handler, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  await handler({ params: {}, query: {}, body: {}, user: { firebaseUid: 'admin-uid' }, ...req }, res, next);
+  return { res, next };
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Admin report queue', () => {
+  it('shows a report whose reported user was deleted, without history', async () => {
+    const report = newReport({ reportedUserId: null });
+    jest.spyOn(Report, 'findById').mockReturnValue(query(report));
+    const find = jest.spyOn(Report, 'find');
+
+    const { res, next } = await call(adminController.getReportById, { params: { id: report._id.toString() } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].data.history).toEqual([]);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 when the calling admin has no user record', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const report = newReport();
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+
+    const listed = await call(adminController.getReports, { query: { assignedTo: 'me' } });
+    const resolved = await call(adminController.resolveReport, { params: { id: report._id.toString() } });
+    const dismissed = await call(adminController.dismissReport, { params: { id: report._id.toString() } });
+
+    [listed, resolved, dismissed].forEach(({ res, next }) => {
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'User not found' });
+    });
+    expect(report.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses to resolve a report that is already closed', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(new User({ role: 'admin' }));
+    const report = newReport({ status: 'dismissed' });
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+
+    const { res } = await call(adminController.resolveReport, { params: { id: report._id.toString() } });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(report.save).not.toHaveBeenCalled();
+  });
+
+  it('records who resolved the report and the action taken', async () => {
+    const admin = new User({ role: 'admin' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(admin);
+    const report = newReport();
+    jest.spyOn(Report, 'findById').mockResolvedValue(report);
+
+    const { res } = await call(adminController.resolveReport, {
+      params: { id: report._id.toString() },
+      body: { action: 'warning', note: 'First offence' }
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(report.status).toBe('resolved');
+    expect(report.resolution).toMatchObject({ action: 'warning', note: 'First offence', resolvedBy: admin._id });
+  });
+});
+
+describe('Report escalation', () => {
+  beforeEach(() => {
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+  });
+
+  it('leaves the user alone below the reporter threshold', async () => {
+    jest.spyOn(Report, 'countDistinctReporters').mockResolvedValue(MODERATION.AUTO_SUSPEND_REPORT_THRESHOLD - 1);
+    const suspend = jest.spyOn(User, 'findByIdAndUpdate');
+
+    await expect(moderationService.checkEscalation(newReport())).resolves.toBe(false);
+    expect(suspend).not.toHaveBeenCalled();
+  });
+
+  it('suspends an active user once enough distinct users reported them', async () => {
+    const user = new User({ role: 'worker', accountStatus: 'active' });
+    jest.spyOn(Report, 'countDistinctReporters').mockResolvedValue(MODERATION.AUTO_SUSPEND_REPORT_THRESHOLD);
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+    const suspend = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+    const report = newReport({ reportedUserId: user._id });
+
+    await expect(moderationService.checkEscalation(report)).resolves.toBe(true);
+    expect(suspend).toHaveBeenCalledWith(user._id, { accountStatus: 'suspended' }, { new: true });
+    expect(report.escalated).toBe(true);
+  });
+
+  it('never auto-suspends an admin', async () => {
+    jest.spyOn(Report, 'countDistinctReporters').mockResolvedValue(MODERATION.AUTO_SUSPEND_REPORT_THRESHOLD + 5);
+    jest.spyOn(User, 'findById').mockReturnValue(query(new User({ role: 'admin', accountStatus: 'active' })));
+    const suspend = jest.spyOn(User, 'findByIdAndUpdate');
+
+    await expect(moderationService.checkEscalation(newReport())).resolves.toBe(false);
+    expect(suspend).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { Booking, User } = require('../src/models');
+const rescheduleService = require('../src/services/rescheduleService');
+const calendarService = require('../src/services/calendarService');
+const firebaseService = require('../src/services/firebaseService');
+const { stubSave } = require('./helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Rescheduling', () => {
+  let customer;
+  let worker;
+  let booking;
+  const originalDate = new Date(Date.now() + 2 * DAY);
+  const newDate = new Date(Date.now() + 5 * DAY);
+
+  beforeEach(() => {
+    customer = new User({ fullName: 'Customer', role: 'customer' });
+    worker = new User({ fullName: 'Worker', role: 'worker' });
+    booking = stubSave(new Booking({
+      customerId: customer._id,
+      workerId: worker._id,
+      serviceType: 'plumbing',
+      status: 'accepted',
+      scheduledDate: originalDate,
+      preferredTimeSlot: 'morning'
+    }));
+
+    jest.spyOn(calendarService, 'checkAvailability').mockResolvedValue({ available: true });
+    jest.spyOn(firebaseService, 'notify').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps the booking on its date until the proposal is accepted', async () => {
+    const proposal = await rescheduleService.propose(booking, customer, 'customer', { scheduledDate: newDate });
+
+    expect(proposal).toMatchObject({ status: 'pending', proposedByRole: 'customer', previousDate: originalDate });
+    expect(booking.scheduledDate).toEqual(originalDate);
+    expect(firebaseService.notify).toHaveBeenCalledWith(
+      worker._id, 'booking-rescheduled', 'Reschedule Requested', expect.any(String),
+      { relatedUser: customer._id, relatedBooking: booking._id }
+    );
+  });
+
+  it('moves the booking once the other side accepts', async () => {
+    const proposal = await rescheduleService.propose(booking, customer, 'customer', { scheduledDate: newDate, preferredTimeSlot: 'evening' });
+
+    await rescheduleService.accept(booking, proposal._id, worker, 'worker');
+
+    expect(booking.scheduledDate).toEqual(newDate);
+    expect(booking.preferredTimeSlot).toBe('evening');
+    expect(proposal.status).toBe('accepted');
+  });
+
+  it('refuses a new time the worker\'s calendar cannot take', async () => {
+    const proposal = await rescheduleService.propose(booking, customer, 'customer', { scheduledDate: newDate });
+    calendarService.checkAvailability.mockResolvedValue({ available: false, reason: 'Worker is fully booked' });
+
+    await expect(rescheduleService.accept(booking, proposal._id, worker, 'worker'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Worker is fully booked' });
+    expect(booking.scheduledDate).toEqual(originalDate);
+    expect(proposal.status).toBe('pending');
+  });
+
+  it('replaces the pending proposal with a counter-proposal', async () => {
+    const first = await rescheduleService.propose(booking, customer, 'customer', { scheduledDate: newDate });
+    const counter = await rescheduleService.propose(booking, worker, 'worker', { scheduledDate: new Date(Date.now() + 6 * DAY) });
+
+    expect(first.status).toBe('countered');
+    expect(booking.getPendingReschedule()._id).toEqual(counter._id);
+  });
+
+  it('does not let a party answer their own proposal', async () => {
+    const proposal = await rescheduleService.propose(booking, customer, 'customer', { scheduledDate: newDate });
+
+    await expect(rescheduleService.accept(booking, proposal._id, customer, 'customer'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('refuses to reschedule a booking that has started', async () => {
+    booking.status = 'in-progress';
+
+    await expect(rescheduleService.propose(booking, customer, 'customer', { scheduledDate: newDate }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});